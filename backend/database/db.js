@@ -2,6 +2,10 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const { constants } = require('../src/config');
+const { parseTagNames } = require('../src/utils/tagUtils');
+const { naturalSortKey } = require('../src/utils/sortUtils');
+const { META_FIELDS } = require('../utils/imageMeta');
+const { IMAGE_UPSERT_SET, TAGGED_IMAGE_IDS_SQL, escapeLike, buildKeywordFilter, buildAttributeFilters, buildOrderBy } = require('./queries');
 
 class LibraryDatabase {
   constructor(libraryPath) {
@@ -26,6 +30,7 @@ class LibraryDatabase {
     this.db.pragma('cache_size = -64000'); // 64MB 缓存
     this.db.pragma('temp_store = MEMORY'); // 临时表存储在内存
     this.db.pragma('mmap_size = 268435456'); // 256MB 内存映射
+    this.db.pragma('foreign_keys = ON'); // 启用外键，删除图片/标签时级联清理关联记录
     
     this.initTables();
     
@@ -90,6 +95,85 @@ class LibraryDatabase {
       // 列已存在，忽略错误
     }
 
+    // 添加 sort_name 列（文件名自然排序键，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN sort_name TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 content_hash 列（文件内容 SHA-256，由查重任务按需计算，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN content_hash TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 perceptual_hash 列（dHash 感知哈希，查找相似图片用；NULL 为尚未计算，空字符串为无法计算，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN perceptual_hash TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 duration / codec 列（视频时长（秒）和编码，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN duration REAL`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN codec TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 page_count 列（可逐页预览的设计文件、文档的页数，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN page_count INTEGER`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 thumbnail_source 列（生成缩略图的提供者；placeholder 为提供者都失败，NULL 为旧数据或没有可用的提供者，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN thumbnail_source TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 animated / frame_count 列（是否为动图、帧数；NULL 为旧数据尚未检测，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN animated INTEGER`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN frame_count INTEGER`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 animated_thumbnail_path 列（动态缩略图路径，素材库开启动态缩略图时生成；空字符串为无法生成，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN animated_thumbnail_path TEXT`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
+    // 添加 original_width / original_height 列（原图尺寸；width / height 为缩略图尺寸，用于前端布局。
+    // NULL 为旧数据，重新扫描时补充，如果不存在）
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN original_width INTEGER`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+    try {
+      this.db.exec(`ALTER TABLE images ADD COLUMN original_height INTEGER`);
+    } catch (e) {
+      // 列已存在，忽略错误
+    }
+
     // Folders table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS folders (
@@ -102,6 +186,95 @@ class LibraryDatabase {
       )
     `);
 
+    // Tags table（标签，parent_id 用于构建标签树）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        parent_id INTEGER REFERENCES tags(id) ON DELETE SET NULL,
+        color TEXT,
+        created_at INTEGER
+      )
+    `);
+
+    // Image-tag relation table
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS image_tags (
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        PRIMARY KEY (image_id, tag_id)
+      )
+    `);
+
+    // Smart albums table（智能相册：保存的搜索条件，query 为 JSON）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS smart_albums (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        query TEXT NOT NULL,
+        created_at INTEGER,
+        updated_at INTEGER
+      )
+    `);
+
+    // Albums table（手动相册：跨文件夹组织图片，不移动文件；position 为侧边栏中的顺序）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS albums (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER,
+        updated_at INTEGER
+      )
+    `);
+
+    // Album-image relation table（按 image_id 关联，重命名 / 移动文件时图片 id 不变，相册关系随之保留）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS album_items (
+        album_id INTEGER NOT NULL REFERENCES albums(id) ON DELETE CASCADE,
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        added_at INTEGER,
+        PRIMARY KEY (album_id, image_id)
+      )
+    `);
+
+    // Image metadata table（EXIF / IPTC / XMP，扫描时提取；每张图片一行，空行表示已提取但没有元数据）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS image_meta (
+        image_id INTEGER PRIMARY KEY REFERENCES images(id) ON DELETE CASCADE,
+        camera_make TEXT,
+        camera_model TEXT,
+        lens TEXT,
+        exposure_time REAL,
+        f_number REAL,
+        iso INTEGER,
+        focal_length REAL,
+        taken_at INTEGER,
+        gps_latitude REAL,
+        gps_longitude REAL,
+        gps_altitude REAL,
+        keywords TEXT,
+        caption TEXT,
+        title TEXT,
+        artist TEXT,
+        copyright TEXT
+      )
+    `);
+
+    // 主色表（每张图片若干种主色，Lab 空间，按占比从大到小编号）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS image_colors (
+        image_id INTEGER NOT NULL REFERENCES images(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        hex TEXT NOT NULL,
+        l REAL NOT NULL,
+        a REAL NOT NULL,
+        b REAL NOT NULL,
+        ratio REAL NOT NULL,
+        PRIMARY KEY (image_id, position)
+      )
+    `);
+
     // Create indexes
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_filename ON images(filename);
@@ -115,6 +288,22 @@ class LibraryDatabase {
       -- 评分和收藏索引：优化筛选查询
       CREATE INDEX IF NOT EXISTS idx_rating ON images(rating DESC);
       CREATE INDEX IF NOT EXISTS idx_favorite ON images(favorite DESC);
+      -- 排序索引：文件名（自然排序）、修改时间、大小、像素数
+      CREATE INDEX IF NOT EXISTS idx_sort_name ON images(sort_name);
+      CREATE INDEX IF NOT EXISTS idx_modified_at ON images(modified_at);
+      CREATE INDEX IF NOT EXISTS idx_size ON images(size);
+      -- 按原图像素数排序（表达式与 queries.js 的 SORT_COLUMNS.pixels 一致；旧版本按缩略图尺寸建立的 idx_pixels 已删除）
+      DROP INDEX IF EXISTS idx_pixels;
+      CREATE INDEX IF NOT EXISTS idx_original_pixels ON images((COALESCE(original_width, width) * COALESCE(original_height, height)));
+      -- 标签索引：按标签筛选图片、构建标签树
+      CREATE INDEX IF NOT EXISTS idx_image_tags_tag ON image_tags(tag_id);
+      CREATE INDEX IF NOT EXISTS idx_tags_parent ON tags(parent_id);
+      -- 相册索引：删除图片时级联清理、查询图片所属相册
+      CREATE INDEX IF NOT EXISTS idx_album_items_image ON album_items(image_id);
+      -- 内容哈希索引：查找重复文件
+      CREATE INDEX IF NOT EXISTS idx_content_hash ON images(content_hash);
+      -- 元数据索引：按拍摄时间筛选
+      CREATE INDEX IF NOT EXISTS idx_image_meta_taken ON image_meta(taken_at);
     `);
 
     // Metadata table for tracking database modifications
@@ -131,6 +320,113 @@ class LibraryDatabase {
     if (!lastModified) {
       this.db.prepare('INSERT INTO metadata (key, value, updated_at) VALUES (?, ?, ?)').run('last_modified', Date.now().toString(), Date.now());
     }
+
+    this.initFullTextIndex();
+    this.migrateLegacyTags();
+    this.backfillSortNames();
+  }
+
+  /**
+   * 创建关键词搜索的全文索引
+   * images_fts 为外部内容表（数据存于 images），由触发器保持同步；
+   * 使用 trigram 分词器，中文文件名无需分词即可按子串匹配
+   * 索引首次创建时从 images 表重建
+   */
+  initFullTextIndex() {
+    const exists = this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'images_fts'"
+    ).get();
+
+    this.db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS images_fts USING fts5(
+        filename, folder, tags,
+        content = 'images', content_rowid = 'id', tokenize = 'trigram'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS images_fts_insert AFTER INSERT ON images BEGIN
+        INSERT INTO images_fts(rowid, filename, folder, tags)
+        VALUES (new.id, new.filename, new.folder, new.tags);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS images_fts_delete AFTER DELETE ON images BEGIN
+        INSERT INTO images_fts(images_fts, rowid, filename, folder, tags)
+        VALUES ('delete', old.id, old.filename, old.folder, old.tags);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS images_fts_update AFTER UPDATE OF filename, folder, tags ON images BEGIN
+        INSERT INTO images_fts(images_fts, rowid, filename, folder, tags)
+        VALUES ('delete', old.id, old.filename, old.folder, old.tags);
+        INSERT INTO images_fts(rowid, filename, folder, tags)
+        VALUES (new.id, new.filename, new.folder, new.tags);
+      END;
+    `);
+
+    if (!exists) {
+      this.db.exec("INSERT INTO images_fts(images_fts) VALUES ('rebuild')");
+    }
+  }
+
+  /**
+   * 为旧数据补全 sort_name（文件名自然排序键）
+   * 分批处理，避免一次性加载全部记录
+   */
+  backfillSortNames() {
+    const select = this.db.prepare('SELECT id, filename FROM images WHERE sort_name IS NULL LIMIT ?');
+    const update = this.db.prepare('UPDATE images SET sort_name = ? WHERE id = ?');
+    const updateBatch = this.db.transaction((rows) => {
+      for (const row of rows) {
+        update.run(naturalSortKey(row.filename), row.id);
+      }
+    });
+
+    let total = 0;
+    let rows;
+    while ((rows = select.all(5000)).length > 0) {
+      updateBatch(rows);
+      total += rows.length;
+    }
+
+    if (total > 0) {
+      console.log(`[DB] Backfilled sort names for ${total} images`);
+    }
+  }
+
+  /**
+   * 将旧版 images.tags 列（JSON 数组）迁移到 tags / image_tags 表
+   * 只执行一次，完成后在 metadata 表中记录 tags_migrated
+   * images.tags 列保留为标签名的冗余副本，删除撤销时随图片记录一起恢复
+   */
+  migrateLegacyTags() {
+    const migrated = this.db.prepare('SELECT value FROM metadata WHERE key = ?').get('tags_migrated');
+    if (migrated) return;
+
+    const rows = this.db.prepare(
+      "SELECT id, tags FROM images WHERE tags IS NOT NULL AND tags != '' AND tags != '[]'"
+    ).all();
+    const findTag = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+    const insertTag = this.db.prepare('INSERT INTO tags (name, created_at) VALUES (?, ?)');
+    const linkTag = this.db.prepare('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)');
+    const syncColumn = this.db.prepare('UPDATE images SET tags = ? WHERE id = ?');
+
+    const migrate = this.db.transaction(() => {
+      for (const row of rows) {
+        const names = parseTagNames(row.tags);
+        for (const name of names) {
+          const tag = findTag.get(name);
+          const tagId = tag ? tag.id : insertTag.run(name, Date.now()).lastInsertRowid;
+          linkTag.run(row.id, tagId);
+        }
+        // 统一为 JSON 数组格式
+        syncColumn.run(JSON.stringify(names), row.id);
+      }
+      this.db.prepare('INSERT OR REPLACE INTO metadata (key, value, updated_at) VALUES (?, ?, ?)')
+        .run('tags_migrated', String(rows.length), Date.now());
+    });
+    migrate();
+
+    if (rows.length > 0) {
+      console.log(`[DB] Migrated legacy tags for ${rows.length} images`);
+    }
   }
 
   /**
@@ -166,10 +462,13 @@ class LibraryDatabase {
 
   // Image operations
   insertImage(imageData) {
+    // 使用 UPSERT 而不是 INSERT OR REPLACE：保持图片 id 不变，
+    // 避免重新扫描时丢失评分、收藏和标签关联
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO images 
-      (path, filename, folder, size, width, height, format, file_type, created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO images 
+      (path, filename, folder, size, width, height, format, file_type, created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at, sort_name, content_hash, perceptual_hash, duration, codec, page_count, thumbnail_source, animated, frame_count, animated_thumbnail_path, original_width, original_height)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(path) DO UPDATE SET ${IMAGE_UPSERT_SET}
     `);
     const result = stmt.run(
       imageData.path,
@@ -185,13 +484,85 @@ class LibraryDatabase {
       imageData.file_hash,
       imageData.thumbnail_path,
       imageData.thumbnail_size,
-      Date.now()
+      Date.now(),
+      naturalSortKey(imageData.filename),
+      imageData.content_hash || null,
+      imageData.perceptual_hash ?? null,
+      imageData.duration ?? null,
+      imageData.codec ?? null,
+      imageData.page_count ?? null,
+      imageData.thumbnail_source ?? null,
+      imageData.animated ?? null,
+      imageData.frame_count ?? null,
+      imageData.animated_thumbnail_path ?? null,
+      imageData.original_width ?? null,
+      imageData.original_height ?? null
     );
+    // 元数据（EXIF / IPTC / XMP）写入 image_meta
+    if (imageData.meta) {
+      const image = this.getImageByPath(imageData.path);
+      if (image) this.saveImageMeta(image.id, imageData.meta);
+    }
+    // 主色写入 image_colors
+    if (imageData.colors) {
+      const image = this.getImageByPath(imageData.path);
+      if (image) this.saveImageColors(image.id, imageData.colors);
+    }
     // 更新数据库修改时间
     this.updateLastModified();
     return result;
   }
 
+  /**
+   * 保存图片元数据（覆盖旧数据）
+   * @param {number} imageId
+   * @param {Object} meta - extractImageMeta() 的结果，keywords 为数组
+   */
+  saveImageMeta(imageId, meta) {
+    const values = META_FIELDS.map(field => {
+      if (field === 'keywords') {
+        return Array.isArray(meta.keywords) && meta.keywords.length > 0 ? JSON.stringify(meta.keywords) : null;
+      }
+      return meta[field] ?? null;
+    });
+    this.db.prepare(`
+      INSERT OR REPLACE INTO image_meta (image_id, ${META_FIELDS.join(', ')})
+      VALUES (?, ${META_FIELDS.map(() => '?').join(', ')})
+    `).run(imageId, ...values);
+  }
+
+  getImageMeta(imageId) {
+    const stmt = this.db.prepare('SELECT * FROM image_meta WHERE image_id = ?');
+    return stmt.get(imageId);
+  }
+
+  hasImageMeta(imageId) {
+    const stmt = this.db.prepare('SELECT 1 FROM image_meta WHERE image_id = ?');
+    return !!stmt.get(imageId);
+  }
+
+  /**
+   * 保存图片主色（覆盖旧数据）
+   * @param {number} imageId
+   * @param {Array<{hex, l, a, b, ratio}>} colors - 按占比从大到小排列
+   */
+  saveImageColors(imageId, colors) {
+    const insert = this.db.prepare(
+      'INSERT INTO image_colors (image_id, position, hex, l, a, b, ratio) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM image_colors WHERE image_id = ?').run(imageId);
+      colors.forEach((color, position) => {
+        insert.run(imageId, position, color.hex, color.l, color.a, color.b, color.ratio);
+      });
+    })();
+  }
+
+  hasImageColors(imageId) {
+    const stmt = this.db.prepare('SELECT 1 FROM image_colors WHERE image_id = ?');
+    return !!stmt.get(imageId);
+  }
+
   getImageByPath(imagePath) {
     const stmt = this.db.prepare('SELECT * FROM images WHERE path = ?');
     return stmt.get(imagePath);
@@ -215,20 +586,18 @@ class LibraryDatabase {
     let baseQuery = 'FROM images WHERE 1=1';
     const params = [];
 
-    // Keyword search (AND logic)
+    // Search query: full-text keywords (filename / folder / tags) + field filters (format:png, width>2000 ...)
     if (keywords && keywords.trim()) {
-      const terms = keywords.trim().split(/\s+/);
-      terms.forEach(term => {
-        baseQuery += ' AND filename LIKE ?';
-        params.push(`%${term}%`);
-      });
+      const keywordFilter = buildKeywordFilter(keywords);
+      baseQuery += keywordFilter.sql;
+      params.push(...keywordFilter.params);
     }
 
     // Folder filter
     if (filters.folder) {
       // 使用 OR 组合精确匹配和前缀匹配，包含子文件夹
-      baseQuery += ' AND (folder = ? OR folder LIKE ?)';
-      params.push(filters.folder, `${filters.folder}/%`);
+      baseQuery += " AND (folder = ? OR folder LIKE ? ESCAPE '\\')";
+      params.push(filters.folder, `${escapeLike(filters.folder)}/%`);
     }
 
     // Format filter
@@ -258,13 +627,31 @@ class LibraryDatabase {
       params.push(filters.endDate);
     }
 
+    // Tag filter (AND logic, 包含子标签)
+    if (filters.tags && filters.tags.length > 0) {
+      filters.tags.forEach(tagId => {
+        baseQuery += ` AND id IN (${TAGGED_IMAGE_IDS_SQL})`;
+        params.push(tagId);
+      });
+    }
+
+    // Favorite filter
+    if (filters.favorite) {
+      baseQuery += ' AND favorite = 1';
+    }
+
+    // Orientation / rating / size range filters
+    const attributeFilters = buildAttributeFilters(filters);
+    baseQuery += attributeFilters.sql;
+    params.push(...attributeFilters.params);
+
     // 如果需要分页
     if (pagination && typeof pagination.offset === 'number' && typeof pagination.limit === 'number') {
       const timings = {};
       
       // 只选择必要字段，减少内存占用
       const essentialFields = 'id, path, filename, size, format, width, height, thumbnail_path, folder';
-      const query = `SELECT ${essentialFields} ${baseQuery} ORDER BY created_at DESC LIMIT ? OFFSET ?`;
+      const query = `SELECT ${essentialFields} ${baseQuery}${buildOrderBy(filters.sort)} LIMIT ? OFFSET ?`;
       const paginatedParams = [...params, pagination.limit, pagination.offset];
       
       let queryStart = Date.now();
@@ -286,7 +673,7 @@ class LibraryDatabase {
       // 如果是文件夹查询，尝试从 folders 表获取 count（更快）
       let total = 0;
       queryStart = Date.now();
-      if (filters.folder && !keywords && !filters.formats?.length && !filters.minSize && !filters.maxSize && !filters.startDate && !filters.endDate) {
+      if (filters.folder && !keywords && !filters.formats?.length && !filters.minSize && !filters.maxSize && !filters.startDate && !filters.endDate && !filters.tags?.length && !filters.favorite && !attributeFilters.sql) {
         const folderRow = this.db.prepare('SELECT image_count FROM folders WHERE path = ?').get(filters.folder);
         if (folderRow) {
           total = folderRow.image_count;
@@ -319,7 +706,7 @@ class LibraryDatabase {
     }
 
     // 无分页，返回所有结果（保持向后兼容）
-    const query = `SELECT * ${baseQuery} ORDER BY created_at DESC`;
+    const query = `SELECT * ${baseQuery}${buildOrderBy(filters.sort)}`;
     const stmt = this.db.prepare(query);
     return stmt.all(...params);
   }
@@ -0,0 +1,46 @@
+/**
+ * LibraryDatabase 测试（按像素数排序）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryDatabase = require('./db');
+const { SORT_COLUMNS } = require('./queries');
+
+describe('按像素数排序', () => {
+  let tempDir;
+  let db;
+
+  // width / height 为缩略图尺寸（高度固定），original_width / original_height 为原图尺寸：两者的大小顺序相反
+  const images = [
+    { path: 'photo.jpg', width: 720, height: 480, original_width: 6000, original_height: 4000 },
+    { path: 'banner.jpg', width: 1440, height: 480, original_width: 1200, original_height: 400 },
+    { path: 'legacy.jpg', width: 900, height: 480, original_width: null, original_height: null }
+  ];
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flypic-db-test-'));
+    db = new LibraryDatabase(tempDir);
+    for (const image of images) {
+      db.insertImage({ ...image, filename: image.path, folder: '', size: 1, format: 'jpeg', created_at: 1, modified_at: 1 });
+    }
+  });
+
+  after(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('按原图像素数排序，没有原图尺寸的旧数据按缩略图尺寸', () => {
+    const sorted = db.searchImages('', { sort: { field: 'pixels', order: 'desc' } });
+    assert.deepStrictEqual(sorted.map(image => image.path), ['photo.jpg', 'banner.jpg', 'legacy.jpg']);
+  });
+
+  it('排序使用原图像素数索引', () => {
+    const plan = db.db.prepare(`EXPLAIN QUERY PLAN SELECT id FROM images ORDER BY ${SORT_COLUMNS.pixels} DESC`).all();
+    assert.ok(plan.some(step => step.detail.includes('idx_original_pixels')), JSON.stringify(plan));
+  });
+});
@@ -0,0 +1,361 @@
+const { normalizeSort, DEFAULT_SORT } = require('../src/utils/sortUtils');
+const { parseSearchQuery } = require('../src/shared/searchQuery.mjs');
+const { constants } = require('../src/config');
+
+/**
+ * 共享 SQL 片段
+ * 供 LibraryDatabase 和 src/models 中的模型复用，保证两处查询逻辑一致
+ */
+
+// UPSERT 时需要更新的字段（保留 rating / favorite / tags 等用户数据）
+const IMAGE_UPSERT_SET = [
+  'filename', 'folder', 'size', 'width', 'height', 'format', 'file_type',
+  'created_at', 'modified_at', 'file_hash', 'thumbnail_path', 'thumbnail_size', 'indexed_at', 'sort_name',
+  'duration', 'codec', 'page_count', 'thumbnail_source', 'animated', 'frame_count', 'animated_thumbnail_path',
+  'original_width', 'original_height'
+].map(column => `${column} = excluded.${column}`).join(', ')
+  // 内容哈希只在文件未变化时保留（恢复删除的文件时会带上原来的内容哈希）
+  + ', content_hash = CASE WHEN images.file_hash IS excluded.file_hash THEN COALESCE(excluded.content_hash, images.content_hash) ELSE excluded.content_hash END'
+  // 感知哈希：未传入（NULL）时，文件未变化则保留原值
+  + ', perceptual_hash = COALESCE(excluded.perceptual_hash, CASE WHEN images.file_hash IS excluded.file_hash THEN images.perceptual_hash END)';
+
+// 带有指定标签（或其任意子标签）的图片 id 子查询，参数为标签 id
+const TAGGED_IMAGE_IDS_SQL = `
+  SELECT image_id FROM image_tags WHERE tag_id IN (
+    WITH RECURSIVE tag_tree(id) AS (
+      SELECT ? UNION ALL SELECT tags.id FROM tags JOIN tag_tree ON tags.parent_id = tag_tree.id
+    )
+    SELECT id FROM tag_tree
+  )
+`;
+
+// 带有指定名称标签（或其任意子标签）的图片 id 子查询，参数为标签名（不区分大小写）
+const TAGGED_IMAGE_IDS_BY_NAME_SQL = TAGGED_IMAGE_IDS_SQL.replace('SELECT ?', 'SELECT id FROM tags WHERE name = ?');
+
+// 图片方向判定（宽高比在 0.95-1.05 之间视为方图，与前端保持一致）
+const ORIENTATION_SQL = {
+  horizontal: 'width > height * 1.05',
+  vertical: 'width < height * 0.95',
+  square: 'width >= height * 0.95 AND width <= height * 1.05'
+};
+
+/**
+ * 图片主色与指定颜色的最小距离平方（Lab 空间，只比较占比不低于 COLORS.MIN_RATIO 的主色）
+ * 颜色分量直接拼入 SQL（已规范化为数字），使排序表达式可以不带参数地用于游标条件
+ * 没有主色的图片结果为 NULL
+ * @param {{l: number, a: number, b: number}} color
+ * @returns {string}
+ */
+function buildColorDistanceExpression({ l, a, b }) {
+  return `(SELECT MIN((l - ${l}) * (l - ${l}) + (a - ${a}) * (a - ${a}) + (b - ${b}) * (b - ${b})) `
+    + `FROM image_colors WHERE image_id = images.id AND ratio >= ${constants.COLORS.MIN_RATIO})`;
+}
+
+/**
+ * 构建方向 / 评分 / 大小区间 / 动图 / 颜色过滤条件
+ * 同一类条件之间为 OR，不同类之间为 AND
+ * @param {Object} filters - { orientations: string[], ratings: number[], sizeRanges: [{ min, max }], animated: boolean, color: { l, a, b }, colorTolerance: number }
+ *   （大小单位为字节，颜色容差为 Lab 空间 ΔE）
+ * @returns {{ sql: string, params: Array }} 以 " AND ..." 开头的 SQL 片段
+ */
+function buildAttributeFilters(filters = {}) {
+  let sql = '';
+  const params = [];
+
+  const orientations = (filters.orientations || []).filter(o => ORIENTATION_SQL[o]);
+  if (orientations.length > 0) {
+    const conditions = orientations.map(o => `(${ORIENTATION_SQL[o]})`).join(' OR ');
+    sql += ` AND width > 0 AND height > 0 AND (${conditions})`;
+  }
+
+  if (filters.ratings && filters.ratings.length > 0) {
+    const placeholders = filters.ratings.map(() => '?').join(',');
+    sql += ` AND COALESCE(rating, 0) IN (${placeholders})`;
+    params.push(...filters.ratings);
+  }
+
+  if (filters.sizeRanges && filters.sizeRanges.length > 0) {
+    const conditions = filters.sizeRanges.map(({ min, max }) => {
+      const parts = [];
+      if (min) {
+        parts.push('size >= ?');
+        params.push(min);
+      }
+      if (max) {
+        parts.push('size < ?');
+        params.push(max);
+      }
+      return parts.length > 0 ? `(${parts.join(' AND ')})` : '1=1';
+    });
+    sql += ` AND (${conditions.join(' OR ')})`;
+  }
+
+  if (filters.animated) {
+    sql += ' AND animated = 1';
+  }
+
+  if (filters.color) {
+    const tolerance = filters.colorTolerance ?? constants.COLORS.DEFAULT_TOLERANCE;
+    sql += ` AND ${buildColorDistanceExpression(filters.color)} <= ?`;
+    params.push(tolerance * tolerance);
+  }
+
+  return { sql, params };
+}
+
+// trigram 分词器无法匹配少于 3 个字符的词，较短的词（如两个字的中文词）回退为 LIKE
+const FTS_MIN_TERM_LENGTH = 3;
+
+// 相关度排序时 bm25 的列权重，顺序与 images_fts 的列一致：filename, folder, tags
+const FTS_RANK_WEIGHTS = '10.0, 1.0, 5.0';
+
+// 短词回退匹配的列（与 images_fts 的列一致）
+const KEYWORD_LIKE_SQL = "(filename LIKE ? ESCAPE '\\' OR folder LIKE ? ESCAPE '\\' OR COALESCE(tags, '') LIKE ? ESCAPE '\\')";
+
+// 原图尺寸（width / height 列为缩略图尺寸；旧数据重新扫描前没有原图尺寸，回退为缩略图尺寸）
+const ORIGINAL_WIDTH_SQL = 'COALESCE(original_width, width)';
+const ORIGINAL_HEIGHT_SQL = 'COALESCE(original_height, height)';
+
+// 搜索语法中区间类字段对应的列
+const RANGE_FIELD_COLUMNS = {
+  width: ORIGINAL_WIDTH_SQL,
+  height: ORIGINAL_HEIGHT_SQL,
+  rating: 'COALESCE(rating, 0)',
+  size: 'size',
+  date: 'created_at',
+  modified: 'modified_at'
+};
+
+// 搜索语法中元数据字段对应的条件（image_meta 表，扫描时从 EXIF / IPTC / XMP 提取）
+const META_TEXT_CONDITIONS = {
+  camera: "(COALESCE(camera_make, '') || ' ' || COALESCE(camera_model, '')) LIKE ? ESCAPE '\\'",
+  lens: "lens LIKE ? ESCAPE '\\'",
+  keyword: "keywords LIKE ? ESCAPE '\\'",
+  caption: "(COALESCE(caption, '') || ' ' || COALESCE(title, '')) LIKE ? ESCAPE '\\'"
+};
+const META_RANGE_COLUMNS = {
+  iso: 'iso',
+  focal: 'focal_length',
+  taken: 'taken_at'
+};
+const META_IMAGE_IDS_SQL = 'SELECT image_id FROM image_meta WHERE';
+
+function isFtsTerm(term) {
+  return [...term.text].length >= FTS_MIN_TERM_LENGTH;
+}
+
+// 转为 FTS5 短语（双引号转义），避免用户输入被当作 FTS5 语法解析
+function toFtsPhrase(term) {
+  return `"${term.text.replace(/"/g, '""')}"${term.prefix ? '*' : ''}`;
+}
+
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * 构建关键词条件（以 OR 连接的 AND 组）
+ * 长度足够的词通过 images_fts 全文索引匹配文件名、文件夹路径和标签，较短的词使用 LIKE
+ */
+function buildTextCondition(groups, params) {
+  const groupConditions = groups.map(terms => {
+    const conditions = [];
+
+    // 同组的全文词合并为一次 MATCH
+    const ftsTerms = terms.filter(term => !term.negate && isFtsTerm(term));
+    if (ftsTerms.length > 0) {
+      conditions.push('id IN (SELECT rowid FROM images_fts WHERE images_fts MATCH ?)');
+      params.push(ftsTerms.map(toFtsPhrase).join(' '));
+    }
+
+    terms.forEach(term => {
+      if (isFtsTerm(term)) {
+        if (!term.negate) return;
+        conditions.push('id NOT IN (SELECT rowid FROM images_fts WHERE images_fts MATCH ?)');
+        params.push(toFtsPhrase(term));
+        return;
+      }
+      const pattern = `%${escapeLike(term.text)}%`;
+      conditions.push(term.negate ? `NOT ${KEYWORD_LIKE_SQL}` : KEYWORD_LIKE_SQL);
+      params.push(pattern, pattern, pattern);
+    });
+
+    return `(${conditions.join(' AND ')})`;
+  });
+
+  return `(${groupConditions.join(' OR ')})`;
+}
+
+/**
+ * 构建单个字段条件，取值格式见 parseSearchQuery
+ */
+function buildFieldCondition({ field, value }, params) {
+  switch (field) {
+    case 'format':
+      params.push(...value);
+      return `format IN (${value.map(() => '?').join(',')})`;
+    case 'name':
+      params.push(`%${escapeLike(value)}%`);
+      return "filename LIKE ? ESCAPE '\\'";
+    case 'folder':
+      params.push(value, `${escapeLike(value)}/%`);
+      return "(folder = ? OR folder LIKE ? ESCAPE '\\')";
+    case 'tag':
+      params.push(value);
+      return `id IN (${TAGGED_IMAGE_IDS_BY_NAME_SQL})`;
+    case 'camera':
+    case 'lens':
+    case 'keyword':
+    case 'caption':
+      params.push(`%${escapeLike(value)}%`);
+      return `id IN (${META_IMAGE_IDS_SQL} ${META_TEXT_CONDITIONS[field]})`;
+    case 'iso':
+    case 'focal':
+    case 'taken':
+      return `id IN (${META_IMAGE_IDS_SQL} ${buildRangeCondition(META_RANGE_COLUMNS[field], value, params)})`;
+    case 'is':
+      return value === 'geotagged'
+        ? `id IN (${META_IMAGE_IDS_SQL} gps_latitude IS NOT NULL AND gps_longitude IS NOT NULL)`
+        : 'favorite = 1';
+    default:
+      return buildRangeCondition(RANGE_FIELD_COLUMNS[field], value, params);
+  }
+}
+
+/**
+ * 构建区间条件（半开区间 [min, max)）
+ */
+function buildRangeCondition(column, { min, max }, params) {
+  const parts = [];
+  if (min !== undefined) {
+    parts.push(`${column} >= ?`);
+    params.push(min);
+  }
+  if (max !== undefined) {
+    parts.push(`${column} < ?`);
+    params.push(max);
+  }
+  return parts.join(' AND ');
+}
+
+/**
+ * 构建搜索框查询条件
+ * 关键词走全文索引；字段条件（format:png、width>2000、tag:logo 等）编译为参数化 SQL，
+ * 取反的字段条件对 NULL 值视为不满足原条件
+ * 只编译能解析的部分，语法错误由调用方通过 parseSearchQuery 的 errors 校验
+ * @param {string} keywords - 搜索查询，语法见 src/shared/searchQuery.mjs
+ * @returns {{ sql: string, params: Array }} 以 " AND ..." 开头的 SQL 片段
+ */
+function buildKeywordFilter(keywords) {
+  const { groups, filters } = parseSearchQuery(keywords);
+  let sql = '';
+  const params = [];
+
+  if (groups.length > 0) {
+    sql += ` AND ${buildTextCondition(groups, params)}`;
+  }
+
+  filters.forEach(filter => {
+    const condition = buildFieldCondition(filter, params);
+    sql += filter.negate ? ` AND NOT IFNULL((${condition}), 0)` : ` AND (${condition})`;
+  });
+
+  return { sql, params };
+}
+
+/**
+ * 构建相关度排序表达式（bm25 取负，值越大越相关）
+ * 查询字符串直接拼入 SQL（已转义单引号），原因同随机排序的种子
+ * 不参与全文匹配的图片（仅匹配短词）排序键为 NULL
+ * @param {string} keywords - 搜索查询
+ * @returns {string|null} 没有可用于全文匹配的词时返回 null
+ */
+function buildRelevanceExpression(keywords) {
+  const terms = parseSearchQuery(keywords).groups.flat().filter(term => !term.negate && isFtsTerm(term));
+  if (terms.length === 0) return null;
+
+  const match = terms.map(toFtsPhrase).join(' OR ').replace(/'/g, "''");
+  return `(-(SELECT bm25(images_fts, ${FTS_RANK_WEIGHTS}) FROM images_fts WHERE images_fts MATCH '${match}' AND rowid = images.id))`;
+}
+
+// 排序字段对应的列（表达式需与 initTables 中的索引一致才能走索引）
+const SORT_COLUMNS = {
+  created: 'created_at',
+  modified: 'modified_at',
+  filename: 'sort_name',
+  size: 'size',
+  pixels: `(${ORIGINAL_WIDTH_SQL} * ${ORIGINAL_HEIGHT_SQL})`,  // 原图像素数（width / height 为缩略图尺寸，高度固定）
+  rating: 'rating'
+};
+
+/**
+ * 获取排序表达式和方向
+ * 随机排序使用基于种子的乘法散列，同一种子分页结果一致
+ * 种子直接拼入 SQL（已规范化为整数），避免统计总数时截断 ORDER BY 后参数错位
+ * 相关度排序没有可用的关键词时回退为默认排序字段；颜色排序同理（距离取负，降序时颜色最接近的排在最前）
+ * @param {Object} sort - { field, order, seed, query, color }
+ * @returns {{expression: string, direction: string}}
+ */
+function getSortSpec(sort) {
+  const { field, order, seed, query, color } = normalizeSort(sort);
+  let expression;
+  if (field === 'random') {
+    expression = `(((id + ${seed}) * 2654435761) % 4294967291)`;
+  } else if (field === 'relevance') {
+    expression = buildRelevanceExpression(query) || SORT_COLUMNS[DEFAULT_SORT.field];
+  } else if (field === 'color') {
+    expression = color ? `(-${buildColorDistanceExpression(color)})` : SORT_COLUMNS[DEFAULT_SORT.field];
+  } else {
+    expression = SORT_COLUMNS[field];
+  }
+  return { expression, direction: order === 'asc' ? 'ASC' : 'DESC' };
+}
+
+/**
+ * 构建 ORDER BY 子句（以 id 作为次级排序保证结果稳定）
+ * @param {Object} sort - { field, order, seed, query }
+ * @returns {string} 以 " ORDER BY" 开头的 SQL 片段
+ */
+function buildOrderBy(sort) {
+  const { expression, direction } = getSortSpec(sort);
+  return ` ORDER BY ${expression} ${direction}, id ${direction}`;
+}
+
+/**
+ * 构建游标分页条件：取排在游标之后的记录
+ * 非 NULL 游标使用 "expr <= ? AND (expr < ? OR id < ?)" 的形式，可以直接在排序索引上做范围查找；
+ * SQLite 中 NULL 升序排在最前、降序排在最后，游标键为 NULL 时说明处于 NULL 区间
+ * 注意：降序时非 NULL 游标条件不包含排在最后的 NULL 记录，调用方需在结果不足时补查
+ * @param {Object} sort - { field, order, seed }
+ * @param {{key: *, id: number}} cursor - 上一页最后一条记录
+ * @returns {{ sql: string, params: Array }} 以 " AND ..." 开头的 SQL 片段
+ */
+function buildCursorCondition(sort, cursor) {
+  const { expression, direction } = getSortSpec(sort);
+  const ascending = direction === 'ASC';
+
+  if (cursor.key === null) {
+    return ascending
+      ? { sql: ` AND ((${expression} IS NULL AND id > ?) OR ${expression} IS NOT NULL)`, params: [cursor.id] }
+      : { sql: ` AND ${expression} IS NULL AND id < ?`, params: [cursor.id] };
+  }
+
+  const sql = ascending
+    ? ` AND ${expression} >= ? AND (${expression} > ? OR id > ?)`
+    : ` AND ${expression} <= ? AND (${expression} < ? OR id < ?)`;
+  return { sql, params: [cursor.key, cursor.key, cursor.id] };
+}
+
+module.exports = {
+  IMAGE_UPSERT_SET,
+  TAGGED_IMAGE_IDS_SQL,
+  TAGGED_IMAGE_IDS_BY_NAME_SQL,
+  ORIENTATION_SQL,
+  SORT_COLUMNS,
+  escapeLike,
+  getSortSpec,
+  buildKeywordFilter,
+  buildAttributeFilters,
+  buildOrderBy,
+  buildCursorCondition
+};
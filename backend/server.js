@@ -3,6 +3,13 @@
  * 使用重构后的 Service 层和 Model 层
  */
 
+// 在加载其他模块之前检查 Node.js 版本：版本过低时 require 共享的 ES 模块会直接报错，这里给出明确的提示
+const { REQUIRED_NODE_VERSION, supportsRequireEsm } = require('./utils/nodeVersion');
+if (!supportsRequireEsm()) {
+  console.error(`❌ FlyPic 需要 Node.js ${REQUIRED_NODE_VERSION}，当前版本为 ${process.versions.node}，请升级 Node.js`);
+  process.exit(1);
+}
+
 const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
@@ -243,6 +250,13 @@ const shutdown = async () => {
   // 停止所有文件监控
   lightweightWatcher.stopAll();
 
+  // 保存分享链接尚未写入的浏览次数
+  try {
+    app.get('shareService').flushViews();
+  } catch (e) {
+    console.warn('⚠️ 保存分享浏览次数失败:', e.message);
+  }
+
   // 等待扫描任务完成当前批次（最多等2秒）
   await new Promise(resolve => setTimeout(resolve, 2000));
 
@@ -7,7 +7,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const { errorHandler } = require('./middleware/errorHandler');
-const { createAuthMiddleware } = require('./middleware/authMiddleware');
+const { createAuthMiddleware, createSocketAuthMiddleware, requireLibraryRole } = require('./middleware/authMiddleware');
 
 // 导入服务
 const LibraryService = require('./services/LibraryService');
@@ -15,6 +15,16 @@ const ImageService = require('./services/ImageService');
 const ScanService = require('./services/ScanService');
 const FileService = require('./services/FileService');
 const AuthService = require('./services/AuthService');
+const UserService = require('./services/UserService');
+const ApiTokenService = require('./services/ApiTokenService');
+const SessionService = require('./services/SessionService');
+const TagService = require('./services/TagService');
+const SmartAlbumService = require('./services/SmartAlbumService');
+const AlbumService = require('./services/AlbumService');
+const DuplicateService = require('./services/DuplicateService');
+const ThumbnailMaintenanceService = require('./services/ThumbnailMaintenanceService');
+const ExportService = require('./services/ExportService');
+const ShareService = require('./services/ShareService');
 
 /**
  * 创建 Express 应用
@@ -36,7 +46,10 @@ function createApp(dependencies) {
   app.use(express.json());
 
   // 初始化服务
-  const authService = new AuthService(configManager);
+  const sessionService = new SessionService(configManager);
+  const userService = new UserService(configManager, sessionService);
+  const authService = new AuthService(configManager, userService, sessionService);
+  const apiTokenService = new ApiTokenService(configManager, userService);
 
   const libraryService = new LibraryService(
     configManager,
@@ -61,35 +74,101 @@ function createApp(dependencies) {
 
   const fileService = new FileService(dbPool, configManager);
 
+  const tagService = new TagService(configManager, dbPool);
+
+  const smartAlbumService = new SmartAlbumService(configManager, dbPool);
+
+  const albumService = new AlbumService(configManager, dbPool);
+
+  const duplicateService = new DuplicateService(configManager, dbPool);
+
+  const thumbnailMaintenanceService = new ThumbnailMaintenanceService(
+    configManager,
+    dbPool,
+    scanner,
+    scanManager,
+    io
+  );
+
+  const exportService = new ExportService(configManager, dbPool, imageService, io);
+
+  const shareService = new ShareService(configManager, imageService);
+
   // 将服务和依赖注入到 app 中，供路由使用
   app.set('configManager', configManager);
   app.set('dbPool', dbPool);
   app.set('authService', authService);
+  app.set('userService', userService);
+  app.set('apiTokenService', apiTokenService);
+  app.set('sessionService', sessionService);
   app.set('libraryService', libraryService);
   app.set('imageService', imageService);
   app.set('scanService', scanService);
   app.set('fileService', fileService);
+  app.set('tagService', tagService);
+  app.set('smartAlbumService', smartAlbumService);
+  app.set('albumService', albumService);
+  app.set('duplicateService', duplicateService);
+  app.set('thumbnailMaintenanceService', thumbnailMaintenanceService);
+  app.set('exportService', exportService);
+  app.set('shareService', shareService);
 
   // 认证中间件（仅作用于 /api 路由，避免拦截前端静态页面）
   app.use('/api', createAuthMiddleware(
-    () => authService.getPasswordHash(),
-    () => authService.getJwtSecret()
+    () => authService.hasPassword(),
+    () => authService.getJwtSecret(),
+    (userId) => authService.getUser(userId),
+    (token) => apiTokenService.authenticate(token),
+    (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
   ));
 
+  // Socket.IO 认证：连接加入当前用户的房间，导出进度只推送给发起导出的用户
+  if (io) {
+    io.use(createSocketAuthMiddleware(
+      () => authService.hasPassword(),
+      () => authService.getJwtSecret(),
+      (userId) => authService.getUser(userId),
+      (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
+    ));
+  }
+
+  // 带素材库 ID（查询参数或请求体）的请求至少需要该素材库的浏览权限，
+  // 修改类操作由各路由进一步检查角色
+  app.use('/api', requireLibraryRole('viewer', (req) => (req.body && req.body.libraryId) || req.query.libraryId));
+
   // API 路由
   const authRouter = require('./routes/auth');
+  const userRouter = require('./routes/user');
+  const tokenRouter = require('./routes/token');
   const libraryRouter = require('./routes/library');
   const imageRouter = require('./routes/image');
   const scanRouter = require('./routes/scan');
   const fileRouter = require('./routes/file');
   const uploadRouter = require('./routes/upload');
+  const tagRouter = require('./routes/tag');
+  const smartAlbumRouter = require('./routes/smartAlbum');
+  const albumRouter = require('./routes/album');
+  const duplicateRouter = require('./routes/duplicate');
+  const maintenanceRouter = require('./routes/maintenance');
+  const exportRouter = require('./routes/export');
+  const shareRouter = require('./routes/share');
 
   app.use('/api/auth', authRouter);
+  app.use('/api/user', userRouter);
+  app.use('/api/token', tokenRouter);
   app.use('/api/library', libraryRouter);
+  // 需在 /api/image 之前注册，否则会被 /api/image/:id 匹配
+  app.use('/api/image/duplicates', duplicateRouter);
   app.use('/api/image', imageRouter);
   app.use('/api/scan', scanRouter);
   app.use('/api/file', fileRouter);
   app.use('/api/upload', uploadRouter);
+  app.use('/api/tag', tagRouter);
+  app.use('/api/smart-album', smartAlbumRouter);
+  app.use('/api/album', albumRouter);
+  app.use('/api/maintenance', maintenanceRouter);
+  app.use('/api/export', exportRouter);
+  app.use('/api/share', shareRouter);
 
   // 健康检查
   app.get('/api/health', (req, res) => {
@@ -7,6 +7,8 @@ module.exports = {
   SUPPORTED_FORMATS: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff'],
   
   // 缩略图配置
+  // SIZES 为缩略图的高度档位：扫描时只生成 THUMBNAIL_GENERATION.TARGET_HEIGHT（MEDIUM）一档，
+  // 其它档位在第一次通过 ?h= 请求时生成并缓存
   THUMBNAIL: {
     SIZES: {
       SMALL: 200,
@@ -62,6 +64,7 @@ module.exports = {
   PATHS: {
     FLYPIC_DIR: '.flypic',
     THUMBNAILS_DIR: 'thumbnails',
+    PREVIEWS_DIR: 'previews',
     DATABASE_FILE: 'metadata.db',
     CONFIG_FILE: 'config.json',
     TEMP_BACKUP_DIR: '.flypic/temp_backup'
@@ -74,6 +77,110 @@ module.exports = {
     COPY_FOLDER_BATCH_LOG_INTERVAL: 50   // 每处理50张输出进度
   },
   
+  // 重复文件查找配置
+  DUPLICATES: {
+    HASH_BATCH_SIZE: 100,                // 计算内容哈希时每批读取的记录数
+    DEFAULT_GROUP_LIMIT: 50,             // 每页返回的重复分组数
+    MAX_GROUP_LIMIT: 200
+  },
+
+  // 缩略图缓存维护配置（清理孤立缩略图、检查完整性并重建）
+  THUMBNAIL_MAINTENANCE: {
+    CHECK_BATCH_SIZE: 200,               // 检查完整性时每批读取的记录数
+    MAX_REPORTED_ISSUES: 200,            // 任务状态中最多列出的问题条数
+    PROGRESS_EMIT_INTERVAL_MS: 500,      // 通过 Socket.IO 推送进度的最小间隔
+    RECENT_FILE_GRACE_MS: 60 * 1000      // 最近 1 分钟内写入的文件可能尚未入库，不当作孤立文件
+  },
+
+  // ZIP 导出配置（服务端流式打包，下载链接在有效期内可以断点续传）
+  EXPORT: {
+    DEFAULT_COMPRESSION: 'store',        // store 仅存储（图片本身已压缩，可续传）| deflate 压缩
+    TICKET_TTL_MS: 60 * 60 * 1000,       // 下载链接有效期：1小时（每次下载时延长）
+    MAX_PATHS: 10000,                    // 按选择导出时最多的文件数
+    PROGRESS_EMIT_INTERVAL_MS: 500       // 通过 Socket.IO 推送进度的最小间隔
+  },
+
+  // 资源签名配置（设置访问密码后，缩略图、原图和预览图 URL 需要带上签名才能由 <img> 直接访问）
+  // 每个 URL 单独签名，由前端用 API 下发的密钥计算；过期时间向上取整到 WINDOW_MS，同一时段内同一资源的 URL 相同，浏览器缓存仍然有效
+  ASSET_SIGNATURE: {
+    TTL_MS: 10 * 60 * 1000,              // 签名有效期：10分钟（取整后为 10～15 分钟）
+    WINDOW_MS: 5 * 60 * 1000
+  },
+
+  // 用户与角色配置（用户保存在全局配置文件中，角色按素材库授予；系统管理员拥有所有素材库的 admin 角色）
+  USERS: {
+    ROLES: ['viewer', 'editor', 'admin'],  // 权限依次递增：浏览 | 重命名、移动、删除、上传、扫描 | 管理素材库
+    MIN_PASSWORD_LENGTH: 4,
+    MAX_USERNAME_LENGTH: 32,
+    LEGACY_USERNAME: 'admin'             // 升级前的共享密码迁移为此用户（系统管理员）
+  },
+
+  // API 令牌配置（供脚本和自动化使用，通过 Authorization: Bearer 传递；配置文件中只保存 SHA-256 哈希）
+  // 令牌的权限不超过所属用户的角色；write、scan、admin 均包含 read，admin 包含所有权限
+  API_TOKENS: {
+    PREFIX: 'fpt_',                      // 用于和登录 Token（JWT）区分
+    SCOPES: ['read', 'write', 'scan', 'admin'],  // 浏览 | 修改（文件操作、标签、相册、上传等）| 扫描和维护 | 用户、素材库和令牌管理
+    MAX_NAME_LENGTH: 64,
+    MAX_PER_USER: 50,
+    LAST_USED_INTERVAL_MS: 60 * 1000     // 最后使用时间的最小更新间隔，避免每个请求都写配置文件
+  },
+
+  // 登录会话配置（会话保存在全局配置文件中，可以在设置中查看和退出；修改密码时退出所有会话）
+  // 访问 Token（JWT）有效期较短，过期后用刷新令牌换取新的访问 Token，每次刷新都会轮换刷新令牌
+  SESSIONS: {
+    ACCESS_TOKEN_EXPIRY: '15m',          // 访问 Token 有效期（jsonwebtoken 的 expiresIn 格式）
+    REFRESH_TOKEN_TTL_MS: 30 * 24 * 60 * 60 * 1000,  // 会话在 30 天内没有刷新则过期
+    LAST_SEEN_INTERVAL_MS: 60 * 1000,    // 最后活动时间的最小更新间隔，避免每个请求都写配置文件
+    MAX_PER_USER: 20,                    // 超出时退出最久未活动的会话
+    MAX_USER_AGENT_LENGTH: 256
+  },
+
+  // 分享链接配置（分享保存在全局配置文件中，访问者通过 /s/:token 只读浏览，不需要登录）
+  SHARES: {
+    TYPES: ['folder', 'album', 'selection', 'search'],  // 文件夹（含子文件夹）| 相册 | 选中的图片 | 搜索条件
+    MAX_SELECTION: 10000,                // 按选择分享时最多的图片数
+    MAX_TITLE_LENGTH: 100,
+    DEFAULT_PAGE_SIZE: 100,
+    PREVIEW_HEIGHT: 800,                 // 不允许下载时，查看大图使用的缩略图档位（THUMBNAIL.SIZES.LARGE）
+    VIEW_FLUSH_INTERVAL_MS: 60 * 1000,   // 浏览次数先在内存中累计，最多每分钟写入一次配置文件
+    UNLOCK_ATTEMPT_WINDOW_MS: 5 * 60 * 1000,  // 分享密码错误次数的窗口期（与登录相同）
+    MAX_UNLOCK_ATTEMPTS_PER_IP: 30,      // 窗口期内每个 IP 最多的密码错误次数
+    MAX_UNLOCK_ATTEMPTS_PER_SHARE: 100   // 窗口期内每个分享最多的密码错误次数（防止多个 IP 同时猜测）
+  },
+
+  // 导出预设配置（导出时用 sharp 缩放、转换格式、去除元数据、添加水印，预设保存在全局配置文件中）
+  EXPORT_PRESETS: {
+    FORMATS: ['original', 'jpeg', 'png', 'webp'],  // original 保持原格式
+    CONVERTIBLE_FORMATS: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'tiff', 'tif', 'avif'], // 其它文件（视频、设计文件等）按原文件导出
+    WATERMARK_POSITIONS: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
+    DEFAULT_QUALITY: 85,
+    DEFAULT_FILENAME_TEMPLATE: '{name}',  // 可用变量：{name} {folder} {w} {h} {index}，扩展名自动添加
+    WATERMARK_MARGIN_RATIO: 0.02,        // 水印与图片边缘的距离（占图片短边的比例）
+    MAX_PRESETS: 50,
+    // 未保存过预设时提供的默认预设
+    DEFAULTS: [
+      { id: 'jpeg-2048', name: '最长边 2048 JPEG', format: 'jpeg', quality: 85, maxWidth: 2048, maxHeight: 2048, stripMetadata: false, watermark: null, filenameTemplate: '{name}' },
+      { id: 'webp-clean', name: 'WebP 去除元数据', format: 'webp', quality: 85, maxWidth: null, maxHeight: null, stripMetadata: true, watermark: null, filenameTemplate: '{name}' }
+    ]
+  },
+
+  // 相似图片查找配置（感知哈希汉明距离，64 位）
+  SIMILAR_IMAGES: {
+    DEFAULT_THRESHOLD: 10,               // 默认最大汉明距离
+    MAX_THRESHOLD: 24,
+    DEFAULT_LIMIT: 100,                  // 默认最多返回的相似图片数
+    MAX_LIMIT: 500
+  },
+
+  // 主色提取与按颜色搜索配置（颜色距离为 Lab 空间 ΔE）
+  COLORS: {
+    PALETTE_SIZE: 5,                     // 每张图片提取的主色数量
+    SAMPLE_SIZE: 64,                     // 提取前缩小到的尺寸
+    DEFAULT_TOLERANCE: 20,               // 默认颜色容差
+    MAX_TOLERANCE: 100,
+    MIN_RATIO: 0.05                      // 占比低于 5% 的颜色不参与搜索
+  },
+
   // 缩略图生成配置
   THUMBNAIL_GENERATION: {
     TARGET_HEIGHT: 480,                  // 目标高度
@@ -87,6 +194,34 @@ module.exports = {
     PLACEHOLDER_WIDTH: 640,              // 占位图宽度
     PLACEHOLDER_HEIGHT: 480              // 占位图高度
   },
+
+  // 动态缩略图配置（GIF / WebP 动图，素材库偏好中开启后生成，鼠标悬停时播放）
+  ANIMATED_THUMBNAIL: {
+    MAX_FRAMES: 60,                      // 最多保留的帧数
+    MAX_BYTES: 1024 * 1024,              // 单个动态缩略图的体积上限
+    HEIGHTS: [320, 200],                 // 依次尝试的高度，超出体积上限时改用更小的尺寸
+    QUALITY: 70,
+    EFFORT: 4
+  },
+
+  // 视频缩略图配置（需要本机安装 ffmpeg / ffprobe，可用环境变量指定路径）
+  VIDEO_THUMBNAIL: {
+    FFMPEG_PATH: process.env.FLYPIC_FFMPEG || 'ffmpeg',
+    FFPROBE_PATH: process.env.FLYPIC_FFPROBE || 'ffprobe',
+    DETECT_TIMEOUT_MS: 3000,             // 检测 ffmpeg 是否可用的超时
+    PROBE_TIMEOUT_MS: 10000,             // 读取视频信息的超时
+    EXTRACT_TIMEOUT_MS: 20000,           // 截取封面帧的超时
+    SEEK_RATIO: 0.1,                     // 封面取自视频 10% 处（避开片头黑屏）
+    MAX_SEEK_SECONDS: 10                 // 最多跳到第 10 秒
+  },
+
+  // 设计文件、文档和 RAW 预览配置
+  DOCUMENT_PREVIEW: {
+    RENDER_SCALE: 2,                     // 按目标高度的 2 倍渲染 / 采样，缩小后更清晰
+    PREVIEW_HEIGHT: 1600,                // 文件查看器中逐页预览的高度
+    PDF_MAX_FILE_SIZE: 200 * 1024 * 1024, // 超过 200MB 的 PDF 不渲染（需要整个读入内存）
+    EMBEDDED_SEARCH_BYTES: 4 * 1024 * 1024 // 在 EPS / AI 文件前 4MB 中查找内嵌预览
+  },
   
   // 文件监控配置
   FILE_WATCHER: {
@@ -19,6 +19,13 @@ function getThumbnailsPath(libraryPath) {
   return path.join(libraryPath, constants.PATHS.FLYPIC_DIR, constants.PATHS.THUMBNAILS_DIR);
 }
 
+/**
+ * 获取预览图缓存目录路径（文件查看器中的大尺寸预览）
+ */
+function getPreviewsPath(libraryPath) {
+  return path.join(libraryPath, constants.PATHS.FLYPIC_DIR, constants.PATHS.PREVIEWS_DIR);
+}
+
 /**
  * 获取数据库文件路径
  */
@@ -37,6 +44,7 @@ module.exports = {
   constants,
   getFlypicPath,
   getThumbnailsPath,
+  getPreviewsPath,
   getDatabasePath,
   getConfigPath
 };
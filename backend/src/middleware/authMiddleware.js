@@ -1,24 +1,28 @@
 /**
  * 认证中间件
- * 轻量级访问密码验证
+ * 验证登录 Token、API 令牌和资源签名，并按角色限制访问
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-
-const TOKEN_EXPIRY = '30d'; // Token 有效期 30 天
+const { ForbiddenError } = require('./errorHandler');
+const { ROLE_LABELS, hasLibraryRole } = require('../utils/roleUtils');
+const { constants } = require('../config');
 
 /**
- * 生成 JWT Token
+ * 生成访问 Token（JWT，有效期 SESSIONS.ACCESS_TOKEN_EXPIRY，过期后用刷新令牌换取）
  * @param {string} jwtSecret - JWT 密钥（从配置文件读取）
+ * @param {string} userId - 用户 ID（sub）
+ * @param {string} sessionId - 会话 ID（sid），会话被退出后 Token 立即失效
  */
-function generateToken(jwtSecret) {
+function generateToken(jwtSecret, userId, sessionId) {
   if (!jwtSecret) {
     throw new Error('JWT_SECRET is required');
   }
   return jwt.sign(
-    { app: 'flypic', timestamp: Date.now() },
+    { app: 'flypic', sub: userId, sid: sessionId, timestamp: Date.now() },
     jwtSecret,
-    { expiresIn: TOKEN_EXPIRY }
+    { expiresIn: constants.SESSIONS.ACCESS_TOKEN_EXPIRY }
   );
 }
 
@@ -26,29 +30,241 @@ function generateToken(jwtSecret) {
  * 验证 JWT Token
  * @param {string} token - JWT Token
  * @param {string} jwtSecret - JWT 密钥（从配置文件读取）
+ * @returns {Object|null} Token 内容，无效或已过期时返回 null
  */
 function verifyToken(token, jwtSecret) {
   if (!jwtSecret) {
-    return false;
+    return null;
   }
   try {
-    jwt.verify(token, jwtSecret);
-    return true;
+    return jwt.verify(token, jwtSecret);
   } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 派生资源签名密钥
+ * 先从 JWT 密钥派生出专用于资源签名的密钥（不直接使用 JWT 密钥），再按 keyId 派生出下发给前端的密钥
+ * @param {string} jwtSecret - JWT 密钥（从配置文件读取）
+ * @param {string} keyId - 密钥所属的会话，见 createAssetKeyId
+ */
+function deriveAssetKey(jwtSecret, keyId) {
+  const assetSecret = crypto.createHmac('sha256', jwtSecret).update('flypic:asset-signature').digest();
+  return crypto.createHmac('sha256', assetSecret).update(`key:${keyId}`).digest('base64url');
+}
+
+/**
+ * 生成资源签名（HMAC-SHA256）
+ * 签名覆盖单个资源的请求路径和过期时间；前端用下发的密钥在本地计算（frontend/src/services/assetSignatureService.js），算法需要保持一致
+ * @param {string} assetKey - deriveAssetKey 派生的密钥
+ * @param {string} assetPath - 请求路径（不含查询字符串，保持 URL 编码），如 /api/image/original/lib1/a%20b.jpg
+ * @param {number} expires - 过期时间（毫秒时间戳）
+ */
+function signAsset(assetKey, assetPath, expires) {
+  return crypto.createHmac('sha256', assetKey)
+    .update(`${assetPath}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * 验证资源签名
+ * 签名由前端计算，过期时间不能超过 ASSET_SIGNATURE 允许的最长有效期
+ */
+function verifyAssetSignature(jwtSecret, keyId, assetPath, expires, signature) {
+  const expiresAt = Number(expires);
+  const now = Date.now();
+  const { TTL_MS, WINDOW_MS } = constants.ASSET_SIGNATURE;
+  if (!jwtSecret || !keyId || !signature || !Number.isFinite(expiresAt) || expiresAt < now || expiresAt > now + TTL_MS + WINDOW_MS) {
     return false;
   }
+
+  const expected = Buffer.from(signAsset(deriveAssetKey(jwtSecret, String(keyId)), assetPath, expiresAt));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * 资源签名密钥 ID：{会话 ID}.{用户 ID}
+ * 密钥按会话派生，会话被退出（或过期）后该会话签出的 URL 随之失效
+ */
+function createAssetKeyId(sessionId, userId) {
+  return `${sessionId}.${userId}`;
+}
+
+/**
+ * 解析资源签名密钥 ID（会话 ID 为十六进制，不含 .）
+ * @returns {{sessionId: string, userId: string}|null}
+ */
+function parseAssetKeyId(keyId) {
+  const separator = typeof keyId === 'string' ? keyId.indexOf('.') : -1;
+  if (separator <= 0 || separator === keyId.length - 1) {
+    return null;
+  }
+  return { sessionId: keyId.slice(0, separator), userId: keyId.slice(separator + 1) };
+}
+
+// 可以用签名访问的资源：/api/image/{thumbnail|original|preview}/:libraryId/...
+const SIGNED_ASSET_PATTERN = /^\/api\/image\/(?:thumbnail|original|preview)\/([^/]+)\//;
+
+/**
+ * API 令牌访问各接口需要的权限范围：'方法 路径' → read | write | scan | admin
+ * 路径中 :param 匹配一段，* 匹配其余部分；按顺序匹配，具体路径需要写在同级的 :param 之前。
+ * 未列出的接口不能使用 API 令牌访问，新增路由时需要在这里登记
+ */
+const API_TOKEN_ROUTE_SCOPES = {
+  // 登录与会话（API 令牌没有登录会话）
+  'GET /api/auth/me': 'read',
+  'GET /api/auth/asset-key': 'read',
+  'POST /api/auth/change-password': 'admin',
+  'POST /api/auth/logout': 'admin',
+  'GET /api/auth/sessions': 'admin',
+  'DELETE /api/auth/sessions': 'admin',
+  'DELETE /api/auth/sessions/:id': 'admin',
+
+  // 用户和 API 令牌
+  'GET /api/user': 'admin',
+  'POST /api/user': 'admin',
+  'PUT /api/user/:id': 'admin',
+  'DELETE /api/user/:id': 'admin',
+  'GET /api/token': 'admin',
+  'POST /api/token': 'admin',
+  'DELETE /api/token/:id': 'admin',
+
+  // 素材库（偏好设置和主题属于个人设置）
+  'GET /api/library': 'read',
+  'POST /api/library': 'admin',
+  'PUT /api/library/preferences': 'write',
+  'PUT /api/library/theme': 'write',
+  'PUT /api/library/:id': 'admin',
+  'DELETE /api/library/:id': 'admin',
+  'POST /api/library/:id/set-current': 'write',
+  'GET /api/library/:id/stats': 'read',
+  'GET /api/library/:id/validate': 'read',
+
+  // 图片
+  'GET /api/image': 'read',
+  'GET /api/image/count': 'read',
+  'GET /api/image/stats': 'read',
+  'GET /api/image/folders': 'read',
+  'GET /api/image/cache-meta': 'read',
+  'GET /api/image/meta': 'read',
+  'GET /api/image/colors': 'read',
+  'GET /api/image/duplicates': 'read',
+  'GET /api/image/duplicates/hash': 'read',
+  'POST /api/image/duplicates/hash': 'scan',
+  'DELETE /api/image/duplicates/hash': 'scan',
+  'GET /api/image/thumbnail/:libraryId/:filename': 'read',
+  'GET /api/image/original/:libraryId/*': 'read',
+  'GET /api/image/preview/:libraryId/*': 'read',
+  'GET /api/image/:id': 'read',
+  'GET /api/image/:id/similar': 'read',
+  'PUT /api/image/rating': 'write',
+  'PUT /api/image/favorite': 'write',
+
+  // 扫描和缩略图维护
+  'POST /api/scan/full': 'scan',
+  'POST /api/scan/sync': 'scan',
+  'POST /api/scan/fix-folders': 'scan',
+  'GET /api/scan/status/:libraryId': 'read',
+  'GET /api/scan/active-states': 'read',
+  'GET /api/maintenance/thumbnails': 'read',
+  'DELETE /api/maintenance/thumbnails/orphans': 'scan',
+  'GET /api/maintenance/thumbnails/check': 'read',
+  'POST /api/maintenance/thumbnails/check': 'scan',
+  'DELETE /api/maintenance/thumbnails/check': 'scan',
+
+  // 文件操作和上传
+  'DELETE /api/file/delete': 'write',
+  'PATCH /api/file/rename': 'write',
+  'POST /api/file/move': 'write',
+  'POST /api/file/copy': 'write',
+  'PATCH /api/file/metadata': 'write',
+  'POST /api/file/restore': 'write',
+  'POST /api/file/create-folder': 'write',
+  'POST /api/upload': 'write',
+
+  // 标签、相册和智能相册
+  'GET /api/tag': 'read',
+  'POST /api/tag': 'write',
+  'POST /api/tag/batch-add': 'write',
+  'POST /api/tag/batch-remove': 'write',
+  'PUT /api/tag/:id': 'write',
+  'DELETE /api/tag/:id': 'write',
+  'GET /api/album': 'read',
+  'POST /api/album': 'write',
+  'PUT /api/album/order': 'write',
+  'PUT /api/album/:id': 'write',
+  'DELETE /api/album/:id': 'write',
+  'POST /api/album/:id/items': 'write',
+  'POST /api/album/:id/items/remove': 'write',
+  'GET /api/smart-album': 'read',
+  'POST /api/smart-album': 'write',
+  'PUT /api/smart-album/:id': 'write',
+  'DELETE /api/smart-album/:id': 'write',
+
+  // 导出（打包下载只读取图片；导出预设全局共享）
+  'GET /api/export/presets': 'read',
+  'POST /api/export/presets': 'admin',
+  'PUT /api/export/presets/:id': 'admin',
+  'DELETE /api/export/presets/:id': 'admin',
+  'POST /api/export/zip': 'read',
+  'GET /api/export/zip/:id/info': 'read',
+
+  // 分享链接
+  'GET /api/share': 'read',
+  'POST /api/share': 'write',
+  'DELETE /api/share/:token': 'write'
+};
+
+const API_TOKEN_ROUTES = Object.entries(API_TOKEN_ROUTE_SCOPES).map(([route, scope]) => {
+  const [method, pattern] = route.split(' ');
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.+';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { method, pattern: new RegExp(`^${source}/?$`), scope };
+});
+
+/**
+ * API 令牌访问请求需要的权限范围（见 API_TOKEN_ROUTE_SCOPES）
+ * @param {string} method - 请求方法（HEAD 按 GET 处理）
+ * @param {string} fullPath - 完整路径（不含查询字符串）
+ * @returns {'read'|'write'|'scan'|'admin'|null} 未登记的接口返回 null
+ */
+function getRequiredScope(method, fullPath) {
+  const routeMethod = method === 'HEAD' ? 'GET' : method;
+  const route = API_TOKEN_ROUTES.find(item => item.method === routeMethod && item.pattern.test(fullPath));
+  return route ? route.scope : null;
+}
+
+/**
+ * API 令牌是否拥有权限范围：admin 包含所有权限，任何令牌都可以读取
+ */
+function hasApiTokenScope(scopes, required) {
+  return scopes.includes('admin') || scopes.includes(required) || (required === 'read' && scopes.length > 0);
 }
 
 /**
  * 认证中间件工厂
- * @param {Function} getPasswordHash - 获取密码哈希的函数
+ * 验证通过后 req.user 为当前用户；未设置密码（没有用户）时 req.user 为 null，不限制访问
+ * Authorization: Bearer 可以是登录 Token（JWT）或 API 令牌（以 API_TOKENS.PREFIX 开头），
+ * 使用 API 令牌时 req.apiToken 为 { id, userId, scopes }，并按权限范围限制访问；使用登录 Token 时 req.sessionId 为会话 ID
+ * @param {Function} isAuthEnabled - 是否已设置密码的函数
  * @param {Function} getJwtSecret - 获取 JWT 密钥的函数
+ * @param {Function} getUser - 根据用户 ID 获取用户的函数
+ * @param {Function} authenticateApiToken - 验证 API 令牌的函数，无效时返回 null
+ * @param {Function} touchSession - 验证会话并更新最后活动时间的函数 (sessionId, userId, { ip, userAgent }) => boolean
  */
-function createAuthMiddleware(getPasswordHash, getJwtSecret) {
+function createAuthMiddleware(isAuthEnabled, getJwtSecret, getUser, authenticateApiToken, touchSession) {
   return (req, res, next) => {
     // 如果没有设置密码，直接放行
-    const passwordHash = getPasswordHash();
-    if (!passwordHash) {
+    if (!isAuthEnabled()) {
+      req.user = null;
       return next();
     }
 
@@ -61,22 +277,49 @@ function createAuthMiddleware(getPasswordHash, getJwtSecret) {
       '/api/auth/status',
       '/api/auth/login',
       '/api/auth/setup',
+      '/api/auth/refresh',
       '/api/health'
     ];
 
-    // 前缀匹配的公开路径（缩略图 & 原图资源）
-    const publicPrefixes = [
-      '/api/image/thumbnail/',  // 缩略图
-      '/api/image/original/'    // 原图
+    // 按正则匹配的公开路径
+    // ZIP 下载链接由需要登录的 POST /api/export/zip 生成，id 为随机值且会过期，浏览器直接下载时无法携带 Authorization
+    // （只公开下载本身，GET /api/export/zip/:id/info 等仍需要登录）；
+    // 分享链接的访问者不登录，由 ShareService 按分享的 token 和密码限制访问范围
+    const publicPatterns = [
+      /^\/api\/export\/zip\/[^/]+$/,   // ZIP 下载
+      /^\/api\/share\/public\//        // 分享页
     ];
 
     if (
       publicPaths.includes(fullPath) ||
-      publicPrefixes.some(prefix => fullPath.startsWith(prefix))
+      publicPatterns.some(pattern => pattern.test(fullPath))
     ) {
       return next();
     }
 
+    // 缩略图、原图和预览图由 <img> 直接加载，无法携带 Authorization：验证 URL 中的签名（kid、exp、sig）
+    // 签名只说明 URL 由该会话签发，仍检查会话是否有效，并按用户当前的角色检查（会话被退出或角色被移除后签名随之失效）
+    const assetMatch = fullPath.match(SIGNED_ASSET_PATTERN);
+    if (assetMatch && req.query.sig !== undefined) {
+      const libraryId = decodeURIComponent(assetMatch[1]);
+      const { kid, exp, sig } = req.query;
+      const keyId = parseAssetKeyId(kid);
+      const client = { ip: req.ip, userAgent: req.headers['user-agent'] };
+      const user = keyId &&
+        verifyAssetSignature(getJwtSecret(), kid, fullPath, exp, sig) &&
+        touchSession(keyId.sessionId, keyId.userId, client) &&
+        getUser(keyId.userId);
+      if (user && hasLibraryRole(user, libraryId, 'viewer')) {
+        req.user = user;
+        req.sessionId = keyId.sessionId;
+        return next();
+      }
+      return res.status(403).json({
+        success: false,
+        error: { message: '链接签名无效或已过期' }
+      });
+    }
+
     // 检查 Authorization header
     const authHeader = req.headers.authorization;
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -87,20 +330,128 @@ function createAuthMiddleware(getPasswordHash, getJwtSecret) {
     }
 
     const token = authHeader.substring(7);
-    const jwtSecret = getJwtSecret();
-    if (!verifyToken(token, jwtSecret)) {
+
+    if (token.startsWith(constants.API_TOKENS.PREFIX)) {
+      const apiToken = authenticateApiToken(token);
+      const user = apiToken && getUser(apiToken.userId);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'API 令牌无效、已过期或已撤销' }
+        });
+      }
+
+      const scope = getRequiredScope(req.method, fullPath);
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'API_TOKEN_SCOPE', message: '该接口不支持使用 API 令牌访问' }
+        });
+      }
+      if (!hasApiTokenScope(apiToken.scopes, scope)) {
+        return res.status(403).json({
+          success: false,
+          error: { code: 'API_TOKEN_SCOPE', message: `API 令牌没有 ${scope} 权限` }
+        });
+      }
+
+      req.user = user;
+      req.apiToken = apiToken;
+      return next();
+    }
+
+    const payload = verifyToken(token, getJwtSecret());
+    // 升级前签发的 Token 不含用户 ID 或会话 ID；用户被删除、会话被退出后 Token 也随之失效
+    const client = { ip: req.ip, userAgent: req.headers['user-agent'] };
+    const user = payload && payload.sid && touchSession(payload.sid, payload.sub, client) && getUser(payload.sub);
+    if (!user) {
       return res.status(401).json({
         success: false,
         error: { message: 'Token 无效或已过期，请重新登录' }
       });
     }
 
+    req.user = user;
+    req.sessionId = payload.sid;
+    next();
+  };
+}
+
+/**
+ * 用户在 Socket.IO 中的房间名，只发给某个用户的事件（如导出进度）发送到该房间
+ * @param {string|null} userId - 未设置密码时为 null，所有连接共用一个房间
+ */
+function getUserRoom(userId) {
+  return `user:${userId || ''}`;
+}
+
+/**
+ * 创建 Socket.IO 认证中间件
+ * 握手时通过 auth.token 传入访问 Token，验证通过的连接加入该用户的房间（见 getUserRoom）；
+ * Token 无效时仍允许连接（扫描进度等事件对所有连接广播），但收不到只发给用户的事件
+ * 参数与 createAuthMiddleware 相同（不支持 API 令牌）
+ */
+function createSocketAuthMiddleware(isAuthEnabled, getJwtSecret, getUser, touchSession) {
+  return (socket, next) => {
+    if (!isAuthEnabled()) {
+      socket.join(getUserRoom(null));
+      return next();
+    }
+
+    const { token } = socket.handshake.auth || {};
+    const payload = typeof token === 'string' ? verifyToken(token, getJwtSecret()) : null;
+    const client = { ip: socket.handshake.address, userAgent: socket.handshake.headers['user-agent'] };
+    const user = payload && payload.sid && touchSession(payload.sid, payload.sub, client) && getUser(payload.sub);
+    if (user) {
+      socket.join(getUserRoom(user.id));
+    }
     next();
   };
 }
 
+/**
+ * 要求系统管理员（管理用户、创建素材库）
+ */
+function requireAdmin(req, res, next) {
+  if (req.user === null || (req.user && req.user.isAdmin)) {
+    return next();
+  }
+  next(new ForbiddenError('需要系统管理员权限'));
+}
+
+// 默认从路径参数、请求体或查询参数中读取素材库 ID
+const defaultGetLibraryId = (req) => req.params.libraryId || req.params.id || (req.body && req.body.libraryId) || req.query.libraryId;
+
+/**
+ * 要求当前用户在素材库中拥有不低于 role 的角色
+ * 请求中没有素材库 ID 时不检查（由路由校验参数）
+ * @param {'viewer'|'editor'|'admin'} role - 最低角色
+ * @param {Function} [getLibraryId] - 从请求中读取素材库 ID
+ */
+function requireLibraryRole(role, getLibraryId = defaultGetLibraryId) {
+  return (req, res, next) => {
+    const libraryId = getLibraryId(req);
+    // req.user 为 null 表示未设置密码
+    if (!libraryId || req.user === null) {
+      return next();
+    }
+    if (req.user && hasLibraryRole(req.user, libraryId, role)) {
+      return next();
+    }
+    next(new ForbiddenError(`需要该素材库的${ROLE_LABELS[role]}权限`));
+  };
+}
+
 module.exports = {
   createAuthMiddleware,
+  createSocketAuthMiddleware,
+  getUserRoom,
   generateToken,
-  verifyToken
+  verifyToken,
+  requireAdmin,
+  requireLibraryRole,
+  deriveAssetKey,
+  createAssetKeyId,
+  signAsset,
+  verifyAssetSignature
 };
@@ -0,0 +1,235 @@
+/**
+ * 认证中间件测试
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const SessionService = require('../services/SessionService');
+const { errorHandler } = require('./errorHandler');
+const { constants } = require('../config');
+const {
+  createAuthMiddleware,
+  createSocketAuthMiddleware,
+  generateToken,
+  deriveAssetKey,
+  createAssetKeyId,
+  signAsset
+} = require('./authMiddleware');
+
+const JWT_SECRET = 'test-secret';
+
+const USERS = {
+  u1: { id: 'u1', username: 'alice', isAdmin: false, libraries: { lib1: 'viewer' } },
+  u2: { id: 'u2', username: 'bob', isAdmin: false, libraries: {} }
+};
+
+// API 令牌 → { id, userId, scopes }
+const API_TOKENS = {
+  fpt_read: { id: 't1', userId: 'u1', scopes: ['read'] },
+  fpt_write: { id: 't2', userId: 'u1', scopes: ['write'] }
+};
+
+/**
+ * 创建测试应用（配置保存在内存中），所有接口返回当前用户（公开接口为 null）
+ */
+function createTestApp() {
+  let config = {};
+  const configManager = { loadConfig: () => config, saveConfig: (next) => { config = next; } };
+  const sessionService = new SessionService(configManager);
+
+  const app = express();
+  app.use('/api', createAuthMiddleware(
+    () => true,
+    () => JWT_SECRET,
+    (userId) => USERS[userId] || null,
+    (token) => API_TOKENS[token] || null,
+    (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
+  ));
+  app.all('/api/*', (req, res) => {
+    res.json({ success: true, data: req.user ? req.user.id : null });
+  });
+  app.use(errorHandler);
+
+  return { app, sessionService };
+}
+
+/**
+ * 启动测试服务器，返回 request(path) => { status, body }
+ */
+async function listen(app) {
+  const server = await new Promise((resolve) => {
+    const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, options);
+    return { status: response.status, body: await response.json() };
+  };
+  return { server, request };
+}
+
+/**
+ * 按前端的方式签出资源 URL
+ */
+function signUrl(sessionId, userId, assetPath) {
+  const keyId = createAssetKeyId(sessionId, userId);
+  const expires = Date.now() + constants.ASSET_SIGNATURE.TTL_MS;
+  const signature = signAsset(deriveAssetKey(JWT_SECRET, keyId), assetPath, expires);
+  return `${assetPath}?kid=${encodeURIComponent(keyId)}&exp=${expires}&sig=${signature}`;
+}
+
+describe('资源签名', () => {
+  let context;
+
+  before(async () => {
+    const { app, sessionService } = createTestApp();
+    context = { sessionService, ...(await listen(app)) };
+  });
+
+  after(() => {
+    context.server.close();
+  });
+
+  it('有效会话签出的 URL 可以访问', async () => {
+    const { session } = context.sessionService.createSession('u1');
+    const { status, body } = await context.request(signUrl(session.id, 'u1', '/api/image/original/lib1/a%20b.jpg'));
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.data, 'u1');
+  });
+
+  it('签名只对签出的路径有效', async () => {
+    const { session } = context.sessionService.createSession('u1');
+    const url = signUrl(session.id, 'u1', '/api/image/original/lib1/a.jpg').replace('/a.jpg?', '/b.jpg?');
+    const { status } = await context.request(url);
+    assert.strictEqual(status, 403);
+  });
+
+  it('会话被退出后，该会话签出的 URL 立即失效', async () => {
+    const { session } = context.sessionService.createSession('u1');
+    const other = context.sessionService.createSession('u1').session;
+    const url = signUrl(session.id, 'u1', '/api/image/original/lib1/a.jpg');
+    const otherUrl = signUrl(other.id, 'u1', '/api/image/original/lib1/a.jpg');
+
+    context.sessionService.revokeSession(session.id, 'u1');
+
+    assert.strictEqual((await context.request(url)).status, 403);
+    assert.strictEqual((await context.request(otherUrl)).status, 200);
+  });
+
+  it('不能把会话换成其他用户', async () => {
+    const { session } = context.sessionService.createSession('u1');
+    const { status } = await context.request(signUrl(session.id, 'u2', '/api/image/original/lib1/a.jpg'));
+    assert.strictEqual(status, 403);
+  });
+});
+
+describe('公开路径', () => {
+  let context;
+
+  before(async () => {
+    context = await listen(createTestApp().app);
+  });
+
+  after(() => {
+    context.server.close();
+  });
+
+  it('ZIP 下载链接不需要登录', async () => {
+    assert.strictEqual((await context.request('/api/export/zip/abc')).status, 200);
+    assert.strictEqual((await context.request('/api/export/zip/abc?x=1')).status, 200);
+  });
+
+  it('导出记录等其他导出接口需要登录', async () => {
+    assert.strictEqual((await context.request('/api/export/zip/abc/info')).status, 401);
+    assert.strictEqual((await context.request('/api/export/zip/abc/')).status, 401);
+    assert.strictEqual((await context.request('/api/export/presets')).status, 401);
+  });
+});
+
+describe('API 令牌权限范围', () => {
+  let context;
+
+  before(async () => {
+    context = await listen(createTestApp().app);
+  });
+
+  after(() => {
+    context.server.close();
+  });
+
+  const requestWithToken = (token, method, path) => context.request(path, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: method === 'GET' ? undefined : JSON.stringify({ libraryId: 'lib1' })
+  });
+
+  it('read 令牌可以浏览和打包下载', async () => {
+    assert.strictEqual((await requestWithToken('fpt_read', 'GET', '/api/image?libraryId=lib1')).status, 200);
+    assert.strictEqual((await requestWithToken('fpt_read', 'POST', '/api/export/zip')).status, 200);
+  });
+
+  it('read 令牌不能修改', async () => {
+    const { status, body } = await requestWithToken('fpt_read', 'PUT', '/api/library/preferences');
+    assert.strictEqual(status, 403);
+    assert.strictEqual(body.error.code, 'API_TOKEN_SCOPE');
+  });
+
+  it('write 令牌可以保存偏好设置，但不能修改素材库', async () => {
+    assert.strictEqual((await requestWithToken('fpt_write', 'PUT', '/api/library/preferences')).status, 200);
+    assert.strictEqual((await requestWithToken('fpt_write', 'PUT', '/api/library/lib1')).status, 403);
+  });
+
+  it('未登记的接口不能使用 API 令牌访问', async () => {
+    assert.strictEqual((await requestWithToken('fpt_write', 'POST', '/api/image/rating')).status, 403);
+  });
+});
+
+describe('Socket.IO 认证', () => {
+  let sessionService;
+  let middleware;
+
+  before(() => {
+    let config = {};
+    sessionService = new SessionService({ loadConfig: () => config, saveConfig: (next) => { config = next; } });
+    middleware = createSocketAuthMiddleware(
+      () => true,
+      () => JWT_SECRET,
+      (userId) => USERS[userId] || null,
+      (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
+    );
+  });
+
+  // 模拟握手，返回连接加入的房间
+  const connect = (auth, authMiddleware = middleware) => {
+    const rooms = [];
+    const socket = {
+      handshake: { auth, address: '127.0.0.1', headers: {} },
+      join: (room) => rooms.push(room)
+    };
+    let error;
+    authMiddleware(socket, (err) => { error = err; });
+    assert.strictEqual(error, undefined);
+    return rooms;
+  };
+
+  it('有效的访问 Token 加入该用户的房间', () => {
+    const { session } = sessionService.createSession('u1');
+    assert.deepStrictEqual(connect({ token: generateToken(JWT_SECRET, 'u1', session.id) }), ['user:u1']);
+  });
+
+  it('没有 Token、Token 无效或会话已退出时不加入任何房间', () => {
+    const { session } = sessionService.createSession('u1');
+    const token = generateToken(JWT_SECRET, 'u1', session.id);
+    sessionService.revokeSession(session.id, 'u1');
+
+    assert.deepStrictEqual(connect({}), []);
+    assert.deepStrictEqual(connect({ token: 'invalid' }), []);
+    assert.deepStrictEqual(connect({ token }), []);
+  });
+
+  it('未设置密码时加入共用的房间', () => {
+    const noAuth = createSocketAuthMiddleware(() => false, () => null, () => null, () => false);
+    assert.deepStrictEqual(connect({}, noAuth), ['user:']);
+  });
+});
@@ -40,6 +40,15 @@ class NotFoundError extends AppError {
   }
 }
 
+/**
+ * 权限不足错误
+ */
+class ForbiddenError extends AppError {
+  constructor(message = '没有权限执行此操作') {
+    super(message, 403, 'FORBIDDEN');
+  }
+}
+
 /**
  * 冲突错误
  */
@@ -93,6 +102,7 @@ module.exports = {
   AppError,
   ValidationError,
   NotFoundError,
+  ForbiddenError,
   ConflictError,
   errorHandler,
   asyncHandler
@@ -0,0 +1,144 @@
+/**
+ * 相册数据模型
+ * 相册存储在 albums 表，图片与相册的关联存储在 album_items 表（按 image_id 关联）
+ * 图片可以同时属于多个相册，加入相册不会移动文件
+ */
+
+const BaseModel = require('./BaseModel');
+const { mapAlbumForFrontend } = require('../utils/fieldMapper');
+
+class AlbumModel extends BaseModel {
+  /**
+   * 获取所有相册（包含图片数量），按 position 排序
+   */
+  findAll() {
+    const query = `
+      SELECT a.*, COUNT(ai.image_id) as image_count
+      FROM albums a
+      LEFT JOIN album_items ai ON ai.album_id = a.id
+      GROUP BY a.id
+      ORDER BY a.position, a.id
+    `;
+    return this.findMany(query).map(mapAlbumForFrontend);
+  }
+
+  /**
+   * 根据 ID 查找相册
+   */
+  findById(id) {
+    const album = this.findOne(`
+      SELECT a.*, (SELECT COUNT(*) FROM album_items WHERE album_id = a.id) as image_count
+      FROM albums a WHERE a.id = ?
+    `, [id]);
+    return album ? mapAlbumForFrontend(album) : null;
+  }
+
+  /**
+   * 根据名称查找相册（忽略大小写）
+   */
+  findByName(name) {
+    const album = this.findOne('SELECT * FROM albums WHERE name = ?', [name]);
+    return album ? mapAlbumForFrontend(album) : null;
+  }
+
+  /**
+   * 创建相册（排在最后）
+   */
+  insert(data) {
+    const now = Date.now();
+    const result = this.execute(`
+      INSERT INTO albums (name, position, created_at, updated_at)
+      VALUES (?, (SELECT COALESCE(MAX(position), -1) + 1 FROM albums), ?, ?)
+    `, [data.name, now, now]);
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * 重命名相册
+   */
+  rename(id, name) {
+    this.execute('UPDATE albums SET name = ?, updated_at = ? WHERE id = ?', [name, Date.now(), id]);
+    return this.findById(id);
+  }
+
+  /**
+   * 删除相册（关联记录由外键级联删除）
+   */
+  delete(id) {
+    return this.execute('DELETE FROM albums WHERE id = ?', [id]);
+  }
+
+  /**
+   * 按给定的 ID 顺序重新排列相册，未列出的相册保持原有顺序排在后面
+   * @param {Array<number>} ids
+   */
+  reorder(ids) {
+    return this.transaction(() => {
+      const listed = new Set(ids);
+      const rest = this.findMany('SELECT id FROM albums ORDER BY position, id')
+        .map(row => row.id)
+        .filter(id => !listed.has(id));
+
+      const stmt = this.db.prepare('UPDATE albums SET position = ? WHERE id = ?');
+      [...ids, ...rest].forEach((id, position) => stmt.run(position, id));
+    });
+  }
+
+  /**
+   * 批量将图片加入相册（已在相册中的忽略）
+   * @returns {number} 新加入的数量
+   */
+  addImages(albumId, imageIds) {
+    return this.transaction(() => {
+      const now = Date.now();
+      const stmt = this.db.prepare('INSERT OR IGNORE INTO album_items (album_id, image_id, added_at) VALUES (?, ?, ?)');
+      let added = 0;
+      for (const imageId of imageIds) {
+        added += stmt.run(albumId, imageId, now).changes;
+      }
+      this.execute('UPDATE albums SET updated_at = ? WHERE id = ?', [now, albumId]);
+      return added;
+    });
+  }
+
+  /**
+   * 批量将图片移出相册
+   * @returns {number} 移出的数量
+   */
+  removeImages(albumId, imageIds) {
+    return this.transaction(() => {
+      const stmt = this.db.prepare('DELETE FROM album_items WHERE album_id = ? AND image_id = ?');
+      let removed = 0;
+      for (const imageId of imageIds) {
+        removed += stmt.run(albumId, imageId).changes;
+      }
+      this.execute('UPDATE albums SET updated_at = ? WHERE id = ?', [Date.now(), albumId]);
+      return removed;
+    });
+  }
+
+  /**
+   * 获取图片所属的相册 ID
+   * @returns {Array<number>}
+   */
+  getAlbumIdsByImage(imageId) {
+    return this.findMany('SELECT album_id FROM album_items WHERE image_id = ? ORDER BY album_id', [imageId])
+      .map(row => row.album_id);
+  }
+
+  /**
+   * 将图片加入多个相册（用于撤销删除时恢复相册关系，不存在的相册忽略）
+   */
+  addImageToAlbums(imageId, albumIds) {
+    const stmt = this.db.prepare(`
+      INSERT OR IGNORE INTO album_items (album_id, image_id, added_at)
+      SELECT id, ?, ? FROM albums WHERE id = ?
+    `);
+    const now = Date.now();
+    for (const albumId of albumIds) {
+      stmt.run(imageId, now, albumId);
+    }
+  }
+}
+
+module.exports = AlbumModel;
@@ -3,7 +3,12 @@
  */
 
 const BaseModel = require('./BaseModel');
-const { mapImageForFrontend } = require('../utils/fieldMapper');
+const { mapImageForFrontend, mapImageMetaForFrontend } = require('../utils/fieldMapper');
+const { naturalSortKey } = require('../utils/sortUtils');
+const { encodeCursor } = require('../utils/cursorUtils');
+const {
+  IMAGE_UPSERT_SET, TAGGED_IMAGE_IDS_SQL, escapeLike, getSortSpec, buildKeywordFilter, buildAttributeFilters, buildOrderBy, buildCursorCondition
+} = require('../../database/queries');
 
 class ImageModel extends BaseModel {
   /**
@@ -24,10 +29,57 @@ class ImageModel extends BaseModel {
     return image ? mapImageForFrontend(image) : null;
   }
 
+  /**
+   * 根据路径批量查找图片（不存在的路径忽略），按传入顺序返回
+   */
+  findByPaths(paths) {
+    const images = [];
+    // 分批查询，避免超出 SQLite 参数数量限制
+    for (let i = 0; i < paths.length; i += 500) {
+      const batch = paths.slice(i, i + 500);
+      images.push(...this.findMany(
+        `SELECT * FROM images WHERE path IN (${batch.map(() => '?').join(',')})`,
+        batch
+      ));
+    }
+    const order = new Map(paths.map((imagePath, index) => [imagePath, index]));
+    return images.sort((a, b) => order.get(a.path) - order.get(b.path)).map(mapImageForFrontend);
+  }
+
+  /**
+   * 根据缩略图路径（.flypic/thumbnails/ab/hash.webp）查找图片
+   */
+  findByThumbnailPath(thumbnailPath) {
+    const image = this.findOne('SELECT * FROM images WHERE thumbnail_path = ?', [thumbnailPath]);
+    return image ? mapImageForFrontend(image) : null;
+  }
+
+  /**
+   * 获取图片的 EXIF / IPTC / XMP 元数据（扫描时提取）
+   * @returns {Object|null} 尚未提取时返回 null
+   */
+  findMeta(imageId) {
+    const meta = this.findOne('SELECT * FROM image_meta WHERE image_id = ?', [imageId]);
+    return meta ? mapImageMetaForFrontend(meta) : null;
+  }
+
+  /**
+   * 获取图片主色（按占比从大到小）
+   * @returns {Array<{hex: string, ratio: number}>} 尚未提取时返回空数组
+   */
+  findColors(imageId) {
+    return this.findMany('SELECT hex, ratio FROM image_colors WHERE image_id = ? ORDER BY position', [imageId]);
+  }
+
   /**
    * 搜索图片（支持分页）
+   * pagination 为 { offset, limit } 时使用偏移分页，为 { cursor, limit } 时使用游标分页
    */
   search(filters = {}, pagination = null) {
+    if (pagination && pagination.cursor !== undefined) {
+      return this._searchByCursor(filters, pagination);
+    }
+
     const { query, params } = this._buildSearchQuery(filters, pagination);
     
     // 获取总数（不包含分页参数）
@@ -63,10 +115,11 @@ class ImageModel extends BaseModel {
    */
   insert(data) {
     const query = `
-      INSERT OR REPLACE INTO images 
+      INSERT INTO images 
       (path, filename, folder, size, width, height, format, file_type,
-       created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at, sort_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(path) DO UPDATE SET ${IMAGE_UPSERT_SET}
     `;
     
     return this.execute(query, [
@@ -83,7 +136,8 @@ class ImageModel extends BaseModel {
       data.fileHash,
       data.thumbnailPath,
       data.thumbnailSize,
-      Date.now()
+      Date.now(),
+      naturalSortKey(data.filename)
     ]);
   }
 
@@ -92,10 +146,11 @@ class ImageModel extends BaseModel {
    */
   insertBatch(images) {
     const query = `
-      INSERT OR REPLACE INTO images 
+      INSERT INTO images 
       (path, filename, folder, size, width, height, format, file_type,
-       created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       created_at, modified_at, file_hash, thumbnail_path, thumbnail_size, indexed_at, sort_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(path) DO UPDATE SET ${IMAGE_UPSERT_SET}
     `;
     
     return this.transaction(() => {
@@ -105,7 +160,8 @@ class ImageModel extends BaseModel {
           data.path, data.filename, data.folder, data.size,
           data.width, data.height, data.format, data.fileType || 'image',
           data.createdAt, data.modifiedAt, data.fileHash,
-          data.thumbnailPath, data.thumbnailSize, Date.now()
+          data.thumbnailPath, data.thumbnailSize, Date.now(),
+          naturalSortKey(data.filename)
         );
       }
     });
@@ -157,65 +213,259 @@ class ImageModel extends BaseModel {
     return count;
   }
 
+  /**
+   * 获取尚未计算内容哈希的图片（按 id 顺序分批读取）
+   * @param {number} afterId - 上一批最后一条记录的 id
+   */
+  findWithoutContentHash(afterId, limit) {
+    return this.findMany(
+      'SELECT id, path, file_hash FROM images WHERE content_hash IS NULL AND id > ? ORDER BY id LIMIT ?',
+      [afterId, limit]
+    );
+  }
+
+  /**
+   * 保存内容哈希；文件在计算期间被修改（file_hash 变化）时不写入
+   */
+  setContentHash(id, fileHash, contentHash) {
+    return this.execute(
+      'UPDATE images SET content_hash = ? WHERE id = ? AND file_hash IS ?',
+      [contentHash, id, fileHash]
+    );
+  }
+
+  /**
+   * 统计内容哈希的计算进度
+   * @returns {{total: number, hashed: number}}
+   */
+  countContentHashes() {
+    return this.findOne('SELECT COUNT(*) as total, COUNT(content_hash) as hashed FROM images');
+  }
+
+  /**
+   * 获取重复文件分组（内容哈希相同的图片），按可释放的空间从大到小排列
+   * 组内按创建时间排列，最早的一份排在最前
+   * @returns {{groups: Array<{hash, size, images}>, total: number, wastedSize: number}}
+   */
+  findDuplicateGroups({ offset = 0, limit = 50 } = {}) {
+    const groupsQuery = `
+      SELECT content_hash, COUNT(*) as count, MAX(size) as size
+      FROM images WHERE content_hash IS NOT NULL
+      GROUP BY content_hash HAVING COUNT(*) > 1
+    `;
+    const summary = this.findOne(
+      `SELECT COUNT(*) as total, COALESCE(SUM(size * (count - 1)), 0) as wastedSize FROM (${groupsQuery})`
+    );
+    const groups = this.findMany(
+      `${groupsQuery} ORDER BY size * (count - 1) DESC, content_hash LIMIT ? OFFSET ?`,
+      [limit, offset]
+    );
+
+    const hashes = groups.map(group => group.content_hash);
+    const images = hashes.length > 0
+      ? this.findMany(
+        `SELECT * FROM images WHERE content_hash IN (${hashes.map(() => '?').join(',')}) ORDER BY created_at, id`,
+        hashes
+      )
+      : [];
+
+    return {
+      groups: groups.map(group => ({
+        hash: group.content_hash,
+        size: group.size,
+        images: images.filter(image => image.content_hash === group.content_hash).map(mapImageForFrontend)
+      })),
+      total: summary.total,
+      wastedSize: summary.wastedSize
+    };
+  }
+
+  /**
+   * 获取所有图片引用的缩略图文件（清理孤立缩略图用）
+   * @returns {Array<{thumbnail_path: string|null, animated_thumbnail_path: string|null}>}
+   */
+  findThumbnailReferences() {
+    return this.findMany('SELECT thumbnail_path, animated_thumbnail_path FROM images');
+  }
+
+  /**
+   * 按 id 顺序分批读取图片的缩略图路径（检查缩略图完整性用）
+   * @param {number} afterId - 上一批最后一条记录的 id
+   */
+  findThumbnailBatch(afterId, limit) {
+    return this.findMany(
+      'SELECT id, path, thumbnail_path, animated_thumbnail_path FROM images WHERE id > ? ORDER BY id LIMIT ?',
+      [afterId, limit]
+    );
+  }
+
+  /**
+   * 获取所有已计算感知哈希的图片（构建相似图片索引用）
+   * @returns {Array<{id: number, perceptual_hash: string}>}
+   */
+  findPerceptualHashes() {
+    return this.findMany("SELECT id, perceptual_hash FROM images WHERE perceptual_hash IS NOT NULL AND perceptual_hash != ''");
+  }
+
+  /**
+   * 游标分页搜索
+   * 多取一条判断是否还有下一页；只有第一页（无游标）统计总数，后续页不再执行 COUNT
+   * @param {Object} filters - 筛选条件
+   * @param {{cursor: {key, id}|null, limit: number}} pagination - 已解析的游标
+   * @private
+   */
+  _searchByCursor(filters, { cursor, limit }) {
+    const { expression, direction } = getSortSpec(filters.sort);
+    const fetchPage = (pageCursor, pageLimit) => {
+      const { query, params } = this._buildSearchQuery(filters, { cursor: pageCursor, limit: pageLimit });
+      return this.findMany(query.replace('SELECT *', `SELECT *, ${expression} AS sort_key`), params);
+    };
+
+    let rows = fetchPage(cursor, limit + 1);
+
+    // 降序时 NULL 排在最后，非 NULL 区间取完后继续补查 NULL 区间
+    if (direction === 'DESC' && cursor && cursor.key !== null && rows.length <= limit) {
+      const nullCursor = { key: null, id: Number.MAX_SAFE_INTEGER };
+      rows = rows.concat(fetchPage(nullCursor, limit + 1 - rows.length));
+    }
+
+    const hasMore = rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    const result = {
+      images: pageRows.map(({ sort_key, ...row }) => mapImageForFrontend(row)),
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(filters.sort, last.sort_key, last.id) : null
+    };
+
+    if (!cursor) {
+      result.total = this.count(filters);
+    }
+
+    return result;
+  }
+
   /**
    * 构建搜索查询
+   * filters.smartAlbum 为智能相册保存的筛选条件，与其它条件同时生效
    */
   _buildSearchQuery(filters = {}, pagination = null) {
     let query = 'SELECT * FROM images WHERE 1=1';
     const params = [];
 
-    // 关键词搜索（AND 逻辑）
+    [filters, filters.smartAlbum].filter(Boolean).forEach(conditionFilters => {
+      const conditions = this._buildConditions(conditionFilters);
+      query += conditions.sql;
+      params.push(...conditions.params);
+    });
+
+    // 游标条件
+    if (pagination && pagination.cursor) {
+      const cursorCondition = buildCursorCondition(filters.sort, pagination.cursor);
+      query += cursorCondition.sql;
+      params.push(...cursorCondition.params);
+    }
+
+    // 排序
+    query += buildOrderBy(filters.sort);
+
+    // 分页
+    if (pagination && pagination.cursor !== undefined) {
+      query += ' LIMIT ?';
+      params.push(pagination.limit);
+    } else if (pagination) {
+      query += ' LIMIT ? OFFSET ?';
+      params.push(pagination.limit, pagination.offset);
+    }
+
+    return { query, params };
+  }
+
+  /**
+   * 构建筛选条件
+   * @returns {{ sql: string, params: Array }} 以 " AND ..." 开头的 SQL 片段
+   * @private
+   */
+  _buildConditions(filters) {
+    let sql = '';
+    const params = [];
+
+    // 搜索框查询：关键词全文检索（文件名、文件夹路径、标签）+ 字段条件（format:png、width>2000 等）
     if (filters.keywords) {
-      const terms = filters.keywords.trim().split(/\s+/);
-      terms.forEach(term => {
-        query += ' AND filename LIKE ?';
-        params.push(`%${term}%`);
-      });
+      const keywordFilter = buildKeywordFilter(filters.keywords);
+      sql += keywordFilter.sql;
+      params.push(...keywordFilter.params);
     }
 
     // 文件夹过滤（包含子文件夹）
     if (filters.folder) {
-      query += ' AND (folder = ? OR folder LIKE ?)';
-      params.push(filters.folder, `${filters.folder}/%`);
+      // 转义 LIKE 通配符，避免文件夹名中的 _ 或 % 匹配到其他文件夹
+      sql += " AND (folder = ? OR folder LIKE ? ESCAPE '\\')";
+      params.push(filters.folder, `${escapeLike(filters.folder)}/%`);
     }
 
     // 格式过滤
     if (filters.formats && filters.formats.length > 0) {
       const placeholders = filters.formats.map(() => '?').join(',');
-      query += ` AND format IN (${placeholders})`;
+      sql += ` AND format IN (${placeholders})`;
       params.push(...filters.formats);
     }
 
     // 大小过滤
     if (filters.minSize) {
-      query += ' AND size >= ?';
+      sql += ' AND size >= ?';
       params.push(filters.minSize);
     }
     if (filters.maxSize) {
-      query += ' AND size <= ?';
+      sql += ' AND size <= ?';
       params.push(filters.maxSize);
     }
 
     // 日期过滤
     if (filters.startDate) {
-      query += ' AND created_at >= ?';
+      sql += ' AND created_at >= ?';
       params.push(filters.startDate);
     }
     if (filters.endDate) {
-      query += ' AND created_at <= ?';
+      sql += ' AND created_at <= ?';
       params.push(filters.endDate);
     }
 
-    // 排序
-    query += ' ORDER BY created_at DESC';
+    // 标签过滤（AND 逻辑，选中父标签时包含其子标签）
+    if (filters.tags && filters.tags.length > 0) {
+      filters.tags.forEach(tagId => {
+        sql += ` AND id IN (${TAGGED_IMAGE_IDS_SQL})`;
+        params.push(tagId);
+      });
+    }
 
-    // 分页
-    if (pagination) {
-      query += ' LIMIT ? OFFSET ?';
-      params.push(pagination.limit, pagination.offset);
+    // 指定图片 id 范围（如相似图片查找的候选结果）
+    if (filters.imageIds) {
+      sql += filters.imageIds.length > 0
+        ? ` AND id IN (${filters.imageIds.map(() => '?').join(',')})`
+        : ' AND 0';
+      params.push(...filters.imageIds);
     }
 
-    return { query, params };
+    // 相册过滤
+    if (filters.albumId) {
+      sql += ' AND id IN (SELECT image_id FROM album_items WHERE album_id = ?)';
+      params.push(filters.albumId);
+    }
+
+    // 仅收藏
+    if (filters.favorite) {
+      sql += ' AND favorite = 1';
+    }
+
+    // 方向 / 评分 / 大小区间过滤
+    const attributeFilters = buildAttributeFilters(filters);
+    sql += attributeFilters.sql;
+    params.push(...attributeFilters.params);
+
+    return { sql, params };
   }
 }
 
@@ -0,0 +1,75 @@
+/**
+ * 智能相册数据模型
+ * 智能相册即保存的搜索条件，存储在 smart_albums 表，图片不单独关联，每次按条件实时查询
+ */
+
+const BaseModel = require('./BaseModel');
+const { mapSmartAlbumForFrontend } = require('../utils/fieldMapper');
+
+class SmartAlbumModel extends BaseModel {
+  /**
+   * 获取所有智能相册
+   */
+  findAll() {
+    return this.findMany('SELECT * FROM smart_albums ORDER BY name COLLATE NOCASE')
+      .map(mapSmartAlbumForFrontend);
+  }
+
+  /**
+   * 根据 ID 查找智能相册
+   */
+  findById(id) {
+    const album = this.findOne('SELECT * FROM smart_albums WHERE id = ?', [id]);
+    return album ? mapSmartAlbumForFrontend(album) : null;
+  }
+
+  /**
+   * 根据名称查找智能相册（忽略大小写）
+   */
+  findByName(name) {
+    const album = this.findOne('SELECT * FROM smart_albums WHERE name = ?', [name]);
+    return album ? mapSmartAlbumForFrontend(album) : null;
+  }
+
+  /**
+   * 创建智能相册
+   */
+  insert(data) {
+    const now = Date.now();
+    const result = this.execute(
+      'INSERT INTO smart_albums (name, query, created_at, updated_at) VALUES (?, ?, ?, ?)',
+      [data.name, JSON.stringify(data.query), now, now]
+    );
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * 更新智能相册（name / query）
+   */
+  update(id, data) {
+    const fields = ['updated_at = ?'];
+    const params = [Date.now()];
+
+    if (data.name !== undefined) {
+      fields.push('name = ?');
+      params.push(data.name);
+    }
+    if (data.query !== undefined) {
+      fields.push('query = ?');
+      params.push(JSON.stringify(data.query));
+    }
+
+    params.push(id);
+    this.execute(`UPDATE smart_albums SET ${fields.join(', ')} WHERE id = ?`, params);
+    return this.findById(id);
+  }
+
+  /**
+   * 删除智能相册
+   */
+  delete(id) {
+    return this.execute('DELETE FROM smart_albums WHERE id = ?', [id]);
+  }
+}
+
+module.exports = SmartAlbumModel;
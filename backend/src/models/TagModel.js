@@ -0,0 +1,253 @@
+/**
+ * 标签数据模型
+ * 标签存储在 tags 表，图片与标签的关联存储在 image_tags 表
+ * images.tags 列保留标签名的 JSON 副本，每次关联变化后同步
+ */
+
+const BaseModel = require('./BaseModel');
+const { mapTagForFrontend } = require('../utils/fieldMapper');
+
+class TagModel extends BaseModel {
+  /**
+   * 获取所有标签（包含直接关联的图片数量）
+   */
+  findAll() {
+    const query = `
+      SELECT t.*, COUNT(it.image_id) as image_count
+      FROM tags t
+      LEFT JOIN image_tags it ON it.tag_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name COLLATE NOCASE
+    `;
+    return this.findMany(query).map(mapTagForFrontend);
+  }
+
+  /**
+   * 获取标签树
+   */
+  getTree() {
+    return this._buildTree(this.findAll());
+  }
+
+  /**
+   * 根据 ID 查找标签
+   */
+  findById(id) {
+    const tag = this.findOne('SELECT * FROM tags WHERE id = ?', [id]);
+    return tag ? mapTagForFrontend(tag) : null;
+  }
+
+  /**
+   * 根据名称查找标签（忽略大小写）
+   */
+  findByName(name) {
+    const tag = this.findOne('SELECT * FROM tags WHERE name = ?', [name]);
+    return tag ? mapTagForFrontend(tag) : null;
+  }
+
+  /**
+   * 根据名称批量查找标签
+   */
+  findByNames(names) {
+    if (names.length === 0) return [];
+    const placeholders = names.map(() => '?').join(',');
+    return this.findMany(`SELECT * FROM tags WHERE name IN (${placeholders})`, names)
+      .map(mapTagForFrontend);
+  }
+
+  /**
+   * 创建标签
+   */
+  insert(data) {
+    const result = this.execute(
+      'INSERT INTO tags (name, parent_id, color, created_at) VALUES (?, ?, ?, ?)',
+      [data.name, data.parentId || null, data.color || null, Date.now()]
+    );
+    return this.findById(result.lastInsertRowid);
+  }
+
+  /**
+   * 更新标签（name / parentId / color）
+   */
+  update(id, data) {
+    const columns = { name: 'name', parentId: 'parent_id', color: 'color' };
+    const fields = [];
+    const params = [];
+
+    Object.entries(columns).forEach(([key, column]) => {
+      if (data[key] !== undefined) {
+        fields.push(`${column} = ?`);
+        params.push(data[key] === '' ? null : data[key]);
+      }
+    });
+
+    if (fields.length > 0) {
+      params.push(id);
+      this.execute(`UPDATE tags SET ${fields.join(', ')} WHERE id = ?`, params);
+    }
+
+    // 重命名后需要刷新 images.tags 副本
+    if (data.name !== undefined) {
+      this.syncImageTagsColumn(this.getImageIdsByTag(id));
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * 删除标签（关联记录由外键级联删除，子标签提升为顶级）
+   */
+  delete(id) {
+    return this.transaction(() => {
+      const imageIds = this.getImageIdsByTag(id);
+      const result = this.execute('DELETE FROM tags WHERE id = ?', [id]);
+      this.syncImageTagsColumn(imageIds);
+      return result;
+    });
+  }
+
+  /**
+   * 按名称获取标签 ID，不存在的自动创建
+   * @param {Array<string>} names - 已规范化的标签名
+   * @returns {Array<number>}
+   */
+  ensureTags(names) {
+    return this.transaction(() => names.map(name => {
+      const existing = this.findByName(name);
+      return existing ? existing.id : this.insert({ name }).id;
+    }));
+  }
+
+  /**
+   * 获取带有某个标签的所有图片 ID
+   */
+  getImageIdsByTag(tagId) {
+    return this.findMany('SELECT image_id FROM image_tags WHERE tag_id = ?', [tagId])
+      .map(row => row.image_id);
+  }
+
+  /**
+   * 根据路径获取图片 ID
+   * @returns {Map<string, number>} path → id
+   */
+  getImageIdsByPaths(paths) {
+    const map = new Map();
+    const stmt = this.db.prepare('SELECT id FROM images WHERE path = ?');
+    for (const imagePath of paths) {
+      const row = stmt.get(imagePath);
+      if (row) map.set(imagePath, row.id);
+    }
+    return map;
+  }
+
+  /**
+   * 批量为图片添加标签
+   */
+  addTagsToImages(imageIds, tagIds) {
+    return this.transaction(() => {
+      const stmt = this.db.prepare('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)');
+      let added = 0;
+      for (const imageId of imageIds) {
+        for (const tagId of tagIds) {
+          added += stmt.run(imageId, tagId).changes;
+        }
+      }
+      this.syncImageTagsColumn(imageIds);
+      return added;
+    });
+  }
+
+  /**
+   * 批量移除图片的标签
+   */
+  removeTagsFromImages(imageIds, tagIds) {
+    return this.transaction(() => {
+      const stmt = this.db.prepare('DELETE FROM image_tags WHERE image_id = ? AND tag_id = ?');
+      let removed = 0;
+      for (const imageId of imageIds) {
+        for (const tagId of tagIds) {
+          removed += stmt.run(imageId, tagId).changes;
+        }
+      }
+      this.syncImageTagsColumn(imageIds);
+      return removed;
+    });
+  }
+
+  /**
+   * 替换图片的全部标签
+   */
+  setImageTags(imageId, tagIds) {
+    return this.transaction(() => {
+      this.execute('DELETE FROM image_tags WHERE image_id = ?', [imageId]);
+      const stmt = this.db.prepare('INSERT OR IGNORE INTO image_tags (image_id, tag_id) VALUES (?, ?)');
+      for (const tagId of tagIds) {
+        stmt.run(imageId, tagId);
+      }
+      this.syncImageTagsColumn([imageId]);
+    });
+  }
+
+  /**
+   * 将关联表中的标签名同步到 images.tags 列（JSON 数组）
+   */
+  syncImageTagsColumn(imageIds) {
+    if (!imageIds || imageIds.length === 0) return;
+
+    const stmt = this.db.prepare(`
+      UPDATE images SET tags = (
+        SELECT COALESCE(json_group_array(name), '[]') FROM (
+          SELECT t.name FROM image_tags it
+          JOIN tags t ON t.id = it.tag_id
+          WHERE it.image_id = images.id
+          ORDER BY t.name COLLATE NOCASE
+        )
+      )
+      WHERE id = ?
+    `);
+    for (const imageId of imageIds) {
+      stmt.run(imageId);
+    }
+  }
+
+  /**
+   * 检查 candidateId 是否是 tagId 自身或其子孙标签（用于防止循环引用）
+   */
+  isSelfOrDescendant(tagId, candidateId) {
+    const row = this.findOne(`
+      WITH RECURSIVE tag_tree(id) AS (
+        SELECT ? UNION ALL SELECT tags.id FROM tags JOIN tag_tree ON tags.parent_id = tag_tree.id
+      )
+      SELECT 1 as found FROM tag_tree WHERE id = ?
+    `, [tagId, candidateId]);
+    return !!row;
+  }
+
+  /**
+   * 构建标签树
+   */
+  _buildTree(tags) {
+    const tagMap = new Map();
+    const rootTags = [];
+
+    // 第一遍：创建映射
+    tags.forEach(tag => {
+      tagMap.set(tag.id, { ...tag, children: [] });
+    });
+
+    // 第二遍：构建树结构
+    tags.forEach(tag => {
+      const node = tagMap.get(tag.id);
+      const parent = tag.parentId ? tagMap.get(tag.parentId) : null;
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        rootTags.push(node);
+      }
+    });
+
+    return rootTags;
+  }
+}
+
+module.exports = TagModel;
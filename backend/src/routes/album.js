@@ -0,0 +1,135 @@
+/**
+ * 相册路由
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let albumService;
+
+router.use((req, res, next) => {
+  if (!albumService) {
+    albumService = req.app.get('albumService');
+  }
+  next();
+});
+
+// 修改需要该素材库的编辑者权限（素材库 ID 在请求体或查询参数中，/:id 为相册 ID）
+const requireEditor = requireLibraryRole('editor', (req) => req.query.libraryId || req.body?.libraryId);
+
+/**
+ * 解析相册 ID 参数
+ */
+function parseAlbumId(value, field = 'id') {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    throw new ValidationError('Invalid album id', field);
+  }
+  return id;
+}
+
+/**
+ * 获取请求中的素材库 ID（/:id 路由不能使用 validateLibraryId，它会优先读取 req.params.id）
+ */
+function getLibraryId(req) {
+  const libraryId = req.query.libraryId || req.body?.libraryId;
+  if (!libraryId) {
+    throw new ValidationError('Library ID is required', 'libraryId');
+  }
+  return libraryId;
+}
+
+/**
+ * 校验图片路径列表
+ */
+function getPaths(req) {
+  const { paths } = req.body;
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new ValidationError('paths is required', 'paths');
+  }
+  return paths;
+}
+
+/**
+ * 获取相册列表（包含图片数量）
+ * GET /api/album?libraryId=xxx
+ */
+router.get('/', validateLibraryId, asyncHandler(async (req, res) => {
+  const albums = await albumService.getAlbums(req.libraryId);
+  res.json({ success: true, data: { albums } });
+}));
+
+/**
+ * 创建相册
+ * POST /api/album
+ * Body: { libraryId, name, paths?: [string] }
+ */
+router.post('/', validateLibraryId, requireEditor, asyncHandler(async (req, res) => {
+  const { name, paths } = req.body;
+  const album = await albumService.createAlbum(req.libraryId, {
+    name,
+    paths: Array.isArray(paths) ? paths : []
+  });
+  res.json({ success: true, data: album });
+}));
+
+/**
+ * 调整相册顺序
+ * PUT /api/album/order
+ * Body: { libraryId, ids: [number] }
+ */
+router.put('/order', validateLibraryId, requireEditor, asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+  if (!Array.isArray(ids)) {
+    throw new ValidationError('ids is required', 'ids');
+  }
+
+  const albums = await albumService.reorderAlbums(req.libraryId, ids.map(id => parseAlbumId(id, 'ids')));
+  res.json({ success: true, data: { albums } });
+}));
+
+/**
+ * 重命名相册
+ * PUT /api/album/:id
+ * Body: { libraryId, name }
+ */
+router.put('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const album = await albumService.renameAlbum(getLibraryId(req), parseAlbumId(req.params.id), req.body.name);
+  res.json({ success: true, data: album });
+}));
+
+/**
+ * 删除相册（图片本身不受影响）
+ * DELETE /api/album/:id?libraryId=xxx
+ */
+router.delete('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const result = await albumService.deleteAlbum(getLibraryId(req), parseAlbumId(req.params.id));
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 批量将图片加入相册
+ * POST /api/album/:id/items
+ * Body: { libraryId, paths: [string] }
+ */
+router.post('/:id/items', requireEditor, asyncHandler(async (req, res) => {
+  const result = await albumService.addImages(getLibraryId(req), parseAlbumId(req.params.id), getPaths(req));
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 批量将图片移出相册
+ * POST /api/album/:id/items/remove
+ * Body: { libraryId, paths: [string] }
+ */
+router.post('/:id/items/remove', requireEditor, asyncHandler(async (req, res) => {
+  const result = await albumService.removeImages(getLibraryId(req), parseAlbumId(req.params.id), getPaths(req));
+  res.json({ success: true, data: result });
+}));
+
+module.exports = router;
@@ -4,6 +4,13 @@
 
 const express = require('express');
 const router = express.Router();
+const { AppError } = require('../middleware/errorHandler');
+
+// 记录在会话中的客户端信息
+const getClient = (req) => ({
+  ip: req.ip || req.connection.remoteAddress || 'unknown',
+  userAgent: req.headers['user-agent']
+});
 
 /**
  * GET /api/auth/status
@@ -23,15 +30,48 @@ router.get('/status', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/auth/me
+ * 获取当前用户（需要认证），未设置密码时返回 null
+ */
+router.get('/me', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: req.user || null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/asset-key
+ * 获取资源签名密钥（需要认证）：缩略图、原图和预览图 URL 需要带上 ?kid=&exp=&sig= 才能由 <img> 直接加载，
+ * 签名由前端用该密钥逐个计算；密钥与当前登录会话绑定
+ * 返回 { keyId, key, ttlMs, windowMs }，未设置密码时 keyId 为 null
+ */
+router.get('/asset-key', async (req, res, next) => {
+  try {
+    const authService = req.app.get('authService');
+    res.json({
+      success: true,
+      data: authService.getAssetKey(req.user, req.sessionId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/auth/setup
- * 首次设置密码
- * Body: { password: string }
+ * 首次设置密码，创建系统管理员
+ * Body: { username?: string, password: string }
  */
 router.post('/setup', async (req, res, next) => {
   try {
     const authService = req.app.get('authService');
-    const { password } = req.body;
+    const { username, password } = req.body;
 
     if (!password) {
       return res.status(400).json({
@@ -40,7 +80,7 @@ router.post('/setup', async (req, res, next) => {
       });
     }
 
-    const result = await authService.setupPassword(password);
+    const result = await authService.setupPassword(password, username || undefined, getClient(req));
     
     res.json({
       success: true,
@@ -54,23 +94,23 @@ router.post('/setup', async (req, res, next) => {
 /**
  * POST /api/auth/login
  * 登录验证
- * Body: { password: string }
+ * Body: { username: string, password: string }
  */
 router.post('/login', async (req, res, next) => {
   try {
     const authService = req.app.get('authService');
-    const { password } = req.body;
+    const { username, password } = req.body;
 
-    if (!password) {
+    if (!username || !password) {
       return res.status(400).json({
         success: false,
-        error: { message: '密码不能为空' }
+        error: { message: '用户名和密码不能为空' }
       });
     }
 
     // 获取客户端 IP（用于防暴力破解）
-    const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
-    const result = await authService.login(password, clientIP);
+    const { ip, userAgent } = getClient(req);
+    const result = await authService.login(username, password, ip, userAgent);
     
     res.json({
       success: true,
@@ -83,8 +123,9 @@ router.post('/login', async (req, res, next) => {
 
 /**
  * POST /api/auth/change-password
- * 修改密码（需要认证）
+ * 修改当前用户的密码（需要认证），修改后退出该用户的所有会话
  * Body: { oldPassword: string, newPassword: string }
+ * 返回当前客户端的新 { token, refreshToken }
  */
 router.post('/change-password', async (req, res, next) => {
   try {
@@ -98,7 +139,7 @@ router.post('/change-password', async (req, res, next) => {
       });
     }
 
-    const result = await authService.changePassword(oldPassword, newPassword);
+    const result = await authService.changePassword(req.user && req.user.id, oldPassword, newPassword, getClient(req));
     
     res.json({
       success: true,
@@ -109,4 +150,110 @@ router.post('/change-password', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * 用刷新令牌换取新的访问 Token（不需要访问 Token），刷新令牌每次都会轮换
+ * Body: { refreshToken: string }
+ * 返回 { token, refreshToken }；刷新令牌无效、已被轮换或会话已退出时返回 401
+ */
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const authService = req.app.get('authService');
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: { message: '刷新令牌不能为空' }
+      });
+    }
+
+    const result = authService.refresh(refreshToken, getClient(req));
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * 退出当前会话（使用 API 令牌或未设置密码时不做任何操作）
+ */
+router.post('/logout', async (req, res, next) => {
+  try {
+    if (req.sessionId) {
+      const sessionService = req.app.get('sessionService');
+      sessionService.revokeSession(req.sessionId, req.user.id);
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 会话管理需要已登录的用户
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('未设置密码，请先设置密码', 400, 'PASSWORD_NOT_SET'));
+  }
+  next();
+};
+
+/**
+ * GET /api/auth/sessions
+ * 获取当前用户的登录会话
+ * 返回 [{ id, ip, userAgent, createdAt, lastSeenAt, expiresAt, current }]
+ */
+router.get('/sessions', requireUser, async (req, res, next) => {
+  try {
+    const sessionService = req.app.get('sessionService');
+
+    res.json({
+      success: true,
+      data: sessionService.listSessions(req.user.id, req.sessionId)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * 退出当前用户的一个会话
+ */
+router.delete('/sessions/:id', requireUser, async (req, res, next) => {
+  try {
+    const sessionService = req.app.get('sessionService');
+    sessionService.revokeSession(req.params.id, req.user.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * 退出当前用户的其他所有会话（保留当前会话）
+ * 返回 { revoked: number }
+ */
+router.delete('/sessions', requireUser, async (req, res, next) => {
+  try {
+    const sessionService = req.app.get('sessionService');
+    const revoked = sessionService.revokeAllSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { revoked }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * 重复文件路由（挂载在 /api/image/duplicates）
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLibraryId, validatePagination } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let duplicateService;
+
+router.use((req, res, next) => {
+  if (!duplicateService) {
+    duplicateService = req.app.get('duplicateService');
+  }
+  next();
+});
+
+/**
+ * 获取重复文件分组（内容哈希相同的图片），按可释放空间从大到小排列
+ * GET /api/image/duplicates?libraryId=xxx&offset=0&limit=50
+ * 只包含已计算内容哈希的图片，需先通过 POST /api/image/duplicates/hash 计算
+ */
+router.get('/', validateLibraryId, validatePagination, asyncHandler(async (req, res) => {
+  const result = duplicateService.getDuplicates(req.libraryId, req.pagination);
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 获取内容哈希任务进度
+ * GET /api/image/duplicates/hash?libraryId=xxx
+ */
+router.get('/hash', validateLibraryId, asyncHandler(async (req, res) => {
+  const status = duplicateService.getHashStatus(req.libraryId);
+  res.json({ success: true, data: status });
+}));
+
+/**
+ * 启动内容哈希任务（后台执行，只计算新增或修改过的图片）
+ * POST /api/image/duplicates/hash
+ * Body: { libraryId }
+ */
+router.post('/hash', validateLibraryId, requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const status = duplicateService.startHashJob(req.libraryId);
+  res.json({ success: true, data: status });
+}));
+
+/**
+ * 停止内容哈希任务
+ * DELETE /api/image/duplicates/hash?libraryId=xxx
+ */
+router.delete('/hash', validateLibraryId, requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const status = duplicateService.stopHashJob(req.libraryId);
+  res.json({ success: true, data: status });
+}));
+
+module.exports = router;
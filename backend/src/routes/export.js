@@ -0,0 +1,128 @@
+/**
+ * 导出路由
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireAdmin } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let exportService;
+
+router.use((req, res, next) => {
+  if (!exportService) {
+    exportService = req.app.get('exportService');
+  }
+  next();
+});
+
+/**
+ * 获取导出预设列表
+ * GET /api/export/presets
+ */
+router.get('/presets', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: exportService.listPresets() });
+}));
+
+/**
+ * 创建导出预设（预设全局共享，需要系统管理员权限）
+ * POST /api/export/presets
+ * Body: { name, format, quality, maxWidth, maxHeight, stripMetadata, watermark, filenameTemplate }
+ */
+router.post('/presets', requireAdmin, asyncHandler(async (req, res) => {
+  const preset = exportService.createPreset(req.body);
+  res.json({ success: true, data: preset });
+}));
+
+/**
+ * 更新导出预设（需要系统管理员权限）
+ * PUT /api/export/presets/:id
+ */
+router.put('/presets/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const preset = exportService.updatePreset(req.params.id, req.body);
+  res.json({ success: true, data: preset });
+}));
+
+/**
+ * 删除导出预设（需要系统管理员权限）
+ * DELETE /api/export/presets/:id
+ */
+router.delete('/presets/:id', requireAdmin, asyncHandler(async (req, res) => {
+  exportService.deletePreset(req.params.id);
+  res.json({ success: true });
+}));
+
+/**
+ * 创建 ZIP 导出
+ * POST /api/export/zip
+ * Body: { libraryId, paths: [string] } 按选择导出
+ *   或 { libraryId, query: { folder, album, smartAlbum, keywords, ... } } 按文件夹、相册或搜索条件导出（参数与 GET /api/image 相同）
+ *   compression: 'store'（默认，仅存储，可断点续传）| 'deflate'
+ *   presetId: 导出预设（可选）；archive: false 时只导出一个文件，直接下载该文件
+ * 返回 { id, url, filename, count, totalSize, size, compression, presetId, archive, expiresAt }，
+ * 浏览器直接下载 url（GET，流式输出），进度通过 Socket.IO 的 exportProgress 推送
+ */
+router.post('/zip', validateLibraryId, asyncHandler(async (req, res) => {
+  const { paths, query, compression, presetId, archive } = req.body;
+  const result = await exportService.createZipExport(req.libraryId, { paths, query, compression, presetId, archive }, req.user);
+  res.json({ success: true, data: { ...result, url: `/api/export/zip/${result.id}` } });
+}));
+
+/**
+ * 下载 ZIP（流式输出，不在服务器上生成临时文件）
+ * GET /api/export/zip/:id
+ * store 模式返回 Content-Length 并支持 Range / If-Range 断点续传；链接在有效期内可以重复下载
+ * archive 为 false 的导出直接返回单个文件（同样流式输出，不使用预设时支持断点续传）
+ */
+router.get('/zip/:id', asyncHandler(async (req, res) => {
+  const record = exportService.getZipExport(req.params.id);
+  res.set('Cache-Control', 'no-store');
+
+  let range = {};
+  if (record.size !== null) {
+    const etag = `"${record.id}-${record.size}"`;
+    res.set('Accept-Ranges', 'bytes');
+    res.set('ETag', etag);
+
+    // If-Range 不匹配时（链接对应的内容变了）返回完整内容
+    const ifRange = req.headers['if-range'];
+    const ranges = req.headers.range && (!ifRange || ifRange === etag) ? req.range(record.size) : null;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${record.size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = { start: ranges[0].start, end: ranges[0].end };
+      res.status(206);
+      res.set('Content-Range', `bytes ${range.start}-${range.end}/${record.size}`);
+      res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+      res.set('Content-Length', String(record.size));
+    }
+  }
+
+  // 单个文件使用预设时，文件名在转换后才能确定
+  const { filename, stream } = record.archive
+    ? { filename: record.filename, stream: exportService.createZipExportStream(record.id, range) }
+    : await exportService.createExportFileStream(record.id, range);
+  res.attachment(filename);
+
+  // 浏览器取消下载时停止读取文件
+  res.on('close', () => stream.destroy());
+  stream.on('error', () => res.destroy());
+  stream.pipe(res);
+}));
+
+/**
+ * 获取导出记录
+ * GET /api/export/zip/:id/info
+ */
+router.get('/zip/:id/info', asyncHandler(async (req, res) => {
+  const record = exportService.getZipExport(req.params.id);
+  res.json({ success: true, data: { ...record, url: `/api/export/zip/${record.id}` } });
+}));
+
+module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * 导出路由测试（单个文件下载的流式输出和断点续传）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const express = require('express');
+const { errorHandler } = require('../middleware/errorHandler');
+const exportRouter = require('./export');
+
+const content = fs.readFileSync(__filename);
+
+// 单个文件导出（不使用预设），内容为本测试文件
+const record = { id: 'e1', archive: false, filename: 'a.js', size: content.length };
+const exportService = {
+  getZipExport: () => record,
+  createExportFileStream: async (id, { start = 0, end } = {}) => ({
+    filename: record.filename,
+    stream: fs.createReadStream(__filename, { start, end })
+  })
+};
+
+describe('单个文件下载', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.set('exportService', exportService);
+    app.use('/api/export', exportRouter);
+    app.use(errorHandler);
+
+    server = await new Promise((resolve) => {
+      const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('返回完整文件和 Content-Length', async () => {
+    const response = await fetch(`${baseUrl}/api/export/zip/e1`);
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('content-length'), String(content.length));
+    assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+    assert.match(response.headers.get('content-disposition'), /a\.js/);
+    assert.ok(body.equals(content));
+  });
+
+  it('支持 Range 断点续传', async () => {
+    const response = await fetch(`${baseUrl}/api/export/zip/e1`, { headers: { Range: 'bytes=10-99' } });
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers.get('content-range'), `bytes 10-99/${content.length}`);
+    assert.ok(body.equals(content.subarray(10, 100)));
+  });
+
+  it('If-Range 不匹配时返回完整文件', async () => {
+    const response = await fetch(`${baseUrl}/api/export/zip/e1`, { headers: { Range: 'bytes=10-99', 'If-Range': '"other"' } });
+    const body = Buffer.from(await response.arrayBuffer());
+    assert.strictEqual(response.status, 200);
+    assert.ok(body.equals(content));
+  });
+});
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
 
 // 服务实例（从 app 中获取）
 let fileService;
@@ -17,6 +18,9 @@ router.use((req, res, next) => {
   next();
 });
 
+// 所有文件操作都需要编辑者权限
+router.use(requireLibraryRole('editor'));
+
 /**
  * 删除文件或文件夹（移到临时文件夹，5分钟内可撤销）
  * DELETE /api/file/delete
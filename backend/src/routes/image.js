@@ -5,11 +5,11 @@
 
 const express = require('express');
 const router = express.Router();
-const path = require('path');
-const fs = require('fs');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
 const { validatePagination } = require('../middleware/validator');
-const { getFlypicPath } = require('../config');
+const { normalizeSort } = require('../utils/sortUtils');
+const { parseImageFilters } = require('../utils/filterUtils');
 
 // 服务实例（从 app 中获取）
 let imageService;
@@ -21,23 +21,42 @@ router.use((req, res, next) => {
   next();
 });
 
+// 游标分页未指定 limit 时的默认页大小
+const DEFAULT_CURSOR_LIMIT = 100;
+
 /**
  * 搜索图片
- * GET /api/image?libraryId=xxx&keywords=xxx&folder=xxx&offset=0&limit=100
+ * GET /api/image?libraryId=xxx&keywords=xxx&folder=xxx&tags=1,2&album=2&favorite=1
+ *   &orientations=horizontal,square&ratings=4,5&sizes=0-1048576,10485760-&animated=1&color=%23RRGGBB&tolerance=20&smartAlbum=3
+ *   &sort=filename&order=asc&seed=123&offset=0&limit=100
+ * animated=1 只返回动图（GIF / WebP 动画）；album 为相册 id（只返回该相册中的图片）；smartAlbum 为智能相册 id，相册保存的条件与其它参数同时生效
+ * keywords 为搜索查询：关键词在文件名、文件夹路径和标签中全文检索，支持 "短语"、OR、-排除、前缀*，
+ *   以及 format:png width>2000 rating>=4 tag:logo date:2024-01..2024-06 camera:canon iso>=800 等字段条件（语法见 src/shared/searchQuery.mjs），
+ *   语法错误时返回 400；sort=relevance 按相关度排序
+ * color 按主色筛选：图片任一主色与该颜色的 Lab 距离（ΔE）不超过 tolerance（默认 20）；未指定 sort 时按颜色接近程度排序（等同 sort=color）
+ * 游标分页：以 cursor=（空）请求第一页，之后传入上一页返回的 nextCursor；仅第一页返回 total
+ *   GET /api/image?libraryId=xxx&cursor=&limit=100
  */
 router.get('/', 
   validatePagination,
   asyncHandler(async (req, res) => {
-    const { libraryId, keywords, folder, formats, offset, limit } = req.query;
+    const { libraryId, keywords, smartAlbum, sort, order, seed, cursor, offset, limit } = req.query;
 
-    const filters = {};
-    if (keywords) filters.keywords = keywords;
-    if (folder) filters.folder = folder;
-    if (formats) filters.formats = formats.split(',');
+    const filters = parseImageFilters(req.query);
+    if (smartAlbum) filters.smartAlbumId = parseInt(smartAlbum, 10);
+    if (sort || order) {
+      filters.sort = normalizeSort({ field: sort, order, seed, query: keywords, color: filters.color });
+    } else if (filters.color) {
+      // 按颜色筛选且未指定排序时，颜色最接近的排在最前
+      filters.sort = normalizeSort({ field: 'color', color: filters.color });
+    }
 
-    const pagination = (offset !== undefined && limit !== undefined)
-      ? { offset: parseInt(offset), limit: parseInt(limit) }
-      : null;
+    let pagination = null;
+    if (cursor !== undefined) {
+      pagination = { cursor, limit: limit !== undefined ? parseInt(limit) : DEFAULT_CURSOR_LIMIT };
+    } else if (offset !== undefined && limit !== undefined) {
+      pagination = { offset: parseInt(offset), limit: parseInt(limit) };
+    }
 
     const result = await imageService.searchImages(libraryId, filters, pagination);
     res.json({ success: true, data: result });
@@ -84,6 +103,73 @@ router.get('/cache-meta', asyncHandler(async (req, res) => {
   res.json({ success: true, data: meta });
 }));
 
+/**
+ * 获取图片的 EXIF / IPTC / XMP 元数据（相机、镜头、曝光、拍摄时间、GPS、关键词、说明等）
+ * GET /api/image/meta?libraryId=xxx&path=folder/a.jpg
+ * 图片尚未提取元数据时 data 为 null
+ */
+router.get('/meta', asyncHandler(async (req, res) => {
+  const { libraryId, path: imagePath } = req.query;
+
+  if (!libraryId || !imagePath) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少必要参数: libraryId, path'
+    });
+  }
+
+  const meta = await imageService.getImageMeta(libraryId, imagePath);
+  res.json({ success: true, data: meta });
+}));
+
+/**
+ * 获取图片主色
+ * GET /api/image/colors?libraryId=xxx&path=folder/a.jpg
+ * 返回 { colors: [{ hex, ratio }] }，按占比从大到小排列
+ */
+router.get('/colors', asyncHandler(async (req, res) => {
+  const { libraryId, path: imagePath } = req.query;
+
+  if (!libraryId || !imagePath) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少必要参数: libraryId, path'
+    });
+  }
+
+  const colors = await imageService.getImageColors(libraryId, imagePath);
+  res.json({ success: true, data: { colors } });
+}));
+
+/**
+ * 查找相似图片（感知哈希汉明距离，BK 树索引）
+ * GET /api/image/:id/similar?libraryId=xxx&threshold=10&limit=100
+ * threshold 为最大汉明距离（0-64，越小越相似），可同时传入搜索接口的筛选参数（keywords、folder、tags 等）
+ * 返回 { image, images, total, threshold }，images 按距离从近到远排列并附带 distance
+ */
+router.get('/:id/similar', asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { libraryId, smartAlbum } = req.query;
+  const threshold = parseInt(req.query.threshold, 10);
+  const limit = parseInt(req.query.limit, 10);
+
+  if (!libraryId || isNaN(id)) {
+    return res.status(400).json({
+      success: false,
+      message: '缺少必要参数: libraryId, id'
+    });
+  }
+
+  const filters = parseImageFilters(req.query);
+  if (smartAlbum) filters.smartAlbumId = parseInt(smartAlbum, 10);
+
+  const result = await imageService.findSimilarImages(libraryId, id, filters, {
+    threshold: isNaN(threshold) ? undefined : Math.max(threshold, 0),
+    limit: isNaN(limit) ? undefined : Math.max(limit, 1)
+  });
+  res.json({ success: true, data: result });
+}));
+
 /**
  * 获取图片详情
  * GET /api/image/:id?libraryId=xxx
@@ -97,82 +183,49 @@ router.get('/:id', asyncHandler(async (req, res) => {
 
 /**
  * 获取缩略图
- * GET /api/image/thumbnail/:libraryId/:filename
+ * GET /api/image/thumbnail/:libraryId/:filename?h=200
  * 使用分片结构：.flypic/thumbnails/ab/hash.webp
+ * h 为需要的高度，返回不小于它的最小档位（200 / 480 / 800），其它档位在第一次请求时生成并缓存
+ * 设置访问密码后需要 Authorization 或 URL 签名（?kid=&exp=&sig=），并需要该素材库的浏览权限
  */
-router.get('/thumbnail/:libraryId/:filename', (req, res) => {
+router.get('/thumbnail/:libraryId/:filename', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { libraryId, filename } = req.params;
-  
-  try {
-    const config = require('../../utils/config').loadConfig();
-    
-    // 尝试两种方式查找：数字和字符串
-    let library = config.libraries.find(lib => lib.id === parseInt(libraryId));
-    if (!library) {
-      library = config.libraries.find(lib => lib.id == libraryId);
-    }
-    
-    if (!library) {
-      return res.status(404).send('Library not found');
-    }
-    
-    // 使用分片结构：取文件名前2个字符作为分片目录
-    const hash = filename.replace(/\.[^/.]+$/, '');
-    const shard = hash.slice(0, 2);
-    const flypicPath = getFlypicPath(library.path);
-    const thumbnailPath = path.join(flypicPath, 'thumbnails', shard, filename);
-    
-    if (!fs.existsSync(thumbnailPath)) {
-      return res.status(404).send('Thumbnail not found');
-    }
-    
-    res.sendFile(thumbnailPath);
-  } catch (error) {
-    console.error('❌ 缩略图错误:', error.message);
-    res.status(500).send('Error serving thumbnail');
-  }
-});
+  const height = req.query.h === undefined ? undefined : parseInt(req.query.h, 10);
+
+  const thumbnailPath = await imageService.getThumbnailFile(libraryId, filename, height);
+  res.sendFile(thumbnailPath);
+}));
 
 /**
  * 获取原图
  * GET /api/image/original/:libraryId/:path
+ * 设置访问密码后需要 Authorization 或 URL 签名（?kid=&exp=&sig=，见 GET /api/auth/asset-key）和该素材库的浏览权限；路径不能超出素材库目录
  */
-router.get('/original/:libraryId/*', (req, res) => {
+router.get('/original/:libraryId/*', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { libraryId } = req.params;
-  const imagePath = req.params[0]; // 获取通配符匹配的路径
-  
-  try {
-    const config = require('../../utils/config').loadConfig();
-    
-    // 尝试两种方式查找：数字和字符串
-    let library = config.libraries.find(lib => lib.id === parseInt(libraryId));
-    if (!library) {
-      library = config.libraries.find(lib => lib.id == libraryId);
-    }
-    
-    if (!library) {
-      return res.status(404).send('Library not found');
-    }
-    
-    const fullPath = path.join(library.path, imagePath);
-    
-    if (!fs.existsSync(fullPath)) {
-      return res.status(404).send('Image not found');
-    }
-    
-    res.sendFile(fullPath);
-  } catch (error) {
-    console.error('Error serving original image:', error);
-    res.status(500).send('Error serving image');
-  }
-});
+  const fullPath = imageService.getOriginalFile(libraryId, req.params[0]);
+  res.sendFile(fullPath);
+}));
+
+/**
+ * 获取设计文件、文档某一页的预览图（PSD、PDF 等，文件查看器逐页浏览用）
+ * GET /api/image/preview/:libraryId/:path?page=1
+ * 只支持扫描时记录了页数（pageCount）的文件，按需渲染并缓存
+ */
+router.get('/preview/:libraryId/*', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
+  const { libraryId } = req.params;
+  const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+
+  const previewPath = await imageService.getPreviewFile(libraryId, req.params[0], page);
+  res.sendFile(previewPath);
+}));
 
 /**
  * 更新图片评分
  * PUT /api/image/rating
  * Body: { libraryId, paths: [string], rating: number }
  */
-router.put('/rating', asyncHandler(async (req, res) => {
+router.put('/rating', requireLibraryRole('editor'), asyncHandler(async (req, res) => {
   const { libraryId, paths, rating } = req.body;
   
   if (!libraryId || !paths || !Array.isArray(paths) || paths.length === 0) {
@@ -193,4 +246,30 @@ router.put('/rating', asyncHandler(async (req, res) => {
   res.json({ success: true, data: result });
 }));
 
+/**
+ * 更新图片收藏状态
+ * PUT /api/image/favorite
+ * Body: { libraryId, paths: [string], favorite: boolean }
+ */
+router.put('/favorite', requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const { libraryId, paths, favorite } = req.body;
+  
+  if (!libraryId || !paths || !Array.isArray(paths) || paths.length === 0) {
+    return res.status(400).json({ 
+      success: false, 
+      message: '缺少必要参数: libraryId, paths' 
+    });
+  }
+  
+  if (typeof favorite !== 'boolean') {
+    return res.status(400).json({ 
+      success: false, 
+      message: 'favorite 必须是布尔值' 
+    });
+  }
+  
+  const result = await imageService.updateFavorite(libraryId, paths, favorite);
+  res.json({ success: true, data: result });
+}));
+
 module.exports = router;
@@ -0,0 +1,98 @@
+/**
+ * 图片路由测试（缩略图、原图和预览图的素材库权限）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const SessionService = require('../services/SessionService');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createAuthMiddleware, generateToken } = require('../middleware/authMiddleware');
+const imageRouter = require('./image');
+
+const JWT_SECRET = 'test-secret';
+
+const USERS = {
+  viewer: { id: 'viewer', username: 'alice', isAdmin: false, libraries: { lib1: 'viewer' } },
+  stranger: { id: 'stranger', username: 'bob', isAdmin: false, libraries: {} }
+};
+
+// 资源文件直接返回本测试文件
+const imageService = {
+  getThumbnailFile: async () => __filename,
+  getOriginalFile: () => __filename,
+  getPreviewFile: async () => __filename
+};
+
+describe('图片资源权限', () => {
+  let server;
+  let baseUrl;
+  let sessionService;
+
+  before(async () => {
+    let config = {};
+    sessionService = new SessionService({ loadConfig: () => config, saveConfig: (next) => { config = next; } });
+
+    const app = express();
+    app.use(express.json());
+    app.set('imageService', imageService);
+    app.use('/api', createAuthMiddleware(
+      () => true,
+      () => JWT_SECRET,
+      (userId) => USERS[userId] || null,
+      () => null,
+      (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
+    ));
+    app.use('/api/image', imageRouter);
+    app.use(errorHandler);
+
+    server = await new Promise((resolve) => {
+      const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const requestAs = async (userId, path, { method = 'GET', body } = {}) => {
+    const { session } = sessionService.createSession(userId);
+    const token = generateToken(JWT_SECRET, userId, session.id);
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    await response.arrayBuffer();
+    return response.status;
+  };
+
+  const paths = [
+    '/api/image/thumbnail/lib1/ab.webp',
+    '/api/image/original/lib1/a.jpg',
+    '/api/image/preview/lib1/a.psd?page=1'
+  ];
+
+  it('没有素材库角色的用户返回 403', async () => {
+    for (const path of paths) {
+      assert.strictEqual(await requestAs('stranger', path), 403, path);
+    }
+  });
+
+  it('浏览者可以访问', async () => {
+    for (const path of paths) {
+      assert.strictEqual(await requestAs('viewer', path), 200, path);
+    }
+  });
+
+  it('浏览者不能修改评分和收藏', async () => {
+    for (const path of ['/api/image/rating', '/api/image/favorite']) {
+      const status = await requestAs('viewer', path, {
+        method: 'PUT',
+        body: { libraryId: 'lib1', paths: ['a.jpg'], rating: 5, favorite: true }
+      });
+      assert.strictEqual(status, 403, path);
+    }
+  });
+});
@@ -7,32 +7,36 @@ const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validateRequired } = require('../middleware/validator');
+const { requireAdmin, requireLibraryRole } = require('../middleware/authMiddleware');
 
 // 服务实例（从 app 中获取）
 let libraryService;
+let userService;
 
 router.use((req, res, next) => {
   if (!libraryService) {
     libraryService = req.app.get('libraryService');
+    userService = req.app.get('userService');
   }
   next();
 });
 
 /**
- * 获取所有素材库
+ * 获取所有素材库（只返回当前用户有浏览权限的素材库）
  * GET /api/library
  */
 router.get('/', asyncHandler(async (req, res) => {
-  const data = libraryService.getAllLibraries();
+  const data = libraryService.getAllLibraries(req.user);
   res.json({ success: true, data });
 }));
 
 /**
- * 创建素材库
+ * 创建素材库（需要系统管理员权限）
  * POST /api/library
  * Body: { name, path }
  */
 router.post('/', 
+  requireAdmin,
   validateRequired(['name', 'path']),
   asyncHandler(async (req, res) => {
     const { name, path } = req.body;
@@ -44,10 +48,19 @@ router.post('/',
 /**
  * 更新偏好设置（必须在 /:id 之前，否则会被 /:id 匹配）
  * PUT /api/library/preferences
- * Body: { preferences }
+ * Body: { ...preferences } 界面偏好，保存在当前用户的账号中（未设置密码时为全局偏好）
+ *       { libraryId, sort: { field, order, seed? }, animatedThumbnails? } 素材库偏好（需要该素材库的编辑权限）
  */
-router.put('/preferences', asyncHandler(async (req, res) => {
-  const result = libraryService.updatePreferences(req.body);
+router.put('/preferences', requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const { libraryId, ...preferences } = req.body;
+  let result;
+  if (libraryId) {
+    result = libraryService.updateLibraryPreferences(libraryId, preferences);
+  } else if (req.user) {
+    result = { success: true, preferences: userService.updatePreferences(req.user.id, preferences) };
+  } else {
+    result = libraryService.updatePreferences(preferences);
+  }
   res.json({ success: true, data: result });
 }));
 
@@ -66,22 +79,22 @@ router.put('/theme',
 );
 
 /**
- * 更新素材库
+ * 更新素材库（需要该素材库的管理员权限）
  * PUT /api/library/:id
  * Body: { name?, path? }
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requireLibraryRole('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const result = await libraryService.updateLibrary(id, req.body);
   res.json({ success: true, data: result });
 }));
 
 /**
- * 删除素材库
+ * 删除素材库（需要该素材库的管理员权限）
  * DELETE /api/library/:id
  * Query: autoSelectNext - 是否自动选择下一个素材库，默认 true
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requireLibraryRole('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const autoSelectNext = req.query.autoSelectNext !== 'false';
   const result = await libraryService.deleteLibrary(id, autoSelectNext);
@@ -92,7 +105,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * 设置当前素材库
  * POST /api/library/:id/set-current
  */
-router.post('/:id/set-current', asyncHandler(async (req, res) => {
+router.post('/:id/set-current', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const result = await libraryService.setCurrentLibrary(id);
   res.json({ success: true, data: result });
@@ -102,7 +115,7 @@ router.post('/:id/set-current', asyncHandler(async (req, res) => {
  * 获取素材库统计
  * GET /api/library/:id/stats
  */
-router.get('/:id/stats', asyncHandler(async (req, res) => {
+router.get('/:id/stats', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const result = await libraryService.getLibraryStats(id);
   res.json({ success: true, data: result });
@@ -112,7 +125,7 @@ router.get('/:id/stats', asyncHandler(async (req, res) => {
  * 验证素材库路径是否存在
  * GET /api/library/:id/validate
  */
-router.get('/:id/validate', asyncHandler(async (req, res) => {
+router.get('/:id/validate', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const result = libraryService.validateLibraryPath(id);
   res.json({ success: true, data: result });
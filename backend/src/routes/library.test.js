@@ -0,0 +1,104 @@
+/**
+ * 素材库路由测试（偏好设置的权限）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const SessionService = require('../services/SessionService');
+const UserService = require('../services/UserService');
+const { errorHandler } = require('../middleware/errorHandler');
+const { createAuthMiddleware, generateToken } = require('../middleware/authMiddleware');
+const libraryRouter = require('./library');
+
+const JWT_SECRET = 'test-secret';
+
+describe('偏好设置权限', () => {
+  let server;
+  let baseUrl;
+  let sessionService;
+  let userService;
+  const calls = [];
+
+  // 记录素材库偏好和全局偏好的修改
+  const libraryService = {
+    updateLibraryPreferences: (libraryId, preferences) => {
+      calls.push(['library', libraryId, preferences]);
+      return { success: true, preferences };
+    },
+    updatePreferences: (preferences) => {
+      calls.push(['global', preferences]);
+      return { success: true };
+    }
+  };
+
+  before(async () => {
+    let config = {
+      users: [
+        { id: 'viewer', username: 'alice', passwordHash: '', isAdmin: false, libraries: { lib1: 'viewer' }, createdAt: 1 },
+        { id: 'editor', username: 'bob', passwordHash: '', isAdmin: false, libraries: { lib1: 'editor' }, createdAt: 1 }
+      ]
+    };
+    const configManager = { loadConfig: () => config, saveConfig: (next) => { config = next; } };
+    sessionService = new SessionService(configManager);
+    userService = new UserService(configManager, sessionService);
+
+    const app = express();
+    app.use(express.json());
+    app.set('libraryService', libraryService);
+    app.set('userService', userService);
+    app.use('/api', createAuthMiddleware(
+      () => true,
+      () => JWT_SECRET,
+      (userId) => {
+        const user = userService.findById(userId);
+        return user ? userService.toPublic(user) : null;
+      },
+      () => null,
+      (sessionId, userId, client) => sessionService.touchSession(sessionId, userId, client)
+    ));
+    app.use('/api/library', libraryRouter);
+    app.use(errorHandler);
+
+    server = await new Promise((resolve) => {
+      const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  const putPreferences = async (userId, body) => {
+    const { session } = sessionService.createSession(userId);
+    const token = generateToken(JWT_SECRET, userId, session.id);
+    const response = await fetch(`${baseUrl}/api/library/preferences`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    await response.arrayBuffer();
+    return response.status;
+  };
+
+  it('浏览者不能修改素材库偏好', async () => {
+    calls.length = 0;
+    assert.strictEqual(await putPreferences('viewer', { libraryId: 'lib1', animatedThumbnails: true }), 403);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('编辑者可以修改素材库偏好', async () => {
+    calls.length = 0;
+    assert.strictEqual(await putPreferences('editor', { libraryId: 'lib1', animatedThumbnails: true }), 200);
+    assert.deepStrictEqual(calls, [['library', 'lib1', { animatedThumbnails: true }]]);
+  });
+
+  it('界面偏好保存在当前用户的账号中，不修改全局偏好', async () => {
+    calls.length = 0;
+    assert.strictEqual(await putPreferences('viewer', { thumbnailHeight: 300 }), 200);
+    assert.deepStrictEqual(calls, []);
+    assert.deepStrictEqual(userService.findById('viewer').preferences, { thumbnailHeight: 300 });
+    assert.strictEqual(userService.findById('editor').preferences, undefined);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * 维护路由（缩略图缓存统计、孤立缩略图清理、完整性检查与重建）
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireAdmin, requireLibraryRole } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let thumbnailMaintenanceService;
+
+router.use((req, res, next) => {
+  if (!thumbnailMaintenanceService) {
+    thumbnailMaintenanceService = req.app.get('thumbnailMaintenanceService');
+  }
+  next();
+});
+
+/**
+ * 获取缩略图缓存统计（文件数、占用空间、孤立文件）
+ * GET /api/maintenance/thumbnails?libraryId=xxx
+ */
+router.get('/thumbnails', validateLibraryId, asyncHandler(async (req, res) => {
+  const stats = await thumbnailMaintenanceService.getCacheStats(req.libraryId);
+  res.json({ success: true, data: stats });
+}));
+
+/**
+ * 删除没有图片引用的孤立缩略图
+ * DELETE /api/maintenance/thumbnails/orphans?libraryId=xxx
+ * 扫描或检查任务进行中时返回 409；需要系统管理员权限
+ */
+router.delete('/thumbnails/orphans', validateLibraryId, requireAdmin, asyncHandler(async (req, res) => {
+  const result = await thumbnailMaintenanceService.cleanOrphans(req.libraryId);
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 获取缩略图完整性检查进度
+ * GET /api/maintenance/thumbnails/check?libraryId=xxx
+ */
+router.get('/thumbnails/check', validateLibraryId, asyncHandler(async (req, res) => {
+  const status = thumbnailMaintenanceService.getCheckStatus(req.libraryId);
+  res.json({ success: true, data: status });
+}));
+
+/**
+ * 启动缩略图完整性检查（后台执行，进度通过 Socket.IO 的 thumbnailCheckProgress / thumbnailCheckComplete 推送）
+ * POST /api/maintenance/thumbnails/check
+ * Body: { libraryId, repair }
+ * repair 为 true 时重新生成缺失或损坏的缩略图
+ */
+router.post('/thumbnails/check', validateLibraryId, requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const status = thumbnailMaintenanceService.startCheckJob(req.libraryId, {
+    repair: req.body.repair === true
+  });
+  res.json({ success: true, data: status });
+}));
+
+/**
+ * 停止缩略图完整性检查
+ * DELETE /api/maintenance/thumbnails/check?libraryId=xxx
+ */
+router.delete('/thumbnails/check', validateLibraryId, requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const status = thumbnailMaintenanceService.stopCheckJob(req.libraryId);
+  res.json({ success: true, data: status });
+}));
+
+module.exports = router;
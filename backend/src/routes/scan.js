@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validateRequired } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
 
 // 服务实例（从 app 中获取）
 let scanService;
@@ -25,6 +26,7 @@ router.use((req, res, next) => {
  */
 router.post('/full',
   validateRequired(['libraryId']),
+  requireLibraryRole('editor'),
   asyncHandler(async (req, res) => {
     const { libraryId, wait = false } = req.body;
     const result = await scanService.fullScan(libraryId, wait);
@@ -39,6 +41,7 @@ router.post('/full',
  */
 router.post('/sync',
   validateRequired(['libraryId']),
+  requireLibraryRole('editor'),
   asyncHandler(async (req, res) => {
     const { libraryId, wait = false } = req.body;
     const result = await scanService.incrementalSync(libraryId, wait);
@@ -50,7 +53,7 @@ router.post('/sync',
  * 获取扫描状态
  * GET /api/scan/status/:libraryId
  */
-router.get('/status/:libraryId', asyncHandler(async (req, res) => {
+router.get('/status/:libraryId', requireLibraryRole('viewer'), asyncHandler(async (req, res) => {
   const { libraryId } = req.params;
   const result = scanService.getScanStatus(libraryId);
   res.json({ success: true, data: result });
@@ -72,6 +75,7 @@ router.get('/active-states', asyncHandler(async (req, res) => {
  */
 router.post('/fix-folders',
   validateRequired(['libraryId']),
+  requireLibraryRole('editor'),
   asyncHandler(async (req, res) => {
     const { libraryId } = req.body;
     const result = await scanService.fixFolders(libraryId);
@@ -0,0 +1,119 @@
+/**
+ * 分享路由
+ * 薄层路由，业务逻辑在 Service 层
+ * /api/share/public/* 为访问者使用的公开接口（不需要登录），有密码的分享需要 ?key=（POST /unlock 获取）
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
+const { constants } = require('../config');
+
+// 服务实例（从 app 中获取）
+let shareService;
+
+router.use((req, res, next) => {
+  if (!shareService) {
+    shareService = req.app.get('shareService');
+  }
+  next();
+});
+
+/**
+ * 获取有效的分享列表（素材库管理员可以看到该素材库的所有分享，其他用户只能看到自己创建的分享）
+ * GET /api/share
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: shareService.listShares(req.user) });
+}));
+
+/**
+ * 创建分享链接（需要素材库的编辑权限）
+ * POST /api/share
+ * Body: { libraryId, type: 'folder'|'album'|'selection'|'search', folder?, albumId?, imageIds?, query?,
+ *   title, password?, expiresAt?（毫秒时间戳）, allowDownload? }
+ * 返回的 url 为前端分享页路径（/s/:token）
+ */
+router.post('/', validateLibraryId, requireLibraryRole('editor'), asyncHandler(async (req, res) => {
+  const share = await shareService.createShare(req.libraryId, req.body, req.user);
+  res.json({ success: true, data: share });
+}));
+
+/**
+ * 撤销分享链接
+ * DELETE /api/share/:token
+ */
+router.delete('/:token', asyncHandler(async (req, res) => {
+  shareService.revokeShare(req.params.token, req.user);
+  res.json({ success: true });
+}));
+
+/**
+ * 打开分享（增加浏览次数）
+ * GET /api/share/public/:token
+ * 返回 { title, type, hasPassword, allowDownload, expiresAt, createdAt }；已过期返回 410
+ */
+router.get('/public/:token', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: shareService.openShare(req.params.token) });
+}));
+
+/**
+ * 验证分享密码
+ * POST /api/share/public/:token/unlock
+ * Body: { password }，返回 { key }；密码错误次数过多返回 429
+ */
+router.post('/public/:token/unlock', asyncHandler(async (req, res) => {
+  const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
+  const result = await shareService.unlockShare(req.params.token, req.body.password, clientIP);
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 获取分享中的图片（游标分页，参数与 GET /api/image 相同）
+ * GET /api/share/public/:token/images?key=&cursor=&limit=100
+ */
+router.get('/public/:token/images', asyncHandler(async (req, res) => {
+  const { key, cursor, limit } = req.query;
+  const pageSize = Math.min(parseInt(limit, 10) || constants.SHARES.DEFAULT_PAGE_SIZE, constants.PAGINATION.MAX_SIZE);
+  const result = await shareService.listImages(req.params.token, key, { cursor: cursor || '', limit: pageSize });
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 获取分享中图片的缩略图
+ * GET /api/share/public/:token/thumbnail/:imageId?h=480&animated=1&key=
+ */
+router.get('/public/:token/thumbnail/:imageId', asyncHandler(async (req, res) => {
+  const { h, animated, key } = req.query;
+  const height = h === undefined ? undefined : parseInt(h, 10);
+  const thumbnailPath = await shareService.getThumbnailFile(req.params.token, key, req.params.imageId, height, animated === '1');
+  res.sendFile(thumbnailPath);
+}));
+
+/**
+ * 获取分享中图片的原文件（分享需要允许下载）
+ * GET /api/share/public/:token/original/:imageId?key=&download=1
+ * download=1 时作为附件下载
+ */
+router.get('/public/:token/original/:imageId', asyncHandler(async (req, res) => {
+  const file = await shareService.getOriginalFile(req.params.token, req.query.key, req.params.imageId);
+  if (req.query.download === '1') {
+    res.download(file.path, file.filename);
+  } else {
+    res.sendFile(file.path);
+  }
+}));
+
+/**
+ * 获取分享中设计文件、文档某一页的预览图
+ * GET /api/share/public/:token/preview/:imageId?page=1&key=
+ */
+router.get('/public/:token/preview/:imageId', asyncHandler(async (req, res) => {
+  const page = req.query.page === undefined ? 1 : parseInt(req.query.page, 10);
+  const previewPath = await shareService.getPreviewFile(req.params.token, req.query.key, req.params.imageId, page);
+  res.sendFile(previewPath);
+}));
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * 智能相册路由
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let smartAlbumService;
+
+router.use((req, res, next) => {
+  if (!smartAlbumService) {
+    smartAlbumService = req.app.get('smartAlbumService');
+  }
+  next();
+});
+
+// 修改需要该素材库的编辑者权限（素材库 ID 在请求体或查询参数中，/:id 为智能相册 ID）
+const requireEditor = requireLibraryRole('editor', (req) => req.query.libraryId || req.body?.libraryId);
+
+/**
+ * 解析相册 ID 参数
+ */
+function parseAlbumId(value) {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    throw new ValidationError('Invalid smart album id', 'id');
+  }
+  return id;
+}
+
+/**
+ * 获取智能相册列表（包含匹配的图片数量）
+ * GET /api/smart-album?libraryId=xxx
+ */
+router.get('/', validateLibraryId, asyncHandler(async (req, res) => {
+  const albums = await smartAlbumService.getAlbums(req.libraryId);
+  res.json({ success: true, data: { albums } });
+}));
+
+/**
+ * 创建智能相册
+ * POST /api/smart-album
+ * Body: { libraryId, name, query: { keywords?, formats?, orientations?, ratings?, sizes? } }
+ * query 各字段与 GET /api/image 的同名参数格式一致
+ */
+router.post('/', validateLibraryId, requireEditor, asyncHandler(async (req, res) => {
+  const { name, query } = req.body;
+  const album = await smartAlbumService.createAlbum(req.libraryId, { name, query });
+  res.json({ success: true, data: album });
+}));
+
+/**
+ * 更新智能相册
+ * PUT /api/smart-album/:id
+ * Body: { libraryId, name?, query? }
+ */
+router.put('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const { libraryId, name, query } = req.body;
+  if (!libraryId) {
+    throw new ValidationError('Library ID is required', 'libraryId');
+  }
+
+  const album = await smartAlbumService.updateAlbum(libraryId, parseAlbumId(req.params.id), { name, query });
+  res.json({ success: true, data: album });
+}));
+
+/**
+ * 删除智能相册
+ * DELETE /api/smart-album/:id?libraryId=xxx
+ */
+router.delete('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const libraryId = req.query.libraryId || req.body?.libraryId;
+  if (!libraryId) {
+    throw new ValidationError('Library ID is required', 'libraryId');
+  }
+
+  const result = await smartAlbumService.deleteAlbum(libraryId, parseAlbumId(req.params.id));
+  res.json({ success: true, data: result });
+}));
+
+module.exports = router;
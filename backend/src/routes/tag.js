@@ -0,0 +1,130 @@
+/**
+ * 标签路由
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { validateLibraryId } = require('../middleware/validator');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let tagService;
+
+router.use((req, res, next) => {
+  if (!tagService) {
+    tagService = req.app.get('tagService');
+  }
+  next();
+});
+
+// 修改需要该素材库的编辑者权限（素材库 ID 在请求体或查询参数中，/:id 为标签 ID）
+const requireEditor = requireLibraryRole('editor', (req) => req.query.libraryId || req.body?.libraryId);
+
+/**
+ * 解析标签 ID 参数
+ */
+function parseTagId(value, field = 'id') {
+  const id = parseInt(value, 10);
+  if (isNaN(id) || id < 1) {
+    throw new ValidationError('Invalid tag id', field);
+  }
+  return id;
+}
+
+/**
+ * 校验批量操作参数
+ */
+function validateBatchBody(req, res, next) {
+  const { paths, tags } = req.body;
+  if (!Array.isArray(paths) || paths.length === 0) {
+    return next(new ValidationError('paths is required', 'paths'));
+  }
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return next(new ValidationError('tags is required', 'tags'));
+  }
+  next();
+}
+
+/**
+ * 获取标签树
+ * GET /api/tag?libraryId=xxx
+ */
+router.get('/', validateLibraryId, asyncHandler(async (req, res) => {
+  const tags = await tagService.getTags(req.libraryId);
+  res.json({ success: true, data: { tags } });
+}));
+
+/**
+ * 创建标签
+ * POST /api/tag
+ * Body: { libraryId, name, parentId?, color? }
+ */
+router.post('/', validateLibraryId, requireEditor, asyncHandler(async (req, res) => {
+  const { name, parentId, color } = req.body;
+  const tag = await tagService.createTag(req.libraryId, {
+    name,
+    parentId: parentId ? parseTagId(parentId, 'parentId') : null,
+    color
+  });
+  res.json({ success: true, data: tag });
+}));
+
+/**
+ * 批量为图片添加标签（不存在的标签自动创建）
+ * POST /api/tag/batch-add
+ * Body: { libraryId, paths: [string], tags: [string] }
+ */
+router.post('/batch-add', validateLibraryId, requireEditor, validateBatchBody, asyncHandler(async (req, res) => {
+  const { paths, tags } = req.body;
+  const result = await tagService.addTagsToImages(req.libraryId, paths, tags);
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 批量移除图片的标签
+ * POST /api/tag/batch-remove
+ * Body: { libraryId, paths: [string], tags: [string] }
+ */
+router.post('/batch-remove', validateLibraryId, requireEditor, validateBatchBody, asyncHandler(async (req, res) => {
+  const { paths, tags } = req.body;
+  const result = await tagService.removeTagsFromImages(req.libraryId, paths, tags);
+  res.json({ success: true, data: result });
+}));
+
+/**
+ * 更新标签
+ * PUT /api/tag/:id
+ * Body: { libraryId, name?, parentId?, color? }
+ */
+router.put('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const { libraryId, name, parentId, color } = req.body;
+  if (!libraryId) {
+    throw new ValidationError('Library ID is required', 'libraryId');
+  }
+
+  const updates = { name, color };
+  if (parentId !== undefined) {
+    updates.parentId = parentId ? parseTagId(parentId, 'parentId') : null;
+  }
+
+  const tag = await tagService.updateTag(libraryId, parseTagId(req.params.id), updates);
+  res.json({ success: true, data: tag });
+}));
+
+/**
+ * 删除标签
+ * DELETE /api/tag/:id?libraryId=xxx
+ */
+router.delete('/:id', requireEditor, asyncHandler(async (req, res) => {
+  const libraryId = req.query.libraryId || req.body?.libraryId;
+  if (!libraryId) {
+    throw new ValidationError('Library ID is required', 'libraryId');
+  }
+
+  const result = await tagService.deleteTag(libraryId, parseTagId(req.params.id));
+  res.json({ success: true, data: result });
+}));
+
+module.exports = router;
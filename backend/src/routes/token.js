@@ -0,0 +1,57 @@
+/**
+ * API 令牌路由（管理当前用户的令牌；使用 API 令牌访问时需要 admin 权限范围）
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// 服务实例（从 app 中获取）
+let apiTokenService;
+
+router.use((req, res, next) => {
+  if (!apiTokenService) {
+    apiTokenService = req.app.get('apiTokenService');
+  }
+  next();
+});
+
+// API 令牌属于用户，未设置密码时先通过 /api/auth/setup 创建系统管理员
+router.use((req, res, next) => {
+  if (req.user === null) {
+    return next(new AppError('未设置密码，请先设置密码', 400, 'PASSWORD_NOT_SET'));
+  }
+  next();
+});
+
+/**
+ * 获取当前用户的 API 令牌
+ * GET /api/token
+ * 返回 [{ id, name, scopes, hint, expiresAt, expired, lastUsedAt, createdAt }]
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: apiTokenService.listTokens(req.user.id) });
+}));
+
+/**
+ * 创建 API 令牌
+ * POST /api/token
+ * Body: { name, scopes: ['read'|'write'|'scan'|'admin'], expiresAt?（毫秒时间戳） }
+ * 返回的 token 为明文令牌，只返回这一次
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const token = apiTokenService.createToken(req.user.id, req.body);
+  res.json({ success: true, data: token });
+}));
+
+/**
+ * 撤销 API 令牌
+ * DELETE /api/token/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  apiTokenService.revokeToken(req.params.id, req.user);
+  res.json({ success: true });
+}));
+
+module.exports = router;
@@ -9,6 +9,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { requireLibraryRole } = require('../middleware/authMiddleware');
 const { processImage } = require('../../utils/scanner');
 const logger = require('../utils/logger');
 
@@ -27,8 +28,9 @@ const upload = multer({
  * POST /api/upload
  * FormData: { libraryId, targetFolder, files[], conflictAction? }
  * conflictAction: 'skip' | 'replace' | 'rename'
+ * 需要编辑者权限（multer 解析表单后才能读取 libraryId）
  */
-router.post('/', upload.array('files', 50), asyncHandler(async (req, res) => {
+router.post('/', upload.array('files', 50), requireLibraryRole('editor'), asyncHandler(async (req, res) => {
   const requestStartTime = Date.now();
   const totalSize = req.files?.length > 0 ? req.files.reduce((sum, f) => sum + f.size, 0) : 0;
   console.log(`\n📤 上传 ${req.files?.length} 个文件 (${(totalSize / 1024 / 1024).toFixed(2)}MB) 到 [${req.body.targetFolder || '根目录'}]`);
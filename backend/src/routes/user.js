@@ -0,0 +1,68 @@
+/**
+ * 用户管理路由（需要系统管理员权限）
+ * 薄层路由，业务逻辑在 Service 层
+ */
+
+const express = require('express');
+const router = express.Router();
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { requireAdmin } = require('../middleware/authMiddleware');
+
+// 服务实例（从 app 中获取）
+let userService;
+
+router.use((req, res, next) => {
+  if (!userService) {
+    userService = req.app.get('userService');
+  }
+  next();
+});
+
+// 未设置密码时先通过 /api/auth/setup 创建系统管理员
+router.use((req, res, next) => {
+  if (req.user === null) {
+    return next(new AppError('未设置密码，请先设置密码', 400, 'PASSWORD_NOT_SET'));
+  }
+  next();
+});
+
+router.use(requireAdmin);
+
+/**
+ * 获取用户列表
+ * GET /api/user
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ success: true, data: userService.listUsers() });
+}));
+
+/**
+ * 创建用户
+ * POST /api/user
+ * Body: { username, password, isAdmin, libraries: { [libraryId]: 'viewer'|'editor'|'admin' } }
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const user = await userService.createUser(req.body);
+  res.json({ success: true, data: user });
+}));
+
+/**
+ * 更新用户（password 留空时不修改密码）
+ * PUT /api/user/:id
+ * Body: { username?, password?, isAdmin?, libraries? }
+ */
+router.put('/:id', asyncHandler(async (req, res) => {
+  const user = await userService.updateUser(req.params.id, req.body, req.user && req.user.id);
+  res.json({ success: true, data: user });
+}));
+
+/**
+ * 删除用户
+ * DELETE /api/user/:id
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  userService.deleteUser(req.params.id, req.user && req.user.id);
+  res.json({ success: true });
+}));
+
+module.exports = router;
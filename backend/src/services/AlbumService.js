@@ -0,0 +1,203 @@
+/**
+ * 相册服务层
+ * 手动相册：跨文件夹组织图片，加入 / 移出相册不会移动文件
+ */
+
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const AlbumModel = require('../models/AlbumModel');
+
+// 相册名最大长度
+const MAX_ALBUM_NAME_LENGTH = 64;
+
+class AlbumService {
+  constructor(configManager, dbPool) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+  }
+
+  /**
+   * 获取相册列表（包含图片数量）
+   */
+  async getAlbums(libraryId) {
+    return this._withAlbumModel(libraryId, albumModel => albumModel.findAll());
+  }
+
+  /**
+   * 创建相册，可同时加入图片
+   * @param {Object} data - { name, paths? }
+   */
+  async createAlbum(libraryId, { name, paths = [] }) {
+    const albumName = this._validateName(name);
+
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      if (albumModel.findByName(albumName)) {
+        throw new ConflictError(`相册已存在: ${albumName}`);
+      }
+
+      const album = albumModel.insert({ name: albumName });
+      if (paths.length > 0) {
+        albumModel.addImages(album.id, [...this._getImageIds(db, paths).values()]);
+      }
+      db.updateLastModified();
+      return albumModel.findById(album.id);
+    });
+  }
+
+  /**
+   * 重命名相册
+   */
+  async renameAlbum(libraryId, albumId, name) {
+    const albumName = this._validateName(name);
+
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      this._ensureAlbum(albumModel, albumId);
+      const existing = albumModel.findByName(albumName);
+      if (existing && existing.id !== albumId) {
+        throw new ConflictError(`相册已存在: ${albumName}`);
+      }
+
+      const album = albumModel.rename(albumId, albumName);
+      db.updateLastModified();
+      return album;
+    });
+  }
+
+  /**
+   * 删除相册（图片本身不受影响）
+   */
+  async deleteAlbum(libraryId, albumId) {
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      this._ensureAlbum(albumModel, albumId);
+      albumModel.delete(albumId);
+      db.updateLastModified();
+      return { id: albumId };
+    });
+  }
+
+  /**
+   * 调整相册顺序
+   * @param {Array<number>} ids - 相册 ID，按新的顺序排列
+   */
+  async reorderAlbums(libraryId, ids) {
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      albumModel.reorder(ids);
+      db.updateLastModified();
+      return albumModel.findAll();
+    });
+  }
+
+  /**
+   * 批量将图片加入相册
+   * @param {Array<string>} paths - 图片路径
+   */
+  async addImages(libraryId, albumId, paths) {
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      this._ensureAlbum(albumModel, albumId);
+      const imageIds = this._getImageIds(db, paths);
+      const changes = albumModel.addImages(albumId, [...imageIds.values()]);
+
+      db.updateLastModified();
+      return this._buildBatchResult(albumModel, albumId, paths, imageIds, changes);
+    });
+  }
+
+  /**
+   * 批量将图片移出相册
+   * @param {Array<string>} paths - 图片路径
+   */
+  async removeImages(libraryId, albumId, paths) {
+    return this._withAlbumModel(libraryId, (albumModel, db) => {
+      this._ensureAlbum(albumModel, albumId);
+      const imageIds = this._getImageIds(db, paths);
+      const changes = albumModel.removeImages(albumId, [...imageIds.values()]);
+
+      db.updateLastModified();
+      return this._buildBatchResult(albumModel, albumId, paths, imageIds, changes);
+    });
+  }
+
+  /**
+   * 组装批量操作结果
+   * @private
+   */
+  _buildBatchResult(albumModel, albumId, paths, imageIds, changes) {
+    return {
+      changes,
+      failed: paths
+        .filter(imagePath => !imageIds.has(imagePath))
+        .map(imagePath => ({ path: imagePath, error: '图片不存在' })),
+      album: albumModel.findById(albumId)
+    };
+  }
+
+  /**
+   * 根据路径获取图片 ID
+   * @returns {Map<string, number>} path → id
+   * @private
+   */
+  _getImageIds(db, paths) {
+    const map = new Map();
+    for (const imagePath of paths) {
+      const image = db.getImageByPath(imagePath);
+      if (image) map.set(imagePath, image.id);
+    }
+    return map;
+  }
+
+  /**
+   * 检查相册是否存在
+   * @private
+   */
+  _ensureAlbum(albumModel, albumId) {
+    if (!albumModel.findById(albumId)) {
+      throw new NotFoundError('Album', albumId);
+    }
+  }
+
+  /**
+   * 校验相册名
+   * @private
+   */
+  _validateName(name) {
+    const albumName = typeof name === 'string' ? name.trim() : '';
+    if (!albumName) {
+      throw new ValidationError('相册名不能为空', 'name');
+    }
+    if (albumName.length > MAX_ALBUM_NAME_LENGTH) {
+      throw new ValidationError(`相册名不能超过 ${MAX_ALBUM_NAME_LENGTH} 个字符`, 'name');
+    }
+    return albumName;
+  }
+
+  /**
+   * 获取数据库连接并执行相册操作
+   * @private
+   */
+  _withAlbumModel(libraryId, fn) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      return fn(new AlbumModel(db.db), db);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = AlbumService;
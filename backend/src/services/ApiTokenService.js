@@ -0,0 +1,161 @@
+/**
+ * API 令牌服务
+ * 脚本和自动化使用的长期令牌，属于创建它的用户，可以单独撤销；
+ * 配置文件中只保存令牌的 SHA-256 哈希（令牌是高熵随机值，不需要 bcrypt），明文只在创建时返回一次
+ */
+
+const crypto = require('crypto');
+const { ValidationError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { constants } = require('../config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ApiTokenService {
+  constructor(configManager, userService) {
+    this.configManager = configManager;
+    this.userService = userService;
+  }
+
+  /**
+   * 获取用户的 API 令牌（不含哈希）
+   */
+  listTokens(userId) {
+    return this._getTokens()
+      .filter(token => token.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(token => this._toPublic(token));
+  }
+
+  /**
+   * 创建 API 令牌
+   * @param {string} userId - 所属用户
+   * @param {Object} data - { name, scopes: ['read'|'write'|'scan'|'admin'], expiresAt?（毫秒时间戳） }
+   * @returns {Object} 令牌信息，token 为明文令牌（只返回这一次）
+   */
+  createToken(userId, data) {
+    const { PREFIX, MAX_PER_USER } = constants.API_TOKENS;
+    const tokens = this._getTokens();
+    if (tokens.filter(token => token.userId === userId).length >= MAX_PER_USER) {
+      throw new ValidationError(`每个用户最多创建 ${MAX_PER_USER} 个 API 令牌`, 'name');
+    }
+
+    const plaintext = PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      userId,
+      name: this._normalizeName(data.name),
+      scopes: this._normalizeScopes(data.scopes),
+      tokenHash: hashToken(plaintext),
+      hint: plaintext.slice(0, PREFIX.length + 4),
+      expiresAt: this._normalizeExpiresAt(data.expiresAt),
+      lastUsedAt: null,
+      createdAt: Date.now()
+    };
+
+    this._saveTokens([...tokens, record]);
+    return { ...this._toPublic(record), token: plaintext };
+  }
+
+  /**
+   * 撤销 API 令牌（所属用户或系统管理员）
+   */
+  revokeToken(id, user) {
+    const tokens = this._getTokens();
+    const token = tokens.find(item => item.id === id);
+    if (!token) {
+      throw new NotFoundError('ApiToken', id);
+    }
+    if (token.userId !== user.id && !user.isAdmin) {
+      throw new ForbiddenError('只能撤销自己的 API 令牌');
+    }
+
+    this._saveTokens(tokens.filter(item => item.id !== id));
+  }
+
+  /**
+   * 验证明文令牌（认证中间件使用）
+   * 验证通过时更新最后使用时间（间隔不小于 LAST_USED_INTERVAL_MS）
+   * @returns {{id: string, userId: string, scopes: string[]}|null} 令牌不存在、已过期或所属用户已删除时返回 null
+   */
+  authenticate(plaintext) {
+    if (typeof plaintext !== 'string' || !plaintext.startsWith(constants.API_TOKENS.PREFIX)) {
+      return null;
+    }
+
+    const tokenHash = hashToken(plaintext);
+    const tokens = this._getTokens();
+    const token = tokens.find(item => item.tokenHash === tokenHash);
+    const now = Date.now();
+    if (!token || (token.expiresAt && token.expiresAt <= now) || !this.userService.findById(token.userId)) {
+      return null;
+    }
+
+    if (!token.lastUsedAt || now - token.lastUsedAt >= constants.API_TOKENS.LAST_USED_INTERVAL_MS) {
+      token.lastUsedAt = now;
+      this._saveTokens(tokens);
+    }
+
+    return { id: token.id, userId: token.userId, scopes: token.scopes };
+  }
+
+  /**
+   * 去除哈希后的令牌信息
+   * @private
+   */
+  _toPublic(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      scopes: token.scopes,
+      hint: token.hint,
+      expiresAt: token.expiresAt,
+      expired: !!token.expiresAt && token.expiresAt <= Date.now(),
+      lastUsedAt: token.lastUsedAt,
+      createdAt: token.createdAt
+    };
+  }
+
+  _normalizeName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required', 'name');
+    }
+    return name.trim().slice(0, constants.API_TOKENS.MAX_NAME_LENGTH);
+  }
+
+  _normalizeScopes(scopes) {
+    const { SCOPES } = constants.API_TOKENS;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ValidationError('scopes is required', 'scopes');
+    }
+    const invalid = scopes.find(scope => !SCOPES.includes(scope));
+    if (invalid !== undefined) {
+      throw new ValidationError(`无效的权限范围: ${invalid}`, 'scopes');
+    }
+    // 按 SCOPES 的顺序去重
+    return SCOPES.filter(scope => scopes.includes(scope));
+  }
+
+  _normalizeExpiresAt(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === 0) {
+      return null;
+    }
+    const value = Number(expiresAt);
+    if (!Number.isFinite(value) || value <= Date.now()) {
+      throw new ValidationError('expiresAt must be a future timestamp', 'expiresAt');
+    }
+    return value;
+  }
+
+  _getTokens() {
+    const config = this.configManager.loadConfig();
+    return Array.isArray(config.apiTokens) ? config.apiTokens : [];
+  }
+
+  _saveTokens(tokens) {
+    const config = this.configManager.loadConfig();
+    config.apiTokens = tokens;
+    this.configManager.saveConfig(config);
+  }
+}
+
+module.exports = ApiTokenService;
@@ -1,20 +1,21 @@
 /**
  * 认证服务
- * 处理密码设置、验证、修改
+ * 处理首次设置、登录、刷新、修改密码和资源签名，用户账号由 UserService 管理，登录会话由 SessionService 管理
  */
 
-const bcrypt = require('bcrypt');
 const crypto = require('crypto');
-const { generateToken } = require('../middleware/authMiddleware');
+const { generateToken, deriveAssetKey, createAssetKeyId } = require('../middleware/authMiddleware');
 const { AppError } = require('../middleware/errorHandler');
+const { constants } = require('../config');
 
-const SALT_ROUNDS = 10;
 const MAX_LOGIN_ATTEMPTS = 30; // 最大登录尝试次数
 const ATTEMPT_WINDOW = 5 * 60 * 1000; // 5分钟窗口期
 
 class AuthService {
-  constructor(configManager) {
+  constructor(configManager, userService, sessionService) {
     this.configManager = configManager;
+    this.userService = userService;
+    this.sessionService = sessionService;
     // 登录失败记录：IP → { count, firstAttempt, lastAttempt }
     this.loginAttempts = new Map();
     
@@ -30,63 +31,66 @@ class AuthService {
   }
 
   /**
-   * 检查是否已设置密码
+   * 检查是否已设置密码（已创建用户）
    */
   hasPassword() {
-    const config = this.configManager.loadConfig();
-    return !!config.passwordHash;
+    return this.userService.hasUsers();
   }
 
   /**
-   * 获取密码哈希
+   * 获取 JWT 密钥
    */
-  getPasswordHash() {
+  getJwtSecret() {
     const config = this.configManager.loadConfig();
-    return config.passwordHash || null;
+    return config.jwtSecret || null;
   }
 
   /**
-   * 获取 JWT 密钥
+   * 根据 Token 中的用户 ID 获取用户（不含密码哈希），用户已删除时返回 null
    */
-  getJwtSecret() {
-    const config = this.configManager.loadConfig();
-    return config.jwtSecret || null;
+  getUser(userId) {
+    const user = userId ? this.userService.findById(userId) : null;
+    return user ? this.userService.toPublic(user) : null;
   }
 
   /**
-   * 设置密码（首次设置）
+   * 首次设置：创建系统管理员
+   * @param {string} password - 密码
+   * @param {string} [username] - 用户名，默认 USERS.LEGACY_USERNAME
+   * @param {Object} [client] - { ip, userAgent }，记录在会话中
    */
-  async setupPassword(password) {
+  async setupPassword(password, username = constants.USERS.LEGACY_USERNAME, client = {}) {
     if (this.hasPassword()) {
       // 已设置密码，属于业务错误
       throw new AppError('密码已设置，请使用修改密码功能', 400, 'PASSWORD_ALREADY_SET');
     }
 
-    if (!password || password.length < 4) {
-      throw new AppError('密码长度至少为 4 位', 400, 'INVALID_PASSWORD');
+    if (!password || password.length < constants.USERS.MIN_PASSWORD_LENGTH) {
+      throw new AppError(`密码长度至少为 ${constants.USERS.MIN_PASSWORD_LENGTH} 位`, 400, 'INVALID_PASSWORD');
     }
 
-    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
     const config = this.configManager.loadConfig();
     
     // 生成随机 JWT 密钥（首次设置时）
     if (!config.jwtSecret) {
       config.jwtSecret = crypto.randomBytes(32).toString('hex');
+      this.configManager.saveConfig(config);
       console.log('🔐 已生成随机 JWT 密钥');
     }
-    
-    config.passwordHash = passwordHash;
-    this.configManager.saveConfig(config);
 
-    return { token: generateToken(config.jwtSecret) };
+    const user = await this.userService.createUser({ username, password, isAdmin: true });
+
+    return { ...this._startSession(config.jwtSecret, user.id, client), user };
   }
 
   /**
-   * 验证密码并登录
+   * 验证用户名和密码并登录
+   * @param {string} username - 用户名
    * @param {string} password - 密码
    * @param {string} clientIP - 客户端IP（用于防暴力破解）
+   * @param {string} [userAgent] - 客户端 User-Agent，记录在会话中
    */
-  async login(password, clientIP = 'unknown') {
+  async login(username, password, clientIP = 'unknown', userAgent) {
     if (!this.hasPassword()) {
       // 未设置密码，提示先设置
       throw new AppError('未设置密码，请先设置密码', 400, 'PASSWORD_NOT_SET');
@@ -114,14 +118,14 @@ class AuthService {
       }
     }
 
-    const passwordHash = this.getPasswordHash();
     const jwtSecret = this.getJwtSecret();
     
     if (!jwtSecret) {
       throw new AppError('系统配置错误，请重新设置密码', 500, 'MISSING_JWT_SECRET');
     }
     
-    const isValid = await bcrypt.compare(password, passwordHash);
+    const user = this.userService.findByUsername(username);
+    const isValid = !!user && await this.userService.verifyPassword(user, password);
 
     if (!isValid) {
       // 记录失败尝试
@@ -139,10 +143,10 @@ class AuthService {
       // 密码错误：返回 401 未授权，并附带剩余尝试次数
       const currentAttempts = attempts ? attempts.count : 1;
       const remainingAttempts = MAX_LOGIN_ATTEMPTS - currentAttempts;
-      console.log(`⚠️ 登录失败 [${clientIP}]: 已尝试 ${currentAttempts} 次，剩余 ${remainingAttempts} 次`);
+      console.log(`⚠️ 登录失败 [${clientIP}] ${username}: 已尝试 ${currentAttempts} 次，剩余 ${remainingAttempts} 次`);
       
       // 创建错误并附带额外信息
-      const error = new AppError('密码错误', 401, 'INVALID_PASSWORD');
+      const error = new AppError('用户名或密码错误', 401, 'INVALID_PASSWORD');
       error.remainingAttempts = remainingAttempts;
       error.currentAttempts = currentAttempts;
       throw error;
@@ -150,43 +154,95 @@ class AuthService {
 
     // 登录成功，清除尝试记录
     this.loginAttempts.delete(clientIP);
-    console.log(`✅ 登录成功 [${clientIP}]`);
+    console.log(`✅ 登录成功 [${clientIP}] ${user.username}`);
 
-    return { token: generateToken(jwtSecret) };
+    return {
+      ...this._startSession(jwtSecret, user.id, { ip: clientIP, userAgent }),
+      user: this.userService.toPublic(user)
+    };
   }
 
   /**
-   * 修改密码
+   * 修改当前用户的密码
+   * 修改后该用户的所有会话（包括其他设备）都会退出，当前客户端使用返回的新 Token 继续登录
+   * @param {Object} [client] - { ip, userAgent }
    */
-  async changePassword(oldPassword, newPassword) {
-    if (!this.hasPassword()) {
+  async changePassword(userId, oldPassword, newPassword, client = {}) {
+    const user = userId ? this.userService.findById(userId) : null;
+    if (!user) {
       throw new AppError('未设置密码', 400, 'PASSWORD_NOT_SET');
     }
 
-    if (!newPassword || newPassword.length < 4) {
-      throw new AppError('新密码长度至少为 4 位', 400, 'INVALID_NEW_PASSWORD');
+    if (!newPassword || newPassword.length < constants.USERS.MIN_PASSWORD_LENGTH) {
+      throw new AppError(`新密码长度至少为 ${constants.USERS.MIN_PASSWORD_LENGTH} 位`, 400, 'INVALID_NEW_PASSWORD');
     }
 
     // 验证旧密码
-    const passwordHash = this.getPasswordHash();
-    const isValid = await bcrypt.compare(oldPassword, passwordHash);
-
+    const isValid = await this.userService.verifyPassword(user, oldPassword);
     if (!isValid) {
       throw new AppError('原密码错误', 401, 'INVALID_OLD_PASSWORD');
     }
 
-    // 设置新密码
-    const newPasswordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
-    const config = this.configManager.loadConfig();
-    config.passwordHash = newPasswordHash;
-    this.configManager.saveConfig(config);
+    const jwtSecret = this.getJwtSecret();
+    if (!jwtSecret) {
+      throw new AppError('系统配置错误', 500, 'MISSING_JWT_SECRET');
+    }
 
+    // 设置新密码（同时退出该用户的所有会话）
+    await this.userService.setPassword(user.id, newPassword);
+
+    return this._startSession(jwtSecret, user.id, client);
+  }
+
+  /**
+   * 用刷新令牌换取新的访问 Token 和刷新令牌（刷新令牌每次都会轮换）
+   * @param {Object} [client] - { ip, userAgent }
+   */
+  refresh(refreshToken, client = {}) {
     const jwtSecret = this.getJwtSecret();
     if (!jwtSecret) {
       throw new AppError('系统配置错误', 500, 'MISSING_JWT_SECRET');
     }
 
-    return { token: generateToken(jwtSecret) };
+    const { session, refreshToken: nextToken } = this.sessionService.rotateRefreshToken(refreshToken, client);
+    if (!this.userService.findById(session.userId)) {
+      this.sessionService.revokeSession(session.id, session.userId);
+      throw new AppError('登录已过期，请重新登录', 401, 'REFRESH_TOKEN_INVALID');
+    }
+
+    return { token: generateToken(jwtSecret, session.userId, session.id), refreshToken: nextToken };
+  }
+
+  /**
+   * 创建会话并签发访问 Token 和刷新令牌
+   * @private
+   */
+  _startSession(jwtSecret, userId, client) {
+    const { session, refreshToken } = this.sessionService.createSession(userId, client);
+    return { token: generateToken(jwtSecret, userId, session.id), refreshToken };
+  }
+
+  /**
+   * 获取资源签名密钥：缩略图、原图和预览图 URL 由前端用该密钥逐个签名（见 signAsset）
+   * 密钥按登录会话派生，退出该会话后用它签出的 URL 随之失效
+   * @param {Object|null} user - 当前用户
+   * @param {string} [sessionId] - 当前会话 ID
+   * @returns {{keyId: string|null, key: string|null, ttlMs: number, windowMs: number}}
+   *   未设置密码时 keyId 为 null（资源不需要签名）
+   */
+  getAssetKey(user, sessionId) {
+    const { TTL_MS, WINDOW_MS } = constants.ASSET_SIGNATURE;
+    const jwtSecret = this.getJwtSecret();
+    if (!user || !this.hasPassword() || !jwtSecret) {
+      return { keyId: null, key: null, ttlMs: TTL_MS, windowMs: WINDOW_MS };
+    }
+    // API 令牌没有登录会话，直接用 Authorization 访问资源即可
+    if (!sessionId) {
+      throw new AppError('资源签名密钥需要登录会话，API 令牌请直接携带 Authorization 访问资源', 400, 'SESSION_REQUIRED');
+    }
+
+    const keyId = createAssetKeyId(sessionId, user.id);
+    return { keyId, key: deriveAssetKey(jwtSecret, keyId), ttlMs: TTL_MS, windowMs: WINDOW_MS };
   }
 
   /**
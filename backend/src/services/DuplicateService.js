@@ -0,0 +1,169 @@
+/**
+ * 重复文件服务层
+ * 后台任务按需计算文件内容的 SHA-256（images.content_hash），按内容哈希分组找出重复文件
+ * 删除重复文件由前端调用 FileService.deleteItems 完成，沿用临时备份和撤销流程
+ */
+
+const path = require('path');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const ImageModel = require('../models/ImageModel');
+const { calculateContentHash } = require('../../utils/thumbnail');
+const { constants } = require('../config');
+const logger = require('../utils/logger');
+
+class DuplicateService {
+  constructor(configManager, dbPool) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+    // 各素材库的哈希任务状态：libraryId → { status, current, total, failed, startTime, stopRequested }
+    this.hashJobs = new Map();
+  }
+
+  /**
+   * 启动内容哈希任务（只计算尚未计算过的图片）
+   * @returns {Object} 任务状态，见 getHashStatus
+   */
+  startHashJob(libraryId) {
+    const library = this._getLibrary(libraryId);
+    if (this.hashJobs.get(libraryId)?.status === 'running') {
+      throw new ConflictError('Hash job already in progress');
+    }
+
+    const db = this.dbPool.acquire(library.path);
+    const imageModel = new ImageModel(db.db);
+    const { total, hashed } = imageModel.countContentHashes();
+    const job = {
+      status: 'running',
+      current: 0,
+      total: total - hashed,
+      failed: 0,
+      startTime: Date.now(),
+      stopRequested: false
+    };
+    this.hashJobs.set(libraryId, job);
+
+    this._runHashJob(job, library.path, db, imageModel)
+      .then(() => {
+        job.status = job.stopRequested ? 'stopped' : 'completed';
+        logger.task(`内容哈希${job.stopRequested ? '已停止' : '完成'}: ${job.current}/${job.total}，失败 ${job.failed}`);
+      })
+      .catch((error) => {
+        job.status = 'error';
+        job.error = error.message;
+        logger.error('内容哈希任务失败:', error.message);
+      })
+      .finally(() => {
+        this.dbPool.release(library.path);
+      });
+
+    return this.getHashStatus(libraryId);
+  }
+
+  /**
+   * 停止内容哈希任务（已计算的结果会保留）
+   */
+  stopHashJob(libraryId) {
+    this._getLibrary(libraryId);
+    const job = this.hashJobs.get(libraryId);
+    if (job?.status === 'running') {
+      job.stopRequested = true;
+    }
+    return this.getHashStatus(libraryId);
+  }
+
+  /**
+   * 获取内容哈希进度
+   * @returns {{status, current, total, failed, hashed, imageCount}}
+   *   status 为 idle | running | completed | stopped | error；hashed / imageCount 为已计算数量和图片总数
+   */
+  getHashStatus(libraryId) {
+    const job = this.hashJobs.get(libraryId);
+    const { total, hashed } = this._withImageModel(libraryId, imageModel => imageModel.countContentHashes());
+
+    return {
+      status: job?.status || 'idle',
+      current: job?.current || 0,
+      total: job?.total || 0,
+      failed: job?.failed || 0,
+      error: job?.error || null,
+      hashed,
+      imageCount: total
+    };
+  }
+
+  /**
+   * 获取重复文件分组
+   * @param {Object} pagination - { offset, limit }，按分组分页
+   */
+  getDuplicates(libraryId, { offset = 0, limit = constants.DUPLICATES.DEFAULT_GROUP_LIMIT } = {}) {
+    return this._withImageModel(libraryId, imageModel => ({
+      ...imageModel.findDuplicateGroups({
+        offset,
+        limit: Math.min(limit, constants.DUPLICATES.MAX_GROUP_LIMIT)
+      }),
+      offset
+    }));
+  }
+
+  /**
+   * 分批读取未计算的图片并逐个计算内容哈希
+   * 逐个文件顺序读取，避免大量并发 IO 影响正常浏览
+   * @private
+   */
+  async _runHashJob(job, libraryPath, db, imageModel) {
+    let lastId = 0;
+
+    while (!job.stopRequested) {
+      const batch = imageModel.findWithoutContentHash(lastId, constants.DUPLICATES.HASH_BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      for (const image of batch) {
+        if (job.stopRequested) break;
+        lastId = image.id;
+
+        try {
+          const contentHash = await calculateContentHash(path.join(libraryPath, image.path));
+          imageModel.setContentHash(image.id, image.file_hash, contentHash);
+        } catch (error) {
+          // 文件已被删除或无法读取：跳过，下次任务会重试
+          job.failed++;
+        }
+        job.current++;
+      }
+    }
+
+    db.updateLastModified();
+  }
+
+  /**
+   * 获取数据库连接并执行查询
+   * @private
+   */
+  _withImageModel(libraryId, fn) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      return fn(new ImageModel(db.db), db);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = DuplicateService;
@@ -0,0 +1,572 @@
+/**
+ * 导出服务层
+ * 服务端流式打包 ZIP：先根据选择、文件夹、相册或搜索条件生成导出记录（文件列表和大小在此时确定），
+ * 再通过下载链接直接从磁盘流式输出；store 模式可以按 Range 断点续传，进度通过 Socket.IO 推送
+ * 指定导出预设时在输出过程中逐个转换图片（缩放、格式、元数据、水印、文件名模板），预设保存在全局配置文件中
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { getUserRoom } = require('../middleware/authMiddleware');
+const ImageModel = require('../models/ImageModel');
+const { parseImageFilters } = require('../utils/filterUtils');
+const { ZIP_METHODS, getZipSize, createZipStream } = require('../utils/zipStream');
+const { isConvertible, getExportInfo, renderExportImage, formatExportFilename } = require('../utils/exportImage');
+const { constants } = require('../config');
+const logger = require('../utils/logger');
+
+class ExportService {
+  constructor(configManager, dbPool, imageService, io) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+    this.imageService = imageService;
+    this.io = io;
+    // 导出记录：id → { id, libraryId, entries, compression, preset, archive, filename, count, totalSize, size, expiresAt }
+    this.exports = new Map();
+  }
+
+  /**
+   * 获取导出预设列表（未保存过预设时返回默认预设）
+   */
+  listPresets() {
+    const config = this.configManager.load();
+    return config.exportPresets || constants.EXPORT_PRESETS.DEFAULTS.map(preset => ({ ...preset }));
+  }
+
+  /**
+   * 创建导出预设
+   */
+  createPreset(data) {
+    const presets = this.listPresets();
+    if (presets.length >= constants.EXPORT_PRESETS.MAX_PRESETS) {
+      throw new ValidationError(`最多保存 ${constants.EXPORT_PRESETS.MAX_PRESETS} 个导出预设`, 'presets');
+    }
+
+    const preset = { id: Date.now().toString(), ...this._normalizePreset(data) };
+    this._savePresets([...presets, preset]);
+    return preset;
+  }
+
+  /**
+   * 更新导出预设（只修改传入的字段）
+   */
+  updatePreset(id, data) {
+    const presets = this.listPresets();
+    const index = presets.findIndex(preset => preset.id === id);
+    if (index === -1) {
+      throw new NotFoundError('Export preset', id);
+    }
+
+    presets[index] = { id, ...this._normalizePreset(data, presets[index]) };
+    this._savePresets(presets);
+    return presets[index];
+  }
+
+  /**
+   * 删除导出预设
+   */
+  deletePreset(id) {
+    const presets = this.listPresets();
+    if (!presets.some(preset => preset.id === id)) {
+      throw new NotFoundError('Export preset', id);
+    }
+    this._savePresets(presets.filter(preset => preset.id !== id));
+  }
+
+  /**
+   * 生成 ZIP 导出记录
+   * @param {Object} options
+   * @param {string[]} [options.paths] - 按选择导出：图片相对路径
+   * @param {Object} [options.query] - 按条件导出：与 GET /api/image 相同的查询参数（folder、album、smartAlbum、keywords 等）
+   *   只指定 folder 时压缩包内保留子文件夹结构，其它情况按文件名平铺（重名时自动加序号）
+   * @param {'store'|'deflate'} [options.compression] - store 仅存储（默认，可续传），deflate 压缩
+   * @param {string} [options.presetId] - 导出预设，指定时逐个转换图片（压缩包大小事先未知，不能续传）
+   * @param {boolean} [options.archive] - 为 false 时只能导出一个文件，直接下载该文件而不是压缩包
+   * @param {Object|null} [user] - 发起导出的用户（未设置密码时为 null），下载进度只推送给该用户
+   * @returns {{id, filename, count, totalSize, size, compression, presetId, archive, expiresAt}}
+   *   size 为下载内容的大小（deflate 模式或使用预设时为 null）
+   */
+  async createZipExport(libraryId, { paths, query, compression = constants.EXPORT.DEFAULT_COMPRESSION, presetId, archive = true } = {}, user = null) {
+    const library = this._getLibrary(libraryId);
+    if (ZIP_METHODS[compression] === undefined) {
+      throw new ValidationError('Unsupported compression (store | deflate)', 'compression');
+    }
+
+    let preset = null;
+    if (presetId !== undefined && presetId !== null) {
+      preset = this.listPresets().find(item => item.id === presetId);
+      if (!preset) {
+        throw new NotFoundError('Export preset', presetId);
+      }
+    }
+
+    let images;
+    let folder = null;
+    if (paths !== undefined) {
+      if (!Array.isArray(paths) || paths.length === 0 || paths.some(p => typeof p !== 'string')) {
+        throw new ValidationError('paths must be a non-empty array of strings', 'paths');
+      }
+      if (paths.length > constants.EXPORT.MAX_PATHS) {
+        throw new ValidationError(`Too many paths (max ${constants.EXPORT.MAX_PATHS})`, 'paths');
+      }
+      images = this._withImageModel(library, imageModel => imageModel.findByPaths(paths));
+    } else if (query && typeof query === 'object') {
+      const stringQuery = Object.fromEntries(
+        Object.entries(query).filter(([, value]) => value !== undefined && value !== null).map(([key, value]) => [key, String(value)])
+      );
+      const filters = parseImageFilters(stringQuery);
+      if (stringQuery.smartAlbum) filters.smartAlbumId = parseInt(stringQuery.smartAlbum, 10);
+      images = (await this.imageService.searchImages(libraryId, filters)).images;
+      folder = filters.folder || null;
+    } else {
+      throw new ValidationError('paths or query is required', 'paths');
+    }
+
+    const entries = await this._buildEntries(library, images, folder);
+    if (entries.length === 0) {
+      throw new ValidationError('没有可导出的文件', 'paths');
+    }
+    if (archive === false && entries.length !== 1) {
+      throw new ValidationError('archive 为 false 时只能导出一个文件', 'archive');
+    }
+
+    this._removeExpired();
+    const folderName = folder ? folder.split('/').pop() : null;
+    const record = {
+      id: crypto.randomBytes(16).toString('hex'),
+      libraryId,
+      userId: user ? user.id : null,
+      entries,
+      compression,
+      preset,
+      archive: archive !== false,
+      filename: `${folderName || 'FlyPic_导出'}_${entries.length}张.zip`,
+      count: entries.length,
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      size: compression === 'store' && !preset ? getZipSize(entries) : null,
+      expiresAt: Date.now() + constants.EXPORT.TICKET_TTL_MS
+    };
+
+    if (!record.archive) {
+      // 单个文件：文件名按预设确定，大小为原文件大小（使用预设时未知）
+      record.filename = await this._getEntryFilename(entries[0], preset, 0);
+      record.size = preset ? null : entries[0].size;
+    }
+    this.exports.set(record.id, record);
+
+    logger.fileOp(`创建 ZIP 导出: ${record.filename}（${compression}${preset ? `，预设 ${preset.name}` : ''}）`);
+    return this._formatExport(record);
+  }
+
+  /**
+   * 获取导出记录（下载时调用，会延长有效期）
+   */
+  getZipExport(id) {
+    this._removeExpired();
+    const record = this.exports.get(id);
+    if (!record) {
+      throw new NotFoundError('Export', id);
+    }
+    record.expiresAt = Date.now() + constants.EXPORT.TICKET_TTL_MS;
+    return this._formatExport(record);
+  }
+
+  /**
+   * 创建导出的 ZIP 输出流
+   * @param {Object} [range] - { start, end }，字节区间（含两端，仅 store 模式）
+   * @returns {Readable}
+   */
+  createZipExportStream(id, { start = 0, end } = {}) {
+    const record = this.exports.get(id);
+    if (!record) {
+      throw new NotFoundError('Export', id);
+    }
+
+    const lastByte = record.size !== null ? record.size - 1 : Infinity;
+    const rangeEnd = end === undefined ? lastByte : end;
+    let lastEmit = 0;
+    let sent = 0;
+
+    // 使用预设时每次输出都重新转换图片，文件名在转换后确定
+    const entries = record.preset ? this._createPresetEntries(record) : record.entries;
+    const stream = createZipStream(entries, {
+      compression: record.compression,
+      start,
+      end: record.size !== null ? rangeEnd : Infinity,
+      onEntry: (index, written) => {
+        sent = written;
+        const now = Date.now();
+        if (now - lastEmit >= constants.EXPORT.PROGRESS_EMIT_INTERVAL_MS) {
+          lastEmit = now;
+          this._emitProgress(record, 'running', { current: index + 1, bytes: start + written });
+        }
+      }
+    });
+
+    // 输出到压缩包结尾才算完成；只下载了一个区间时不推送完成事件
+    let finished = false;
+    stream.on('end', () => {
+      finished = true;
+      if (rangeEnd === lastByte) {
+        this._emitProgress(record, 'completed', { current: record.count, bytes: record.size ?? start + sent });
+      }
+    });
+    stream.on('error', (error) => {
+      finished = true;
+      logger.error(`ZIP 导出失败: ${record.filename}`, error.message);
+      this._emitProgress(record, 'error', { error: error.message });
+    });
+    stream.on('close', () => {
+      if (!finished) this._emitProgress(record, 'aborted', { bytes: start + sent });
+    });
+
+    return stream;
+  }
+
+  /**
+   * 创建单个文件导出的输出流（archive 为 false 的导出）
+   * 不使用预设或预设不能转换该文件时直接从磁盘读取原文件；使用预设转换图片时输出转换结果（大小未知，不支持区间）
+   * @param {Object} [range] - { start, end }，字节区间（含两端，仅不使用预设时）
+   * @returns {Promise<{filename: string, stream: Readable}>}
+   */
+  async createExportFileStream(id, { start = 0, end } = {}) {
+    const record = this.exports.get(id);
+    if (!record || record.archive) {
+      throw new NotFoundError('Export', id);
+    }
+
+    const entry = record.entries[0];
+    let filename = record.filename;
+    let stream;
+    let renderedSize = null;
+    try {
+      if (record.preset && isConvertible(entry.fullPath)) {
+        const { data, name } = await this._renderEntry(entry, record.preset, 0, new Set());
+        filename = path.basename(name);
+        renderedSize = data.length;
+        stream = Readable.from([data]);
+      } else {
+        stream = fs.createReadStream(entry.fullPath, { start, end });
+      }
+    } catch (error) {
+      logger.error(`导出失败: ${record.filename}`, error.message);
+      this._emitProgress(record, 'error', { error: error.message });
+      throw error;
+    }
+
+    // 输出到文件结尾才算完成；只下载了一个区间时不推送完成事件
+    const getSent = () => renderedSize ?? stream.bytesRead;
+    let finished = false;
+    stream.on('end', () => {
+      finished = true;
+      if (end === undefined || record.size === null || end === record.size - 1) {
+        this._emitProgress(record, 'completed', { current: 1, bytes: start + getSent() });
+      }
+    });
+    stream.on('error', (error) => {
+      finished = true;
+      logger.error(`导出失败: ${record.filename}`, error.message);
+      this._emitProgress(record, 'error', { error: error.message });
+    });
+    stream.on('close', () => {
+      if (!finished) this._emitProgress(record, 'aborted', { bytes: start + getSent() });
+    });
+
+    return { filename, stream };
+  }
+
+  /**
+   * 使用预设的压缩包条目：输出时调用 load 转换图片
+   * @private
+   */
+  _createPresetEntries(record) {
+    const usedNames = new Set();
+    return record.entries.map((entry, index) => ({
+      ...entry,
+      load: () => this._renderEntry(entry, record.preset, index, usedNames)
+    }));
+  }
+
+  /**
+   * 按预设转换一个文件，返回内容和压缩包中的路径；不能转换的文件（视频、设计文件、损坏的图片）按原文件导出
+   * @private
+   */
+  async _renderEntry(entry, preset, index, usedNames) {
+    if (isConvertible(entry.fullPath)) {
+      try {
+        const result = await renderExportImage(entry.fullPath, preset);
+        const filename = formatExportFilename(preset.filenameTemplate, this._filenameVars(entry, index, result), result.ext);
+        return { data: result.data, name: this._uniqueName(entry.dir + filename, usedNames) };
+      } catch (error) {
+        logger.warn(`按预设转换失败，导出原文件: ${entry.fullPath}`, error.message);
+      }
+    }
+
+    const ext = path.extname(entry.filename).slice(1);
+    const filename = formatExportFilename(preset.filenameTemplate, this._filenameVars(entry, index, entry), ext);
+    return { data: await fs.promises.readFile(entry.fullPath), name: this._uniqueName(entry.dir + filename, usedNames) };
+  }
+
+  /**
+   * 单个文件导出时的文件名（使用预设时读取图片头部得到输出尺寸和格式）
+   * @private
+   */
+  async _getEntryFilename(entry, preset, index) {
+    if (!preset) return entry.filename;
+
+    let info = { width: entry.width, height: entry.height, ext: path.extname(entry.filename).slice(1) };
+    if (isConvertible(entry.fullPath)) {
+      info = await getExportInfo(entry.fullPath, preset).catch(() => info);
+    }
+    return formatExportFilename(preset.filenameTemplate, this._filenameVars(entry, index, info), info.ext);
+  }
+
+  /**
+   * 文件名模板变量
+   * @private
+   */
+  _filenameVars(entry, index, size) {
+    return {
+      name: path.basename(entry.filename, path.extname(entry.filename)),
+      folder: entry.folder,
+      w: size.width,
+      h: size.height,
+      index: index + 1
+    };
+  }
+
+  /**
+   * 校验并补全导出预设字段
+   * @private
+   */
+  _normalizePreset(data, base = {}) {
+    const { EXPORT_PRESETS } = constants;
+    const preset = {
+      name: '',
+      format: 'original',
+      quality: EXPORT_PRESETS.DEFAULT_QUALITY,
+      maxWidth: null,
+      maxHeight: null,
+      stripMetadata: false,
+      watermark: null,
+      filenameTemplate: EXPORT_PRESETS.DEFAULT_FILENAME_TEMPLATE,
+      ...base
+    };
+    delete preset.id;
+    for (const key of Object.keys(preset)) {
+      if (data[key] !== undefined) preset[key] = data[key];
+    }
+
+    if (typeof preset.name !== 'string' || !preset.name.trim()) {
+      throw new ValidationError('预设名称不能为空', 'name');
+    }
+    preset.name = preset.name.trim();
+    if (!EXPORT_PRESETS.FORMATS.includes(preset.format)) {
+      throw new ValidationError(`format must be one of: ${EXPORT_PRESETS.FORMATS.join(', ')}`, 'format');
+    }
+    if (!Number.isInteger(preset.quality) || preset.quality < 1 || preset.quality > 100) {
+      throw new ValidationError('quality must be an integer between 1 and 100', 'quality');
+    }
+    for (const field of ['maxWidth', 'maxHeight']) {
+      if (preset[field] !== null && (!Number.isInteger(preset[field]) || preset[field] < 1)) {
+        throw new ValidationError(`${field} must be a positive integer or null`, field);
+      }
+    }
+    if (typeof preset.stripMetadata !== 'boolean') {
+      throw new ValidationError('stripMetadata must be a boolean', 'stripMetadata');
+    }
+    if (typeof preset.filenameTemplate !== 'string' || !preset.filenameTemplate.trim()) {
+      throw new ValidationError('文件名模板不能为空', 'filenameTemplate');
+    }
+    preset.watermark = this._normalizeWatermark(preset.watermark);
+
+    return preset;
+  }
+
+  /**
+   * 校验水印设置：{ type: 'text', text } 或 { type: 'image', path }（服务器上水印图片的绝对路径），
+   * position 为位置，opacity 为不透明度（0-1），scale 为大小（文字为字号占图片短边的比例，图片为宽度占图片宽度的比例）
+   * @private
+   */
+  _normalizeWatermark(watermark) {
+    if (watermark === null) return null;
+    if (typeof watermark !== 'object' || !['text', 'image'].includes(watermark.type)) {
+      throw new ValidationError('watermark.type must be text or image', 'watermark');
+    }
+
+    const result = {
+      type: watermark.type,
+      position: watermark.position ?? 'bottom-right',
+      opacity: watermark.opacity ?? 0.5,
+      scale: watermark.scale ?? (watermark.type === 'text' ? 0.04 : 0.2)
+    };
+    if (!constants.EXPORT_PRESETS.WATERMARK_POSITIONS.includes(result.position)) {
+      throw new ValidationError(`watermark.position must be one of: ${constants.EXPORT_PRESETS.WATERMARK_POSITIONS.join(', ')}`, 'watermark');
+    }
+    if (typeof result.opacity !== 'number' || result.opacity < 0 || result.opacity > 1) {
+      throw new ValidationError('watermark.opacity must be between 0 and 1', 'watermark');
+    }
+    if (typeof result.scale !== 'number' || result.scale <= 0 || result.scale > 1) {
+      throw new ValidationError('watermark.scale must be between 0 and 1', 'watermark');
+    }
+
+    if (watermark.type === 'text') {
+      if (typeof watermark.text !== 'string' || !watermark.text.trim()) {
+        throw new ValidationError('水印文字不能为空', 'watermark');
+      }
+      result.text = watermark.text.trim();
+    } else {
+      if (typeof watermark.path !== 'string' || !path.isAbsolute(watermark.path) || !fs.existsSync(watermark.path)) {
+        throw new ValidationError('水印图片不存在（需要服务器上的绝对路径）', 'watermark');
+      }
+      result.path = watermark.path;
+    }
+    return result;
+  }
+
+  /**
+   * 保存导出预设到全局配置
+   * @private
+   */
+  _savePresets(presets) {
+    const config = this.configManager.load();
+    config.exportPresets = presets;
+    this.configManager.save(config);
+  }
+
+  /**
+   * 生成压缩包条目：读取文件大小和修改时间，跳过已不存在的文件
+   * @private
+   */
+  async _buildEntries(library, images, folder) {
+    const entries = [];
+    const usedNames = new Set();
+    const folderName = folder ? folder.split('/').pop() : null;
+
+    for (const image of images) {
+      const fullPath = path.join(library.path, image.path);
+      let stat;
+      try {
+        stat = await fs.promises.stat(fullPath);
+      } catch (error) {
+        continue;
+      }
+      if (!stat.isFile()) continue;
+
+      // dir 为压缩包中的目录（按文件夹导出时保留子文件夹结构），使用预设时文件名在转换后按模板生成
+      const name = folder
+        ? `${folderName}/${image.path.slice(folder.length).replace(/^\/+/, '')}`
+        : image.filename;
+      entries.push({
+        name: this._uniqueName(name, usedNames),
+        dir: name.slice(0, name.length - image.filename.length),
+        fullPath,
+        size: stat.size,
+        mtime: stat.mtimeMs,
+        filename: image.filename,
+        // 文件名模板中的 {folder}：所在文件夹名，素材库根目录下的图片为素材库名称
+        folder: image.folder ? image.folder.split('/').pop() : library.name,
+        width: image.width,
+        height: image.height
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * 压缩包内重名时在扩展名前加序号：a.jpg → a (2).jpg（不区分大小写，避免在 Windows 上解压时覆盖）
+   * @private
+   */
+  _uniqueName(name, usedNames) {
+    const ext = path.posix.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+      candidate = `${base} (${i})${ext}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * 删除过期的导出记录
+   * @private
+   */
+  _removeExpired() {
+    const now = Date.now();
+    for (const [id, record] of this.exports) {
+      if (record.expiresAt < now) this.exports.delete(id);
+    }
+  }
+
+  /**
+   * 导出记录转换为接口返回的格式（不包含服务器上的文件路径）
+   * @private
+   */
+  _formatExport(record) {
+    return {
+      id: record.id,
+      libraryId: record.libraryId,
+      filename: record.filename,
+      count: record.count,
+      totalSize: record.totalSize,
+      size: record.size,
+      compression: record.compression,
+      presetId: record.preset ? record.preset.id : null,
+      archive: record.archive,
+      expiresAt: record.expiresAt
+    };
+  }
+
+  /**
+   * 推送导出进度（只发给发起导出的用户）：status 为 running | completed | aborted | error
+   * @private
+   */
+  _emitProgress(record, status, progress) {
+    if (this.io) {
+      this.io.to(getUserRoom(record.userId)).emit('exportProgress', {
+        id: record.id,
+        libraryId: record.libraryId,
+        status,
+        count: record.count,
+        size: record.size,
+        ...progress
+      });
+    }
+  }
+
+  /**
+   * 获取数据库连接并执行查询
+   * @private
+   */
+  _withImageModel(library, fn) {
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      return fn(new ImageModel(db.db));
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,67 @@
+/**
+ * 导出服务测试（下载进度只推送给发起导出的用户）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryDatabase = require('../../database/db');
+const ExportService = require('./ExportService');
+
+describe('导出进度', () => {
+  let tempDir;
+  let db;
+  let exportService;
+  // 记录推送的事件：[房间, 事件名, 数据]
+  const emitted = [];
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flypic-export-test-'));
+    fs.writeFileSync(path.join(tempDir, 'a.jpg'), Buffer.alloc(1000, 1));
+    db = new LibraryDatabase(tempDir);
+    db.insertImage({
+      path: 'a.jpg', filename: 'a.jpg', folder: '', size: 1000, width: 100, height: 100, format: 'jpeg', created_at: 1, modified_at: 1
+    });
+
+    const config = { libraries: [{ id: 'lib1', name: 'test', path: tempDir }] };
+    const configManager = { load: () => config, save: () => {} };
+    const dbPool = { acquire: () => db, release: () => {} };
+    const io = {
+      to: (room) => ({ emit: (event, data) => emitted.push([room, event, data]) }),
+      emit: (event, data) => emitted.push([null, event, data])
+    };
+    exportService = new ExportService(configManager, dbPool, null, io);
+  });
+
+  after(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const download = async (user) => {
+    emitted.length = 0;
+    const { id } = await exportService.createZipExport('lib1', { paths: ['a.jpg'], compression: 'store' }, user);
+    for await (const chunk of exportService.createZipExportStream(id)) {
+      assert.ok(chunk.length > 0);
+    }
+    return id;
+  };
+
+  it('进度只推送到发起导出的用户的房间', async () => {
+    const id = await download({ id: 'u1' });
+    assert.ok(emitted.some(([, , data]) => data.status === 'completed'));
+    for (const [room, event, data] of emitted) {
+      assert.strictEqual(room, 'user:u1');
+      assert.strictEqual(event, 'exportProgress');
+      assert.strictEqual(data.id, id);
+    }
+  });
+
+  it('未设置密码时推送到共用的房间', async () => {
+    await download(null);
+    assert.ok(emitted.length > 0);
+    assert.ok(emitted.every(([room]) => room === 'user:'));
+  });
+});
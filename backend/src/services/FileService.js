@@ -6,8 +6,13 @@
 const fs = require('fs');
 const path = require('path');
 const { processImage } = require('../../utils/scanner');
+const { getSizedThumbnailPaths } = require('../../utils/thumbnail');
 const { constants } = require('../config');
 const logger = require('../utils/logger');
+const TagModel = require('../models/TagModel');
+const AlbumModel = require('../models/AlbumModel');
+const { parseTagNames } = require('../utils/tagUtils');
+const { naturalSortKey } = require('../utils/sortUtils');
 
 // 临时备份目录（用于撤销恢复）
 const TEMP_BACKUP_DIR = constants.PATHS.TEMP_BACKUP_DIR;
@@ -123,9 +128,20 @@ class FileService {
         
         if (imageRecords) {
           const records = Array.isArray(imageRecords) ? imageRecords : [imageRecords];
+          const tagModel = new TagModel(db.db);
+          const albumModel = new AlbumModel(db.db);
           for (const record of records) {
             try {
               db.insertImage(record);
+              // 按 meta 中保存的标签名和相册 ID 重建标签、相册关联
+              const restored = db.getImageByPath(record.path);
+              const tagNames = parseTagNames(record.tags);
+              if (tagNames.length > 0) {
+                tagModel.setImageTags(restored.id, tagModel.ensureTags(tagNames));
+              }
+              if (record.albumIds && record.albumIds.length > 0) {
+                albumModel.addImageToAlbums(restored.id, record.albumIds);
+              }
             } catch (error) {
               logger.warn(`恢复图片记录失败: ${record.path}`, error.message);
             }
@@ -207,16 +223,16 @@ class FileService {
                 if (meta.imageRecords) {
                   const records = Array.isArray(meta.imageRecords) ? meta.imageRecords : [meta.imageRecords];
                   for (const record of records) {
-                    if (record.thumbnail_path) {
+                    for (const thumbnailPath of this._getThumbnailFiles(record)) {
                       try {
-                        const thumbnailFullPath = path.join(libraryPath, record.thumbnail_path);
+                        const thumbnailFullPath = path.join(libraryPath, thumbnailPath);
                         if (fs.existsSync(thumbnailFullPath)) {
                           fs.unlinkSync(thumbnailFullPath);
                           thumbnailsCleaned++;
-                          logger.fileOp(`清理缩略图: ${record.thumbnail_path}`);
+                          logger.fileOp(`清理缩略图: ${thumbnailPath}`);
                         }
                       } catch (thumbError) {
-                        logger.warn(`清理缩略图失败 ${record.thumbnail_path}:`, thumbError.message);
+                        logger.warn(`清理缩略图失败 ${thumbnailPath}:`, thumbError.message);
                       }
                     }
                   }
@@ -414,10 +430,13 @@ class FileService {
         // 删除数据库记录前，先保存到meta（恢复时需要）
         let imageRecords = null;
         let folderRecords = null;
+        // 相册关系随图片记录一起保存（按 image_id 关联，删除记录时会被级联删除）
+        const albumModel = new AlbumModel(db.db);
+        const withAlbumIds = (record) => ({ ...record, albumIds: albumModel.getAlbumIdsByImage(record.id) });
         
         if (item.type === 'folder') {
           // 保存文件夹内所有图片和文件夹的数据库记录
-          imageRecords = db.getImagesByFolderPrefix(item.path);
+          imageRecords = db.getImagesByFolderPrefix(item.path).map(withAlbumIds);
           const stmt = db.db.prepare('SELECT * FROM folders WHERE path = ? OR path LIKE ?');
           folderRecords = stmt.all(item.path, `${item.path}/%`);
           
@@ -428,7 +447,8 @@ class FileService {
           db.deleteFoldersByPrefix(item.path);
         } else {
           // 保存单个文件的数据库记录
-          imageRecords = db.getImageByPath(item.path);
+          const record = db.getImageByPath(item.path);
+          imageRecords = record ? withAlbumIds(record) : null;
           db.deleteImage(item.path);
         }
         
@@ -892,25 +912,30 @@ class FileService {
     const updates = {};
     if (metadata.rating !== undefined) updates.rating = metadata.rating;
     if (metadata.favorite !== undefined) updates.favorite = metadata.favorite;
-    if (metadata.tags !== undefined) {
-      updates.tags = Array.isArray(metadata.tags) 
-        ? JSON.stringify(metadata.tags) 
-        : metadata.tags;
-    }
 
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && metadata.tags === undefined) {
       throw new Error('没有要更新的元数据');
     }
 
+    const image = db.getImageByPath(imagePath);
+    if (!image) {
+      throw new Error('图片不存在');
+    }
+
     // 构建 SQL 更新语句
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = [...Object.values(updates), imagePath];
-    
-    const stmt = db.db.prepare(`UPDATE images SET ${fields} WHERE path = ?`);
-    const result = stmt.run(...values);
+    if (Object.keys(updates).length > 0) {
+      const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+      const values = [...Object.values(updates), imagePath];
 
-    if (result.changes === 0) {
-      throw new Error('图片不存在');
+      const stmt = db.db.prepare(`UPDATE images SET ${fields} WHERE path = ?`);
+      stmt.run(...values);
+    }
+
+    // 标签写入 tags / image_tags 表（整体替换），images.tags 列由 TagModel 同步
+    if (metadata.tags !== undefined) {
+      const tagModel = new TagModel(db.db);
+      const tagNames = parseTagNames(metadata.tags);
+      tagModel.setImageTags(image.id, tagModel.ensureTags(tagNames));
     }
 
     // 更新数据库修改时间
@@ -921,6 +946,7 @@ class FileService {
 
   /**
    * 更新数据库中的路径（仅用于单个文件）
+   * 原地更新记录，图片 id 不变，评分、收藏以及按 image_id 关联的标签、相册都随文件保留
    * @private
    */
   _updatePathInDatabase(db, oldPath, newPath) {
@@ -929,12 +955,18 @@ class FileService {
       return;
     }
 
+    // 目标路径已有记录（如文件监控先一步收录了新路径）：以被移动的图片为准，避免 UNIQUE(path) 冲突
+    const existing = db.getImageByPath(newPath);
+    if (existing && existing.id !== image.id) {
+      db.deleteImage(newPath);
+    }
+
     const newFilename = path.basename(newPath);
     const newFolder = path.dirname(newPath);
 
     const stmt = db.db.prepare(`
       UPDATE images 
-      SET path = ?, filename = ?, folder = ? 
+      SET path = ?, filename = ?, folder = ?, sort_name = ? 
       WHERE path = ?
     `);
     
@@ -942,6 +974,7 @@ class FileService {
       newPath,
       newFilename,
       newFolder === '.' ? '' : newFolder.replace(/\\/g, '/'),
+      naturalSortKey(newFilename),
       oldPath
     );
 
@@ -1068,20 +1101,36 @@ class FileService {
     return { path: normalizedPath };
   }
 
+  /**
+   * 图片的全部缩略图文件（相对于素材库）：缩略图、按需生成的其它尺寸档位和动态缩略图（私有方法）
+   */
+  _getThumbnailFiles(image) {
+    const files = [];
+    if (image.thumbnail_path) {
+      files.push(image.thumbnail_path, ...getSizedThumbnailPaths(image.thumbnail_path));
+    }
+    if (image.animated_thumbnail_path) {
+      files.push(image.animated_thumbnail_path);
+    }
+    return files;
+  }
+
   /**
    * 删除缩略图（私有方法）
    */
   _deleteThumbnail(db, imagePath) {
     const image = db.getImageByPath(imagePath);
-    if (!image || !image.thumbnail_path) return;
+    if (!image) return;
 
-    try {
-      const thumbnailFullPath = path.join(db.libraryPath, image.thumbnail_path);
-      if (fs.existsSync(thumbnailFullPath)) {
-        fs.unlinkSync(thumbnailFullPath);
+    for (const thumbnailPath of this._getThumbnailFiles(image)) {
+      try {
+        const thumbnailFullPath = path.join(db.libraryPath, thumbnailPath);
+        if (fs.existsSync(thumbnailFullPath)) {
+          fs.unlinkSync(thumbnailFullPath);
+        }
+      } catch (error) {
+        logger.warn(`删除缩略图失败: ${error.message}`);
       }
-    } catch (error) {
-      logger.warn(`删除缩略图失败: ${error.message}`);
     }
   }
 }
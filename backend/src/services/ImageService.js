@@ -3,26 +3,67 @@
  * 封装图片相关的业务逻辑
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const ImageModel = require('../models/ImageModel');
 const FolderModel = require('../models/FolderModel');
+const SmartAlbumModel = require('../models/SmartAlbumModel');
+const { decodeCursor } = require('../utils/cursorUtils');
+const { normalizeSort } = require('../utils/sortUtils');
+const { parseImageFilters } = require('../utils/filterUtils');
+const { parseSearchQuery } = require('../shared/searchQuery.mjs');
+const { BKTree } = require('../utils/bkTree');
+const { resolveInside } = require('../utils/pathUtils');
+const { constants, getPreviewsPath, getThumbnailsPath } = require('../config');
+const {
+  renderPreview, renderThumbnail, generateThumbnail, getThumbnailTier, getSizedThumbnailPath
+} = require('../../utils/thumbnail');
+
+// 扫描生成的缩略图文件名（动态缩略图等其它文件只有一档）
+const THUMBNAIL_FILENAME_PATTERN = /^[0-9a-f]{32}\.webp$/;
 
 class ImageService {
   constructor(configManager, dbPool) {
     this.configManager = configManager;
     this.dbPool = dbPool;
+    // 相似图片索引缓存：libraryPath -> { lastModified, tree }
+    this.similarIndexes = new Map();
+    // 正在生成的缩略图档位：绝对路径 -> Promise，避免同时请求时重复生成
+    this.sizedThumbnailJobs = new Map();
   }
 
   /**
    * 搜索图片
+   * @param {Object} filters - 筛选条件，smartAlbumId 为智能相册 id
+   * @param {Object} pagination - { offset, limit } 偏移分页，或 { cursor, limit } 游标分页（cursor 为空字符串表示第一页）
    */
   async searchImages(libraryId, filters = {}, pagination = null) {
     const library = this._getLibrary(libraryId);
+
+    // 搜索语法错误直接返回给前端
+    if (filters.keywords) {
+      const { errors } = parseSearchQuery(filters.keywords);
+      if (errors.length > 0) {
+        throw new ValidationError(errors[0].message, 'keywords');
+      }
+    }
+
+    let modelPagination = pagination;
+    if (pagination && pagination.cursor !== undefined) {
+      const cursor = pagination.cursor ? decodeCursor(pagination.cursor, filters.sort) : null;
+      if (pagination.cursor && !cursor) {
+        throw new ValidationError('Invalid cursor', 'cursor');
+      }
+      modelPagination = { cursor, limit: pagination.limit };
+    }
+
     const db = this.dbPool.acquire(library.path);
 
     try {
       const imageModel = new ImageModel(db.db);
-      return imageModel.search(filters, pagination);
+      return imageModel.search(this._applySmartAlbum(db.db, filters), modelPagination);
     } finally {
       this.dbPool.release(library.path);
     }
@@ -70,6 +111,28 @@ class ImageService {
     }
   }
 
+  /**
+   * 获取图片的 EXIF / IPTC / XMP 元数据
+   * @returns {Object|null} 尚未提取（旧数据未重新扫描）时返回 null
+   */
+  async getImageMeta(libraryId, imagePath) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      const imageModel = new ImageModel(db.db);
+      const image = imageModel.findByPath(imagePath);
+
+      if (!image) {
+        throw new NotFoundError('Image', imagePath);
+      }
+
+      return imageModel.findMeta(image.id);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
   /**
    * 获取图片总数
    */
@@ -208,6 +271,315 @@ class ImageService {
     }
   }
 
+  /**
+   * 批量更新图片收藏状态
+   */
+  async updateFavorite(libraryId, paths, favorite) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      const success = [];
+      const failed = [];
+      const stmt = db.db.prepare('UPDATE images SET favorite = ? WHERE path = ?');
+
+      db.db.transaction(() => {
+        for (const imagePath of paths) {
+          const result = stmt.run(favorite ? 1 : 0, imagePath);
+          if (result.changes > 0) {
+            success.push(imagePath);
+          } else {
+            failed.push({ path: imagePath, error: '图片不存在' });
+          }
+        }
+      })();
+
+      if (success.length > 0) {
+        db.updateLastModified();
+      }
+
+      return {
+        updated: success.length,
+        favorite,
+        success,
+        failed
+      };
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取图片主色（扫描时从缩略图提取）
+   * @returns {Array<{hex, ratio}>}
+   */
+  async getImageColors(libraryId, imagePath) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      const imageModel = new ImageModel(db.db);
+      const image = imageModel.findByPath(imagePath);
+
+      if (!image) {
+        throw new NotFoundError('Image', imagePath);
+      }
+
+      return imageModel.findColors(image.id);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取原文件路径
+   * 只能访问素材库目录内的文件（不包括 .flypic 索引目录）
+   * @returns {string} 原文件的绝对路径
+   */
+  getOriginalFile(libraryId, imagePath) {
+    const library = this._getLibrary(libraryId);
+    const fullPath = resolveInside(library.path, imagePath);
+    if (!fullPath) {
+      throw new ValidationError('Invalid path', 'path');
+    }
+
+    const relativePath = path.relative(path.resolve(library.path), fullPath);
+    if (relativePath.split(path.sep)[0] === constants.PATHS.FLYPIC_DIR || !fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+      throw new NotFoundError('Image', imagePath);
+    }
+    return fullPath;
+  }
+
+  /**
+   * 获取设计文件、文档某一页的大尺寸预览（文件查看器逐页浏览用）
+   * 按需渲染并缓存在 .flypic/previews 中，原文件修改后重新渲染
+   * @param {number} page - 页码，从 1 开始
+   * @returns {Promise<string>} 预览图的绝对路径
+   */
+  async getPreviewFile(libraryId, imagePath, page = 1) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    let image;
+    try {
+      image = new ImageModel(db.db).findByPath(imagePath);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+
+    if (!image) {
+      throw new NotFoundError('Image', imagePath);
+    }
+    if (!image.pageCount) {
+      throw new ValidationError('该文件不支持预览');
+    }
+    if (!Number.isInteger(page) || page < 1 || page > image.pageCount) {
+      throw new ValidationError(`页码超出范围（共 ${image.pageCount} 页）`, 'page');
+    }
+
+    const sourcePath = path.join(library.path, image.path);
+    if (!fs.existsSync(sourcePath)) {
+      throw new NotFoundError('File', imagePath);
+    }
+
+    const hash = crypto.createHash('md5').update(image.path).digest('hex');
+    const previewPath = path.join(getPreviewsPath(library.path), hash.slice(0, 2), `${hash}_${page}.webp`);
+
+    // 缓存比原文件新时直接使用
+    if (fs.existsSync(previewPath) && fs.statSync(previewPath).mtimeMs >= fs.statSync(sourcePath).mtimeMs) {
+      return previewPath;
+    }
+
+    fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+    const result = await renderPreview(sourcePath, previewPath, page);
+    if (!result) {
+      throw new ValidationError('预览生成失败');
+    }
+    return previewPath;
+  }
+
+  /**
+   * 获取缩略图文件
+   * 扫描时只生成一档缩略图（THUMBNAIL_GENERATION.TARGET_HEIGHT），指定 height 时返回不小于它的最小档位（THUMBNAIL.SIZES）：
+   * 更小的档位从缩略图缩小，更大的档位从原文件重新渲染；第一次请求时生成并缓存在同一分片目录，缩略图重新生成后随之更新
+   * @param {string} filename - 缩略图文件名（hash.webp，动态缩略图为 hash_anim.webp）
+   * @param {number} [height] - 需要的高度（像素），不传时返回扫描生成的缩略图
+   * @returns {Promise<string>} 缩略图的绝对路径；无法生成更大的档位时返回扫描生成的缩略图
+   */
+  async getThumbnailFile(libraryId, filename, height) {
+    const library = this._getLibrary(libraryId);
+    if (height !== undefined && (!Number.isInteger(height) || height < 1)) {
+      throw new ValidationError('缩略图高度必须是正整数', 'h');
+    }
+
+    // 分片结构：取文件名前 2 个字符作为分片目录（文件名中不能包含路径）
+    const thumbnailPath = /[\\/]/.test(filename)
+      ? null
+      : resolveInside(getThumbnailsPath(library.path), path.join(filename.slice(0, 2), filename));
+    if (!thumbnailPath || !fs.existsSync(thumbnailPath)) {
+      throw new NotFoundError('Thumbnail', filename);
+    }
+
+    const baseHeight = constants.THUMBNAIL_GENERATION.TARGET_HEIGHT;
+    const tier = height === undefined ? baseHeight : getThumbnailTier(height);
+    if (tier === baseHeight || !THUMBNAIL_FILENAME_PATTERN.test(filename)) {
+      return thumbnailPath;
+    }
+
+    // 缓存比缩略图新时直接使用
+    const sizedPath = getSizedThumbnailPath(thumbnailPath, tier);
+    if (fs.existsSync(sizedPath) && fs.statSync(sizedPath).mtimeMs >= fs.statSync(thumbnailPath).mtimeMs) {
+      return sizedPath;
+    }
+
+    if (!this.sizedThumbnailJobs.has(sizedPath)) {
+      const job = this._generateSizedThumbnail(library, thumbnailPath, sizedPath, tier)
+        .finally(() => this.sizedThumbnailJobs.delete(sizedPath));
+      this.sizedThumbnailJobs.set(sizedPath, job);
+    }
+    return this.sizedThumbnailJobs.get(sizedPath);
+  }
+
+  /**
+   * 生成缩略图的指定档位
+   * @private
+   * @returns {Promise<string>} 生成的档位路径；只有占位图或渲染失败时返回缩略图路径
+   */
+  async _generateSizedThumbnail(library, thumbnailPath, sizedPath, tier) {
+    const baseHeight = constants.THUMBNAIL_GENERATION.TARGET_HEIGHT;
+    if (tier < baseHeight) {
+      await generateThumbnail(thumbnailPath, sizedPath, tier);
+      return sizedPath;
+    }
+
+    const db = this.dbPool.acquire(library.path);
+    let image;
+    try {
+      const relativePath = path.relative(library.path, thumbnailPath).replace(/\\/g, '/');
+      image = new ImageModel(db.db).findByThumbnailPath(relativePath);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+
+    if (!image || image.thumbnailSource === 'placeholder') {
+      return thumbnailPath;
+    }
+    const sourcePath = path.join(library.path, image.path);
+    if (!fs.existsSync(sourcePath)) {
+      return thumbnailPath;
+    }
+
+    // 从原文件重新渲染，原图不够高时与缩略图一样不放大
+    const result = await renderThumbnail(sourcePath, sizedPath, tier);
+    return result ? sizedPath : thumbnailPath;
+  }
+
+  /**
+   * 查找与指定图片相似的图片（感知哈希汉明距离不超过 threshold）
+   * 结果按距离从近到远排列，每张图片附带 distance；filters 与搜索接口相同，用于进一步筛选
+   * @param {Object} options - { threshold, limit }
+   * @returns {{image: Object, images: Array, total: number, threshold: number}}
+   */
+  async findSimilarImages(libraryId, imageId, filters = {}, options = {}) {
+    const library = this._getLibrary(libraryId);
+    const { SIMILAR_IMAGES } = constants;
+    const threshold = Math.min(options.threshold ?? SIMILAR_IMAGES.DEFAULT_THRESHOLD, SIMILAR_IMAGES.MAX_THRESHOLD);
+    const limit = Math.min(options.limit ?? SIMILAR_IMAGES.DEFAULT_LIMIT, SIMILAR_IMAGES.MAX_LIMIT);
+
+    if (filters.keywords) {
+      const { errors } = parseSearchQuery(filters.keywords);
+      if (errors.length > 0) {
+        throw new ValidationError(errors[0].message, 'keywords');
+      }
+    }
+
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      const imageModel = new ImageModel(db.db);
+      const image = imageModel.findById(imageId);
+
+      if (!image) {
+        throw new NotFoundError('Image', imageId);
+      }
+      if (image.perceptualHash === null) {
+        throw new ValidationError('该图片尚未计算感知哈希，请重新扫描素材库后再试', 'id');
+      }
+      if (!image.perceptualHash) {
+        throw new ValidationError('该文件没有可比较的图像内容', 'id');
+      }
+
+      const distances = new Map();
+      for (const { value, distance } of this._getSimilarIndex(library.path, db).search(image.perceptualHash, threshold)) {
+        if (value !== image.id) distances.set(value, distance);
+      }
+
+      const { images } = imageModel.search({
+        ...this._applySmartAlbum(db.db, filters),
+        imageIds: [...distances.keys()]
+      });
+      const similar = images
+        .map(similarImage => ({ ...similarImage, distance: distances.get(similarImage.id) }))
+        .sort((a, b) => a.distance - b.distance || a.id - b.id);
+
+      return {
+        image,
+        images: similar.slice(0, limit),
+        total: similar.length,
+        threshold
+      };
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库的感知哈希 BK 树，数据库修改后重新构建
+   * @private
+   */
+  _getSimilarIndex(libraryPath, db) {
+    const lastModified = db.getLastModified();
+    const cached = this.similarIndexes.get(libraryPath);
+    if (cached && cached.lastModified === lastModified) {
+      return cached.tree;
+    }
+
+    const tree = new BKTree();
+    for (const row of new ImageModel(db.db).findPerceptualHashes()) {
+      tree.add(row.perceptual_hash, row.id);
+    }
+    this.similarIndexes.set(libraryPath, { lastModified, tree });
+    return tree;
+  }
+
+  /**
+   * 将智能相册保存的条件附加到筛选条件（filters.smartAlbum）
+   * 相关度排序同时使用相册和搜索框中的关键词；颜色排序在当前没有筛选颜色时使用相册保存的颜色
+   * @private
+   */
+  _applySmartAlbum(db, filters) {
+    if (filters.smartAlbumId === undefined) return filters;
+
+    if (!Number.isInteger(filters.smartAlbumId)) {
+      throw new ValidationError('Invalid smart album id', 'smartAlbum');
+    }
+    const album = new SmartAlbumModel(db).findById(filters.smartAlbumId);
+    if (!album) {
+      throw new NotFoundError('SmartAlbum', filters.smartAlbumId);
+    }
+
+    const smartAlbum = parseImageFilters(album.query);
+    const result = { ...filters, smartAlbum };
+    if (result.sort && result.sort.field === 'relevance') {
+      const query = [smartAlbum.keywords, filters.keywords].filter(Boolean).join(' ');
+      result.sort = normalizeSort({ ...result.sort, query });
+    }
+    if (result.sort && result.sort.field === 'color' && !result.sort.color && smartAlbum.color) {
+      result.sort = normalizeSort({ ...result.sort, color: smartAlbum.color });
+    }
+    return result;
+  }
+
   /**
    * 获取素材库对象
    * @private
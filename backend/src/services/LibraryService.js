@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
 const { getFlypicPath, getDatabasePath, getThumbnailsPath } = require('../config');
+const { SORT_FIELDS, normalizeSort } = require('../utils/sortUtils');
+const { hasLibraryRole } = require('../utils/roleUtils');
 
 class LibraryService {
   constructor(configManager, dbPool, scanManager, lightweightWatcher, io) {
@@ -19,14 +21,26 @@ class LibraryService {
 
   /**
    * 获取所有素材库
+   * @param {Object|null} [user] - 当前用户，只返回有浏览权限的素材库（未设置密码时为 null，返回全部），
+   *   偏好设置为全局偏好加上该用户自己的偏好
    */
-  getAllLibraries() {
+  getAllLibraries(user = null) {
     const config = this.configManager.load();
+    let libraries = config.libraries || [];
+    let currentLibraryId = config.currentLibraryId;
+
+    if (user) {
+      libraries = libraries.filter(library => hasLibraryRole(user, library.id, 'viewer'));
+      if (!libraries.some(library => library.id === currentLibraryId)) {
+        currentLibraryId = libraries.length > 0 ? libraries[0].id : null;
+      }
+    }
+
     return {
-      libraries: config.libraries || [],
-      currentLibraryId: config.currentLibraryId,
+      libraries,
+      currentLibraryId,
       theme: config.theme || 'light',
-      preferences: config.preferences || {}
+      preferences: { ...config.preferences, ...(user && user.preferences) }
     };
   }
 
@@ -198,13 +212,49 @@ class LibraryService {
   }
 
   /**
-   * 更新偏好设置
+   * 更新全局偏好设置（未设置密码时使用；已有用户时偏好保存在各自的账号中，见 UserService.updatePreferences）
    */
   updatePreferences(preferences) {
     this.configManager.updatePreferences(preferences);
     return { success: true };
   }
 
+  /**
+   * 更新素材库偏好设置（排序方式、是否生成动态缩略图），保存在该素材库的配置项中
+   */
+  updateLibraryPreferences(libraryId, preferences) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    const updates = {};
+
+    if (preferences.sort !== undefined) {
+      const { field, order } = preferences.sort || {};
+      if (!SORT_FIELDS.includes(field)) {
+        throw new ValidationError(`Invalid sort field, must be one of ${SORT_FIELDS.join(', ')}`, 'sort');
+      }
+      if (order !== undefined && !['asc', 'desc'].includes(order)) {
+        throw new ValidationError('Invalid sort order, must be asc or desc', 'sort');
+      }
+      updates.sort = normalizeSort(preferences.sort);
+    }
+
+    if (preferences.animatedThumbnails !== undefined) {
+      if (typeof preferences.animatedThumbnails !== 'boolean') {
+        throw new ValidationError('animatedThumbnails must be a boolean', 'animatedThumbnails');
+      }
+      updates.animatedThumbnails = preferences.animatedThumbnails;
+    }
+
+    const merged = { ...(library.preferences || {}), ...updates };
+    this.configManager.updateLibrary(libraryId, { preferences: merged });
+    return { success: true, preferences: merged };
+  }
+
   /**
    * 更新主题
    */
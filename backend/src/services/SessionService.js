@@ -0,0 +1,176 @@
+/**
+ * 会话服务
+ * 每次登录创建一个会话（记录 IP、User-Agent 和最后活动时间），访问 Token 中带有会话 ID，会话被退出后 Token 立即失效。
+ * 刷新令牌格式为 <会话 ID>.<随机值>，配置文件中只保存 SHA-256 哈希；每次刷新都会轮换，
+ * 已被轮换掉的旧刷新令牌再次使用时视为泄露，直接退出该会话
+ */
+
+const crypto = require('crypto');
+const { NotFoundError, AppError } = require('../middleware/errorHandler');
+const { constants } = require('../config');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  constructor(configManager) {
+    this.configManager = configManager;
+  }
+
+  /**
+   * 创建会话（登录、首次设置、修改密码后）
+   * @param {string} userId - 用户 ID
+   * @param {Object} client - { ip, userAgent }
+   * @returns {{session: Object, refreshToken: string}}
+   */
+  createSession(userId, client = {}) {
+    const now = Date.now();
+    const id = crypto.randomBytes(8).toString('hex');
+    const refreshToken = this._generateRefreshToken(id);
+    const session = {
+      id,
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      previousRefreshTokenHash: null,
+      ip: client.ip || null,
+      userAgent: this._normalizeUserAgent(client.userAgent),
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + constants.SESSIONS.REFRESH_TOKEN_TTL_MS
+    };
+
+    // 超出数量时退出最久未活动的会话
+    const own = this._getActiveSessions()
+      .filter(item => item.userId === userId)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    const evicted = new Set(own.slice(constants.SESSIONS.MAX_PER_USER - 1).map(item => item.id));
+
+    this._saveSessions([...this._getActiveSessions().filter(item => !evicted.has(item.id)), session]);
+    return { session, refreshToken };
+  }
+
+  /**
+   * 用刷新令牌换取新的刷新令牌（轮换），并延长会话有效期
+   * @returns {{session: Object, refreshToken: string}}
+   */
+  rotateRefreshToken(refreshToken, client = {}) {
+    const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : '';
+    const sessions = this._getActiveSessions();
+    const session = sessions.find(item => item.id === sessionId);
+    const tokenHash = hashToken(String(refreshToken || ''));
+
+    if (session && tokenHash === session.previousRefreshTokenHash) {
+      // 旧令牌被重复使用：令牌可能已泄露，退出该会话
+      this._saveSessions(sessions.filter(item => item.id !== session.id));
+      console.log(`⚠️ 刷新令牌被重复使用，已退出会话 ${session.id}`);
+    }
+    if (!session || tokenHash !== session.refreshTokenHash) {
+      throw new AppError('登录已过期，请重新登录', 401, 'REFRESH_TOKEN_INVALID');
+    }
+
+    const now = Date.now();
+    const nextToken = this._generateRefreshToken(session.id);
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(nextToken);
+    session.lastSeenAt = now;
+    session.expiresAt = now + constants.SESSIONS.REFRESH_TOKEN_TTL_MS;
+    if (client.ip) session.ip = client.ip;
+    if (client.userAgent) session.userAgent = this._normalizeUserAgent(client.userAgent);
+
+    this._saveSessions(sessions);
+    return { session, refreshToken: nextToken };
+  }
+
+  /**
+   * 验证访问 Token 中的会话并更新最后活动时间（间隔不小于 LAST_SEEN_INTERVAL_MS）
+   * @returns {boolean} 会话存在、未过期且属于该用户
+   */
+  touchSession(sessionId, userId, client = {}) {
+    const sessions = this._getSessions();
+    const session = sessionId ? sessions.find(item => item.id === sessionId) : null;
+    const now = Date.now();
+    if (!session || session.userId !== userId || session.expiresAt <= now) {
+      return false;
+    }
+
+    if (now - session.lastSeenAt >= constants.SESSIONS.LAST_SEEN_INTERVAL_MS) {
+      session.lastSeenAt = now;
+      if (client.ip) session.ip = client.ip;
+      this._saveSessions(sessions);
+    }
+    return true;
+  }
+
+  /**
+   * 获取用户的有效会话（最近活动的在前）
+   * @param {string} [currentSessionId] - 当前请求的会话，返回的 current 为 true
+   */
+  listSessions(userId, currentSessionId) {
+    return this._getActiveSessions()
+      .filter(session => session.userId === userId)
+      .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+      .map(session => ({
+        id: session.id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId
+      }));
+  }
+
+  /**
+   * 退出用户的一个会话
+   */
+  revokeSession(sessionId, userId) {
+    const sessions = this._getActiveSessions();
+    if (!sessions.some(session => session.id === sessionId && session.userId === userId)) {
+      throw new NotFoundError('Session', sessionId);
+    }
+    this._saveSessions(sessions.filter(session => session.id !== sessionId));
+  }
+
+  /**
+   * 退出用户的所有会话
+   * @param {string} [exceptSessionId] - 保留的会话（退出其他设备时保留当前会话）
+   * @returns {number} 退出的会话数
+   */
+  revokeAllSessions(userId, exceptSessionId) {
+    const sessions = this._getActiveSessions();
+    const remaining = sessions.filter(session => session.userId !== userId || session.id === exceptSessionId);
+    this._saveSessions(remaining);
+    return sessions.length - remaining.length;
+  }
+
+  _generateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  _normalizeUserAgent(userAgent) {
+    return typeof userAgent === 'string' && userAgent
+      ? userAgent.slice(0, constants.SESSIONS.MAX_USER_AGENT_LENGTH)
+      : null;
+  }
+
+  _getSessions() {
+    const config = this.configManager.loadConfig();
+    return Array.isArray(config.sessions) ? config.sessions : [];
+  }
+
+  /**
+   * 未过期的会话（保存时顺便清理已过期的会话）
+   * @private
+   */
+  _getActiveSessions() {
+    const now = Date.now();
+    return this._getSessions().filter(session => session.expiresAt > now);
+  }
+
+  _saveSessions(sessions) {
+    const config = this.configManager.loadConfig();
+    config.sessions = sessions;
+    this.configManager.saveConfig(config);
+  }
+}
+
+module.exports = SessionService;
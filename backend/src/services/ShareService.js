@@ -0,0 +1,473 @@
+/**
+ * 分享服务
+ * 管理公开的分享链接：每个链接对应一个文件夹、相册、一组选中的图片或一个搜索条件，
+ * 访问者不需要登录，只能浏览链接范围内的图片。分享保存在全局配置文件中
+ */
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const path = require('path');
+const { ValidationError, NotFoundError, ForbiddenError, AppError } = require('../middleware/errorHandler');
+const { constants } = require('../config');
+const { parseImageFilters } = require('../utils/filterUtils');
+const { normalizeSort } = require('../utils/sortUtils');
+const { hasLibraryRole } = require('../utils/roleUtils');
+const logger = require('../utils/logger');
+
+const SALT_ROUNDS = 10;
+
+class ShareService {
+  constructor(configManager, imageService) {
+    this.configManager = configManager;
+    this.imageService = imageService;
+    // 尚未写入配置文件的浏览次数：token → 次数
+    this.pendingViews = new Map();
+    this.flushTimer = null;
+    // 分享密码尝试记录：'ip:<IP>' / 'share:<token>' → { count, firstAttempt }
+    this.unlockAttempts = new Map();
+  }
+
+  /**
+   * 创建分享链接
+   * @param {string} libraryId - 素材库 ID
+   * @param {Object} data - { type, folder, albumId, imageIds, query, title, password, expiresAt, allowDownload }
+   *   type 为 folder 时需要 folder，album 需要 albumId，selection 需要 imageIds，search 需要 query（与 GET /api/image 相同的查询参数）
+   * @param {Object|null} user - 创建者（未设置密码时为 null）
+   */
+  async createShare(libraryId, data, user) {
+    this._getLibrary(libraryId);
+
+    const share = {
+      token: crypto.randomBytes(12).toString('base64url'),
+      libraryId,
+      type: data.type,
+      scope: this._normalizeScope(data),
+      title: this._normalizeTitle(data.title),
+      passwordHash: null,
+      expiresAt: this._normalizeExpiresAt(data.expiresAt),
+      allowDownload: !!data.allowDownload,
+      views: 0,
+      createdBy: user ? user.id : null,
+      createdAt: Date.now()
+    };
+
+    if (data.password) {
+      if (typeof data.password !== 'string') {
+        throw new ValidationError('password must be a string', 'password');
+      }
+      share.passwordHash = await bcrypt.hash(data.password, SALT_ROUNDS);
+    }
+
+    this._saveShares([...this._getActiveShares(), share]);
+    return this._toPublic(share);
+  }
+
+  /**
+   * 获取当前用户可以管理的有效分享（未过期）
+   * 素材库管理员可以看到该素材库的所有分享，其他用户只能看到自己创建的分享
+   */
+  listShares(user) {
+    return this._getActiveShares()
+      .filter(share => this._canManage(share, user))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(share => this._toPublic(share));
+  }
+
+  /**
+   * 撤销分享链接
+   */
+  revokeShare(token, user) {
+    const shares = this._getActiveShares();
+    const share = shares.find(item => item.token === token);
+    if (!share) {
+      throw new NotFoundError('Share', token);
+    }
+    if (!this._canManage(share, user)) {
+      throw new ForbiddenError('需要该素材库的管理员权限');
+    }
+
+    this._saveShares(shares.filter(item => item.token !== token));
+    this.pendingViews.delete(token);
+  }
+
+  /**
+   * 打开分享链接（访问者）：返回标题、是否需要密码等信息，并增加浏览次数
+   * 浏览次数先记在内存中，定时写入配置文件（见 flushViews），避免每次访问都写文件
+   */
+  openShare(token) {
+    const share = this._getShare(token);
+    this.pendingViews.set(token, (this.pendingViews.get(token) || 0) + 1);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        try {
+          this.flushViews();
+        } catch (error) {
+          logger.error('保存分享浏览次数失败:', error.message);
+        }
+      }, constants.SHARES.VIEW_FLUSH_INTERVAL_MS);
+      this.flushTimer.unref();
+    }
+
+    return {
+      title: share.title,
+      type: share.type,
+      hasPassword: !!share.passwordHash,
+      allowDownload: share.allowDownload,
+      expiresAt: share.expiresAt,
+      createdAt: share.createdAt
+    };
+  }
+
+  /**
+   * 将内存中累计的浏览次数写入配置文件（定时调用，服务器关闭时也会调用）
+   */
+  flushViews() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.pendingViews.size === 0) {
+      return;
+    }
+
+    const pending = this.pendingViews;
+    this._saveShares(this._getActiveShares().map(share => (
+      pending.has(share.token) ? { ...share, views: share.views + pending.get(share.token) } : share
+    )));
+    this.pendingViews = new Map();
+  }
+
+  /**
+   * 验证分享密码，返回访问密钥（之后的请求通过 ?key= 传入）
+   * 窗口期内按 IP 和分享分别限制密码错误次数（防暴力破解），超过后返回 429
+   * @param {string} clientIP - 访问者 IP
+   */
+  async unlockShare(token, password, clientIP = 'unknown') {
+    const share = this._getShare(token);
+    if (!share.passwordHash) {
+      return { key: null };
+    }
+
+    const { MAX_UNLOCK_ATTEMPTS_PER_IP, MAX_UNLOCK_ATTEMPTS_PER_SHARE } = constants.SHARES;
+    const limits = [[`ip:${clientIP}`, MAX_UNLOCK_ATTEMPTS_PER_IP], [`share:${token}`, MAX_UNLOCK_ATTEMPTS_PER_SHARE]];
+    this._acquireUnlockAttempt(limits);
+
+    const isValid = await bcrypt.compare(String(password || ''), share.passwordHash);
+    if (!isValid) {
+      logger.warn(`分享密码错误 [${clientIP}]`);
+      throw new AppError('分享密码错误', 403, 'SHARE_PASSWORD_INVALID');
+    }
+
+    this._releaseUnlockAttempt(limits.map(([key]) => key));
+    return { key: this._getAccessKey(share) };
+  }
+
+  /**
+   * 获取分享范围内的图片（游标分页）
+   * @param {Object} pagination - { cursor, limit }
+   */
+  async listImages(token, key, pagination) {
+    const share = this._getAccessibleShare(token, key);
+    const result = await this.imageService.searchImages(share.libraryId, this._getFilters(share), pagination);
+    return { ...result, images: result.images.map(image => this._toPublicImage(image)) };
+  }
+
+  /**
+   * 获取分享中图片的缩略图
+   * @param {boolean} animated - 动态缩略图
+   * @returns {Promise<string>} 缩略图的绝对路径
+   */
+  async getThumbnailFile(token, key, imageId, height, animated = false) {
+    const share = this._getAccessibleShare(token, key);
+    const image = await this._findImage(share, imageId);
+    const thumbnailPath = animated ? image.animatedThumbnailPath : image.thumbnailPath;
+    if (!thumbnailPath) {
+      throw new NotFoundError('Thumbnail', imageId);
+    }
+
+    const filename = path.basename(thumbnailPath.replace(/\\/g, '/'));
+    return this.imageService.getThumbnailFile(share.libraryId, filename, animated ? undefined : height);
+  }
+
+  /**
+   * 获取分享中图片的原文件（需要分享允许下载）
+   * @returns {Promise<{path: string, filename: string}>}
+   */
+  async getOriginalFile(token, key, imageId) {
+    const share = this._getAccessibleShare(token, key);
+    if (!share.allowDownload) {
+      throw new ForbiddenError('该分享不允许下载原图');
+    }
+    const image = await this._findImage(share, imageId);
+    return { path: this.imageService.getOriginalFile(share.libraryId, image.path), filename: image.filename };
+  }
+
+  /**
+   * 获取分享中设计文件、文档某一页的预览图
+   * @returns {Promise<string>} 预览图的绝对路径
+   */
+  async getPreviewFile(token, key, imageId, page) {
+    const share = this._getAccessibleShare(token, key);
+    const image = await this._findImage(share, imageId);
+    return this.imageService.getPreviewFile(share.libraryId, image.path, page);
+  }
+
+  /**
+   * 查找未过期的分享
+   * @private
+   */
+  _getShare(token) {
+    const share = this._getShares().find(item => item.token === token);
+    if (!share) {
+      throw new NotFoundError('Share', token);
+    }
+    if (share.expiresAt && share.expiresAt <= Date.now()) {
+      throw new AppError('分享链接已过期', 410, 'SHARE_EXPIRED');
+    }
+    return share;
+  }
+
+  /**
+   * 查找分享并验证访问密钥（有密码的分享）
+   * 使用 403 而不是 401：前端收到 401 会清除登录状态
+   * @private
+   */
+  _getAccessibleShare(token, key) {
+    const share = this._getShare(token);
+    if (share.passwordHash) {
+      const expected = Buffer.from(this._getAccessKey(share));
+      const actual = Buffer.from(String(key || ''));
+      if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new AppError('需要输入分享密码', 403, 'SHARE_PASSWORD_REQUIRED');
+      }
+    }
+    return share;
+  }
+
+  /**
+   * 访问密钥：由密码哈希派生，不需要在服务端保存会话
+   * @private
+   */
+  _getAccessKey(share) {
+    return crypto.createHmac('sha256', share.passwordHash).update(`share:${share.token}`).digest('base64url');
+  }
+
+  /**
+   * 将分享范围转换为 ImageModel 筛选条件
+   * @private
+   */
+  _getFilters(share) {
+    const { scope } = share;
+    switch (share.type) {
+      case 'folder':
+        return { folder: scope.folder };
+      case 'album':
+        return { albumId: scope.albumId };
+      case 'selection':
+        return { imageIds: scope.imageIds };
+      default: {
+        const filters = parseImageFilters(scope.query);
+        if (scope.query.smartAlbum) filters.smartAlbumId = parseInt(scope.query.smartAlbum, 10);
+        if (scope.query.sort || scope.query.order) {
+          filters.sort = normalizeSort({
+            field: scope.query.sort, order: scope.query.order, seed: scope.query.seed,
+            query: scope.query.keywords, color: filters.color
+          });
+        }
+        return filters;
+      }
+    }
+  }
+
+  /**
+   * 查找分享范围内的图片，不在范围内时视为不存在
+   * @private
+   */
+  async _findImage(share, imageId) {
+    const id = parseInt(imageId, 10);
+    if (!Number.isInteger(id)) {
+      throw new ValidationError('Invalid image id', 'imageId');
+    }
+
+    const filters = this._getFilters(share);
+    filters.imageIds = filters.imageIds ? filters.imageIds.filter(item => item === id) : [id];
+    const { images } = await this.imageService.searchImages(share.libraryId, filters, { offset: 0, limit: 1 });
+    if (images.length === 0) {
+      throw new NotFoundError('Image', imageId);
+    }
+    return images[0];
+  }
+
+  /**
+   * 访问者看到的图片信息：不包含文件路径和缩略图路径，资源通过图片 id 访问
+   * @private
+   */
+  _toPublicImage(image) {
+    return {
+      id: image.id,
+      filename: image.filename,
+      format: image.format,
+      fileType: image.fileType,
+      width: image.width,
+      height: image.height,
+      size: image.size,
+      duration: image.duration,
+      pageCount: image.pageCount,
+      hasThumbnail: !!image.thumbnailPath,
+      hasAnimatedThumbnail: !!image.animatedThumbnailPath
+    };
+  }
+
+  /**
+   * 管理列表中的分享信息（不含密码哈希）
+   * @private
+   */
+  _toPublic(share) {
+    const library = (this.configManager.load().libraries || []).find(item => item.id === share.libraryId);
+    const { passwordHash, ...rest } = share;
+    return {
+      ...rest,
+      views: share.views + (this.pendingViews.get(share.token) || 0),
+      hasPassword: !!passwordHash,
+      libraryName: library ? library.name : null,
+      url: `/s/${share.token}`
+    };
+  }
+
+  /**
+   * 素材库管理员或分享的创建者可以管理分享；未设置密码（user 为 null）时不限制
+   * @private
+   */
+  _canManage(share, user) {
+    if (user === null) return true;
+    return !!user && (hasLibraryRole(user, share.libraryId, 'admin') || share.createdBy === user.id);
+  }
+
+  _normalizeScope(data) {
+    switch (data.type) {
+      case 'folder':
+        if (typeof data.folder !== 'string' || !data.folder.trim()) {
+          throw new ValidationError('folder is required', 'folder');
+        }
+        return { folder: data.folder };
+      case 'album': {
+        const albumId = parseInt(data.albumId, 10);
+        if (!Number.isInteger(albumId)) {
+          throw new ValidationError('albumId is required', 'albumId');
+        }
+        return { albumId };
+      }
+      case 'selection':
+        if (!Array.isArray(data.imageIds) || data.imageIds.length === 0 || !data.imageIds.every(Number.isInteger)) {
+          throw new ValidationError('imageIds must be a non-empty array of integers', 'imageIds');
+        }
+        if (data.imageIds.length > constants.SHARES.MAX_SELECTION) {
+          throw new ValidationError(`Too many images (max ${constants.SHARES.MAX_SELECTION})`, 'imageIds');
+        }
+        return { imageIds: [...new Set(data.imageIds)] };
+      case 'search':
+        if (!data.query || typeof data.query !== 'object' || Array.isArray(data.query)) {
+          throw new ValidationError('query is required', 'query');
+        }
+        // 与 POST /api/export/zip 相同，查询参数统一保存为字符串
+        return {
+          query: Object.fromEntries(
+            Object.entries(data.query)
+              .filter(([name, value]) => name !== 'libraryId' && value !== undefined && value !== null && value !== '')
+              .map(([name, value]) => [name, String(value)])
+          )
+        };
+      default:
+        throw new ValidationError(`Invalid share type: ${data.type}`, 'type');
+    }
+  }
+
+  _normalizeTitle(title) {
+    const value = typeof title === 'string' ? title.trim() : '';
+    if (!value) {
+      throw new ValidationError('分享标题不能为空', 'title');
+    }
+    return value.slice(0, constants.SHARES.MAX_TITLE_LENGTH);
+  }
+
+  _normalizeExpiresAt(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') return null;
+    const value = Number(expiresAt);
+    if (!Number.isFinite(value) || value <= Date.now()) {
+      throw new ValidationError('过期时间必须晚于当前时间', 'expiresAt');
+    }
+    return value;
+  }
+
+  _getShares() {
+    const config = this.configManager.load();
+    return Array.isArray(config.shares) ? config.shares : [];
+  }
+
+  /**
+   * 未过期的分享（保存时顺便清理已过期的分享）
+   * @private
+   */
+  /**
+   * 登记一次密码尝试，任一计数在窗口期内达到上限时拒绝
+   * 在比较密码之前登记，并发的请求也会被计入；密码正确时再撤销（见 _releaseUnlockAttempt）
+   * @param {Array<[string, number]>} limits - [计数键, 上限]
+   */
+  _acquireUnlockAttempt(limits) {
+    const now = Date.now();
+    const window = constants.SHARES.UNLOCK_ATTEMPT_WINDOW_MS;
+    for (const [key, attempts] of this.unlockAttempts) {
+      if (now - attempts.firstAttempt >= window) {
+        this.unlockAttempts.delete(key);
+      }
+    }
+
+    for (const [key, limit] of limits) {
+      const attempts = this.unlockAttempts.get(key);
+      if (attempts && attempts.count >= limit) {
+        const remainingTime = Math.ceil((window - (now - attempts.firstAttempt)) / 1000);
+        throw new AppError(`密码尝试次数过多，请 ${remainingTime} 秒后再试`, 429, 'TOO_MANY_ATTEMPTS');
+      }
+    }
+
+    for (const [key] of limits) {
+      const attempts = this.unlockAttempts.get(key);
+      if (attempts) {
+        attempts.count++;
+      } else {
+        this.unlockAttempts.set(key, { count: 1, firstAttempt: now });
+      }
+    }
+  }
+
+  _releaseUnlockAttempt(keys) {
+    for (const key of keys) {
+      const attempts = this.unlockAttempts.get(key);
+      if (attempts && --attempts.count <= 0) {
+        this.unlockAttempts.delete(key);
+      }
+    }
+  }
+
+  _getActiveShares() {
+    const now = Date.now();
+    return this._getShares().filter(share => !share.expiresAt || share.expiresAt > now);
+  }
+
+  _saveShares(shares) {
+    const config = this.configManager.load();
+    config.shares = shares;
+    this.configManager.save(config);
+  }
+
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = (config.libraries || []).find(lib => lib.id === libraryId);
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+    return library;
+  }
+}
+
+module.exports = ShareService;
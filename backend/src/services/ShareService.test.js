@@ -0,0 +1,114 @@
+/**
+ * 分享服务测试（文件夹分享的范围、分享密码尝试次数）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LibraryDatabase = require('../../database/db');
+const { constants } = require('../config');
+const ImageService = require('./ImageService');
+const ShareService = require('./ShareService');
+
+describe('文件夹分享', () => {
+  let tempDir;
+  let db;
+  let shareService;
+
+  // 文件夹名中的 _ 和 % 不能当作 LIKE 通配符，否则会暴露名字相近的其他文件夹
+  const images = [
+    { path: 'a_b/1.jpg', folder: 'a_b' },
+    { path: 'a_b/sub/2.jpg', folder: 'a_b/sub' },
+    { path: 'axb/3.jpg', folder: 'axb' },
+    { path: 'axb/sub/4.jpg', folder: 'axb/sub' },
+    { path: '100%/5.jpg', folder: '100%' },
+    { path: '100x/sub/6.jpg', folder: '100x/sub' }
+  ];
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flypic-share-test-'));
+    db = new LibraryDatabase(tempDir);
+    for (const image of images) {
+      db.insertImage({
+        ...image, filename: path.basename(image.path), size: 1, width: 100, height: 100, format: 'jpeg', created_at: 1, modified_at: 1
+      });
+    }
+
+    let config = { libraries: [{ id: 'lib1', name: 'test', path: tempDir }], shares: [] };
+    const configManager = { load: () => config, save: (next) => { config = next; } };
+    const dbPool = { acquire: () => db, release: () => {} };
+    shareService = new ShareService(configManager, new ImageService(configManager, dbPool));
+  });
+
+  after(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const listFilenames = async (folder) => {
+    const share = await shareService.createShare('lib1', { type: 'folder', folder, title: folder }, null);
+    const result = await shareService.listImages(share.token, null, { cursor: '', limit: 100 });
+    return result.images.map(image => image.filename).sort();
+  };
+
+  it('只包含分享的文件夹及其子文件夹', async () => {
+    assert.deepStrictEqual(await listFilenames('a_b'), ['1.jpg', '2.jpg']);
+  });
+
+  it('文件夹名中的 % 不匹配其他文件夹', async () => {
+    assert.deepStrictEqual(await listFilenames('100%'), ['5.jpg']);
+  });
+});
+
+describe('分享密码尝试次数', () => {
+  const limits = { ...constants.SHARES };
+  let config;
+  let shareService;
+  let token;
+
+  before(async () => {
+    // 调低上限，减少 bcrypt 比较的次数
+    constants.SHARES.MAX_UNLOCK_ATTEMPTS_PER_IP = 3;
+    constants.SHARES.MAX_UNLOCK_ATTEMPTS_PER_SHARE = 5;
+
+    config = { libraries: [{ id: 'lib1', name: 'test', path: os.tmpdir() }], shares: [] };
+    shareService = new ShareService({ load: () => config, save: (next) => { config = next; } }, null);
+    ({ token } = await shareService.createShare('lib1', { type: 'folder', folder: 'a', title: 'a', password: 'secret' }, null));
+  });
+
+  after(() => {
+    Object.assign(constants.SHARES, limits);
+  });
+
+  const unlock = async (password, clientIP) => {
+    try {
+      await shareService.unlockShare(token, password, clientIP);
+      return 200;
+    } catch (error) {
+      return error.statusCode;
+    }
+  };
+
+  it('同一 IP 密码错误次数过多后返回 429，密码正确也不能解锁', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.strictEqual(await unlock('wrong', '10.0.0.1'), 403);
+    }
+    assert.strictEqual(await unlock('secret', '10.0.0.1'), 429);
+    assert.strictEqual(await unlock('secret', '10.0.0.2'), 200);
+  });
+
+  it('同一分享在多个 IP 上的错误次数合计达到上限后返回 429', async () => {
+    assert.strictEqual(await unlock('wrong', '10.0.0.3'), 403);
+    assert.strictEqual(await unlock('wrong', '10.0.0.4'), 403);
+    assert.strictEqual(await unlock('secret', '10.0.0.5'), 429);
+  });
+
+  it('窗口期过后重新计数', async () => {
+    for (const attempts of shareService.unlockAttempts.values()) {
+      attempts.firstAttempt -= constants.SHARES.UNLOCK_ATTEMPT_WINDOW_MS;
+    }
+    assert.strictEqual(await unlock('secret', '10.0.0.1'), 200);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 智能相册服务层
+ * 智能相册保存一组搜索条件（关键词 + 筛选），打开时按条件实时查询图片
+ */
+
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const SmartAlbumModel = require('../models/SmartAlbumModel');
+const ImageModel = require('../models/ImageModel');
+const { SMART_ALBUM_QUERY_KEYS, parseImageFilters } = require('../utils/filterUtils');
+const { parseSearchQuery } = require('../shared/searchQuery.mjs');
+
+// 相册名最大长度
+const MAX_ALBUM_NAME_LENGTH = 64;
+
+class SmartAlbumService {
+  constructor(configManager, dbPool) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+  }
+
+  /**
+   * 获取智能相册列表（包含当前匹配的图片数量）
+   */
+  async getAlbums(libraryId) {
+    return this._withModels(libraryId, (albumModel, imageModel) => {
+      return albumModel.findAll().map(album => ({
+        ...album,
+        imageCount: imageModel.count(parseImageFilters(album.query))
+      }));
+    });
+  }
+
+  /**
+   * 创建智能相册
+   * @param {Object} data - { name, query }，query 为 GET /api/image 的筛选参数
+   */
+  async createAlbum(libraryId, { name, query }) {
+    const albumName = this._validateName(name);
+    const albumQuery = this._validateQuery(query);
+
+    return this._withModels(libraryId, (albumModel, imageModel, db) => {
+      if (albumModel.findByName(albumName)) {
+        throw new ConflictError(`智能相册已存在: ${albumName}`);
+      }
+
+      const album = albumModel.insert({ name: albumName, query: albumQuery });
+      db.updateLastModified();
+      return { ...album, imageCount: imageModel.count(parseImageFilters(album.query)) };
+    });
+  }
+
+  /**
+   * 更新智能相册（重命名或替换搜索条件）
+   */
+  async updateAlbum(libraryId, albumId, updates) {
+    const data = {};
+    if (updates.name !== undefined) data.name = this._validateName(updates.name);
+    if (updates.query !== undefined) data.query = this._validateQuery(updates.query);
+
+    return this._withModels(libraryId, (albumModel, imageModel, db) => {
+      if (!albumModel.findById(albumId)) {
+        throw new NotFoundError('SmartAlbum', albumId);
+      }
+      if (data.name) {
+        const existing = albumModel.findByName(data.name);
+        if (existing && existing.id !== albumId) {
+          throw new ConflictError(`智能相册已存在: ${data.name}`);
+        }
+      }
+
+      const album = albumModel.update(albumId, data);
+      db.updateLastModified();
+      return { ...album, imageCount: imageModel.count(parseImageFilters(album.query)) };
+    });
+  }
+
+  /**
+   * 删除智能相册
+   */
+  async deleteAlbum(libraryId, albumId) {
+    return this._withModels(libraryId, (albumModel, imageModel, db) => {
+      if (!albumModel.findById(albumId)) {
+        throw new NotFoundError('SmartAlbum', albumId);
+      }
+
+      albumModel.delete(albumId);
+      db.updateLastModified();
+      return { id: albumId };
+    });
+  }
+
+  /**
+   * 校验相册名
+   * @private
+   */
+  _validateName(name) {
+    const albumName = typeof name === 'string' ? name.trim() : '';
+    if (!albumName) {
+      throw new ValidationError('相册名不能为空', 'name');
+    }
+    if (albumName.length > MAX_ALBUM_NAME_LENGTH) {
+      throw new ValidationError(`相册名不能超过 ${MAX_ALBUM_NAME_LENGTH} 个字符`, 'name');
+    }
+    return albumName;
+  }
+
+  /**
+   * 校验搜索条件：只保留支持的参数，至少包含一个条件，关键词需符合搜索语法
+   * @private
+   */
+  _validateQuery(query) {
+    if (!query || typeof query !== 'object' || Array.isArray(query)) {
+      throw new ValidationError('query is required', 'query');
+    }
+
+    const albumQuery = {};
+    SMART_ALBUM_QUERY_KEYS.forEach(key => {
+      const value = query[key];
+      if (typeof value === 'string' && value.trim()) {
+        albumQuery[key] = value.trim();
+      }
+    });
+
+    if (Object.keys(albumQuery).length === 0) {
+      throw new ValidationError('智能相册至少需要一个搜索或筛选条件', 'query');
+    }
+    if (albumQuery.keywords) {
+      const { errors } = parseSearchQuery(albumQuery.keywords);
+      if (errors.length > 0) {
+        throw new ValidationError(errors[0].message, 'query');
+      }
+    }
+
+    return albumQuery;
+  }
+
+  /**
+   * 获取数据库连接并执行相册操作
+   * @private
+   */
+  _withModels(libraryId, fn) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      return fn(new SmartAlbumModel(db.db), new ImageModel(db.db), db);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = SmartAlbumService;
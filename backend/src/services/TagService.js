@@ -0,0 +1,222 @@
+/**
+ * 标签服务层
+ * 封装标签的增删改查以及图片批量打标签
+ */
+
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const TagModel = require('../models/TagModel');
+const { normalizeTagNames, MAX_TAG_NAME_LENGTH } = require('../utils/tagUtils');
+
+class TagService {
+  constructor(configManager, dbPool) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+  }
+
+  /**
+   * 获取标签树
+   */
+  async getTags(libraryId) {
+    return this._withTagModel(libraryId, tagModel => tagModel.getTree());
+  }
+
+  /**
+   * 创建标签
+   */
+  async createTag(libraryId, { name, parentId, color }) {
+    const tagName = this._validateName(name);
+
+    return this._withTagModel(libraryId, (tagModel, db) => {
+      if (tagModel.findByName(tagName)) {
+        throw new ConflictError(`标签已存在: ${tagName}`);
+      }
+      if (parentId && !tagModel.findById(parentId)) {
+        throw new NotFoundError('Tag', parentId);
+      }
+
+      const tag = tagModel.insert({ name: tagName, parentId, color });
+      db.updateLastModified();
+      return tag;
+    });
+  }
+
+  /**
+   * 更新标签（重命名、移动到其他父标签、修改颜色）
+   */
+  async updateTag(libraryId, tagId, updates) {
+    return this._withTagModel(libraryId, (tagModel, db) => {
+      if (!tagModel.findById(tagId)) {
+        throw new NotFoundError('Tag', tagId);
+      }
+
+      const data = {};
+      if (updates.name !== undefined) {
+        data.name = this._validateName(updates.name);
+        const existing = tagModel.findByName(data.name);
+        if (existing && existing.id !== tagId) {
+          throw new ConflictError(`标签已存在: ${data.name}`);
+        }
+      }
+      if (updates.parentId !== undefined) {
+        const parentId = updates.parentId || null;
+        if (parentId) {
+          if (!tagModel.findById(parentId)) {
+            throw new NotFoundError('Tag', parentId);
+          }
+          if (tagModel.isSelfOrDescendant(tagId, parentId)) {
+            throw new ValidationError('不能将标签移动到自身或其子标签下', 'parentId');
+          }
+        }
+        data.parentId = parentId;
+      }
+      if (updates.color !== undefined) {
+        data.color = updates.color;
+      }
+
+      const tag = tagModel.update(tagId, data);
+      db.updateLastModified();
+      return tag;
+    });
+  }
+
+  /**
+   * 删除标签
+   */
+  async deleteTag(libraryId, tagId) {
+    return this._withTagModel(libraryId, (tagModel, db) => {
+      if (!tagModel.findById(tagId)) {
+        throw new NotFoundError('Tag', tagId);
+      }
+
+      tagModel.delete(tagId);
+      db.updateLastModified();
+      return { id: tagId };
+    });
+  }
+
+  /**
+   * 批量为图片添加标签（不存在的标签自动创建）
+   * @param {string} libraryId - 素材库ID
+   * @param {Array<string>} paths - 图片路径
+   * @param {Array<string>} names - 标签名
+   */
+  async addTagsToImages(libraryId, paths, names) {
+    const tagNames = this._validateNames(names);
+
+    return this._withTagModel(libraryId, (tagModel, db) => {
+      const imageIds = tagModel.getImageIdsByPaths(paths);
+      const tagIds = tagModel.ensureTags(tagNames);
+      const added = tagModel.addTagsToImages([...imageIds.values()], tagIds);
+
+      db.updateLastModified();
+      return this._buildBatchResult(tagModel, paths, imageIds, added);
+    });
+  }
+
+  /**
+   * 批量移除图片的标签
+   * @param {string} libraryId - 素材库ID
+   * @param {Array<string>} paths - 图片路径
+   * @param {Array<string>} names - 标签名
+   */
+  async removeTagsFromImages(libraryId, paths, names) {
+    const tagNames = this._validateNames(names);
+
+    return this._withTagModel(libraryId, (tagModel, db) => {
+      const imageIds = tagModel.getImageIdsByPaths(paths);
+      const tagIds = tagModel.findByNames(tagNames).map(tag => tag.id);
+      const removed = tagIds.length > 0
+        ? tagModel.removeTagsFromImages([...imageIds.values()], tagIds)
+        : 0;
+
+      db.updateLastModified();
+      return this._buildBatchResult(tagModel, paths, imageIds, removed);
+    });
+  }
+
+  /**
+   * 组装批量操作结果：返回每张图片最新的标签，供前端直接更新状态
+   * @private
+   */
+  _buildBatchResult(tagModel, paths, imageIds, changes) {
+    const stmt = tagModel.db.prepare('SELECT tags FROM images WHERE id = ?');
+    const images = [];
+    const failed = [];
+
+    for (const imagePath of paths) {
+      const imageId = imageIds.get(imagePath);
+      if (!imageId) {
+        failed.push({ path: imagePath, error: '图片不存在' });
+        continue;
+      }
+      const row = stmt.get(imageId);
+      images.push({ path: imagePath, tags: JSON.parse(row.tags || '[]') });
+    }
+
+    return {
+      changes,
+      images,
+      failed,
+      tags: tagModel.getTree()
+    };
+  }
+
+  /**
+   * 校验单个标签名
+   * @private
+   */
+  _validateName(name) {
+    const [tagName] = normalizeTagNames([name]);
+    if (!tagName) {
+      throw new ValidationError('标签名不能为空', 'name');
+    }
+    if (name.trim().length > MAX_TAG_NAME_LENGTH) {
+      throw new ValidationError(`标签名不能超过 ${MAX_TAG_NAME_LENGTH} 个字符`, 'name');
+    }
+    return tagName;
+  }
+
+  /**
+   * 校验标签名列表
+   * @private
+   */
+  _validateNames(names) {
+    const tagNames = normalizeTagNames(names);
+    if (tagNames.length === 0) {
+      throw new ValidationError('标签名不能为空', 'tags');
+    }
+    return tagNames;
+  }
+
+  /**
+   * 获取数据库连接并执行标签操作
+   * @private
+   */
+  _withTagModel(libraryId, fn) {
+    const library = this._getLibrary(libraryId);
+    const db = this.dbPool.acquire(library.path);
+
+    try {
+      return fn(new TagModel(db.db), db);
+    } finally {
+      this.dbPool.release(library.path);
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = TagService;
@@ -0,0 +1,434 @@
+/**
+ * 缩略图缓存维护服务层
+ * 统计 .flypic/thumbnails 占用的空间，清理没有图片引用的孤立缩略图，
+ * 后台检查缩略图是否缺失或损坏并重新生成，进度通过 Socket.IO 推送
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const ImageModel = require('../models/ImageModel');
+const {
+  checkThumbnailFile,
+  getSizedThumbnailPaths,
+  removeFileIfExists,
+  clearSharpCache
+} = require('../../utils/thumbnail');
+const { constants } = require('../config');
+const logger = require('../utils/logger');
+
+const { FLYPIC_DIR, THUMBNAILS_DIR, TEMP_BACKUP_DIR } = constants.PATHS;
+
+// 缩略图目录中的文件名：hash.webp（扫描生成）、hash_200.webp（其它档位）、hash_anim.webp（动态缩略图）
+const THUMBNAIL_FILENAME_PATTERN = /^([0-9a-f]{32})(?:_(\d+|anim))?\.webp$/;
+
+class ThumbnailMaintenanceService {
+  constructor(configManager, dbPool, scanner, scanManager, io) {
+    this.configManager = configManager;
+    this.dbPool = dbPool;
+    this.scanner = scanner;
+    this.scanManager = scanManager;
+    this.io = io;
+    // 各素材库的检查任务状态：libraryId → { status, repair, current, total, missing, corrupt, rebuilt, failed, issues, ... }
+    this.checkJobs = new Map();
+  }
+
+  /**
+   * 统计缩略图缓存
+   * @returns {{imageCount, totalCount, totalSize, thumbnails, sized, animated, orphans}}
+   *   thumbnails / sized / animated / orphans 均为 { count, size }，分别是扫描生成的缩略图、
+   *   按需生成的其它档位、动态缩略图和没有图片引用的孤立文件（孤立文件不计入前三类）
+   */
+  async getCacheStats(libraryId) {
+    const library = this._getLibrary(libraryId);
+    const { files, imageCount } = await this._analyzeCache(library);
+
+    const stats = {
+      imageCount,
+      totalCount: files.length,
+      totalSize: 0,
+      thumbnails: { count: 0, size: 0 },
+      sized: { count: 0, size: 0 },
+      animated: { count: 0, size: 0 },
+      orphans: { count: 0, size: 0 }
+    };
+    for (const file of files) {
+      const bucket = stats[file.orphan ? 'orphans' : file.kind];
+      bucket.count++;
+      bucket.size += file.size;
+      stats.totalSize += file.size;
+    }
+    return stats;
+  }
+
+  /**
+   * 删除没有图片引用的孤立缩略图（临时文件夹中可撤销删除的图片仍然保留缩略图）
+   * @returns {{deleted: number, freedSize: number, failed: number}}
+   */
+  async cleanOrphans(libraryId) {
+    const library = this._getLibrary(libraryId);
+    if (this.scanManager.isScanning(libraryId)) {
+      // 扫描时缩略图先于数据库记录写入，这时清理会误删
+      throw new ConflictError('Scan in progress');
+    }
+    if (this.checkJobs.get(libraryId)?.status === 'running') {
+      throw new ConflictError('Thumbnail check in progress');
+    }
+
+    const { files } = await this._analyzeCache(library);
+    let deleted = 0;
+    let freedSize = 0;
+    let failed = 0;
+
+    for (const file of files) {
+      if (!file.orphan) continue;
+      try {
+        await fs.promises.unlink(file.fullPath);
+        deleted++;
+        freedSize += file.size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') failed++;
+      }
+    }
+
+    logger.fileOp(`清理孤立缩略图: ${deleted} 个，释放 ${(freedSize / 1024 / 1024).toFixed(1)}MB，失败 ${failed}`);
+    return { deleted, freedSize, failed };
+  }
+
+  /**
+   * 启动缩略图完整性检查任务
+   * @param {Object} options
+   * @param {boolean} [options.repair] - 同时重新生成缺失或损坏的缩略图
+   * @returns {Object} 任务状态，见 getCheckStatus
+   */
+  startCheckJob(libraryId, { repair = false } = {}) {
+    const library = this._getLibrary(libraryId);
+    if (this.checkJobs.get(libraryId)?.status === 'running') {
+      throw new ConflictError('Thumbnail check already in progress');
+    }
+    if (repair && this.scanManager.isScanning(libraryId)) {
+      throw new ConflictError('Scan in progress');
+    }
+
+    const db = this.dbPool.acquire(library.path);
+    const imageModel = new ImageModel(db.db);
+    const job = {
+      status: 'running',
+      repair: Boolean(repair),
+      current: 0,
+      total: imageModel.count(),
+      missing: 0,
+      corrupt: 0,
+      rebuilt: 0,
+      failed: 0,
+      issues: [],
+      startTime: Date.now(),
+      stopRequested: false,
+      lastEmit: 0
+    };
+    this.checkJobs.set(libraryId, job);
+
+    this._runCheckJob(libraryId, job, library.path, db, imageModel)
+      .then(() => {
+        job.status = job.stopRequested ? 'stopped' : 'completed';
+        logger.task(`缩略图检查${job.stopRequested ? '已停止' : '完成'}: ${job.current}/${job.total}，缺失 ${job.missing}，损坏 ${job.corrupt}，重建 ${job.rebuilt}，失败 ${job.failed}`);
+      })
+      .catch((error) => {
+        job.status = 'error';
+        job.error = error.message;
+        logger.error('缩略图检查任务失败:', error.message);
+      })
+      .finally(() => {
+        this.dbPool.release(library.path);
+        clearSharpCache();
+        this._emit('thumbnailCheckComplete', libraryId);
+      });
+
+    return this.getCheckStatus(libraryId);
+  }
+
+  /**
+   * 停止缩略图检查任务（已重建的缩略图会保留）
+   */
+  stopCheckJob(libraryId) {
+    this._getLibrary(libraryId);
+    const job = this.checkJobs.get(libraryId);
+    if (job?.status === 'running') {
+      job.stopRequested = true;
+    }
+    return this.getCheckStatus(libraryId);
+  }
+
+  /**
+   * 获取缩略图检查进度
+   * @returns {{status, repair, current, total, missing, corrupt, rebuilt, failed, issues, error}}
+   *   status 为 idle | running | completed | stopped | error；
+   *   issues 为最早发现的若干问题 [{ id, path, target: 'thumbnail'|'animated', reason: 'missing'|'corrupt', repaired }]
+   */
+  getCheckStatus(libraryId) {
+    this._getLibrary(libraryId);
+    return this._formatStatus(this.checkJobs.get(libraryId));
+  }
+
+  /**
+   * 任务状态转换为接口返回的格式（没有任务时为 idle）
+   * @private
+   */
+  _formatStatus(job) {
+    return {
+      status: job?.status || 'idle',
+      repair: job?.repair || false,
+      current: job?.current || 0,
+      total: job?.total || 0,
+      missing: job?.missing || 0,
+      corrupt: job?.corrupt || 0,
+      rebuilt: job?.rebuilt || 0,
+      failed: job?.failed || 0,
+      issues: job?.issues || [],
+      error: job?.error || null
+    };
+  }
+
+  /**
+   * 分批读取图片，逐个检查缩略图，需要时重新生成
+   * 逐个文件顺序处理，避免影响正常浏览
+   * @private
+   */
+  async _runCheckJob(libraryId, job, libraryPath, db, imageModel) {
+    const { CHECK_BATCH_SIZE } = constants.THUMBNAIL_MAINTENANCE;
+    let lastId = 0;
+
+    while (!job.stopRequested) {
+      const batch = imageModel.findThumbnailBatch(lastId, CHECK_BATCH_SIZE);
+      if (batch.length === 0) break;
+
+      for (const image of batch) {
+        if (job.stopRequested) break;
+        lastId = image.id;
+
+        await this._checkImage(job, image, libraryPath, db, imageModel);
+        job.current++;
+        this._emitProgress(libraryId, job);
+      }
+    }
+
+    if (job.rebuilt > 0) {
+      db.updateLastModified();
+    }
+  }
+
+  /**
+   * 检查一张图片的缩略图和动态缩略图
+   * @private
+   */
+  async _checkImage(job, image, libraryPath, db, imageModel) {
+    const problems = [];
+
+    const thumbnailState = image.thumbnail_path
+      ? await checkThumbnailFile(path.join(libraryPath, image.thumbnail_path))
+      : 'missing';
+    if (thumbnailState !== 'ok') problems.push({ target: 'thumbnail', reason: thumbnailState });
+
+    // 空字符串表示尝试过但无法生成动态缩略图，不算缺失
+    if (image.animated_thumbnail_path) {
+      const animatedState = await checkThumbnailFile(path.join(libraryPath, image.animated_thumbnail_path));
+      if (animatedState !== 'ok') problems.push({ target: 'animated', reason: animatedState });
+    }
+
+    if (problems.length === 0) return;
+
+    for (const problem of problems) {
+      job[problem.reason]++;
+    }
+
+    let repaired = false;
+    if (job.repair) {
+      repaired = await this._rebuildImage(image, problems, libraryPath, db, imageModel);
+      if (repaired) {
+        job.rebuilt++;
+      } else {
+        job.failed++;
+      }
+    }
+
+    for (const problem of problems) {
+      if (job.issues.length >= constants.THUMBNAIL_MAINTENANCE.MAX_REPORTED_ISSUES) break;
+      job.issues.push({ id: image.id, path: image.path, ...problem, repaired });
+    }
+  }
+
+  /**
+   * 删除缺失或损坏的缩略图后重新处理该图片：
+   * processImage 发现缩略图文件不存在时会重新生成，animated_thumbnail_path 为 NULL 时会按素材库偏好重新生成动态缩略图
+   * @returns {Promise<boolean>} 是否重建成功
+   * @private
+   */
+  async _rebuildImage(image, problems, libraryPath, db, imageModel) {
+    const imagePath = path.join(libraryPath, image.path);
+    if (!fs.existsSync(imagePath)) {
+      // 原文件已不存在，等待同步时删除记录
+      return false;
+    }
+
+    for (const { target } of problems) {
+      if (target === 'thumbnail' && image.thumbnail_path) {
+        const thumbnailFullPath = path.join(libraryPath, image.thumbnail_path);
+        removeFileIfExists(thumbnailFullPath);
+        // 其它档位由旧缩略图缩放而来，一起删除，下次请求时重新生成
+        getSizedThumbnailPaths(thumbnailFullPath).forEach(removeFileIfExists);
+      } else if (target === 'animated') {
+        removeFileIfExists(path.join(libraryPath, image.animated_thumbnail_path));
+        imageModel.update(image.path, { animated_thumbnail_path: null });
+      }
+    }
+
+    const result = await this.scanner.processImage(imagePath, libraryPath, db);
+    return result.status !== 'error';
+  }
+
+  /**
+   * 遍历缩略图目录，按数据库（和临时文件夹中可撤销删除的图片）的引用标记孤立文件
+   * 按需生成的档位跟随扫描生成的缩略图：对应的缩略图仍被引用时不算孤立
+   * @returns {Promise<{files: Array<{fullPath, kind, size, orphan}>, imageCount: number}>}
+   *   kind 为 thumbnails | sized | animated，目录中其它文件（旧版本的目录结构等）按 thumbnails 统计
+   * @private
+   */
+  async _analyzeCache(library) {
+    const flypicDir = path.join(library.path, FLYPIC_DIR);
+    const thumbnailsDir = path.join(flypicDir, THUMBNAILS_DIR);
+
+    const db = this.dbPool.acquire(library.path);
+    let references;
+    let imageCount;
+    try {
+      references = new ImageModel(db.db).findThumbnailReferences();
+      imageCount = references.length;
+    } finally {
+      this.dbPool.release(library.path);
+    }
+
+    const referenced = new Set();
+    const addReference = (record) => {
+      for (const thumbnailPath of [record.thumbnail_path, record.animated_thumbnail_path]) {
+        if (thumbnailPath) referenced.add(path.resolve(library.path, thumbnailPath));
+      }
+    };
+    references.forEach(addReference);
+    this._readTempBackupRecords(path.join(library.path, TEMP_BACKUP_DIR)).forEach(addReference);
+
+    const graceTime = Date.now() - constants.THUMBNAIL_MAINTENANCE.RECENT_FILE_GRACE_MS;
+    const files = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+          continue;
+        }
+        if (!entry.isFile()) continue;
+
+        let stat;
+        try {
+          stat = await fs.promises.stat(fullPath);
+        } catch (error) {
+          continue;
+        }
+
+        const match = entry.name.match(THUMBNAIL_FILENAME_PATTERN);
+        const variant = match && match[2];
+        const kind = variant === 'anim' ? 'animated' : variant ? 'sized' : 'thumbnails';
+        const owner = variant && variant !== 'anim' ? path.join(dir, `${match[1]}.webp`) : fullPath;
+        const orphan = !referenced.has(owner) && stat.mtimeMs < graceTime;
+
+        files.push({ fullPath, kind, size: stat.size, orphan });
+      }
+    };
+    await walk(thumbnailsDir);
+
+    return { files, imageCount };
+  }
+
+  /**
+   * 读取临时文件夹中删除记录保存的图片记录（撤销删除时需要原来的缩略图）
+   * @private
+   */
+  _readTempBackupRecords(backupDir) {
+    const records = [];
+
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.name.endsWith('.meta.json')) {
+          try {
+            const meta = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+            if (meta.imageRecords) {
+              records.push(...(Array.isArray(meta.imageRecords) ? meta.imageRecords : [meta.imageRecords]));
+            }
+          } catch (error) {
+            // 损坏的 meta 文件：忽略
+          }
+        }
+      }
+    };
+    walk(backupDir);
+
+    return records;
+  }
+
+  /**
+   * 推送检查进度（限制频率，最后一条一定推送）
+   * @private
+   */
+  _emitProgress(libraryId, job) {
+    const now = Date.now();
+    if (job.current < job.total && now - job.lastEmit < constants.THUMBNAIL_MAINTENANCE.PROGRESS_EMIT_INTERVAL_MS) {
+      return;
+    }
+    job.lastEmit = now;
+    this._emit('thumbnailCheckProgress', libraryId);
+  }
+
+  /**
+   * 推送任务状态事件
+   * @private
+   */
+  _emit(event, libraryId) {
+    if (this.io) {
+      this.io.emit(event, { libraryId, ...this._formatStatus(this.checkJobs.get(libraryId)) });
+    }
+  }
+
+  /**
+   * 获取素材库对象
+   * @private
+   */
+  _getLibrary(libraryId) {
+    const config = this.configManager.load();
+    const library = config.libraries.find(lib => lib.id === libraryId);
+
+    if (!library) {
+      throw new NotFoundError('Library', libraryId);
+    }
+
+    return library;
+  }
+}
+
+module.exports = ThumbnailMaintenanceService;
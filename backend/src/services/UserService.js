@@ -0,0 +1,271 @@
+/**
+ * 用户服务
+ * 管理用户账号和按素材库授予的角色，用户保存在全局配置文件中
+ */
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const { ValidationError, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { constants } = require('../config');
+
+const SALT_ROUNDS = 10;
+
+class UserService {
+  constructor(configManager, sessionService) {
+    this.configManager = configManager;
+    this.sessionService = sessionService;
+  }
+
+  /**
+   * 是否已有用户（没有用户时不启用认证）
+   */
+  hasUsers() {
+    return this._getUsers().length > 0;
+  }
+
+  /**
+   * 获取用户列表（不含密码哈希）
+   */
+  listUsers() {
+    return this._getUsers().map(user => this.toPublic(user));
+  }
+
+  /**
+   * 按 ID 查找用户（含密码哈希）
+   */
+  findById(id) {
+    return this._getUsers().find(user => user.id === id) || null;
+  }
+
+  /**
+   * 按用户名查找用户（不区分大小写，含密码哈希）
+   */
+  findByUsername(username) {
+    const name = String(username || '').trim().toLowerCase();
+    return this._getUsers().find(user => user.username.toLowerCase() === name) || null;
+  }
+
+  /**
+   * 去除密码哈希后的用户信息
+   */
+  toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      isAdmin: !!user.isAdmin,
+      libraries: user.libraries || {},
+      preferences: user.preferences || {},
+      createdAt: user.createdAt
+    };
+  }
+
+  /**
+   * 验证密码
+   */
+  async verifyPassword(user, password) {
+    return bcrypt.compare(String(password || ''), user.passwordHash);
+  }
+
+  /**
+   * 创建用户
+   * @param {Object} data - { username, password, isAdmin, libraries: { [libraryId]: role } }
+   */
+  async createUser(data) {
+    const users = this._getUsers();
+    const username = this._normalizeUsername(data.username);
+    if (this.findByUsername(username)) {
+      throw new ConflictError(`用户名已存在: ${username}`);
+    }
+
+    const user = {
+      id: crypto.randomBytes(8).toString('hex'),
+      username,
+      passwordHash: await this._hashPassword(data.password),
+      isAdmin: !!data.isAdmin,
+      libraries: this._normalizeLibraries(data.libraries),
+      createdAt: Date.now()
+    };
+
+    this._saveUsers([...users, user]);
+    return this.toPublic(user);
+  }
+
+  /**
+   * 更新用户（只修改传入的字段，password 留空时不修改密码；修改密码时退出该用户的所有会话）
+   * @param {string} id - 用户 ID
+   * @param {Object} data - { username, password, isAdmin, libraries }
+   * @param {string} [currentUserId] - 当前操作的用户，不能取消自己的系统管理员权限
+   */
+  async updateUser(id, data, currentUserId) {
+    const users = this._getUsers();
+    const index = users.findIndex(user => user.id === id);
+    if (index === -1) {
+      throw new NotFoundError('User', id);
+    }
+
+    const user = { ...users[index] };
+    if (data.username !== undefined) {
+      const username = this._normalizeUsername(data.username);
+      const existing = this.findByUsername(username);
+      if (existing && existing.id !== id) {
+        throw new ConflictError(`用户名已存在: ${username}`);
+      }
+      user.username = username;
+    }
+    if (data.password) {
+      user.passwordHash = await this._hashPassword(data.password);
+    }
+    if (data.isAdmin !== undefined) {
+      if (!data.isAdmin && user.isAdmin) {
+        if (id === currentUserId) {
+          throw new ValidationError('不能取消自己的系统管理员权限', 'isAdmin');
+        }
+        this._assertOtherAdmin(users, id);
+      }
+      user.isAdmin = !!data.isAdmin;
+    }
+    if (data.libraries !== undefined) {
+      user.libraries = this._normalizeLibraries(data.libraries);
+    }
+
+    users[index] = user;
+    this._saveUsers(users);
+    if (data.password) {
+      this.sessionService.revokeAllSessions(id);
+    }
+    return this.toPublic(user);
+  }
+
+  /**
+   * 删除用户
+   */
+  deleteUser(id, currentUserId) {
+    const users = this._getUsers();
+    const user = users.find(item => item.id === id);
+    if (!user) {
+      throw new NotFoundError('User', id);
+    }
+    if (id === currentUserId) {
+      throw new ValidationError('不能删除当前登录的用户', 'id');
+    }
+    if (user.isAdmin) {
+      this._assertOtherAdmin(users, id);
+    }
+
+    this._saveUsers(users.filter(item => item.id !== id));
+    this.sessionService.revokeAllSessions(id);
+  }
+
+  /**
+   * 更新用户自己的界面偏好（缩略图高度、面板宽度等），覆盖全局偏好
+   */
+  updatePreferences(id, preferences) {
+    const users = this._getUsers();
+    const user = users.find(item => item.id === id);
+    if (!user) {
+      throw new NotFoundError('User', id);
+    }
+
+    user.preferences = { ...user.preferences, ...preferences };
+    this._saveUsers(users);
+    return user.preferences;
+  }
+
+  /**
+   * 修改密码（退出该用户的所有会话）
+   */
+  async setPassword(id, password) {
+    const users = this._getUsers();
+    const user = users.find(item => item.id === id);
+    if (!user) {
+      throw new NotFoundError('User', id);
+    }
+
+    user.passwordHash = await this._hashPassword(password);
+    this._saveUsers(users);
+    this.sessionService.revokeAllSessions(id);
+  }
+
+  /**
+   * 读取用户列表
+   * 升级前只有一个共享密码（config.passwordHash），第一次读取时迁移为系统管理员用户
+   */
+  _getUsers() {
+    const config = this.configManager.loadConfig();
+    const users = Array.isArray(config.users) ? config.users : [];
+
+    if (users.length === 0 && config.passwordHash) {
+      users.push({
+        id: crypto.randomBytes(8).toString('hex'),
+        username: constants.USERS.LEGACY_USERNAME,
+        passwordHash: config.passwordHash,
+        isAdmin: true,
+        libraries: {},
+        createdAt: Date.now()
+      });
+      config.users = users;
+      delete config.passwordHash;
+      this.configManager.saveConfig(config);
+      console.log(`🔐 已将访问密码迁移为用户 "${constants.USERS.LEGACY_USERNAME}"`);
+    }
+
+    return users;
+  }
+
+  _saveUsers(users) {
+    const config = this.configManager.loadConfig();
+    config.users = users;
+    this.configManager.saveConfig(config);
+  }
+
+  /**
+   * 至少保留一个系统管理员
+   */
+  _assertOtherAdmin(users, id) {
+    if (!users.some(user => user.isAdmin && user.id !== id)) {
+      throw new ValidationError('至少需要保留一个系统管理员', 'isAdmin');
+    }
+  }
+
+  _normalizeUsername(username) {
+    const name = typeof username === 'string' ? username.trim() : '';
+    if (!name) {
+      throw new ValidationError('用户名不能为空', 'username');
+    }
+    if (name.length > constants.USERS.MAX_USERNAME_LENGTH || /[\s/\\]/.test(name)) {
+      throw new ValidationError(`用户名最多 ${constants.USERS.MAX_USERNAME_LENGTH} 个字符，且不能包含空格和斜杠`, 'username');
+    }
+    return name;
+  }
+
+  async _hashPassword(password) {
+    if (typeof password !== 'string' || password.length < constants.USERS.MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`密码长度至少为 ${constants.USERS.MIN_PASSWORD_LENGTH} 位`, 'password');
+    }
+    return bcrypt.hash(password, SALT_ROUNDS);
+  }
+
+  /**
+   * 素材库角色：只保留存在的素材库和有效的角色
+   */
+  _normalizeLibraries(libraries) {
+    if (libraries === undefined || libraries === null) return {};
+    if (typeof libraries !== 'object' || Array.isArray(libraries)) {
+      throw new ValidationError('libraries must be an object', 'libraries');
+    }
+
+    const config = this.configManager.loadConfig();
+    const libraryIds = new Set((config.libraries || []).map(library => library.id));
+    const result = {};
+    for (const [libraryId, role] of Object.entries(libraries)) {
+      if (!libraryIds.has(libraryId) || !role) continue;
+      if (!constants.USERS.ROLES.includes(role)) {
+        throw new ValidationError(`Invalid role: ${role}`, 'libraries');
+      }
+      result[libraryId] = role;
+    }
+    return result;
+  }
+}
+
+module.exports = UserService;
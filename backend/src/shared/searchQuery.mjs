@@ -0,0 +1,326 @@
+/**
+ * 搜索查询语法解析（前后端共享）
+ * 后端在 database/queries.js 中将解析结果编译为参数化 SQL，前端用于渲染条件标签和输入校验
+ * 本文件会同时在浏览器和 Node 中运行：只使用 ES 模块语法，不依赖任何 Node / 浏览器 API
+ *
+ * 语法：
+ *   猫 白色                  空格分隔的关键词同时匹配（在文件名、文件夹路径、标签中全文检索）
+ *   猫 OR 狗                 任一组关键词匹配即可，优先级低于空格：`猫 白色 OR 狗` 即 (猫 AND 白色) OR 狗
+ *   -草稿 / NOT 草稿          排除
+ *   "白色 的猫"               短语
+ *   logo*                    前缀
+ *   format:png,jpg           格式
+ *   name:封面                文件名包含
+ *   folder:"项目/2024"        文件夹（含子文件夹）
+ *   tag:logo                 标签（含子标签）
+ *   width>2000 height<=1080 rating>=4 size>2MB
+ *   width:1000..2000         区间（包含两端），也可以只写一端，如 size:..500KB
+ *   date:2024-01..2024-06    创建日期，modified 为修改日期，日期可写到年、月或日
+ *   camera:canon lens:50mm   相机（品牌或型号）、镜头包含
+ *   keyword:风景 caption:日落  IPTC / XMP 关键词、说明（或标题）包含
+ *   iso>=800 focal:24..70    ISO、焦距（毫米）
+ *   taken:2023               拍摄日期（EXIF）
+ *   is:favorite              已收藏，is:geotagged 为带 GPS 位置
+ * 字段条件前加 - 表示取反（如 -tag:draft），字段条件总是与关键词同时生效（AND）
+ */
+
+// 可用字段：type 决定取值的解析方式，label 和 example 用于前端显示和错误提示
+export const SEARCH_FIELDS = {
+  format: { type: 'list', label: '格式', example: 'format:png,jpg' },
+  name: { type: 'text', label: '文件名', example: 'name:封面' },
+  folder: { type: 'text', label: '文件夹', example: 'folder:"项目/2024"' },
+  tag: { type: 'text', label: '标签', example: 'tag:logo' },
+  width: { type: 'number', label: '宽度', example: 'width>2000' },
+  height: { type: 'number', label: '高度', example: 'height:1000..2000' },
+  rating: { type: 'number', label: '评分', example: 'rating>=4', min: 0, max: 5 },
+  size: { type: 'size', label: '大小', example: 'size>2MB' },
+  date: { type: 'date', label: '创建日期', example: 'date:2024-01..2024-06' },
+  modified: { type: 'date', label: '修改日期', example: 'modified>2024-03-15' },
+  camera: { type: 'text', label: '相机', example: 'camera:canon' },
+  lens: { type: 'text', label: '镜头', example: 'lens:50mm' },
+  keyword: { type: 'text', label: '关键词', example: 'keyword:风景' },
+  caption: { type: 'text', label: '说明', example: 'caption:日落' },
+  iso: { type: 'number', label: 'ISO', example: 'iso>=800' },
+  focal: { type: 'number', label: '焦距', example: 'focal:24..70' },
+  taken: { type: 'date', label: '拍摄日期', example: 'taken:2023' },
+  is: { type: 'flag', label: '状态', example: 'is:favorite', values: { favorite: '已收藏', geotagged: '有位置信息' } }
+};
+
+// 同一格式的不同写法（数据库中保存的是 sharp 识别出的格式或扩展名）
+const FORMAT_ALIASES = {
+  jpg: ['jpg', 'jpeg'],
+  jpeg: ['jpeg', 'jpg'],
+  tif: ['tif', 'tiff'],
+  tiff: ['tiff', 'tif']
+};
+
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+const COMPARISON_OPERATORS = ['>', '>=', '<', '<='];
+
+// [-][字段 运算符]("引号内容"[引号] | 非空白内容)
+const TOKEN_PATTERN = /(-)?(?:([a-zA-Z]+)(>=|<=|:|>|<|=))?(?:"([^"]*)("?)|(\S*))/y;
+
+/**
+ * 解析整数
+ * @returns {number|null}
+ */
+function parseInteger(value) {
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * 解析文件大小，支持 B / KB / MB / GB 单位（不区分大小写），无单位时为字节
+ * @returns {number|null} 字节数
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)([a-z]*)$/i.exec(value);
+  if (!match) return null;
+  const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+  return unit ? Math.round(Number(match[1]) * unit) : null;
+}
+
+/**
+ * 解析日期为本地时间的时间段 [start, end)（毫秒）
+ * 只写年份或年月时表示整年或整月
+ * @returns {{start: number, end: number}|null}
+ */
+function parseDatePeriod(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day !== null) {
+    const date = new Date(year, month, day);
+    if (date.getMonth() !== month || date.getDate() !== day) return null;
+    return { start: date.getTime(), end: new Date(year, month, day + 1).getTime() };
+  }
+  if (month !== null) {
+    return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+  }
+  return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+}
+
+/**
+ * 将比较运算或区间转换为半开区间 { min, max }（min 包含，max 不包含）
+ * @param {string} op - 运算符
+ * @param {string} value - 取值文本
+ * @param {function(string): {start: number, end: number}|undefined} parsePeriod - 单个取值对应的区间，无法解析时返回 undefined
+ * @returns {{range?: {min?: number, max?: number}, error?: string}}
+ */
+function parseRange(op, value, parsePeriod) {
+  if (value.includes('..')) {
+    if (COMPARISON_OPERATORS.includes(op)) {
+      return { error: `区间只能与 ":" 一起使用："${value}"` };
+    }
+    const [from, to] = value.split('..');
+    if (from === '' && to === '') return { error: `区间缺少取值："${value}"` };
+
+    const start = from === '' ? null : parsePeriod(from);
+    const end = to === '' ? null : parsePeriod(to);
+    if (start === undefined || end === undefined) return {};
+
+    const range = {};
+    if (start) range.min = start.start;
+    if (end) range.max = end.end;
+    if (range.min !== undefined && range.max !== undefined && range.min >= range.max) {
+      return { error: `区间起点大于终点："${value}"` };
+    }
+    return { range };
+  }
+
+  const period = parsePeriod(value);
+  if (period === undefined) return {};
+
+  switch (op) {
+    case '>': return { range: { min: period.end } };
+    case '>=': return { range: { min: period.start } };
+    case '<': return { range: { max: period.start } };
+    case '<=': return { range: { max: period.end } };
+    default: return { range: { min: period.start, max: period.end } };
+  }
+}
+
+/**
+ * 解析字段条件的取值
+ * @returns {{value?: *, error?: string}}
+ */
+function parseFieldValue(field, op, rawValue) {
+  const definition = SEARCH_FIELDS[field];
+  const value = rawValue.trim();
+
+  if (!value) {
+    return { error: `"${field}" 缺少取值` };
+  }
+
+  const isComparison = COMPARISON_OPERATORS.includes(op);
+  if (isComparison && ['list', 'text', 'flag'].includes(definition.type)) {
+    return { error: `"${field}" 不支持 "${op}"，请使用 "${field}:"` };
+  }
+
+  switch (definition.type) {
+    case 'list': {
+      const formats = value.toLowerCase().split(',').map(item => item.trim().replace(/^\./, '')).filter(Boolean);
+      if (formats.length === 0) return { error: `"${field}" 缺少取值` };
+      return { value: [...new Set(formats.flatMap(format => FORMAT_ALIASES[format] || [format]))] };
+    }
+
+    case 'text':
+      return { value: field === 'folder' ? value.replace(/^\/+|\/+$/g, '') : value };
+
+    case 'flag':
+      if (!definition.values[value.toLowerCase()]) {
+        return { error: `"${field}" 仅支持：${Object.keys(definition.values).join('、')}` };
+      }
+      return { value: value.toLowerCase() };
+
+    case 'number':
+    case 'size':
+    case 'date': {
+      let invalid = null;
+      const parsePeriod = (text) => {
+        if (definition.type === 'date') {
+          const period = parseDatePeriod(text);
+          if (!period) invalid = `无法识别的日期 "${text}"，格式为 YYYY、YYYY-MM 或 YYYY-MM-DD`;
+          return period || undefined;
+        }
+
+        const number = definition.type === 'size' ? parseSize(text) : parseInteger(text);
+        if (number === null) {
+          invalid = definition.type === 'size'
+            ? `无法识别的大小 "${text}"，例如 ${definition.example}`
+            : `"${field}" 需要整数，例如 ${definition.example}`;
+          return undefined;
+        }
+        if ((definition.min !== undefined && number < definition.min) || (definition.max !== undefined && number > definition.max)) {
+          invalid = `"${field}" 取值范围为 ${definition.min}-${definition.max}`;
+          return undefined;
+        }
+        return { start: number, end: number + 1 };
+      };
+
+      const { range, error } = parseRange(op, value, parsePeriod);
+      if (error || invalid) return { error: error || invalid };
+      return { value: range };
+    }
+
+    default:
+      return { error: `"${field}" 无法解析` };
+  }
+}
+
+/**
+ * 解析搜索查询
+ * @param {string} text - 搜索框输入
+ * @returns {{
+ *   groups: Array<Array<{text: string, negate: boolean, prefix: boolean}>>,
+ *   filters: Array<{field: string, negate: boolean, value: *}>,
+ *   tokens: Array<{raw: string, type: string, negate?: boolean, field?: string, op?: string, value?: string, error?: string}>,
+ *   errors: Array<{token: string, message: string}>
+ * }}
+ *   groups 为关键词，以 OR 连接的 AND 组；filters 为字段条件（取值已规范化：list 为数组，
+ *   number / size / date 为半开区间 { min, max }，text / flag 为字符串）；
+ *   tokens 按输入顺序列出所有词元，type 为 text | field | operator；errors 为无法解析的词元
+ */
+export function parseSearchQuery(text) {
+  const input = String(text || '');
+  const groups = [[]];
+  const filters = [];
+  const tokens = [];
+  const errors = [];
+  let negateNext = false;
+  let position = 0;
+
+  const addError = (token, message) => {
+    token.error = message;
+    errors.push({ token: token.raw, message });
+  };
+
+  while (position < input.length) {
+    if (/\s/.test(input[position])) {
+      position++;
+      continue;
+    }
+
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(input);
+    const raw = match[0];
+    position += raw.length;
+
+    const [, dash, fieldName, op, quoted, closingQuote, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+
+    // 运算符
+    if (!dash && !fieldName && quoted === undefined) {
+      if (value === 'OR' || value === '|') {
+        tokens.push({ raw, type: 'operator' });
+        if (groups[groups.length - 1].length > 0) groups.push([]);
+        negateNext = false;
+        continue;
+      }
+      if (value === 'NOT') {
+        tokens.push({ raw, type: 'operator' });
+        negateNext = true;
+        continue;
+      }
+    }
+
+    const negate = negateNext || Boolean(dash);
+    negateNext = false;
+
+    // 字段条件
+    if (fieldName) {
+      const field = fieldName.toLowerCase();
+      const token = { raw, type: 'field', negate, field, op, value };
+      tokens.push(token);
+
+      if (!SEARCH_FIELDS[field]) {
+        addError(token, `未知的搜索字段 "${fieldName}"，可用字段：${Object.keys(SEARCH_FIELDS).join('、')}`);
+        continue;
+      }
+      if (quoted !== undefined && !closingQuote) {
+        addError(token, '引号未闭合');
+        continue;
+      }
+
+      const parsed = parseFieldValue(field, op, value);
+      if (parsed.error) {
+        addError(token, parsed.error);
+        continue;
+      }
+      filters.push({ field, negate, value: parsed.value });
+      continue;
+    }
+
+    // 关键词
+    let keyword = value;
+    let prefix = false;
+    if (quoted === undefined && keyword.endsWith('*')) {
+      prefix = true;
+      keyword = keyword.replace(/\*+$/, '');
+    }
+    keyword = keyword.trim();
+
+    const token = { raw, type: 'text', negate, value: keyword };
+    if (quoted !== undefined && !closingQuote) {
+      tokens.push(token);
+      addError(token, '引号未闭合');
+      continue;
+    }
+    if (!keyword) continue;
+
+    tokens.push(token);
+    groups[groups.length - 1].push({ text: keyword, negate, prefix });
+  }
+
+  return {
+    groups: groups.filter(group => group.length > 0),
+    filters,
+    tokens,
+    errors
+  };
+}
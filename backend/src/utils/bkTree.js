@@ -0,0 +1,99 @@
+/**
+ * 感知哈希相似度工具
+ * 64 位哈希以 16 位十六进制字符串表示，用汉明距离衡量相似度，BK 树加速近邻查询
+ */
+
+/**
+ * 32 位整数中 1 的个数
+ * @param {number} value
+ * @returns {number}
+ */
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * 两个 64 位十六进制哈希的汉明距离（不同的位数，0-64）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  const high = parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16);
+  const low = parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16);
+  return popcount32(high) + popcount32(low);
+}
+
+/**
+ * BK 树：按与父节点的汉明距离组织子节点，
+ * 查询时利用三角不等式只访问距离在 [d - max, d + max] 范围内的子树
+ */
+class BKTree {
+  constructor() {
+    this.root = null;
+    this.size = 0;
+  }
+
+  /**
+   * 添加哈希（相同哈希的多个值挂在同一节点上）
+   * @param {string} hash - 16 位十六进制
+   * @param {*} value - 关联的值（如图片 id）
+   */
+  add(hash, value) {
+    this.size++;
+    if (!this.root) {
+      this.root = { hash, values: [value], children: new Map() };
+      return;
+    }
+
+    let node = this.root;
+    for (;;) {
+      const distance = hammingDistance(hash, node.hash);
+      if (distance === 0) {
+        node.values.push(value);
+        return;
+      }
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { hash, values: [value], children: new Map() });
+        return;
+      }
+      node = child;
+    }
+  }
+
+  /**
+   * 查找与给定哈希距离不超过 maxDistance 的所有值
+   * @param {string} hash
+   * @param {number} maxDistance
+   * @returns {Array<{value: *, distance: number}>} 按距离从小到大排序
+   */
+  search(hash, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = hammingDistance(hash, node.hash);
+      if (distance <= maxDistance) {
+        for (const value of node.values) {
+          results.push({ value, distance });
+        }
+      }
+      for (const [childDistance, child] of node.children) {
+        if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+          stack.push(child);
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = {
+  hammingDistance,
+  BKTree
+};
@@ -0,0 +1,168 @@
+/**
+ * 颜色工具
+ * sRGB / CIELAB 转换和主色提取；颜色之间的距离使用 Lab 空间的欧氏距离（CIE76 ΔE），接近人眼感知差异
+ */
+
+// D65 白点
+const WHITE_X = 0.95047;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.08883;
+
+// k-means 最大迭代次数
+const KMEANS_MAX_ITERATIONS = 12;
+
+// 距离小于该值（ΔE）的两种主色合并为一种
+const MERGE_DISTANCE = 8;
+
+/**
+ * 解析 #RRGGBB（或 RRGGBB、#RGB）颜色
+ * @param {string} value
+ * @returns {{r: number, g: number, b: number}|null} 格式错误时返回 null
+ */
+function parseHexColor(value) {
+  let hex = String(value || '').trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16)
+  };
+}
+
+/**
+ * RGB 转 #rrggbb
+ */
+function rgbToHex({ r, g, b }) {
+  return '#' + [r, g, b]
+    .map(v => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+function srgbToLinear(value) {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function labF(t) {
+  return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+/**
+ * sRGB 转 CIELAB（D65）
+ * @returns {{l: number, a: number, b: number}}
+ */
+function rgbToLab({ r, g, b }) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const fx = labF((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / WHITE_X);
+  const fy = labF((lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / WHITE_Y);
+  const fz = labF((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / WHITE_Z);
+
+  return {
+    l: 116 * fy - 16,
+    a: 500 * (fx - fy),
+    b: 200 * (fy - fz)
+  };
+}
+
+/**
+ * 两个 Lab 颜色的距离（CIE76 ΔE）
+ */
+function labDistance(x, y) {
+  return Math.sqrt((x.l - y.l) ** 2 + (x.a - y.a) ** 2 + (x.b - y.b) ** 2);
+}
+
+/**
+ * 提取主色：在 Lab 空间对像素做 k-means 聚类
+ * 初始中心按亮度分位数选取，结果是确定的（同一张图片每次扫描得到相同的主色）
+ * @param {Buffer} pixels - 原始像素（RGB 或 RGBA）
+ * @param {number} channels - 每个像素的通道数
+ * @param {number} count - 主色数量
+ * @returns {Array<{hex: string, l: number, a: number, b: number, ratio: number}>} 按占比从大到小排列
+ */
+function extractPalette(pixels, channels, count) {
+  const points = [];
+  for (let i = 0; i + 2 < pixels.length; i += channels) {
+    // 跳过（几乎）透明的像素
+    if (channels === 4 && pixels[i + 3] < 128) continue;
+    const rgb = { r: pixels[i], g: pixels[i + 1], b: pixels[i + 2] };
+    points.push({ ...rgbToLab(rgb), rgb });
+  }
+  if (points.length === 0) return [];
+
+  const sorted = [...points].sort((x, y) => x.l - y.l);
+  let centers = Array.from({ length: Math.min(count, points.length) }, (_, k) => {
+    const { l, a, b } = sorted[Math.floor((k + 0.5) * sorted.length / Math.min(count, points.length))];
+    return { l, a, b };
+  });
+
+  const assignments = new Int32Array(points.length);
+  for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+    let changed = false;
+    points.forEach((point, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, k) => {
+        const distance = (point.l - center.l) ** 2 + (point.a - center.a) ** 2 + (point.b - center.b) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = k;
+        }
+      });
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        changed = true;
+      }
+    });
+
+    const sums = centers.map(() => ({ l: 0, a: 0, b: 0, r: 0, g: 0, bl: 0, n: 0 }));
+    points.forEach((point, i) => {
+      const sum = sums[assignments[i]];
+      sum.l += point.l;
+      sum.a += point.a;
+      sum.b += point.b;
+      sum.r += point.rgb.r;
+      sum.g += point.rgb.g;
+      sum.bl += point.rgb.b;
+      sum.n++;
+    });
+    centers = sums.map((sum, k) => (sum.n > 0
+      ? { l: sum.l / sum.n, a: sum.a / sum.n, b: sum.b / sum.n, rgb: { r: sum.r / sum.n, g: sum.g / sum.n, b: sum.bl / sum.n }, n: sum.n }
+      : { ...centers[k], n: 0 }));
+
+    if (!changed && iteration > 0) break;
+  }
+
+  // 合并相近的主色（如纯色图片会聚出多个几乎相同的中心）
+  const clusters = centers.filter(center => center.n > 0).sort((x, y) => y.n - x.n);
+  const merged = [];
+  for (const cluster of clusters) {
+    const target = merged.find(existing => labDistance(existing, cluster) < MERGE_DISTANCE);
+    if (target) {
+      target.n += cluster.n;
+    } else {
+      merged.push({ ...cluster });
+    }
+  }
+
+  return merged.map(cluster => ({
+    hex: rgbToHex(cluster.rgb),
+    l: cluster.l,
+    a: cluster.a,
+    b: cluster.b,
+    ratio: cluster.n / points.length
+  }));
+}
+
+module.exports = {
+  parseHexColor,
+  rgbToHex,
+  rgbToLab,
+  labDistance,
+  extractPalette
+};
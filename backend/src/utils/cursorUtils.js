@@ -0,0 +1,46 @@
+/**
+ * 游标分页工具
+ * 游标对前端不透明：base64url 编码的 JSON，包含排序方式、最后一条记录的排序键和 id
+ */
+
+const { normalizeSort } = require('./sortUtils');
+
+/**
+ * 生成游标
+ * @param {Object} sort - 当前排序方式
+ * @param {number|string|null} key - 最后一条记录的排序键
+ * @param {number} id - 最后一条记录的 id
+ * @returns {string}
+ */
+function encodeCursor(sort, key, id) {
+  const { field, order, seed } = normalizeSort(sort);
+  const payload = { f: field, o: order, k: key === undefined ? null : key, i: id };
+  if (seed !== undefined) payload.s = seed;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * 解析游标，游标与当前排序方式不一致或格式错误时返回 null
+ * @param {string} value - 游标字符串
+ * @param {Object} sort - 当前排序方式
+ * @returns {{key: number|string|null, id: number}|null}
+ */
+function decodeCursor(value, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const { field, order, seed } = normalizeSort(sort);
+
+    if (payload.f !== field || payload.o !== order || payload.s !== seed) return null;
+    if (!Number.isInteger(payload.i)) return null;
+    if (payload.k !== null && typeof payload.k !== 'number' && typeof payload.k !== 'string') return null;
+
+    return { key: payload.k, id: payload.i };
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
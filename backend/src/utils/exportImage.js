@@ -0,0 +1,173 @@
+/**
+ * 导出图片处理工具
+ * 按导出预设缩放、转换格式、去除元数据、添加文字或图片水印，并按文件名模板生成导出文件名
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { constants } = require('../config');
+
+// sharp 输出格式 → 文件扩展名
+const OUTPUT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp', gif: 'gif', tiff: 'tiff', avif: 'avif' };
+
+// 文件名中不允许出现的字符（按 Windows 规则，同时排除路径分隔符）
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+/**
+ * 文件是否可以按预设转换（其它文件按原文件导出）
+ */
+function isConvertible(filename) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  return constants.EXPORT_PRESETS.CONVERTIBLE_FORMATS.includes(ext);
+}
+
+/**
+ * 输出格式：original 时保持原格式（sharp 不能输出的格式改为 JPEG）
+ */
+function getOutputFormat(preset, inputFormat) {
+  if (preset.format !== 'original') return preset.format;
+  if (inputFormat === 'heif') return 'avif';
+  return OUTPUT_EXTENSIONS[inputFormat] ? inputFormat : 'jpeg';
+}
+
+/**
+ * 计算输出尺寸：按 EXIF 方向摆正后等比缩小到 maxWidth × maxHeight 以内，不放大
+ */
+function getOutputSize(metadata, preset) {
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const scale = Math.min(
+    1,
+    preset.maxWidth ? preset.maxWidth / width : 1,
+    preset.maxHeight ? preset.maxHeight / height : 1
+  );
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+    resized: scale < 1
+  };
+}
+
+/**
+ * 读取导出结果的尺寸和格式（只读取文件头，不解码图片）
+ * @returns {Promise<{width: number, height: number, resized: boolean, format: string, ext: string}>}
+ */
+async function getExportInfo(fullPath, preset) {
+  const metadata = await sharp(fullPath, { failOn: 'none' }).metadata();
+  const format = getOutputFormat(preset, metadata.format);
+  return { ...getOutputSize(metadata, preset), format, ext: OUTPUT_EXTENSIONS[format] };
+}
+
+/**
+ * 水印左上角坐标
+ */
+function getWatermarkOffset(position, width, height, markWidth, markHeight) {
+  const margin = Math.round(Math.min(width, height) * constants.EXPORT_PRESETS.WATERMARK_MARGIN_RATIO);
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+  const place = (side, size, markSize) => {
+    if (side === 'center') return Math.round((size - markSize) / 2);
+    if (side === 'left' || side === 'top') return margin;
+    return size - markSize - margin;
+  };
+
+  return {
+    left: Math.max(0, place(horizontal, width, markWidth)),
+    top: Math.max(0, place(vertical, height, markHeight))
+  };
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]));
+}
+
+/**
+ * 文字水印：与图片同尺寸的 SVG，字号为图片短边 × scale
+ */
+function createTextWatermark(watermark, width, height) {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) * watermark.scale));
+  const margin = Math.round(Math.min(width, height) * constants.EXPORT_PRESETS.WATERMARK_MARGIN_RATIO);
+  const [vertical, horizontal] = watermark.position === 'center' ? ['center', 'center'] : watermark.position.split('-');
+
+  const x = { left: margin, center: width / 2, right: width - margin }[horizontal];
+  const anchor = { left: 'start', center: 'middle', right: 'end' }[horizontal];
+  // y 为基线位置
+  const y = { top: margin + fontSize * 0.8, center: height / 2 + fontSize * 0.35, bottom: height - margin - fontSize * 0.2 }[vertical];
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="${x}" y="${y}" font-size="${fontSize}" font-family="sans-serif" text-anchor="${anchor}" ` +
+    `fill="#ffffff" fill-opacity="${watermark.opacity}" stroke="#000000" stroke-opacity="${watermark.opacity * 0.5}" ` +
+    `stroke-width="${Math.max(1, Math.round(fontSize / 24))}" paint-order="stroke">${escapeXml(watermark.text)}</text></svg>`;
+
+  return { input: Buffer.from(svg), left: 0, top: 0 };
+}
+
+/**
+ * 图片水印：宽度为图片宽度 × scale，按不透明度调整 alpha 通道
+ */
+async function createImageWatermark(watermark, width, height) {
+  const alpha = Math.round(watermark.opacity * 255);
+  const { data, info } = await sharp(watermark.path)
+    .rotate()
+    .resize({ width: Math.max(1, Math.round(width * watermark.scale)), height, fit: 'inside' })
+    .ensureAlpha()
+    .composite([{ input: Buffer.from([255, 255, 255, alpha]), raw: { width: 1, height: 1, channels: 4 }, tile: true, blend: 'dest-in' }])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return { input: data, ...getWatermarkOffset(watermark.position, width, height, info.width, info.height) };
+}
+
+/**
+ * 按预设处理图片
+ * @param {string} fullPath - 原图路径
+ * @param {Object} preset - 导出预设
+ * @returns {Promise<{data: Buffer, width: number, height: number, ext: string}>}
+ */
+async function renderExportImage(fullPath, preset) {
+  const info = await getExportInfo(fullPath, preset);
+  let pipeline = sharp(fullPath, { failOn: 'none' }).rotate();
+
+  if (info.resized) {
+    pipeline = pipeline.resize({ width: info.width, height: info.height, fit: 'fill' });
+  }
+  if (preset.watermark) {
+    const layer = preset.watermark.type === 'text'
+      ? createTextWatermark(preset.watermark, info.width, info.height)
+      : await createImageWatermark(preset.watermark, info.width, info.height);
+    pipeline = pipeline.composite([layer]);
+  }
+  // sharp 默认不保留元数据
+  if (!preset.stripMetadata) {
+    pipeline = pipeline.keepMetadata();
+  }
+
+  const data = await pipeline
+    .toFormat(info.format, info.format === 'png' ? {} : { quality: preset.quality })
+    .toBuffer();
+
+  return { data, width: info.width, height: info.height, ext: info.ext };
+}
+
+/**
+ * 按模板生成文件名
+ * @param {string} template - 如 "{folder}_{name}_{w}x{h}"，可用变量：{name} {folder} {w} {h} {index}
+ * @param {Object} vars - { name, folder, w, h, index }
+ * @param {string} ext - 扩展名（不含点）
+ */
+function formatExportFilename(template, vars, ext) {
+  const base = template
+    .replace(/\{(name|folder|w|h|index)\}/g, (match, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])))
+    .replace(INVALID_FILENAME_CHARS, '_')
+    .trim();
+
+  return `${base || vars.name}${ext ? `.${ext}` : ''}`;
+}
+
+module.exports = {
+  isConvertible,
+  getExportInfo,
+  renderExportImage,
+  formatExportFilename
+};
@@ -3,6 +3,8 @@
  * 将 snake_case 转换为 camelCase
  */
 
+const { parseTagNames } = require('./tagUtils');
+
 // 数据库字段到前端字段的映射
 const DB_TO_FRONTEND_MAP = {
   // Image fields
@@ -13,11 +15,35 @@ const DB_TO_FRONTEND_MAP = {
   thumbnail_path: 'thumbnailPath',
   thumbnail_size: 'thumbnailSize',
   indexed_at: 'indexedAt',
+  content_hash: 'contentHash',
+  perceptual_hash: 'perceptualHash',
+  page_count: 'pageCount',
+  thumbnail_source: 'thumbnailSource',
+  frame_count: 'frameCount',
+  animated_thumbnail_path: 'animatedThumbnailPath',
   
   // Folder fields
   parent_path: 'parentPath',
   image_count: 'imageCount',
-  last_scan: 'lastScan'
+  last_scan: 'lastScan',
+
+  // Tag fields
+  parent_id: 'parentId',
+
+  // Album / smart album fields
+  updated_at: 'updatedAt',
+
+  // Image meta fields (EXIF / IPTC / XMP)
+  image_id: 'imageId',
+  camera_make: 'cameraMake',
+  camera_model: 'cameraModel',
+  exposure_time: 'exposureTime',
+  f_number: 'fNumber',
+  focal_length: 'focalLength',
+  taken_at: 'takenAt',
+  gps_latitude: 'gpsLatitude',
+  gps_longitude: 'gpsLongitude',
+  gps_altitude: 'gpsAltitude'
 };
 
 /**
@@ -38,7 +64,12 @@ function mapFields(obj, mapping) {
  * 映射图片对象
  */
 function mapImageForFrontend(image) {
-  return mapFields(image, DB_TO_FRONTEND_MAP);
+  const result = mapFields(image, DB_TO_FRONTEND_MAP);
+  // tags 列存储的是 JSON 字符串，转换为标签名数组
+  if (result && result.tags !== undefined) {
+    result.tags = parseTagNames(result.tags);
+  }
+  return result;
 }
 
 /**
@@ -48,6 +79,50 @@ function mapFolderForFrontend(folder) {
   return mapFields(folder, DB_TO_FRONTEND_MAP);
 }
 
+/**
+ * 映射标签对象
+ */
+function mapTagForFrontend(tag) {
+  return mapFields(tag, DB_TO_FRONTEND_MAP);
+}
+
+/**
+ * 映射相册对象
+ */
+function mapAlbumForFrontend(album) {
+  return mapFields(album, DB_TO_FRONTEND_MAP);
+}
+
+/**
+ * 映射智能相册对象（query 列存储的是 JSON 字符串）
+ */
+function mapSmartAlbumForFrontend(album) {
+  const result = mapFields(album, DB_TO_FRONTEND_MAP);
+  if (result && typeof result.query === 'string') {
+    try {
+      result.query = JSON.parse(result.query);
+    } catch (e) {
+      result.query = {};
+    }
+  }
+  return result;
+}
+
+/**
+ * 映射图片元数据对象（keywords 列存储的是 JSON 字符串）
+ */
+function mapImageMetaForFrontend(meta) {
+  const result = mapFields(meta, DB_TO_FRONTEND_MAP);
+  if (result) {
+    try {
+      result.keywords = result.keywords ? JSON.parse(result.keywords) : [];
+    } catch (e) {
+      result.keywords = [];
+    }
+  }
+  return result;
+}
+
 /**
  * 批量映射图片数组
  */
@@ -65,6 +140,10 @@ function mapFoldersForFrontend(folders) {
 module.exports = {
   mapImageForFrontend,
   mapFolderForFrontend,
+  mapTagForFrontend,
+  mapAlbumForFrontend,
+  mapSmartAlbumForFrontend,
+  mapImageMetaForFrontend,
   mapImagesForFrontend,
   mapFoldersForFrontend,
   mapFields
@@ -0,0 +1,88 @@
+/**
+ * 图片筛选参数工具
+ * 将 GET /api/image 的查询参数解析为 ImageModel 使用的筛选条件，智能相册保存的条件也使用同样的格式
+ */
+
+const { parseHexColor, rgbToLab } = require('./colorUtils');
+const { constants } = require('../config');
+
+const ORIENTATIONS = ['horizontal', 'vertical', 'square'];
+
+// 智能相册可保存的查询参数（与 GET /api/image 同名）
+const SMART_ALBUM_QUERY_KEYS = ['keywords', 'formats', 'orientations', 'ratings', 'sizes', 'color', 'tolerance', 'animated'];
+
+/**
+ * 解析大小区间参数
+ * 格式：min-max（字节），多个区间用逗号分隔，上限可省略，如 "0-1048576,10485760-"
+ */
+function parseSizeRanges(value) {
+  return value.split(',')
+    .map(range => {
+      const [min, max] = range.split('-').map(v => (v ? parseInt(v, 10) : null));
+      return { min, max };
+    })
+    .filter(({ min, max }) => !Number.isNaN(min) && !Number.isNaN(max) && (min || max));
+}
+
+/**
+ * 解析颜色参数（#RRGGBB）为 Lab 颜色，分量保留两位小数
+ * @returns {{hex: string, l: number, a: number, b: number}|null} 格式错误时返回 null
+ */
+function parseColorFilter(value) {
+  const rgb = parseHexColor(value);
+  if (!rgb) return null;
+  const lab = rgbToLab(rgb);
+  const round = v => Math.round(v * 100) / 100;
+  return { hex: String(value).trim(), l: round(lab.l), a: round(lab.a), b: round(lab.b) };
+}
+
+/**
+ * 解析图片筛选参数（不含排序和分页）
+ * @param {Object} query - { keywords, folder, formats, tags, album, favorite, orientations, ratings, sizes, color, tolerance, animated }，取值均为字符串
+ *   color 为 #RRGGBB，tolerance 为颜色容差（Lab 空间 ΔE）；animated=1 只返回动图
+ * @returns {Object} 筛选条件
+ */
+function parseImageFilters(query = {}) {
+  const { keywords, folder, formats, tags, album, favorite, orientations, ratings, sizes, color, tolerance, animated } = query;
+  const filters = {};
+
+  if (keywords) filters.keywords = keywords;
+  if (folder) filters.folder = folder;
+  if (formats) filters.formats = formats.split(',');
+  if (tags) {
+    filters.tags = tags.split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+  }
+  if (album) {
+    const albumId = parseInt(album, 10);
+    if (!isNaN(albumId)) filters.albumId = albumId;
+  }
+  if (favorite === '1' || favorite === 'true') filters.favorite = true;
+  if (animated === '1' || animated === 'true') filters.animated = true;
+  if (orientations) {
+    filters.orientations = orientations.split(',').filter(o => ORIENTATIONS.includes(o));
+  }
+  if (ratings) {
+    filters.ratings = ratings.split(',')
+      .map(r => parseInt(r, 10))
+      .filter(r => !isNaN(r) && r >= 0 && r <= 5);
+  }
+  if (sizes) filters.sizeRanges = parseSizeRanges(sizes);
+  if (color) {
+    const lab = parseColorFilter(color);
+    if (lab) {
+      filters.color = lab;
+      const value = parseFloat(tolerance);
+      if (!isNaN(value)) filters.colorTolerance = Math.min(Math.max(value, 0), constants.COLORS.MAX_TOLERANCE);
+    }
+  }
+
+  return filters;
+}
+
+module.exports = {
+  ORIENTATIONS,
+  SMART_ALBUM_QUERY_KEYS,
+  parseSizeRanges,
+  parseColorFilter,
+  parseImageFilters
+};
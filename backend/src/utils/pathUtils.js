@@ -0,0 +1,29 @@
+/**
+ * 路径工具
+ */
+
+const path = require('path');
+
+/**
+ * 将相对路径解析到目录内的绝对路径，防止通过 .. 或绝对路径访问目录以外的文件
+ * @param {string} baseDir - 目录
+ * @param {string} relativePath - 相对路径（来自请求参数）
+ * @returns {string|null} 绝对路径；不在目录内（或就是目录本身）时返回 null
+ */
+function resolveInside(baseDir, relativePath) {
+  if (typeof relativePath !== 'string' || relativePath.includes('\0')) {
+    return null;
+  }
+
+  const base = path.resolve(baseDir);
+  const fullPath = path.resolve(base, relativePath);
+  const relative = path.relative(base, fullPath);
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    return null;
+  }
+  return fullPath;
+}
+
+module.exports = {
+  resolveInside
+};
@@ -0,0 +1,44 @@
+/**
+ * 角色工具函数
+ * 角色按素材库授予：viewer 浏览 | editor 重命名、移动、删除、上传、扫描 | admin 管理素材库；
+ * 系统管理员（isAdmin）拥有所有素材库的 admin 角色，并可以管理用户、创建素材库
+ */
+
+const { constants } = require('../config');
+
+const ROLE_LABELS = {
+  viewer: '浏览者',
+  editor: '编辑者',
+  admin: '管理员'
+};
+
+/**
+ * 角色等级（未授予角色时为 0）
+ */
+function getRoleLevel(role) {
+  return constants.USERS.ROLES.indexOf(role) + 1;
+}
+
+/**
+ * 获取用户在素材库中的角色
+ * @param {Object} user - { isAdmin, libraries: { [libraryId]: role } }
+ * @returns {string|null}
+ */
+function getLibraryRole(user, libraryId) {
+  if (user.isAdmin) return 'admin';
+  return (user.libraries && user.libraries[libraryId]) || null;
+}
+
+/**
+ * 用户在素材库中的角色是否不低于 role
+ */
+function hasLibraryRole(user, libraryId, role) {
+  return getRoleLevel(getLibraryRole(user, libraryId)) >= getRoleLevel(role);
+}
+
+module.exports = {
+  ROLE_LABELS,
+  getRoleLevel,
+  getLibraryRole,
+  hasLibraryRole
+};
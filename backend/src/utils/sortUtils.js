@@ -0,0 +1,61 @@
+/**
+ * 图片排序工具
+ * 排序字段的白名单、参数规范化以及文件名自然排序键
+ */
+
+// 可选排序字段（relevance 为关键词相关度，仅在搜索时有效；color 为与筛选颜色的接近程度，仅在按颜色筛选时有效）
+const SORT_FIELDS = ['created', 'modified', 'filename', 'size', 'pixels', 'rating', 'random', 'relevance', 'color'];
+
+const DEFAULT_SORT = { field: 'created', order: 'desc' };
+
+// 自然排序时数字段补齐的位数
+const NATURAL_SORT_PAD = 12;
+
+// 随机排序种子上限（保证 SQL 中的整数运算不溢出）
+const MAX_RANDOM_SEED = 2147483647;
+
+/**
+ * 生成文件名的自然排序键：忽略大小写，数字段补零，使 "img2" 排在 "img10" 之前
+ * @param {string} filename
+ * @returns {string}
+ */
+function naturalSortKey(filename) {
+  return String(filename || '')
+    .toLowerCase()
+    .replace(/\d+/g, digits => digits.replace(/^0+(?=\d)/, '').padStart(NATURAL_SORT_PAD, '0'));
+}
+
+/**
+ * 规范化排序参数，非法值回退为默认排序
+ * @param {Object} sort - { field, order, seed, query, color }，query 为相关度排序使用的关键词，color 为颜色排序使用的 Lab 颜色
+ * @returns {{field: string, order: string, seed?: number, query?: string, color?: Object}}
+ */
+function normalizeSort(sort = {}) {
+  const field = SORT_FIELDS.includes(sort.field) ? sort.field : DEFAULT_SORT.field;
+  const order = sort.order === 'asc' || sort.order === 'desc' ? sort.order : DEFAULT_SORT.order;
+  const result = { field, order };
+
+  if (field === 'random') {
+    const seed = parseInt(sort.seed, 10);
+    result.seed = Number.isNaN(seed) ? 0 : Math.abs(seed) % MAX_RANDOM_SEED;
+  }
+
+  if (field === 'relevance' && sort.query) {
+    result.query = String(sort.query);
+  }
+
+  // 颜色为 Lab 分量，拼入 SQL 前确保是有限数字
+  if (field === 'color' && sort.color && ['l', 'a', 'b'].every(key => Number.isFinite(sort.color[key]))) {
+    result.color = { l: sort.color.l, a: sort.color.a, b: sort.color.b };
+  }
+
+  return result;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  MAX_RANDOM_SEED,
+  naturalSortKey,
+  normalizeSort
+};
@@ -0,0 +1,61 @@
+/**
+ * 标签工具函数
+ */
+
+// 标签名最大长度
+const MAX_TAG_NAME_LENGTH = 64;
+
+/**
+ * 规范化标签名列表：去除首尾空白、过滤空值、忽略大小写去重
+ * @param {Array<string>} names - 标签名列表
+ * @returns {Array<string>}
+ */
+function normalizeTagNames(names) {
+  if (!Array.isArray(names)) return [];
+
+  const seen = new Set();
+  const result = [];
+  for (const raw of names) {
+    if (typeof raw !== 'string') continue;
+    const name = raw.trim().slice(0, MAX_TAG_NAME_LENGTH);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) continue;
+    seen.add(key);
+    result.push(name);
+  }
+  return result;
+}
+
+/**
+ * 解析 images.tags 列中的标签
+ * 兼容 JSON 数组（'["a","b"]'）和早期的逗号分隔字符串（'a,b'）
+ * @param {string|Array} value - 列值
+ * @returns {Array<string>}
+ */
+function parseTagNames(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return normalizeTagNames(value);
+
+  const text = String(value).trim();
+  if (!text) return [];
+
+  if (text.startsWith('[')) {
+    try {
+      return normalizeTagNames(JSON.parse(text));
+    } catch (e) {
+      // 非法 JSON，按逗号分隔处理
+    }
+  }
+
+  return normalizeTagNames(
+    text.replace(/^\[|\]$/g, '')
+      .split(/[,，]/)
+      .map(part => part.trim().replace(/^["']|["']$/g, ''))
+  );
+}
+
+module.exports = {
+  MAX_TAG_NAME_LENGTH,
+  normalizeTagNames,
+  parseTagNames
+};
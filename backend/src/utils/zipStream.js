@@ -0,0 +1,363 @@
+/**
+ * 流式 ZIP 打包工具
+ * 直接从磁盘逐个读取文件写入输出流，不在内存中缓存整个压缩包
+ * store（仅存储）模式下压缩包大小可以预先算出，支持按字节区间输出（断点续传）；deflate 模式的大小事先未知
+ * 单个文件或整个压缩包超过 4GB 时使用 Zip64 扩展
+ * 条目也可以在输出时才生成内容（如按导出预设转换后的图片），此时压缩包大小事先未知
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// 压缩方式 → ZIP 中的 method 编号
+const ZIP_METHODS = { store: 0, deflate: 8 };
+
+const MAX_UINT16 = 0xFFFF;
+const MAX_UINT32 = 0xFFFFFFFF;
+// bit 3：CRC 写在文件数据后的数据描述符中（边读边算，不需要读两遍）；bit 11：文件名为 UTF-8
+const FLAGS = 0x0808;
+const VERSION = 20;
+const VERSION_ZIP64 = 45;
+
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_RECORD_SIZE = 22;
+const ZIP64_END_RECORD_SIZE = 56;
+const ZIP64_END_LOCATOR_SIZE = 20;
+
+/**
+ * 文件是否需要 Zip64：deflate 对已压缩的图片可能略微变大，留出余量
+ */
+function needsZip64(entry, method) {
+  const size = method === ZIP_METHODS.deflate ? entry.size * 1.01 + 1024 : entry.size;
+  return size >= MAX_UINT32;
+}
+
+/**
+ * 修改时间转换为 DOS 格式的时间和日期（本地时间，最早 1980 年）
+ */
+function toDosDateTime(mtime) {
+  const date = new Date(mtime);
+  if (isNaN(date.getTime()) || date.getFullYear() < 1980) {
+    return { time: 0, date: (1 << 5) | 1 };
+  }
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function localHeader(entry, method, nameBuffer, zip64) {
+  const { time, date } = toDosDateTime(entry.mtime);
+  // store 模式在本地文件头中写入大小，便于流式解压工具找到文件数据的结尾
+  const size = method === ZIP_METHODS.store ? entry.size : 0;
+  const buffer = Buffer.alloc(LOCAL_HEADER_SIZE + nameBuffer.length + (zip64 ? 20 : 0));
+
+  buffer.writeUInt32LE(0x04034b50, 0);
+  buffer.writeUInt16LE(zip64 ? VERSION_ZIP64 : VERSION, 4);
+  buffer.writeUInt16LE(FLAGS, 6);
+  buffer.writeUInt16LE(method, 8);
+  buffer.writeUInt16LE(time, 10);
+  buffer.writeUInt16LE(date, 12);
+  buffer.writeUInt32LE(0, 14);
+  buffer.writeUInt32LE(zip64 ? MAX_UINT32 : size, 18);
+  buffer.writeUInt32LE(zip64 ? MAX_UINT32 : size, 22);
+  buffer.writeUInt16LE(nameBuffer.length, 26);
+  buffer.writeUInt16LE(zip64 ? 20 : 0, 28);
+  nameBuffer.copy(buffer, LOCAL_HEADER_SIZE);
+
+  if (zip64) {
+    const offset = LOCAL_HEADER_SIZE + nameBuffer.length;
+    buffer.writeUInt16LE(0x0001, offset);
+    buffer.writeUInt16LE(16, offset + 2);
+    buffer.writeBigUInt64LE(BigInt(size), offset + 4);
+    buffer.writeBigUInt64LE(BigInt(size), offset + 12);
+  }
+  return buffer;
+}
+
+function dataDescriptor(crc, compressedSize, size, zip64) {
+  const buffer = Buffer.alloc(zip64 ? 24 : 16);
+  buffer.writeUInt32LE(0x08074b50, 0);
+  buffer.writeUInt32LE(crc, 4);
+  if (zip64) {
+    buffer.writeBigUInt64LE(BigInt(compressedSize), 8);
+    buffer.writeBigUInt64LE(BigInt(size), 16);
+  } else {
+    buffer.writeUInt32LE(compressedSize, 8);
+    buffer.writeUInt32LE(size, 12);
+  }
+  return buffer;
+}
+
+/**
+ * 中央目录中需要写入 Zip64 扩展字段的值（顺序固定为：原始大小、压缩后大小、本地文件头偏移）
+ * 本地文件头使用了 Zip64（record.zip64）时两个大小都写入扩展字段，与本地文件头和数据描述符一致
+ * （deflate 条目按预留的余量决定，实际大小可能小于 4GB）；偏移只在超出 32 位时写入
+ */
+function centralZip64Fields(record) {
+  return {
+    size: record.zip64 || record.size >= MAX_UINT32,
+    compressedSize: record.zip64 || record.compressedSize >= MAX_UINT32,
+    offset: record.offset >= MAX_UINT32
+  };
+}
+
+function centralExtraSize(fields) {
+  const count = Object.values(fields).filter(Boolean).length;
+  return count > 0 ? 4 + count * 8 : 0;
+}
+
+function centralHeader(entry, method, nameBuffer, record) {
+  const { time, date } = toDosDateTime(entry.mtime);
+  const fields = centralZip64Fields(record);
+  const extraSize = centralExtraSize(fields);
+  const version = extraSize > 0 ? VERSION_ZIP64 : VERSION;
+
+  const buffer = Buffer.alloc(CENTRAL_HEADER_SIZE + nameBuffer.length + extraSize);
+  buffer.writeUInt32LE(0x02014b50, 0);
+  buffer.writeUInt16LE(version, 4);
+  buffer.writeUInt16LE(version, 6);
+  buffer.writeUInt16LE(FLAGS, 8);
+  buffer.writeUInt16LE(method, 10);
+  buffer.writeUInt16LE(time, 12);
+  buffer.writeUInt16LE(date, 14);
+  buffer.writeUInt32LE(record.crc, 16);
+  buffer.writeUInt32LE(fields.compressedSize ? MAX_UINT32 : record.compressedSize, 20);
+  buffer.writeUInt32LE(fields.size ? MAX_UINT32 : record.size, 24);
+  buffer.writeUInt16LE(nameBuffer.length, 28);
+  buffer.writeUInt16LE(extraSize, 30);
+  buffer.writeUInt32LE(fields.offset ? MAX_UINT32 : record.offset, 42);
+  nameBuffer.copy(buffer, CENTRAL_HEADER_SIZE);
+
+  if (extraSize > 0) {
+    let offset = CENTRAL_HEADER_SIZE + nameBuffer.length;
+    buffer.writeUInt16LE(0x0001, offset);
+    buffer.writeUInt16LE(extraSize - 4, offset + 2);
+    offset += 4;
+    for (const key of ['size', 'compressedSize', 'offset']) {
+      if (fields[key]) {
+        buffer.writeBigUInt64LE(BigInt(record[key]), offset);
+        offset += 8;
+      }
+    }
+  }
+  return buffer;
+}
+
+function centralHeaderSize(nameBuffer, record) {
+  return CENTRAL_HEADER_SIZE + nameBuffer.length + centralExtraSize(centralZip64Fields(record));
+}
+
+/**
+ * 中央目录结束记录；条目数或偏移超出范围时先写 Zip64 结束记录和定位符
+ */
+function endRecords(count, centralSize, centralOffset) {
+  const zip64 = count >= MAX_UINT16 || centralSize >= MAX_UINT32 || centralOffset >= MAX_UINT32;
+  const buffers = [];
+
+  if (zip64) {
+    const record = Buffer.alloc(ZIP64_END_RECORD_SIZE);
+    record.writeUInt32LE(0x06064b50, 0);
+    record.writeBigUInt64LE(BigInt(ZIP64_END_RECORD_SIZE - 12), 4);
+    record.writeUInt16LE(VERSION_ZIP64, 12);
+    record.writeUInt16LE(VERSION_ZIP64, 14);
+    record.writeBigUInt64LE(BigInt(count), 24);
+    record.writeBigUInt64LE(BigInt(count), 32);
+    record.writeBigUInt64LE(BigInt(centralSize), 40);
+    record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+    const locator = Buffer.alloc(ZIP64_END_LOCATOR_SIZE);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+    locator.writeUInt32LE(1, 16);
+    buffers.push(record, locator);
+  }
+
+  const end = Buffer.alloc(END_RECORD_SIZE);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Math.min(count, MAX_UINT16), 8);
+  end.writeUInt16LE(Math.min(count, MAX_UINT16), 10);
+  end.writeUInt32LE(Math.min(centralSize, MAX_UINT32), 12);
+  end.writeUInt32LE(Math.min(centralOffset, MAX_UINT32), 16);
+  buffers.push(end);
+
+  return Buffer.concat(buffers);
+}
+
+/**
+ * 计算 store 模式压缩包的总大小（与 createZipStream 的输出一致）
+ * @param {Array<{name: string, size: number}>} entries
+ * @returns {number}
+ */
+function getZipSize(entries) {
+  let offset = 0;
+  let centralSize = 0;
+
+  for (const entry of entries) {
+    const nameBuffer = Buffer.from(entry.name, 'utf8');
+    const zip64 = needsZip64(entry, ZIP_METHODS.store);
+    const record = { size: entry.size, compressedSize: entry.size, offset, zip64 };
+    centralSize += centralHeaderSize(nameBuffer, record);
+    offset += LOCAL_HEADER_SIZE + nameBuffer.length + (zip64 ? 20 : 0) + entry.size + (zip64 ? 24 : 16);
+  }
+
+  return offset + centralSize + endRecords(entries.length, centralSize, offset).length;
+}
+
+/**
+ * 读取文件的前 size 个字节（导出期间文件被截短时报错）
+ */
+async function* readFileChunks(fullPath, size) {
+  if (size === 0) return;
+  let read = 0;
+  for await (const chunk of fs.createReadStream(fullPath, { start: 0, end: size - 1 })) {
+    read += chunk.length;
+    yield chunk;
+  }
+  if (read < size) {
+    throw new Error(`文件在导出期间被修改: ${fullPath}`);
+  }
+}
+
+/**
+ * 压缩文件内容，同时计算 CRC 和压缩后大小
+ */
+async function* deflateChunks(chunks, result) {
+  const deflate = zlib.createDeflateRaw({ level: zlib.constants.Z_DEFAULT_COMPRESSION });
+  const output = [];
+  deflate.on('data', chunk => output.push(chunk));
+  const write = chunk => new Promise((resolve, reject) => {
+    deflate.write(chunk, error => (error ? reject(error) : resolve()));
+  });
+
+  for await (const chunk of chunks) {
+    result.crc = zlib.crc32(chunk, result.crc);
+    await write(chunk);
+    while (output.length > 0) {
+      const compressed = output.shift();
+      result.compressedSize += compressed.length;
+      yield compressed;
+    }
+  }
+
+  await new Promise((resolve, reject) => {
+    deflate.once('error', reject);
+    deflate.once('end', resolve);
+    deflate.end();
+  });
+  for (const compressed of output) {
+    result.compressedSize += compressed.length;
+    yield compressed;
+  }
+}
+
+/**
+ * 创建 ZIP 输出流
+ * @param {Array<{name: string, fullPath: string, size: number, mtime: number, crc?: number, load?: Function}>} entries
+ *   name 为压缩包中的路径（/ 分隔），size 为文件大小（只读取这么多字节）；
+ *   entry.crc 在输出后写入，再次输出（续传）时可以跳过已经计算过 CRC 的文件，不必重新读取；
+ *   有 load 的条目在输出前调用 await load() 得到 { data, name }，用 data 作为文件内容、name 作为压缩包中的路径（不支持按字节区间输出）
+ * @param {Object} options
+ * @param {'store'|'deflate'} [options.compression] - 压缩方式，默认 store
+ * @param {number} [options.start] - 只输出从该字节开始的内容（仅 store 模式）
+ * @param {number} [options.end] - 只输出到该字节（含，仅 store 模式）
+ * @param {Function} [options.onEntry] - 每个文件输出完成后调用：onEntry(index, bytesWritten)
+ * @returns {Readable}
+ */
+function createZipStream(entries, { compression = 'store', start = 0, end = Infinity, onEntry } = {}) {
+  const method = ZIP_METHODS[compression];
+  if (method === undefined) {
+    throw new Error(`Unsupported compression: ${compression}`);
+  }
+  if (method !== ZIP_METHODS.store && (start > 0 || end !== Infinity)) {
+    throw new Error('Byte ranges are only supported for store compression');
+  }
+
+  async function* generate() {
+    // position 为当前在完整压缩包中的位置，只输出落在 [start, end] 内的部分
+    let position = 0;
+    let written = 0;
+    const emit = (buffer) => {
+      const from = Math.max(start - position, 0);
+      const to = Math.min(end + 1 - position, buffer.length);
+      position += buffer.length;
+      if (from >= to) return null;
+      const slice = from === 0 && to === buffer.length ? buffer : buffer.subarray(from, to);
+      written += slice.length;
+      return slice;
+    };
+    const pastEnd = () => position > end;
+
+    const records = [];
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      let data = null;
+      if (entry.load) {
+        const loaded = await entry.load();
+        data = loaded.data;
+        entry.name = loaded.name;
+        entry.size = data.length;
+      }
+      const chunks = () => (data ? [data] : readFileChunks(entry.fullPath, entry.size));
+      const nameBuffer = Buffer.from(entry.name, 'utf8');
+      const zip64 = needsZip64(entry, method);
+      const record = { crc: 0, size: entry.size, compressedSize: 0, offset: position, zip64 };
+
+      const header = emit(localHeader(entry, method, nameBuffer, zip64));
+      if (header) yield header;
+      if (pastEnd()) return;
+
+      if (method === ZIP_METHODS.store) {
+        record.compressedSize = entry.size;
+        const dataEnd = position + entry.size;
+        if (!data && entry.crc !== undefined && dataEnd <= start) {
+          // 不需要输出这部分内容，CRC 也已知：跳过读取
+          record.crc = entry.crc;
+          position = dataEnd;
+        } else {
+          for await (const chunk of chunks()) {
+            record.crc = zlib.crc32(chunk, record.crc);
+            const slice = emit(chunk);
+            if (slice) yield slice;
+          }
+        }
+      } else {
+        for await (const chunk of deflateChunks(chunks(), record)) {
+          yield emit(chunk);
+        }
+      }
+      entry.crc = record.crc;
+
+      const descriptor = emit(dataDescriptor(record.crc, record.compressedSize, record.size, zip64));
+      if (descriptor) yield descriptor;
+
+      records.push({ entry, nameBuffer, record });
+      if (onEntry) onEntry(i, written);
+      if (pastEnd()) return;
+    }
+
+    const centralOffset = position;
+    for (const { entry, nameBuffer, record } of records) {
+      const central = emit(centralHeader(entry, method, nameBuffer, record));
+      if (central) yield central;
+      if (pastEnd()) return;
+    }
+
+    const endBuffer = emit(endRecords(records.length, position - centralOffset, centralOffset));
+    if (endBuffer) yield endBuffer;
+  }
+
+  return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = {
+  ZIP_METHODS,
+  getZipSize,
+  createZipStream,
+  // 以下用于测试 Zip64 的判断（完整的 4GB 文件在测试中生成太慢）
+  needsZip64,
+  centralHeader,
+  centralHeaderSize
+};
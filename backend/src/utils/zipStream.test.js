@@ -0,0 +1,65 @@
+/**
+ * 流式 ZIP 打包测试（Zip64 扩展字段）
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const {
+  ZIP_METHODS, getZipSize, createZipStream, needsZip64, centralHeader, centralHeaderSize
+} = require('./zipStream');
+
+const MAX_UINT32 = 0xFFFFFFFF;
+
+describe('Zip64', () => {
+  const nameBuffer = Buffer.from('a.jpg');
+  // 略小于 4GB：store 不需要 Zip64，deflate 按预留的余量使用 Zip64
+  const entry = { name: 'a.jpg', size: MAX_UINT32 - 1000, mtime: Date.now() };
+
+  it('deflate 条目按余量决定使用 Zip64', () => {
+    assert.strictEqual(needsZip64(entry, ZIP_METHODS.store), false);
+    assert.strictEqual(needsZip64(entry, ZIP_METHODS.deflate), true);
+  });
+
+  it('本地文件头使用了 Zip64 时，中央目录也写入两个大小的 Zip64 扩展字段', () => {
+    // 实际大小都小于 4GB
+    const record = { crc: 1, size: entry.size, compressedSize: 5000, offset: 10, zip64: true };
+    const buffer = centralHeader(entry, ZIP_METHODS.deflate, nameBuffer, record);
+    const extra = 46 + nameBuffer.length;
+
+    assert.strictEqual(buffer.length, centralHeaderSize(nameBuffer, record));
+    assert.strictEqual(buffer.readUInt16LE(6), 45);
+    assert.strictEqual(buffer.readUInt32LE(20), MAX_UINT32);
+    assert.strictEqual(buffer.readUInt32LE(24), MAX_UINT32);
+    assert.strictEqual(buffer.readUInt32LE(42), 10);
+    assert.strictEqual(buffer.readUInt16LE(30), 20);
+    assert.strictEqual(buffer.readUInt16LE(extra), 0x0001);
+    assert.strictEqual(buffer.readUInt16LE(extra + 2), 16);
+    assert.strictEqual(buffer.readBigUInt64LE(extra + 4), BigInt(entry.size));
+    assert.strictEqual(buffer.readBigUInt64LE(extra + 12), 5000n);
+  });
+
+  it('不需要 Zip64 时不写扩展字段', () => {
+    const record = { crc: 1, size: 5000, compressedSize: 5000, offset: 10, zip64: false };
+    const buffer = centralHeader(entry, ZIP_METHODS.store, nameBuffer, record);
+    assert.strictEqual(buffer.length, 46 + nameBuffer.length);
+    assert.strictEqual(buffer.readUInt16LE(6), 20);
+    assert.strictEqual(buffer.readUInt32LE(24), 5000);
+  });
+});
+
+describe('store 模式压缩包大小', () => {
+  it('getZipSize 与实际输出一致', async () => {
+    const size = fs.statSync(__filename).size;
+    const entries = [
+      { name: 'a.js', fullPath: __filename, size, mtime: Date.now() },
+      { name: '目录/b.js', fullPath: __filename, size: 100, mtime: Date.now() }
+    ];
+
+    let length = 0;
+    for await (const chunk of createZipStream(entries)) {
+      length += chunk.length;
+    }
+    assert.strictEqual(length, getZipSize(entries));
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * 图片元数据（EXIF / IPTC / XMP）解析
+ * 解析 sharp metadata() 返回的 exif / iptc / xmp 原始数据，纯 JS 实现，不依赖额外的库
+ * 结果字段与 image_meta 表的列一致（snake_case），无法识别的字段为 null
+ */
+
+// EXIF 标签（IFD0 / Exif IFD / GPS IFD）
+const EXIF_TAGS = {
+  MAKE: 0x010F,
+  MODEL: 0x0110,
+  IMAGE_DESCRIPTION: 0x010E,
+  ARTIST: 0x013B,
+  COPYRIGHT: 0x8298,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  EXPOSURE_TIME: 0x829A,
+  F_NUMBER: 0x829D,
+  ISO: 0x8827,
+  DATE_TIME_ORIGINAL: 0x9003,
+  FOCAL_LENGTH: 0x920A,
+  LENS_MAKE: 0xA433,
+  LENS_MODEL: 0xA434,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_ALTITUDE_REF: 0x0005,
+  GPS_ALTITUDE: 0x0006
+};
+
+// TIFF 数据类型的字节数
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// IPTC IIM 数据集（record 2）
+const IPTC_DATASETS = {
+  OBJECT_NAME: 5,
+  KEYWORDS: 25,
+  BY_LINE: 80,
+  COPYRIGHT: 116,
+  CAPTION: 120
+};
+
+// 文本字段最大长度（避免异常数据撑大数据库）
+const MAX_TEXT_LENGTH = 2000;
+
+// 元数据字段（image_meta 表的列，不含 image_id）
+const META_FIELDS = [
+  'camera_make', 'camera_model', 'lens', 'exposure_time', 'f_number', 'iso', 'focal_length',
+  'taken_at', 'gps_latitude', 'gps_longitude', 'gps_altitude', 'keywords', 'caption', 'title',
+  'artist', 'copyright'
+];
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\u0000+$/g, '').replace(/[\u0000-\u001f]+/g, ' ').trim();
+  return text ? text.slice(0, MAX_TEXT_LENGTH) : null;
+}
+
+function finiteOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 解析 EXIF 日期 "YYYY:MM:DD HH:MM:SS"（按本地时间，与文件时间、搜索日期一致）
+ * @returns {number|null} 毫秒时间戳
+ */
+function parseExifDate(value) {
+  const match = /^(\d{4})[:-](\d{2})[:-](\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => (part === undefined ? undefined : Number(part)));
+  if (!year || !month || !day) return null;
+  const time = new Date(year, month - 1, day, hour, minute, second).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * 读取 TIFF 结构中的 IFD
+ * @returns {Map<number, *>} tag → 值（字符串、数字或数字数组）
+ */
+function readIfd(view, tiffStart, offset, littleEndian) {
+  const entries = new Map();
+  if (offset <= 0 || tiffStart + offset + 2 > view.byteLength) return entries;
+
+  const count = view.getUint16(tiffStart + offset, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = tiffStart + offset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    const length = view.getUint32(entry + 4, littleEndian);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+
+    const byteLength = size * length;
+    const valueOffset = byteLength > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+    if (valueOffset + byteLength > view.byteLength) continue;
+
+    const readValue = (index) => {
+      const at = valueOffset + index * size;
+      switch (type) {
+        case 3: return view.getUint16(at, littleEndian);
+        case 4: return view.getUint32(at, littleEndian);
+        case 9: return view.getInt32(at, littleEndian);
+        case 5: {
+          const denominator = view.getUint32(at + 4, littleEndian);
+          return denominator ? view.getUint32(at, littleEndian) / denominator : null;
+        }
+        case 10: {
+          const denominator = view.getInt32(at + 4, littleEndian);
+          return denominator ? view.getInt32(at, littleEndian) / denominator : null;
+        }
+        default: return view.getUint8(at);
+      }
+    };
+
+    if (type === 2) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + valueOffset, byteLength);
+      entries.set(tag, Buffer.from(bytes).toString('utf8'));
+    } else if (length === 1) {
+      entries.set(tag, readValue(0));
+    } else {
+      entries.set(tag, Array.from({ length: Math.min(length, 16) }, (_, index) => readValue(index)));
+    }
+  }
+  return entries;
+}
+
+/**
+ * 将 GPS 度分秒转换为十进制度数
+ */
+function toDegrees(values, ref) {
+  if (!Array.isArray(values) || values.length < 3 || values.some(v => v === null)) return null;
+  const degrees = values[0] + values[1] / 60 + values[2] / 3600;
+  return /^[SW]/i.test(ref || '') ? -degrees : degrees;
+}
+
+/**
+ * 解析 EXIF（sharp 返回的数据以 "Exif\0\0" 开头，后面是 TIFF 结构）
+ * @param {Buffer} buffer
+ * @returns {Object} 元数据字段
+ */
+function parseExif(buffer) {
+  if (!buffer || buffer.length < 14) return {};
+
+  let tiffStart = buffer.toString('latin1', 0, 6) === 'Exif\u0000\u0000' ? 6 : 0;
+  const byteOrder = buffer.toString('latin1', tiffStart, tiffStart + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+  const littleEndian = byteOrder === 'II';
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.length);
+  if (view.getUint16(tiffStart + 2, littleEndian) !== 42) return {};
+
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+  const exif = readIfd(view, tiffStart, ifd0.get(EXIF_TAGS.EXIF_IFD) || 0, littleEndian);
+  const gps = readIfd(view, tiffStart, ifd0.get(EXIF_TAGS.GPS_IFD) || 0, littleEndian);
+
+  const iso = exif.get(EXIF_TAGS.ISO);
+  const lensMake = cleanText(exif.get(EXIF_TAGS.LENS_MAKE));
+  const lensModel = cleanText(exif.get(EXIF_TAGS.LENS_MODEL));
+  const altitude = gps.get(EXIF_TAGS.GPS_ALTITUDE);
+
+  return {
+    camera_make: cleanText(ifd0.get(EXIF_TAGS.MAKE)),
+    camera_model: cleanText(ifd0.get(EXIF_TAGS.MODEL)),
+    lens: lensModel && lensMake && !lensModel.startsWith(lensMake) ? `${lensMake} ${lensModel}` : lensModel,
+    exposure_time: finiteOrNull(exif.get(EXIF_TAGS.EXPOSURE_TIME)),
+    f_number: finiteOrNull(exif.get(EXIF_TAGS.F_NUMBER)),
+    iso: finiteOrNull(Array.isArray(iso) ? iso[0] : iso),
+    focal_length: finiteOrNull(exif.get(EXIF_TAGS.FOCAL_LENGTH)),
+    taken_at: parseExifDate(exif.get(EXIF_TAGS.DATE_TIME_ORIGINAL)) || parseExifDate(ifd0.get(EXIF_TAGS.DATE_TIME)),
+    gps_latitude: toDegrees(gps.get(EXIF_TAGS.GPS_LATITUDE), gps.get(EXIF_TAGS.GPS_LATITUDE_REF)),
+    gps_longitude: toDegrees(gps.get(EXIF_TAGS.GPS_LONGITUDE), gps.get(EXIF_TAGS.GPS_LONGITUDE_REF)),
+    gps_altitude: typeof altitude === 'number'
+      ? (gps.get(EXIF_TAGS.GPS_ALTITUDE_REF) === 1 ? -altitude : altitude)
+      : null,
+    caption: cleanText(ifd0.get(EXIF_TAGS.IMAGE_DESCRIPTION)),
+    artist: cleanText(ifd0.get(EXIF_TAGS.ARTIST)),
+    copyright: cleanText(ifd0.get(EXIF_TAGS.COPYRIGHT))
+  };
+}
+
+/**
+ * 从 Photoshop 图像资源（8BIM）中取出 IPTC 数据（资源 ID 0x0404）
+ * sharp 返回的 iptc 可能是完整的 APP13 内容，也可能已经是 IIM 数据
+ */
+function extractIimData(buffer) {
+  let offset = buffer.indexOf('8BIM');
+  if (offset < 0) return buffer;
+
+  while (offset >= 0 && offset + 12 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === '8BIM') {
+    const resourceId = buffer.readUInt16BE(offset + 4);
+    const nameLength = buffer[offset + 6];
+    // 名称为 Pascal 字符串，总长度补齐为偶数
+    let cursor = offset + 6 + ((nameLength + 2) & ~1);
+    if (cursor + 4 > buffer.length) break;
+    const size = buffer.readUInt32BE(cursor);
+    cursor += 4;
+    if (resourceId === 0x0404) {
+      return buffer.subarray(cursor, Math.min(cursor + size, buffer.length));
+    }
+    offset = cursor + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * 解析 IPTC IIM（关键词、说明、标题、作者、版权）
+ * @param {Buffer} buffer
+ * @returns {Object} 元数据字段，keywords 为数组
+ */
+function parseIptc(buffer) {
+  if (!buffer || buffer.length < 5) return {};
+  const data = extractIimData(buffer);
+  if (!data) return {};
+
+  const values = {};
+  let offset = data.indexOf(0x1C);
+  while (offset >= 0 && offset + 5 <= data.length && data[offset] === 0x1C) {
+    const record = data[offset + 1];
+    const dataset = data[offset + 2];
+    const length = data.readUInt16BE(offset + 3);
+    // 扩展长度（最高位为 1）极少出现，直接结束解析
+    if (length & 0x8000) break;
+    const start = offset + 5;
+    const end = start + length;
+    if (end > data.length) break;
+
+    if (record === 2) {
+      const text = cleanText(data.toString('utf8', start, end));
+      if (text) {
+        if (!values[dataset]) values[dataset] = [];
+        values[dataset].push(text);
+      }
+    }
+    offset = end;
+  }
+
+  return {
+    keywords: values[IPTC_DATASETS.KEYWORDS] || [],
+    caption: values[IPTC_DATASETS.CAPTION]?.[0] || null,
+    title: values[IPTC_DATASETS.OBJECT_NAME]?.[0] || null,
+    artist: values[IPTC_DATASETS.BY_LINE]?.[0] || null,
+    copyright: values[IPTC_DATASETS.COPYRIGHT]?.[0] || null
+  };
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 读取 XMP 属性：支持属性写法 ns:Name="..." 和元素写法 <ns:Name>...</ns:Name>
+ * 元素内是 rdf:Bag / rdf:Seq / rdf:Alt 时返回其中的 rdf:li 列表
+ * @returns {Array<string>}
+ */
+function readXmpProperty(xml, name) {
+  const attribute = new RegExp(`\\s${name}="([^"]*)"`).exec(xml);
+  if (attribute) return [decodeXmlEntities(attribute[1])];
+
+  const element = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xml);
+  if (!element) return [];
+
+  const items = [...element[1].matchAll(/<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/g)].map(match => match[1]);
+  return (items.length > 0 ? items : [element[1]])
+    .map(item => cleanText(decodeXmlEntities(item)))
+    .filter(Boolean);
+}
+
+/**
+ * 解析 XMP（RDF/XML 文本，只提取常用字段）
+ * @param {Buffer} buffer
+ * @returns {Object} 元数据字段，keywords 为数组
+ */
+function parseXmp(buffer) {
+  if (!buffer || buffer.length === 0) return {};
+  const xml = buffer.toString('utf8');
+  const first = (name) => cleanText(readXmpProperty(xml, name)[0]);
+  const number = (name) => {
+    const value = first(name);
+    if (!value) return null;
+    // 有理数写作 "1/200"
+    const [numerator, denominator] = value.split('/').map(Number);
+    return finiteOrNull(denominator ? numerator / denominator : numerator);
+  };
+
+  const createDate = first('exif:DateTimeOriginal') || first('photoshop:DateCreated') || first('xmp:CreateDate');
+
+  return {
+    camera_make: first('tiff:Make'),
+    camera_model: first('tiff:Model'),
+    lens: first('exifEX:LensModel') || first('aux:Lens'),
+    exposure_time: number('exif:ExposureTime'),
+    f_number: number('exif:FNumber'),
+    iso: number('exifEX:PhotographicSensitivity') || finiteOrNull(Number(readXmpProperty(xml, 'exif:ISOSpeedRatings')[0]) || null),
+    focal_length: number('exif:FocalLength'),
+    taken_at: parseExifDate(createDate),
+    keywords: readXmpProperty(xml, 'dc:subject'),
+    caption: first('dc:description'),
+    title: first('dc:title'),
+    artist: first('dc:creator'),
+    copyright: first('dc:rights')
+  };
+}
+
+/**
+ * 从 sharp metadata() 的结果中提取元数据
+ * 同名字段优先使用 EXIF，其次 IPTC、XMP；关键词取 IPTC 和 XMP 的并集
+ * @param {Object} metadata - sharp metadata() 的返回值
+ * @returns {Object} 字段见 META_FIELDS，keywords 为数组，没有的字段为 null
+ */
+function extractImageMeta(metadata = {}) {
+  const sources = [];
+  const parsers = [[metadata.exif, parseExif], [metadata.iptc, parseIptc], [metadata.xmp, parseXmp]];
+  for (const [buffer, parse] of parsers) {
+    try {
+      sources.push(parse(buffer));
+    } catch (error) {
+      // 元数据损坏时忽略该部分，不影响扫描
+      sources.push({});
+    }
+  }
+
+  const meta = {};
+  META_FIELDS.forEach(field => {
+    if (field === 'keywords') return;
+    const source = sources.find(item => item[field] !== null && item[field] !== undefined);
+    meta[field] = source ? source[field] : null;
+  });
+
+  const keywords = new Map();
+  sources.forEach(item => (item.keywords || []).forEach(keyword => {
+    const key = keyword.toLowerCase();
+    if (!keywords.has(key)) keywords.set(key, keyword);
+  }));
+  meta.keywords = [...keywords.values()];
+
+  return meta;
+}
+
+module.exports = {
+  META_FIELDS,
+  parseExif,
+  parseIptc,
+  parseXmp,
+  extractImageMeta
+};
@@ -0,0 +1,22 @@
+/**
+ * Node.js 版本检查
+ * 后端通过 require() 加载前后端共享的 ES 模块（src/shared/searchQuery.mjs），
+ * 需要默认启用 require(esm) 的版本：20.19+、22.12+ 或 23+（与 package.json 的 engines 一致）
+ * 本文件在启动时最先加载，只使用旧版本 Node.js 也能运行的语法
+ */
+
+const REQUIRED_NODE_VERSION = '^20.19.0 || >=22.12.0';
+
+/**
+ * 当前版本是否支持 require(esm)
+ * @param {string} [version] - 如 '22.11.0'，默认为当前进程的版本
+ */
+function supportsRequireEsm(version = process.versions.node) {
+  const [major, minor] = version.split('.').map(Number);
+  return major >= 23 || (major === 22 && minor >= 12) || (major === 20 && minor >= 19);
+}
+
+module.exports = {
+  REQUIRED_NODE_VERSION,
+  supportsRequireEsm
+};
@@ -0,0 +1,21 @@
+/**
+ * Node.js 版本检查测试
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { supportsRequireEsm } = require('./nodeVersion');
+
+describe('require(esm) 支持', () => {
+  it('20.19+、22.12+ 和 23+ 支持', () => {
+    for (const version of ['20.19.0', '20.19.5', '22.12.0', '22.20.0', '23.0.0', '24.1.0']) {
+      assert.strictEqual(supportsRequireEsm(version), true, version);
+    }
+  });
+
+  it('更早的版本不支持', () => {
+    for (const version of ['18.20.8', '20.18.3', '21.7.3', '22.0.0', '22.11.0']) {
+      assert.strictEqual(supportsRequireEsm(version), false, version);
+    }
+  });
+});
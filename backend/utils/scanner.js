@@ -6,10 +6,17 @@ const {
   getFileType,
   calculateFileHash,
   getImageMetadata,
+  getAnimationInfo,
   generateImageThumbnails,
+  updateAnimatedThumbnail,
+  getThumbnailPerceptualHash,
+  getThumbnailColors,
+  hasAvailableThumbnailProvider,
+  canRenderWithSharp,
   clearSharpCache
 } = require('./thumbnail');
 const scanManager = require('./scanManager');
+const { loadConfig } = require('./config');
 const { constants } = require('../src/config');
 const logger = require('../src/utils/logger');
 
@@ -232,6 +239,17 @@ async function getFolderStructure(libraryPath) {
 /**
  * Process a single image file
  */
+/**
+ * 读取素材库偏好中与缩略图有关的选项
+ * @returns {{animatedThumbnails: boolean}}
+ */
+function getThumbnailOptions(libraryPath) {
+  const resolved = path.resolve(libraryPath);
+  const library = loadConfig().libraries.find(lib => path.resolve(lib.path) === resolved);
+  const preferences = (library && library.preferences) || {};
+  return { animatedThumbnails: preferences.animatedThumbnails === true };
+}
+
 /**
  * Process a single image file
  * @param {boolean} dryRun - If true, return data instead of inserting into DB (for batch write)
@@ -274,10 +292,56 @@ async function processImage(imagePath, libraryPath, db, dryRun = false) {
       } else {
         needRegenThumbs = true;
       }
+
+      // 没有记录缩略图来源（旧版本扫描，或当时没有可用的提供者，如未安装 ffmpeg）的非图片文件是占位图：
+      // 现在有可用的提供者时重新生成
+      if (!needRegenThumbs && existing.thumbnail_source === null && !canRenderWithSharp(imagePath)
+        && await hasAvailableThumbnailProvider(imagePath)) {
+        needRegenThumbs = true;
+      }
     }
 
     // Skip only if unchanged and thumbnails are up-to-date
     if (existing && existing.file_hash === currentHash && !needRegenThumbs) {
+      // 旧版本扫描的图片没有 EXIF / IPTC / XMP 元数据、感知哈希和主色：只补充这些字段，不重新生成缩略图
+      const backfill = {};
+      const thumbnailFullPath = path.join(libraryPath, existing.thumbnail_path);
+      if (!db.hasImageMeta(existing.id)) {
+        const metadata = await getImageMetadata(imagePath);
+        if (metadata) backfill.meta = metadata.meta;
+      }
+      if (existing.perceptual_hash === null) {
+        backfill.perceptual_hash = await getThumbnailPerceptualHash(imagePath, thumbnailFullPath);
+      }
+      if (!db.hasImageColors(existing.id)) {
+        const colors = await getThumbnailColors(imagePath, thumbnailFullPath);
+        if (colors && colors.length > 0) backfill.colors = colors;
+      }
+      if (existing.animated === null) {
+        Object.assign(backfill, await getAnimationInfo(imagePath));
+      }
+      // 旧版本扫描的图片 width / height 为缩略图尺寸：补充原图尺寸（读取不到时不补充，视频等仍按缩略图尺寸筛选）
+      if (existing.original_width === null) {
+        const metadata = await getImageMetadata(imagePath);
+        if (metadata && metadata.originalWidth) {
+          backfill.original_width = metadata.originalWidth;
+          backfill.original_height = metadata.originalHeight;
+        }
+      }
+      // 动态缩略图与素材库偏好不一致（开启或关闭后）：只生成或删除动态缩略图
+      // animated_thumbnail_path 为 NULL 表示未尝试生成，空字符串表示尝试过但无法生成
+      const wantAnimated = getThumbnailOptions(libraryPath).animatedThumbnails
+        && Boolean(backfill.animated ?? existing.animated);
+      if (wantAnimated === (existing.animated_thumbnail_path === null)) {
+        backfill.animated_thumbnail_path = await updateAnimatedThumbnail(imagePath, libraryPath, wantAnimated);
+      }
+      if (Object.keys(backfill).length > 0) {
+        if (dryRun) {
+          return { status: 'processed', path: relativePath, data: { ...existing, ...backfill } };
+        }
+        db.insertImage({ ...existing, ...backfill });
+        return { status: 'processed', path: relativePath };
+      }
       const totalTime = Date.now() - processStartTime;
       // logger.info(`⏭️  跳过 (未变化): ${filename} (${totalTime}ms)`);
       return { status: 'skipped', path: relativePath };
@@ -295,14 +359,20 @@ async function processImage(imagePath, libraryPath, db, dryRun = false) {
 
     // Generate thumbnails (also for unchanged files when thumbnails missing/outdated)
     stepStart = Date.now();
-    const thumbnails = await generateImageThumbnails(imagePath, libraryPath);
+    const thumbnails = await generateImageThumbnails(imagePath, libraryPath, {
+      animated: metadata.animated === 1 && getThumbnailOptions(libraryPath).animatedThumbnails
+    });
     stepTimes.thumbnail = Date.now() - stepStart;
     
     const fileType = getFileType(imagePath);
 
-    // 使用缩略图的实际尺寸（对于视频/PSD，这是提取后的真实尺寸）
-    const actualWidth = thumbnails.width || metadata.width;
-    const actualHeight = thumbnails.height || metadata.height;
+    // 使用缩略图的实际尺寸；视频、PSD 使用读取到的原始分辨率
+    const media = thumbnails.media;
+    const actualWidth = (media && media.width) || thumbnails.width || metadata.width;
+    const actualHeight = (media && media.height) || thumbnails.height || metadata.height;
+    // 原图尺寸（搜索 width> / height> 使用）：视频、PSD 使用读取到的原始分辨率，图片使用 Sharp 读取的尺寸
+    const originalWidth = (media && media.width) || metadata.originalWidth || null;
+    const originalHeight = (media && media.height) || metadata.originalHeight || null;
 
     const imageData = {
       path: relativePath.replace(/\\/g, '/'),
@@ -311,13 +381,25 @@ async function processImage(imagePath, libraryPath, db, dryRun = false) {
       size: metadata.size,
       width: actualWidth,
       height: actualHeight,
+      original_width: originalWidth,
+      original_height: originalHeight,
       format: metadata.format,
       file_type: fileType,
       created_at: Math.floor(metadata.created_at),
       modified_at: Math.floor(metadata.modified_at),
       file_hash: currentHash,
       thumbnail_path: thumbnails.thumbnail_path,
-      thumbnail_size: thumbnails.thumbnail_size
+      thumbnail_size: thumbnails.thumbnail_size,
+      perceptual_hash: thumbnails.perceptual_hash,
+      colors: thumbnails.colors,
+      thumbnail_source: thumbnails.thumbnail_source,
+      duration: media ? (media.duration ?? null) : null,
+      codec: media ? (media.codec || null) : null,
+      page_count: media ? (media.pageCount ?? null) : null,
+      animated: metadata.animated,
+      frame_count: metadata.frame_count,
+      animated_thumbnail_path: thumbnails.animated_thumbnail_path,
+      meta: metadata.meta
     };
 
     if (dryRun) {
@@ -0,0 +1,61 @@
+/**
+ * 扫描测试（原图尺寸）
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置文件写入临时目录，不影响本机的 FlyPic 配置
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flypic-scanner-test-'));
+process.env.TRIM_PKGVAR = path.join(tempDir, 'config');
+
+const sharp = require('sharp');
+const LibraryDatabase = require('../database/db');
+const { processImage } = require('./scanner');
+
+describe('原图尺寸', () => {
+  const libraryPath = path.join(tempDir, 'library');
+  let db;
+
+  before(async () => {
+    fs.mkdirSync(libraryPath, { recursive: true });
+    await sharp({ create: { width: 3000, height: 2000, channels: 3, background: '#3366cc' } })
+      .jpeg()
+      .toFile(path.join(libraryPath, 'large.jpg'));
+    await sharp({ create: { width: 600, height: 400, channels: 3, background: '#cc6633' } })
+      .jpeg()
+      .toFile(path.join(libraryPath, 'small.jpg'));
+
+    db = new LibraryDatabase(libraryPath);
+    await processImage(path.join(libraryPath, 'large.jpg'), libraryPath, db);
+    await processImage(path.join(libraryPath, 'small.jpg'), libraryPath, db);
+  });
+
+  after(() => {
+    db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('保存原图尺寸（width / height 为缩略图尺寸）', () => {
+    const image = db.getImageByPath('large.jpg');
+    assert.strictEqual(image.original_width, 3000);
+    assert.strictEqual(image.original_height, 2000);
+    assert.notStrictEqual(image.width, 3000);
+  });
+
+  it('width> / height> 按原图尺寸筛选', () => {
+    assert.deepStrictEqual(db.searchImages('width>2000').map(image => image.path), ['large.jpg']);
+    assert.deepStrictEqual(db.searchImages('height>=2000').map(image => image.path), ['large.jpg']);
+    assert.deepStrictEqual(db.searchImages('width<1000').map(image => image.path), ['small.jpg']);
+  });
+
+  it('旧数据重新扫描时补充原图尺寸', async () => {
+    db.db.prepare('UPDATE images SET original_width = NULL, original_height = NULL').run();
+    const result = await processImage(path.join(libraryPath, 'large.jpg'), libraryPath, db);
+    assert.strictEqual(result.status, 'processed');
+    assert.strictEqual(db.getImageByPath('large.jpg').original_width, 3000);
+  });
+});
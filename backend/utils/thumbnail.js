@@ -4,6 +4,8 @@ const fs = require('fs');
 const crypto = require('crypto');
 const { constants } = require('../src/config');
 const logger = require('../src/utils/logger');
+const { extractImageMeta } = require('./imageMeta');
+const { extractPalette } = require('../src/utils/colorUtils');
 
 // 配置 Sharp 内存限制（防止内存泄漏）
 const SHARP_CONFIG = {
@@ -26,6 +28,9 @@ function clearSharpCache() {
 // 支持的文件格式（确定可以生成缩略图的）
 const IMAGE_FORMATS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'tiff', 'tif', 'avif', 'heif', 'heic', 'svg'];
 
+// 可能是动图的格式（按帧数判断，多页 TIFF 等不算动图）
+const ANIMATABLE_FORMATS = ['gif', 'webp'];
+
 // 文件类型分类（用于显示和占位图）
 const FILE_CATEGORIES = {
   // 图片类
@@ -44,7 +49,7 @@ const FILE_CATEGORIES = {
   ],
 
   // 设计类
-  design: ['psd', 'ai', 'sketch', 'xd', 'fig', 'figma', 'indd', 'eps', 'cdr', 'dwg']
+  design: ['psd', 'psb', 'ai', 'sketch', 'xd', 'fig', 'figma', 'indd', 'eps', 'cdr', 'dwg']
 };
 
 // 为了兼容旧代码
@@ -82,13 +87,94 @@ function getFileType(filename) {
 }
 
 /**
- * 检查文件是否可以用 Sharp 生成缩略图
+ * 缩略图提供者
+ * 依次尝试 canHandle 返回 true 且可用的提供者，都没有生成缩略图时使用占位图
+ * 提供者接口：
+ *   name                                      名称（记录在 images.thumbnail_source 中）
+ *   canHandle(filePath, fileType)             是否处理该文件（同步，只看扩展名 / 类型 / 文件头）
+ *   isAvailable()                             可选，依赖的外部程序等是否可用（Promise<boolean>）
+ *   generate(filePath, outputPath, options)   生成缩略图，options 为 { targetHeight, renderImage, page }
+ *                                             renderImage(input, outputPath, targetHeight) 把图片路径或 Buffer 渲染为缩略图
+ *                                             page 为要渲染的页码（从 1 开始，多页文档使用）
+ *                                             返回 { width, height, size, media? }，无法生成时返回 null（抛出异常时该文件扫描失败）
+ *                                             只读取到媒体信息、没有生成缩略图时可以只返回 { media }
+ *                                             media 为媒体信息 { width, height, duration, codec, pageCount }，都是可选的
  */
-function canGenerateThumbnail(filename) {
+const thumbnailProviders = [
+  {
+    name: 'image',
+    canHandle: (filePath, fileType) => fileType === 'image' && canRenderWithSharp(filePath),
+    generate: (filePath, outputPath, { targetHeight, renderImage }) => renderImage(filePath, outputPath, targetHeight)
+  },
+  require('./thumbnailProviders/psd'),
+  require('./thumbnailProviders/raw'),
+  require('./thumbnailProviders/pdf'),
+  require('./thumbnailProviders/eps'),
+  require('./thumbnailProviders/video')
+];
+
+/**
+ * 注册缩略图提供者（优先于已注册的提供者）
+ */
+function registerThumbnailProvider(provider) {
+  if (!provider || typeof provider.canHandle !== 'function' || typeof provider.generate !== 'function') {
+    throw new TypeError('缩略图提供者需要实现 canHandle 和 generate');
+  }
+  thumbnailProviders.unshift(provider);
+}
+
+function getThumbnailProviders(filename) {
+  const fileType = getFileType(filename);
+  return thumbnailProviders.filter(provider => provider.canHandle(filename, fileType));
+}
+
+/**
+ * 检查文件是否可以直接用 Sharp 生成缩略图
+ */
+function canRenderWithSharp(filename) {
   const ext = path.extname(filename).toLowerCase().slice(1);
   return IMAGE_FORMATS.includes(ext);
 }
 
+/**
+ * 检查是否有提供者能为该文件生成缩略图（不检查外部程序是否可用）
+ */
+function canGenerateThumbnail(filename) {
+  return getThumbnailProviders(filename).length > 0;
+}
+
+/**
+ * 检查当前是否有可用的提供者能为该文件生成缩略图
+ * @returns {Promise<boolean>}
+ */
+async function hasAvailableThumbnailProvider(filename) {
+  for (const provider of getThumbnailProviders(filename)) {
+    if (!provider.isAvailable || await provider.isAvailable()) return true;
+  }
+  return false;
+}
+
+/**
+ * 依次尝试能处理该文件的可用提供者
+ * @returns {Promise<{result: Object|null, provider: string|null, media: Object|null, attempted: boolean}>}
+ *   result 为生成的缩略图，provider 为生成它的提供者；attempted 表示是否有可用的提供者尝试过
+ */
+async function runThumbnailProviders(filePath, outputPath, options) {
+  let attempted = false;
+  let media = null;
+  for (const provider of getThumbnailProviders(filePath)) {
+    if (provider.isAvailable && !(await provider.isAvailable())) continue;
+
+    attempted = true;
+    const result = await provider.generate(filePath, outputPath, { renderImage: generateThumbnail, page: 1, ...options });
+    media = media || (result && result.media) || null;
+    if (result && result.size) {
+      return { result, provider: provider.name, media, attempted };
+    }
+  }
+  return { result: null, provider: null, media, attempted };
+}
+
 /**
  * Check if file is supported
  */
@@ -115,6 +201,21 @@ function calculateFileHash(filePath) {
   }
 }
 
+/**
+ * 计算文件内容的 SHA-256（流式读取，不会把整个文件载入内存）
+ * 用于查找内容完全相同的重复文件；calculateFileHash 只反映大小和修改时间
+ * @returns {Promise<string>} 十六进制哈希
+ */
+function calculateContentHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hashSum = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hashSum.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hashSum.digest('hex')));
+  });
+}
+
 /**
  * Get thumbnail configuration based on original image size
  * 分阶段策略：根据原图大小使用不同的缩略图尺寸和质量
@@ -184,11 +285,12 @@ function getThumbnailConfig(originalWidth, originalHeight, targetHeight = 200) {
  */
 async function generateThumbnail(inputPath, outputPath, targetHeight = 200) {
   const startTime = Date.now();
-  const filename = path.basename(inputPath);
+  const isBuffer = Buffer.isBuffer(inputPath);
+  const filename = isBuffer ? path.basename(outputPath) : path.basename(inputPath);
   
   try {
-    // 先读取文件到 Buffer，避免 Sharp 锁定文件句柄
-    let inputBuffer = fs.readFileSync(inputPath);
+    // 先读取文件到 Buffer，避免 Sharp 锁定文件句柄（也可以直接传入 Buffer，如视频截取的帧）
+    let inputBuffer = isBuffer ? inputPath : fs.readFileSync(inputPath);
 
     // Get image metadata from buffer
     const metadata = await sharp(inputBuffer).metadata();
@@ -303,13 +405,21 @@ async function getImageMetadata(imagePath) {
         // 优化：直接传入路径，让 sharp 使用流式读取，仅读取头部元数据
         // 只有在失败时才回退到 Buffer 读取
         const metadata = await sharp(imagePath).metadata();
+        const frameCount = metadata.pages || 1;
+        // EXIF 方向为 5-8 时图片需要旋转 90°，显示尺寸的宽高与存储的相反
+        const rotated = metadata.orientation >= 5;
         return {
           width: metadata.width,
           height: metadata.height,
+          originalWidth: rotated ? metadata.height : metadata.width,
+          originalHeight: rotated ? metadata.width : metadata.height,
           format: metadata.format,
+          animated: ANIMATABLE_FORMATS.includes(metadata.format) && frameCount > 1 ? 1 : 0,
+          frame_count: frameCount,
           size: stats.size,
           created_at: stats.birthtimeMs,
-          modified_at: stats.mtimeMs
+          modified_at: stats.mtimeMs,
+          meta: extractImageMeta(metadata)
         };
       } catch (sharpError) {
         // Sharp 无法处理某些图片格式（如 SVG）或路径问题，回退到基础信息
@@ -322,10 +432,15 @@ async function getImageMetadata(imagePath) {
     return {
       width: 640,  // 占位图尺寸
       height: 480,
+      originalWidth: null,  // 原图尺寸未知
+      originalHeight: null,
       format: ext,
+      animated: 0,
+      frame_count: null,
       size: stats.size,
       created_at: stats.birthtimeMs,
-      modified_at: stats.mtimeMs
+      modified_at: stats.mtimeMs,
+      meta: extractImageMeta()  // 空元数据，标记为已提取
     };
   } catch (error) {
     console.error('Error getting file metadata:', imagePath, error);
@@ -333,11 +448,166 @@ async function getImageMetadata(imagePath) {
   }
 }
 
+/**
+ * 读取动图信息（旧数据补充用）
+ * @returns {Promise<{animated: number, frame_count: number}|null>} 不是 GIF / WebP 或读取失败时返回 null
+ */
+async function getAnimationInfo(imagePath) {
+  const ext = path.extname(imagePath).toLowerCase().slice(1);
+  if (!ANIMATABLE_FORMATS.includes(ext)) return null;
+  try {
+    const metadata = await sharp(imagePath).metadata();
+    const frameCount = metadata.pages || 1;
+    return { animated: frameCount > 1 ? 1 : 0, frame_count: frameCount };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 生成动态缩略图（保留前 MAX_FRAMES 帧的 WebP 动图）
+ * 依次尝试 HEIGHTS 中的高度，直到体积不超过 MAX_BYTES；都超出时不生成
+ * @returns {Promise<{height: number, size: number, frames: number}|null>} 不是动图或超出体积上限时返回 null
+ */
+async function generateAnimatedThumbnail(inputPath, outputPath) {
+  const { MAX_FRAMES, MAX_BYTES, HEIGHTS, QUALITY, EFFORT } = constants.ANIMATED_THUMBNAIL;
+  const ext = path.extname(inputPath).toLowerCase().slice(1);
+  if (!ANIMATABLE_FORMATS.includes(ext)) return null;
+
+  // 先读取到 Buffer，避免 Sharp 锁定文件句柄
+  const inputBuffer = fs.readFileSync(inputPath);
+  const metadata = await sharp(inputBuffer).metadata();
+  if (!metadata.pages || metadata.pages < 2) return null;
+
+  for (const targetHeight of HEIGHTS) {
+    const data = await sharp(inputBuffer, { pages: MAX_FRAMES })
+      .resize({ height: targetHeight, withoutEnlargement: true })
+      .webp({ quality: QUALITY, effort: EFFORT, loop: 0 })
+      .toBuffer();
+    if (data.length <= MAX_BYTES) {
+      fs.writeFileSync(outputPath, data);
+      return { height: targetHeight, size: data.length, frames: Math.min(metadata.pages, MAX_FRAMES) };
+    }
+  }
+  return null;
+}
+
+/**
+ * 删除文件（不存在时忽略）
+ */
+function removeFileIfExists(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') logger.warn(`删除文件失败: ${filePath} - ${error.message}`);
+  }
+}
+
+/**
+ * 计算感知哈希（dHash：缩放为 9×8 灰度图，逐行比较相邻像素，得到 64 位）
+ * 从缩略图计算：缩略图已完成解码和方向校正，比读取原图快得多
+ * 缩放、重新编码后的图片哈希基本不变，用汉明距离衡量相似度
+ * @param {string} input - 图片路径
+ * @returns {Promise<string>} 16 位十六进制
+ */
+async function calculatePerceptualHash(input) {
+  const pixels = await sharp(input)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let y = 0; y < 8; y++) {
+    let byte = 0;
+    for (let x = 0; x < 8; x++) {
+      byte = (byte << 1) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * 根据已有缩略图计算感知哈希（旧数据补充用，不重新生成缩略图）
+ * 只有图片的缩略图来自真实内容；视频、设计文件可能是占位图，等文件变化重新扫描时再计算
+ * @returns {Promise<string>} 无法计算时返回空字符串
+ */
+async function getThumbnailPerceptualHash(imagePath, thumbnailFullPath) {
+  if (getFileType(imagePath) !== 'image' || !canRenderWithSharp(imagePath)) return '';
+  try {
+    return await calculatePerceptualHash(thumbnailFullPath);
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * 提取主色（缩小后在 Lab 空间聚类），同样从缩略图计算
+ * @param {string} input - 图片路径
+ * @returns {Promise<Array<{hex, l, a, b, ratio}>>} 按占比从大到小排列
+ */
+async function extractDominantColors(input) {
+  const { PALETTE_SIZE, SAMPLE_SIZE } = constants.COLORS;
+  const { data, info } = await sharp(input)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return extractPalette(data, info.channels, PALETTE_SIZE);
+}
+
+/**
+ * 根据已有缩略图提取主色（旧数据补充用）
+ * @returns {Promise<Array|null>} 不是图片时返回 null，读取失败时返回空数组
+ */
+async function getThumbnailColors(imagePath, thumbnailFullPath) {
+  if (getFileType(imagePath) !== 'image' || !canRenderWithSharp(imagePath)) return null;
+  try {
+    return await extractDominantColors(thumbnailFullPath);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 动态缩略图的路径（与静态缩略图在同一分片目录：.flypic/thumbnails/ab/hash_anim.webp）
+ */
+function getAnimatedThumbnailFullPath(imagePath, libraryPath) {
+  const relativePath = path.relative(libraryPath, imagePath);
+  const hash = crypto.createHash('md5').update(relativePath).digest('hex');
+  return path.join(libraryPath, '.flypic', 'thumbnails', hash.slice(0, 2), `${hash}_anim.webp`);
+}
+
+/**
+ * 按素材库偏好生成或删除动态缩略图
+ * @param {boolean} enabled - 是否为该文件生成动态缩略图
+ * @returns {Promise<string|null>} 动态缩略图相对于 libraryPath 的路径；
+ *   开启但无法生成（不是动图、超出体积上限或失败）时返回空字符串，未开启时返回 null
+ */
+async function updateAnimatedThumbnail(imagePath, libraryPath, enabled) {
+  const outputPath = getAnimatedThumbnailFullPath(imagePath, libraryPath);
+  if (enabled) {
+    try {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      const result = await generateAnimatedThumbnail(imagePath, outputPath);
+      if (result) return path.relative(libraryPath, outputPath).replace(/\\/g, '/');
+    } catch (error) {
+      logger.warn(`⚠️ 动态缩略图生成失败: ${path.basename(imagePath)} - ${error.message}`);
+    }
+  }
+  // 未开启、不是动图或生成失败：清理之前生成的文件
+  removeFileIfExists(outputPath);
+  return enabled ? '' : null;
+}
+
 /**
  * Generate thumbnail for a file (image/video/document)
  * 使用 480px 高度（与 Billfish 一致）
+ * @param {Object} [options]
+ * @param {boolean} [options.animated] - 为 GIF / WebP 动图额外生成动态缩略图（素材库偏好 animatedThumbnails）
  */
-async function generateImageThumbnails(imagePath, libraryPath) {
+async function generateImageThumbnails(imagePath, libraryPath, options = {}) {
   const startTime = Date.now();
   const filename = path.basename(imagePath);
   const stepTimes = {};
@@ -355,50 +625,38 @@ async function generateImageThumbnails(imagePath, libraryPath) {
   const out480 = path.join(flypicDir, 'thumbnails', shard1, `${hash}.webp`);
   fs.mkdirSync(path.dirname(out480), { recursive: true });
 
-  let thumbnailResult;
   let stepStart = Date.now();
+  const { result, provider, media, attempted } = await runThumbnailProviders(imagePath, out480, { targetHeight });
+  let thumbnailResult = result;
+  if (provider) stepTimes[provider] = Date.now() - stepStart;
 
-  // 根据文件类型生成不同的缩略图
-  const ext = path.extname(imagePath).slice(1).toUpperCase();
-
-  if (fileType === 'image' && canGenerateThumbnail(imagePath)) {
-    // 图片：使用 Sharp 生成真实缩略图
+  // 没有提供者或都失败：生成占位图
+  const isPlaceholder = !thumbnailResult;
+  if (isPlaceholder) {
     stepStart = Date.now();
-    thumbnailResult = await generateThumbnail(imagePath, out480, targetHeight);
-    stepTimes.generate = Date.now() - stepStart;
-  } else if (fileType === 'video') {
-    // 视频：尝试提取封面
+    const ext = path.extname(imagePath).slice(1).toUpperCase();
+    thumbnailResult = await generatePlaceholderThumbnail(out480, fileType, ext);
+    stepTimes.placeholder = Date.now() - stepStart;
+  }
+
+  // 感知哈希（用于查找相似图片）和主色，占位图没有意义，分别记为空字符串和空数组
+  let perceptualHash = '';
+  let colors = [];
+  if (!isPlaceholder) {
     stepStart = Date.now();
-    thumbnailResult = await extractVideoThumbnail(imagePath, out480);
-    stepTimes.videoExtract = Date.now() - stepStart;
-
-    // 如果提取失败，生成占位图
-    if (!thumbnailResult) {
-      stepStart = Date.now();
-      thumbnailResult = await generatePlaceholderThumbnail(out480, 'video', ext);
-      stepTimes.placeholder = Date.now() - stepStart;
-    }
-  } else if (fileType === 'design') {
-    // 设计文件：尝试提取嵌入缩略图（仅 PSD）
-    if (ext.toLowerCase() === 'psd') {
-      stepStart = Date.now();
-      thumbnailResult = await extractPSDThumbnail(imagePath, out480);
-      stepTimes.psdExtract = Date.now() - stepStart;
-    }
+    perceptualHash = await calculatePerceptualHash(out480).catch(() => '');
+    stepTimes.perceptualHash = Date.now() - stepStart;
 
-    // 如果提取失败或不是 PSD，生成占位图
-    if (!thumbnailResult) {
-      stepStart = Date.now();
-      thumbnailResult = await generatePlaceholderThumbnail(out480, 'design', ext);
-      stepTimes.placeholder = Date.now() - stepStart;
-    }
-  } else {
-    // 其他类型（音频/文档/未知）：生成占位图
     stepStart = Date.now();
-    thumbnailResult = await generatePlaceholderThumbnail(out480, fileType, ext);
-    stepTimes.placeholder = Date.now() - stepStart;
+    colors = await extractDominantColors(out480).catch(() => []);
+    stepTimes.colors = Date.now() - stepStart;
   }
 
+  // 动态缩略图：只有直接由 Sharp 生成缩略图的图片才可能是动图
+  stepStart = Date.now();
+  const animatedThumbnailPath = await updateAnimatedThumbnail(imagePath, libraryPath, Boolean(options.animated) && provider === 'image');
+  if (animatedThumbnailPath) stepTimes.animated = Date.now() - stepStart;
+
   // 返回相对于 libraryPath 的路径（包含 .flypic 前缀）
   const thumbnailPath = path.relative(libraryPath, out480).replace(/\\/g, '/');
   
@@ -418,184 +676,91 @@ async function generateImageThumbnails(imagePath, libraryPath) {
     width: thumbnailResult.width,
     height: thumbnailResult.height,
     file_type: fileType,
+    perceptual_hash: perceptualHash,
+    colors,
+    media,
+    // 缩略图来源：提供者名称；有可用的提供者但都失败为 placeholder；没有可用的提供者为 null
+    thumbnail_source: provider || (attempted ? 'placeholder' : null),
+    animated_thumbnail_path: animatedThumbnailPath,
     timing: stepTimes,
     totalTime
   };
 }
 
 /**
- * 从 PSD 文件提取嵌入的缩略图
- * 优化：使用部分读取，避免加载整个 PSD 文件到内存
+ * 检查缩略图文件是否完整：完整解码一次，截断或写坏的文件会解码失败
+ * @returns {Promise<'ok'|'missing'|'corrupt'>}
  */
-async function extractPSDThumbnail(psdPath, outputPath) {
-  let fd = null;
+async function checkThumbnailFile(thumbnailFullPath) {
+  let stat;
   try {
-    fd = fs.openSync(psdPath, 'r');
-    
-    // 读取头部（前 100 字节足够获取基本信息）
-    const headerBuffer = Buffer.alloc(100);
-    fs.readSync(fd, headerBuffer, 0, 100, 0);
-
-    // PSD 文件格式：前 4 字节: "8BPS" (签名)
-    if (headerBuffer.toString('utf8', 0, 4) !== '8BPS') {
-      throw new Error('Not a valid PSD file');
-    }
-
-    // 读取 Color Mode Data 长度（偏移 26）
-    const colorModeLength = headerBuffer.readUInt32BE(26);
-    const imageResourcesOffset = 26 + 4 + colorModeLength;
-
-    // 读取 Image Resources Section 长度
-    const irLengthBuffer = Buffer.alloc(4);
-    fs.readSync(fd, irLengthBuffer, 0, 4, imageResourcesOffset);
-    const imageResourcesLength = irLengthBuffer.readUInt32BE(0);
-
-    // 限制读取大小（最多 2MB，缩略图通常在前面）
-    const maxReadSize = Math.min(imageResourcesLength, 2 * 1024 * 1024);
-    const resourcesBuffer = Buffer.alloc(maxReadSize);
-    fs.readSync(fd, resourcesBuffer, 0, maxReadSize, imageResourcesOffset + 4);
-    
-    fs.closeSync(fd);
-    fd = null;
-
-    let offset = 0;
-    const endOffset = maxReadSize;
-
-    // 查找缩略图资源 (ID 1033 或 1036)
-    while (offset < endOffset - 12) {
-      const signature = resourcesBuffer.toString('utf8', offset, offset + 4);
-      if (signature !== '8BIM') break;
-
-      const resourceId = resourcesBuffer.readUInt16BE(offset + 4);
-      const nameLength = resourcesBuffer.readUInt8(offset + 6);
-      const namePadding = nameLength % 2 === 0 ? nameLength + 2 : nameLength + 1;
-      
-      if (offset + 6 + namePadding + 4 > endOffset) break;
-      
-      const dataSize = resourcesBuffer.readUInt32BE(offset + 6 + namePadding);
-      const dataPadding = dataSize % 2 === 0 ? dataSize : dataSize + 1;
-
-      // 1033 = 缩略图 (旧格式), 1036 = 缩略图 (新格式)
-      if (resourceId === 1033 || resourceId === 1036) {
-        const dataOffset = offset + 6 + namePadding + 4;
-
-        // 跳过前 28 字节的头部信息
-        const jpegOffset = dataOffset + 28;
-        const jpegSize = dataSize - 28;
-        
-        if (jpegOffset + jpegSize > endOffset) {
-          throw new Error('Thumbnail data exceeds buffer');
-        }
-        
-        const jpegData = resourcesBuffer.slice(jpegOffset, jpegOffset + jpegSize);
-
-        // 先获取原始缩略图尺寸
-        const metadata = await sharp(jpegData).metadata();
-
-        // 使用高质量缩放，保持宽高比
-        const aspectRatio = metadata.width / metadata.height;
-        const targetHeight = 480;
-        const targetWidth = Math.round(targetHeight * aspectRatio);
-
-        // 简化处理策略
-        const processStart = Date.now();
-        await sharp(jpegData)
-          .resize(targetWidth, targetHeight, {
-            fit: 'inside',
-            kernel: 'lanczos3',
-            withoutEnlargement: metadata.width >= 500
-          })
-          .sharpen({ sigma: 1.0, m1: 0.8, m2: 1.5 })
-          .webp({
-            quality: 95,
-            effort: 4,
-            smartSubsample: false
-          })
-          .toFile(outputPath);
-        const processTime = Date.now() - processStart;
-
-        const stats = fs.statSync(outputPath);
-        return {
-          width: targetWidth,
-          height: targetHeight,
-          size: stats.size,
-          path: outputPath
-        };
-      }
-
-      offset += 6 + namePadding + 4 + dataPadding;
-    }
+    stat = fs.statSync(thumbnailFullPath);
+  } catch (error) {
+    return 'missing';
+  }
+  if (!stat.isFile() || stat.size === 0) return 'corrupt';
 
-    throw new Error('No thumbnail found in PSD');
+  try {
+    await sharp(thumbnailFullPath, { failOn: 'truncated' }).stats();
+    return 'ok';
   } catch (error) {
-    if (fd !== null) {
-      try { fs.closeSync(fd); } catch (e) {}
-    }
-    console.warn(`Failed to extract PSD thumbnail: ${error.message}`);
-    return null;
+    return 'corrupt';
   }
 }
 
 /**
- * 从视频提取封面（使用 ffmpeg 或系统工具）
- * 注意：这需要系统安装 ffmpeg，如果没有则回退到占位图
+ * 按指定高度重新渲染缩略图（生成更大档位的缩略图时使用，不做占位图）
+ * @returns {Promise<Object|null>} 没有提供者能渲染时返回 null
  */
-async function extractVideoThumbnail(videoPath, outputPath) {
-  try {
-    const { exec } = require('child_process');
-    const util = require('util');
-    const execPromise = util.promisify(exec);
+async function renderThumbnail(filePath, outputPath, targetHeight) {
+  const { result } = await runThumbnailProviders(filePath, outputPath, { targetHeight });
+  return result;
+}
 
-    // 检查是否有 ffmpeg
-    try {
-      await execPromise('ffmpeg -version', { timeout: 2000 });
-    } catch (e) {
-      console.warn('  ⚠️ ffmpeg not found, skipping video thumbnail extraction');
-      return null;
-    }
+/**
+ * 缩略图高度档位（从小到大）
+ */
+function getThumbnailTiers() {
+  return Object.values(constants.THUMBNAIL.SIZES).sort((a, b) => a - b);
+}
 
-    // 使用 ffmpeg 提取第 2 秒的帧（避免黑屏）
-    const tempJpg = outputPath.replace('.webp', '_temp.jpg');
-    const ffmpegCmd = `ffmpeg -i "${videoPath}" -ss 00:00:02 -vframes 1 -q:v 2 "${tempJpg}" -y`;
-
-    await execPromise(ffmpegCmd, { timeout: 10000 });
-
-    // 如果生成了 JPG，转换为 WebP
-    if (fs.existsSync(tempJpg)) {
-      // 先获取实际尺寸
-      const metadata = await sharp(tempJpg).metadata();
-
-      // 保持宽高比缩放到 480 高度
-      const aspectRatio = metadata.width / metadata.height;
-      const targetHeight = 480;
-      const targetWidth = Math.round(targetHeight * aspectRatio);
-
-      await sharp(tempJpg)
-        .resize(targetWidth, targetHeight, {
-          fit: 'cover',
-          position: 'center',
-          kernel: 'lanczos3',
-          withoutEnlargement: true
-        })
-        .webp({ quality: 92, smartSubsample: false })
-        .toFile(outputPath);
-
-      fs.unlinkSync(tempJpg);  // 删除临时 JPG
-
-      const stats = fs.statSync(outputPath);
-      return {
-        width: targetWidth,
-        height: targetHeight,
-        size: stats.size,
-        path: outputPath
-      };
-    }
+/**
+ * 选择不小于指定高度的最小档位，超过最大档位时返回最大档位
+ */
+function getThumbnailTier(height) {
+  const tiers = getThumbnailTiers();
+  return tiers.find(tier => tier >= height) || tiers[tiers.length - 1];
+}
 
-    return null;
-  } catch (error) {
-    console.warn(`  ⚠️ Failed to extract video thumbnail: ${error.message}`);
-    return null;
-  }
+/**
+ * 指定档位缩略图的路径（与缩略图在同一分片目录：.flypic/thumbnails/ab/hash_200.webp）
+ * @param {string} thumbnailFullPath - 扫描生成的缩略图的绝对路径
+ */
+function getSizedThumbnailPath(thumbnailFullPath, tier) {
+  const hash = path.basename(thumbnailFullPath).replace(/\.[^/.]+$/, '');
+  return path.join(path.dirname(thumbnailFullPath), `${hash}_${tier}.webp`);
+}
+
+/**
+ * 缩略图按需生成的其它档位的路径（删除图片时一起清理）
+ */
+function getSizedThumbnailPaths(thumbnailFullPath) {
+  return getThumbnailTiers()
+    .filter(tier => tier !== constants.THUMBNAIL_GENERATION.TARGET_HEIGHT)
+    .map(tier => getSizedThumbnailPath(thumbnailFullPath, tier));
+}
+
+/**
+ * 渲染大尺寸预览（文件查看器中逐页浏览设计文件和文档）
+ * @param {number} page - 页码，从 1 开始
+ * @returns {Promise<Object|null>} 没有提供者能渲染该页时返回 null
+ */
+async function renderPreview(filePath, outputPath, page = 1) {
+  const { result } = await runThumbnailProviders(filePath, outputPath, {
+    targetHeight: constants.DOCUMENT_PREVIEW.PREVIEW_HEIGHT,
+    page
+  });
+  return result;
 }
 
 /**
@@ -687,10 +852,29 @@ module.exports = {
   isImageFile,
   getFileType,
   calculateFileHash,
+  calculateContentHash,
+  calculatePerceptualHash,
+  getThumbnailPerceptualHash,
+  extractDominantColors,
+  getThumbnailColors,
   getThumbnailConfig,
   generateThumbnail,
   getImageMetadata,
+  getAnimationInfo,
   generateImageThumbnails,
+  generateAnimatedThumbnail,
+  updateAnimatedThumbnail,
+  registerThumbnailProvider,
+  canGenerateThumbnail,
+  hasAvailableThumbnailProvider,
+  canRenderWithSharp,
+  renderPreview,
+  renderThumbnail,
+  getThumbnailTier,
+  getSizedThumbnailPath,
+  getSizedThumbnailPaths,
+  checkThumbnailFile,
+  removeFileIfExists,
   clearSharpCache,
   SUPPORTED_FORMATS,
   ALL_FORMATS
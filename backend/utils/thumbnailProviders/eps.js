@@ -0,0 +1,76 @@
+/**
+ * EPS / AI 内嵌预览提供者
+ * DOS 二进制 EPS 的头部指向一张 TIFF 预览图；Illustrator 保存的 EPS / AI 还会在 XMP 中内嵌 JPEG 缩略图（Base64）
+ * 与 PDF 兼容的 .ai 文件优先由 pdf 提供者渲染，渲染失败时再使用这里的内嵌缩略图
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { constants } = require('../../src/config');
+const logger = require('../../src/utils/logger');
+
+// DOS EPS 二进制头部标识 C5 D0 D3 C6
+const DOS_EPS_SIGNATURE = 0xC6D3D0C5;
+
+const XMP_THUMBNAIL_PATTERN = /<xmpGImg:image>([\s\S]*?)<\/xmpGImg:image>/;
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * 读取 DOS EPS 头部中的 TIFF 预览
+ */
+function readTiffPreview(fd) {
+  const header = readAt(fd, 0, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== DOS_EPS_SIGNATURE) return null;
+  const offset = header.readUInt32LE(20);
+  const length = header.readUInt32LE(24);
+  if (offset === 0 || length === 0) return null;
+  const tiff = readAt(fd, offset, length);
+  return tiff.length === length ? tiff : null;
+}
+
+/**
+ * 在文件开头查找 XMP 中的 JPEG 缩略图
+ */
+function readXmpThumbnail(fd) {
+  const head = readAt(fd, 0, constants.DOCUMENT_PREVIEW.EMBEDDED_SEARCH_BYTES).toString('latin1');
+  const match = head.match(XMP_THUMBNAIL_PATTERN);
+  if (!match) return null;
+  // XMP 中的换行写作 &#xA;
+  const base64 = match[1].replace(/&#xA;/gi, '').replace(/\s+/g, '');
+  const jpeg = Buffer.from(base64, 'base64');
+  return jpeg.length > 2 && jpeg[0] === 0xFF && jpeg[1] === 0xD8 ? jpeg : null;
+}
+
+module.exports = {
+  name: 'eps',
+
+  canHandle(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ext === '.eps' || ext === '.ai';
+  },
+
+  async generate(filePath, outputPath, { targetHeight, renderImage }) {
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const image = readTiffPreview(fd) || readXmpThumbnail(fd);
+      if (!image) return null;
+
+      fs.closeSync(fd);
+      fd = null;
+
+      const result = await renderImage(image, outputPath, targetHeight);
+      return { ...result, media: { pageCount: 1 } };
+    } catch (error) {
+      logger.warn(`⚠️ EPS / AI 预览读取失败: ${filePath} - ${error.message}`);
+      return null;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * PDF 缩略图提供者
+ * 使用 pdf.js（纯 JavaScript）解析页面，通过 SVG 渲染后端输出 SVG，再由 Sharp 栅格化；
+ * 同样处理与 PDF 兼容的 Illustrator（.ai）文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { constants } = require('../../src/config');
+const logger = require('../../src/utils/logger');
+const { svgFactory } = require('./svgDom');
+
+// pdf.js 体积较大，第一次渲染时再加载
+let pdfjs = null;
+function loadPdfjs() {
+  if (!pdfjs) {
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjs;
+}
+
+/**
+ * 文件是否以 %PDF 开头（.ai 文件只有保存时勾选了“创建 PDF 兼容文件”才是）
+ */
+function isPdfFile(filePath) {
+  let fd = null;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(5);
+    fs.readSync(fd, header, 0, 5, 0);
+    return header.toString('latin1') === '%PDF-';
+  } catch (error) {
+    return false;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+}
+
+/**
+ * 渲染一页为 PNG（透明背景铺白）
+ */
+async function renderPage(doc, pageNumber, targetHeight) {
+  const page = await doc.getPage(pageNumber);
+  try {
+    const { RENDER_SCALE } = constants.DOCUMENT_PREVIEW;
+    const { height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: (targetHeight * RENDER_SCALE) / height });
+
+    const operatorList = await page.getOperatorList();
+    const graphics = new (loadPdfjs().SVGGraphics)(page.commonObjs, page.objs, true);
+    graphics.svgFactory = svgFactory;
+    const svg = await graphics.getSVG(operatorList, viewport);
+
+    return await sharp(Buffer.from(svg.toString()))
+      .flatten({ background: '#ffffff' })
+      .png()
+      .toBuffer();
+  } finally {
+    page.cleanup();
+  }
+}
+
+module.exports = {
+  name: 'pdf',
+
+  canHandle(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ext === '.pdf' || (ext === '.ai' && isPdfFile(filePath));
+  },
+
+  /**
+   * 渲染指定页（默认第一页），media.pageCount 为总页数
+   */
+  async generate(filePath, outputPath, { targetHeight, renderImage, page = 1 }) {
+    let doc = null;
+    try {
+      const { size } = fs.statSync(filePath);
+      if (size > constants.DOCUMENT_PREVIEW.PDF_MAX_FILE_SIZE) return null;
+
+      const data = new Uint8Array(fs.readFileSync(filePath));
+      doc = await loadPdfjs().getDocument({
+        data,
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+      }).promise;
+
+      const media = { pageCount: doc.numPages };
+      if (page < 1 || page > doc.numPages) return { media };
+
+      const image = await renderPage(doc, page, targetHeight);
+      const result = await renderImage(image, outputPath, targetHeight);
+      return { ...result, media };
+    } catch (error) {
+      logger.warn(`⚠️ PDF 渲染失败: ${filePath} - ${error.message}`);
+      return null;
+    } finally {
+      if (doc) await doc.destroy();
+    }
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * PSD / PSB 缩略图提供者
+ * 优先读取文件末尾的合成图像（Image Data Section，保存时勾选“最大兼容”才有真实内容），
+ * 按需要的尺寸隔行隔列采样，不把整张大图读入内存；读取失败时使用内嵌的小缩略图
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { constants } = require('../../src/config');
+const logger = require('../../src/utils/logger');
+
+// 颜色模式
+const MODE_GRAYSCALE = 1;
+const MODE_INDEXED = 2;
+const MODE_RGB = 3;
+const MODE_CMYK = 4;
+const MODE_DUOTONE = 8;
+
+// 图像资源 ID
+const RESOURCE_THUMBNAIL_OLD = 1033;
+const RESOURCE_THUMBNAIL = 1036;
+const RESOURCE_VERSION_INFO = 1057;
+
+// 缩略图资源的头部长度（格式、尺寸等），之后是 JPEG 数据
+const THUMBNAIL_HEADER_SIZE = 28;
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  if (bytesRead < length) throw new Error('Unexpected end of file');
+  return buffer;
+}
+
+// PSB 中部分长度字段为 8 字节
+function readLength(fd, position, isPsb) {
+  return isPsb ? Number(readAt(fd, position, 8).readBigUInt64BE(0)) : readAt(fd, position, 4).readUInt32BE(0);
+}
+
+/**
+ * 解析文件结构：头部、调色板、缩略图和合成图像的位置
+ */
+function readStructure(fd) {
+  const header = readAt(fd, 0, 26);
+  if (header.toString('latin1', 0, 4) !== '8BPS') {
+    throw new Error('Not a valid PSD file');
+  }
+  const version = header.readUInt16BE(4);
+  const isPsb = version === 2;
+
+  const info = {
+    isPsb,
+    channels: header.readUInt16BE(12),
+    height: header.readUInt32BE(14),
+    width: header.readUInt32BE(18),
+    depth: header.readUInt16BE(22),
+    mode: header.readUInt16BE(24),
+    palette: null,
+    thumbnail: null,
+    hasRealMergedData: true
+  };
+
+  // Color Mode Data（索引色的调色板）
+  let offset = 26;
+  const colorModeLength = readAt(fd, offset, 4).readUInt32BE(0);
+  if (info.mode === MODE_INDEXED && colorModeLength >= 768) {
+    info.palette = readAt(fd, offset + 4, 768);
+  }
+  offset += 4 + colorModeLength;
+
+  // Image Resources：查找缩略图和“是否有真实合成图像”标记
+  const resourcesLength = readAt(fd, offset, 4).readUInt32BE(0);
+  const resources = readAt(fd, offset + 4, resourcesLength);
+  let position = 0;
+  while (position + 12 <= resources.length && resources.toString('latin1', position, position + 4) === '8BIM') {
+    const id = resources.readUInt16BE(position + 4);
+    const nameLength = resources.readUInt8(position + 6);
+    const namePadding = nameLength % 2 === 0 ? nameLength + 2 : nameLength + 1;
+    const sizeOffset = position + 6 + namePadding;
+    if (sizeOffset + 4 > resources.length) break;
+    const size = resources.readUInt32BE(sizeOffset);
+    const dataOffset = sizeOffset + 4;
+
+    if ((id === RESOURCE_THUMBNAIL || (id === RESOURCE_THUMBNAIL_OLD && !info.thumbnail)) && size > THUMBNAIL_HEADER_SIZE) {
+      info.thumbnail = resources.subarray(dataOffset + THUMBNAIL_HEADER_SIZE, dataOffset + size);
+    } else if (id === RESOURCE_VERSION_INFO && size >= 5) {
+      info.hasRealMergedData = resources.readUInt8(dataOffset + 4) !== 0;
+    }
+
+    position = dataOffset + size + (size % 2);
+  }
+  offset += 4 + resourcesLength;
+
+  // 跳过 Layer and Mask Information，之后是合成图像
+  offset += (isPsb ? 8 : 4) + readLength(fd, offset, isPsb);
+  info.imageDataOffset = offset;
+
+  return info;
+}
+
+/**
+ * PackBits 解压一行
+ */
+function unpackBits(input, output) {
+  let i = 0;
+  let o = 0;
+  while (i < input.length && o < output.length) {
+    const n = input.readInt8(i++);
+    if (n >= 0) {
+      input.copy(output, o, i, i + n + 1);
+      i += n + 1;
+      o += n + 1;
+    } else if (n !== -128) {
+      output.fill(input[i++], o, o + 1 - n);
+      o += 1 - n;
+    }
+  }
+}
+
+/**
+ * 读取合成图像，隔行隔列采样为 outWidth × outHeight 的 RGB 像素
+ * @returns {Buffer|null} 不支持的颜色模式或位深时返回 null
+ */
+function readComposite(fd, info, outWidth, outHeight) {
+  const { width, height, depth, mode, isPsb } = info;
+  if (depth !== 8 && depth !== 16) return null;
+
+  const sourceChannels = {
+    [MODE_RGB]: 3,
+    [MODE_CMYK]: 4,
+    [MODE_GRAYSCALE]: 1,
+    [MODE_DUOTONE]: 1,
+    [MODE_INDEXED]: 1
+  }[mode];
+  if (!sourceChannels || info.channels < sourceChannels) return null;
+  if (mode === MODE_INDEXED && !info.palette) return null;
+
+  const bytesPerSample = depth / 8;
+  const rowBytes = width * bytesPerSample;
+  const compression = readAt(fd, info.imageDataOffset, 2).readUInt16BE(0);
+  if (compression !== 0 && compression !== 1) return null;
+
+  // 每个通道每一行在文件中的位置和长度
+  const dataStart = info.imageDataOffset + 2;
+  let rowOffset;
+  let rowLength;
+  if (compression === 0) {
+    rowOffset = (channel, y) => dataStart + (channel * height + y) * rowBytes;
+    rowLength = () => rowBytes;
+  } else {
+    const countSize = isPsb ? 4 : 2;
+    const counts = readAt(fd, dataStart, info.channels * height * countSize);
+    const offsets = new Float64Array(info.channels * height);
+    let position = dataStart + counts.length;
+    for (let i = 0; i < offsets.length; i++) {
+      offsets[i] = position;
+      position += isPsb ? counts.readUInt32BE(i * 4) : counts.readUInt16BE(i * 2);
+    }
+    rowOffset = (channel, y) => offsets[channel * height + y];
+    rowLength = (channel, y) => (isPsb ? counts.readUInt32BE((channel * height + y) * 4) : counts.readUInt16BE((channel * height + y) * 2));
+  }
+
+  const columns = Array.from({ length: outWidth }, (_, x) => Math.min(width - 1, Math.floor((x + 0.5) * width / outWidth)));
+  const planes = Array.from({ length: sourceChannels }, () => Buffer.alloc(outWidth * outHeight));
+  const row = Buffer.alloc(rowBytes);
+
+  for (let channel = 0; channel < sourceChannels; channel++) {
+    for (let y = 0; y < outHeight; y++) {
+      const sourceY = Math.min(height - 1, Math.floor((y + 0.5) * height / outHeight));
+      const data = readAt(fd, rowOffset(channel, sourceY), rowLength(channel, sourceY));
+      if (compression === 0) {
+        data.copy(row);
+      } else {
+        unpackBits(data, row);
+      }
+      // 16 位取高字节
+      const plane = planes[channel];
+      for (let x = 0; x < outWidth; x++) {
+        plane[y * outWidth + x] = row[columns[x] * bytesPerSample];
+      }
+    }
+  }
+
+  const pixels = Buffer.alloc(outWidth * outHeight * 3);
+  for (let i = 0; i < outWidth * outHeight; i++) {
+    let r;
+    let g;
+    let b;
+    if (mode === MODE_RGB) {
+      r = planes[0][i];
+      g = planes[1][i];
+      b = planes[2][i];
+    } else if (mode === MODE_CMYK) {
+      // PSD 中 CMYK 以反相存储（255 为无墨）
+      const k = planes[3][i] / 255;
+      r = planes[0][i] * k;
+      g = planes[1][i] * k;
+      b = planes[2][i] * k;
+    } else if (mode === MODE_INDEXED) {
+      const index = planes[0][i];
+      r = info.palette[index];
+      g = info.palette[256 + index];
+      b = info.palette[512 + index];
+    } else {
+      r = g = b = planes[0][i];
+    }
+    pixels[i * 3] = r;
+    pixels[i * 3 + 1] = g;
+    pixels[i * 3 + 2] = b;
+  }
+  return pixels;
+}
+
+module.exports = {
+  name: 'psd',
+
+  canHandle(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ext === '.psd' || ext === '.psb';
+  },
+
+  async generate(filePath, outputPath, { targetHeight, renderImage }) {
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const info = readStructure(fd);
+      const media = { width: info.width, height: info.height, pageCount: 1 };
+
+      let image = null;
+      if (info.hasRealMergedData && info.width > 0 && info.height > 0) {
+        const outHeight = Math.min(info.height, targetHeight * constants.DOCUMENT_PREVIEW.RENDER_SCALE);
+        const outWidth = Math.max(1, Math.round(info.width * outHeight / info.height));
+        try {
+          const pixels = readComposite(fd, info, outWidth, outHeight);
+          if (pixels) {
+            image = await sharp(pixels, { raw: { width: outWidth, height: outHeight, channels: 3 } }).png().toBuffer();
+          }
+        } catch (error) {
+          logger.warn(`⚠️ PSD 合成图像读取失败，使用内嵌缩略图: ${filePath} - ${error.message}`);
+        }
+      }
+
+      fs.closeSync(fd);
+      fd = null;
+
+      if (!image) image = info.thumbnail;
+      if (!image) return null;
+
+      const result = await renderImage(image, outputPath, targetHeight);
+      return { ...result, media };
+    } catch (error) {
+      logger.warn(`⚠️ PSD 缩略图生成失败: ${filePath} - ${error.message}`);
+      return null;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+};
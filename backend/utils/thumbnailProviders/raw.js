@@ -0,0 +1,179 @@
+/**
+ * 相机 RAW 缩略图提供者
+ * CR2 / NEF / DNG 等 RAW 格式都基于 TIFF 结构，相机会在其中内嵌全尺寸或较大的 JPEG 预览；
+ * 遍历所有 IFD（含 SubIFD）找出能解码的最大 JPEG，按 IFD0 的方向信息旋转
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const logger = require('../../src/utils/logger');
+
+const RAW_EXTENSIONS = ['.raw', '.cr2', '.nef', '.dng'];
+
+// TIFF 标签
+const TAG_COMPRESSION = 259;
+const TAG_STRIP_OFFSETS = 273;
+const TAG_ORIENTATION = 274;
+const TAG_STRIP_BYTE_COUNTS = 279;
+const TAG_SUB_IFDS = 330;
+const TAG_JPEG_OFFSET = 513;
+const TAG_JPEG_LENGTH = 514;
+const TAG_EXIF_IFD = 34665;
+
+// JPEG 压缩（6 为旧式 JPEG，7 为 JPEG）
+const JPEG_COMPRESSIONS = [6, 7];
+
+// 最多遍历的 IFD 数量（防止损坏文件中的循环引用）
+const MAX_IFDS = 32;
+
+// EXIF 方向对应的旋转角度（只处理旋转，不处理镜像）
+const ORIENTATION_ANGLES = { 3: 180, 6: 90, 8: 270 };
+
+// TIFF 字段类型的字节数
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4 };
+
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * 读取一个 IFD 的全部条目
+ * @returns {{entries: Map<number, number[]>, next: number}}
+ */
+function readIfd(fd, offset, littleEndian) {
+  const u16 = (buffer, at) => (littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at));
+  const u32 = (buffer, at) => (littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at));
+
+  const count = u16(readAt(fd, offset, 2), 0);
+  const table = readAt(fd, offset + 2, count * 12 + 4);
+  if (table.length < count * 12 + 4) throw new Error('Truncated IFD');
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    const at = i * 12;
+    const tag = u16(table, at);
+    const type = u16(table, at + 2);
+    const valueCount = u32(table, at + 4);
+    const size = TYPE_SIZES[type] || 1;
+    // 只读取整数类型（SHORT / LONG / IFD）
+    if (type !== 3 && type !== 4 && type !== 13) continue;
+    if (valueCount === 0 || valueCount > 1024) continue;
+
+    const data = valueCount * size <= 4
+      ? table.subarray(at + 8, at + 12)
+      : readAt(fd, u32(table, at + 8), valueCount * size);
+    const values = [];
+    for (let j = 0; j < valueCount && (j + 1) * size <= data.length; j++) {
+      values.push(size === 2 ? u16(data, j * 2) : u32(data, j * 4));
+    }
+    entries.set(tag, values);
+  }
+  return { entries, next: u32(table, count * 12) };
+}
+
+/**
+ * JPEG 是否为 Sharp（libjpeg）能解码的有损 JPEG：DNG / CR2 的 RAW 数据本身是无损 JPEG（SOF3），不能解码
+ */
+function isDecodableJpeg(fd, offset) {
+  const head = readAt(fd, offset, 64 * 1024);
+  if (head.length < 4 || head[0] !== 0xFF || head[1] !== 0xD8) return false;
+
+  let position = 2;
+  while (position + 4 <= head.length) {
+    if (head[position] !== 0xFF) return false;
+    const marker = head[position + 1];
+    // SOF0 / SOF1 / SOF2：基线、扩展、渐进式
+    if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) return true;
+    if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) return false;
+    position += 2 + head.readUInt16BE(position + 2);
+  }
+  return false;
+}
+
+/**
+ * 查找最大的可解码内嵌 JPEG
+ * @returns {{offset: number, length: number, orientation: number}|null}
+ */
+function findPreview(fd) {
+  const header = readAt(fd, 0, 8);
+  const byteOrder = header.toString('latin1', 0, 2);
+  if (header.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM')) return null;
+  const littleEndian = byteOrder === 'II';
+
+  const queue = [littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4)];
+  const visited = new Set();
+  let orientation = 1;
+  let best = null;
+
+  while (queue.length > 0 && visited.size < MAX_IFDS) {
+    const offset = queue.shift();
+    if (!offset || visited.has(offset)) continue;
+    visited.add(offset);
+
+    let ifd;
+    try {
+      ifd = readIfd(fd, offset, littleEndian);
+    } catch (error) {
+      continue;
+    }
+    const { entries } = ifd;
+    const get = tag => entries.get(tag) || [];
+
+    if (visited.size === 1 && get(TAG_ORIENTATION).length > 0) {
+      orientation = get(TAG_ORIENTATION)[0];
+    }
+
+    const candidates = [];
+    if (get(TAG_JPEG_OFFSET).length > 0 && get(TAG_JPEG_LENGTH).length > 0) {
+      candidates.push({ offset: get(TAG_JPEG_OFFSET)[0], length: get(TAG_JPEG_LENGTH)[0] });
+    }
+    if (JPEG_COMPRESSIONS.includes(get(TAG_COMPRESSION)[0])
+      && get(TAG_STRIP_OFFSETS).length === 1 && get(TAG_STRIP_BYTE_COUNTS).length === 1) {
+      candidates.push({ offset: get(TAG_STRIP_OFFSETS)[0], length: get(TAG_STRIP_BYTE_COUNTS)[0] });
+    }
+    for (const candidate of candidates) {
+      if (candidate.length > 0 && (!best || candidate.length > best.length) && isDecodableJpeg(fd, candidate.offset)) {
+        best = candidate;
+      }
+    }
+
+    queue.push(...get(TAG_SUB_IFDS), ...get(TAG_EXIF_IFD), ifd.next);
+  }
+
+  return best ? { ...best, orientation } : null;
+}
+
+module.exports = {
+  name: 'raw',
+
+  canHandle(filePath) {
+    return RAW_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  },
+
+  async generate(filePath, outputPath, { targetHeight, renderImage }) {
+    let fd = null;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const preview = findPreview(fd);
+      if (!preview) return null;
+
+      let image = readAt(fd, preview.offset, preview.length);
+      fs.closeSync(fd);
+      fd = null;
+
+      const angle = ORIENTATION_ANGLES[preview.orientation];
+      if (angle) {
+        image = await sharp(image).rotate(angle).jpeg({ quality: 95 }).toBuffer();
+      }
+      return await renderImage(image, outputPath, targetHeight);
+    } catch (error) {
+      logger.warn(`⚠️ RAW 预览读取失败: ${filePath} - ${error.message}`);
+      return null;
+    } finally {
+      if (fd !== null) fs.closeSync(fd);
+    }
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * 最小 SVG DOM 实现
+ * pdf.js 的 SVG 渲染后端（SVGGraphics）需要 DOM 来构建 SVG；服务端没有 DOM，
+ * 这里只实现它用到的方法，并把结果序列化为 SVG 字符串（再交给 Sharp 栅格化）
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+class SvgElement {
+  constructor(nodeName) {
+    this.nodeName = nodeName;
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.text = '';
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  setAttributeNS(namespace, name, value) {
+    this.setAttribute(name, value);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  getAttributeNS(namespace, name) {
+    return this.getAttribute(name);
+  }
+
+  append(...nodes) {
+    this.childNodes.push(...nodes);
+  }
+
+  appendChild(node) {
+    this.childNodes.push(node);
+    return node;
+  }
+
+  get textContent() {
+    return this.text;
+  }
+
+  set textContent(value) {
+    this.text = String(value);
+  }
+
+  cloneNode(deep) {
+    const clone = new SvgElement(this.nodeName);
+    clone.attributes = new Map(this.attributes);
+    clone.text = this.text;
+    if (deep) {
+      clone.childNodes = this.childNodes.map(child => child.cloneNode(true));
+    }
+    return clone;
+  }
+
+  /**
+   * 序列化为 XML（去掉 pdf.js 使用的 svg: 前缀）
+   */
+  toString() {
+    const tag = this.nodeName.replace(/^svg:/, '');
+    const attributes = [...this.attributes]
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+    const children = escapeXml(this.text) + this.childNodes.map(child => child.toString()).join('');
+    return `<${tag}${attributes}>${children}</${tag}>`;
+  }
+}
+
+/**
+ * 与 pdf.js DOMSVGFactory 接口相同的工厂
+ */
+const svgFactory = {
+  create(width, height) {
+    const svg = new SvgElement('svg:svg');
+    svg.setAttribute('xmlns', SVG_NS);
+    svg.setAttribute('xmlns:xlink', XLINK_NS);
+    svg.setAttribute('version', '1.1');
+    svg.setAttribute('width', `${width}px`);
+    svg.setAttribute('height', `${height}px`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    return svg;
+  },
+
+  createElement(type) {
+    return new SvgElement(type);
+  }
+};
+
+module.exports = { SvgElement, svgFactory };
@@ -0,0 +1,132 @@
+/**
+ * 视频缩略图提供者
+ * 使用本机安装的 ffprobe 读取时长、编码和分辨率，ffmpeg 截取封面帧；
+ * 找不到 ffmpeg / ffprobe 时不可用，由 generateImageThumbnails 生成占位图
+ */
+
+const { execFile } = require('child_process');
+const { constants } = require('../../src/config');
+const logger = require('../../src/utils/logger');
+
+// 封面帧 PNG 的输出上限（4K 帧约 20MB）
+const MAX_FRAME_BYTES = 64 * 1024 * 1024;
+
+/**
+ * 执行外部命令（不经过 shell，文件名无需转义）
+ * @returns {Promise<Buffer>} 标准输出
+ */
+function run(command, args, timeout) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout, encoding: 'buffer', maxBuffer: MAX_FRAME_BYTES, windowsHide: true }, (error, stdout, stderr) => {
+      if (error) {
+        const message = stderr && stderr.length > 0 ? stderr.toString('utf8').trim().split('\n').pop() : error.message;
+        reject(new Error(message));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+let availability = null;
+
+/**
+ * ffmpeg 和 ffprobe 是否可用（只检测一次）
+ * @returns {Promise<boolean>}
+ */
+function isAvailable() {
+  if (!availability) {
+    const { FFMPEG_PATH, FFPROBE_PATH, DETECT_TIMEOUT_MS } = constants.VIDEO_THUMBNAIL;
+    availability = Promise.all([
+      run(FFMPEG_PATH, ['-version'], DETECT_TIMEOUT_MS),
+      run(FFPROBE_PATH, ['-version'], DETECT_TIMEOUT_MS)
+    ]).then(() => true, () => {
+      logger.warn('⚠️ 未找到 ffmpeg / ffprobe，视频将使用占位缩略图（可通过 FLYPIC_FFMPEG / FLYPIC_FFPROBE 指定路径）');
+      return false;
+    });
+  }
+  return availability;
+}
+
+/**
+ * 读取视频信息：时长（秒）、编码、显示分辨率（已按旋转角度交换宽高）
+ * @returns {Promise<{duration: number|null, codec: string, width: number, height: number}|null>} 没有视频流时返回 null
+ */
+async function probeVideo(filePath) {
+  const { FFPROBE_PATH, PROBE_TIMEOUT_MS } = constants.VIDEO_THUMBNAIL;
+  const stdout = await run(FFPROBE_PATH, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'format=duration:stream=codec_name,width,height:stream_tags=rotate:stream_side_data=rotation',
+    '-of', 'json',
+    filePath
+  ], PROBE_TIMEOUT_MS);
+
+  const data = JSON.parse(stdout.toString('utf8'));
+  const stream = (data.streams || [])[0];
+  if (!stream || !stream.width || !stream.height) return null;
+
+  const sideData = (stream.side_data_list || []).find(item => item.rotation !== undefined);
+  const rotation = Math.abs(parseInt((stream.tags && stream.tags.rotate) ?? (sideData && sideData.rotation) ?? 0, 10)) % 180;
+  const duration = parseFloat(data.format && data.format.duration);
+
+  return {
+    duration: Number.isFinite(duration) ? duration : null,
+    codec: stream.codec_name || '',
+    width: rotation === 90 ? stream.height : stream.width,
+    height: rotation === 90 ? stream.width : stream.height
+  };
+}
+
+/**
+ * 截取指定时间的一帧（PNG，ffmpeg 默认按旋转信息校正方向）
+ * @returns {Promise<Buffer>}
+ */
+function extractFrame(filePath, seconds) {
+  const { FFMPEG_PATH, EXTRACT_TIMEOUT_MS } = constants.VIDEO_THUMBNAIL;
+  return run(FFMPEG_PATH, [
+    '-v', 'error',
+    '-ss', seconds.toFixed(3),
+    '-i', filePath,
+    '-frames:v', '1',
+    '-f', 'image2pipe',
+    '-vcodec', 'png',
+    '-'
+  ], EXTRACT_TIMEOUT_MS);
+}
+
+module.exports = {
+  name: 'video',
+
+  canHandle(filePath, fileType) {
+    return fileType === 'video';
+  },
+
+  isAvailable,
+
+  /**
+   * 生成视频缩略图
+   * 封面取自视频 SEEK_RATIO 处（最多 MAX_SEEK_SECONDS 秒）；该位置截取失败时（如时长信息不准确）再尝试第一帧
+   */
+  async generate(filePath, outputPath, { targetHeight, renderImage }) {
+    try {
+      const media = await probeVideo(filePath);
+      if (!media) return null;
+
+      const { SEEK_RATIO, MAX_SEEK_SECONDS } = constants.VIDEO_THUMBNAIL;
+      const seek = media.duration ? Math.min(media.duration * SEEK_RATIO, MAX_SEEK_SECONDS) : 0;
+
+      let frame = await extractFrame(filePath, seek).catch(() => null);
+      if ((!frame || frame.length === 0) && seek > 0) {
+        frame = await extractFrame(filePath, 0);
+      }
+      if (!frame || frame.length === 0) return { media };
+
+      const result = await renderImage(frame, outputPath, targetHeight);
+      return { ...result, media };
+    } catch (error) {
+      logger.warn(`⚠️ 视频缩略图生成失败: ${filePath} - ${error.message}`);
+      return null;
+    }
+  }
+};
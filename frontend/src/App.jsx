@@ -5,8 +5,12 @@ import { useLibraryStore } from './stores/useLibraryStore';
 import { useImageStore } from './stores/useImageStore';
 import { useScanStore } from './stores/useScanStore';
 import { useTheme } from './hooks/useTheme';
-import { libraryAPI, imageAPI, scanAPI } from './api';
+import { libraryAPI, imageAPI, scanAPI, albumAPI, smartAlbumAPI } from './api';
+import { getToken } from './api/client';
 import domCleanup from './utils/domCleanup';
+import { ensureAssetSignatures } from './services/assetSignatureService';
+import { buildFilterParams, hasActiveFilters } from './utils/imageFilters';
+import { buildSortParams } from './utils/imageSort';
 import Sidebar from './components/Sidebar';
 import MainContent from './components/MainContent';
 import RightPanel from './components/RightPanel';
@@ -22,6 +26,7 @@ function App() {
   
   const { mobileView, setMobileView } = useUIStore();
   const { 
+    libraries,
     setLibraries, 
     setCurrentLibrary, 
     removeLibrary,
@@ -67,6 +72,7 @@ function App() {
 
     const socket = io(socketUrl, {
       transports: ['websocket', 'polling'], // 优先使用 websocket
+      auth: (cb) => cb({ token: getToken() }), // 每次（重新）连接时读取最新的访问 Token，服务端据此推送只发给当前用户的事件
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 5
@@ -116,28 +122,53 @@ function App() {
         const imageState = useImageStore.getState();
         const params = {
           keywords: imageState.searchKeywords,
-          ...imageState.filters
+          ...buildFilterParams(imageState.filters),
+          ...buildSortParams(imageState.sort)
         };
 
         // 只有选中了文件夹才添加 folder 参数
         if (imageState.selectedFolder) {
           params.folder = imageState.selectedFolder;
         }
+        if (imageState.selectedTag) {
+          params.tags = imageState.selectedTag.id;
+        }
+        if (imageState.showFavorites) {
+          params.favorite = 1;
+        }
+        if (imageState.selectedAlbum) {
+          params.album = imageState.selectedAlbum.id;
+        }
+        if (imageState.selectedSmartAlbum) {
+          params.smartAlbum = imageState.selectedSmartAlbum.id;
+        }
+
+        // 相似图片视图重新查找（新扫描的图片可能出现在结果中）
+        const loadImages = imageState.similarTo
+          ? () => imageAPI.getSimilar(libraryId, imageState.similarTo.id, {
+            ...params,
+            threshold: imageState.similarTo.threshold
+          }).catch(() => ({ images: [] }))
+          : () => imageAPI.search(libraryId, params);
 
-        // 并行加载文件夹、图片和统计信息
+        // 并行加载文件夹、图片、统计信息和相册数量
         Promise.all([
           imageAPI.getFolders(libraryId),
           // 如果没有选中文件夹且没有搜索条件，不加载图片（保持在 Dashboard）
-          (imageState.selectedFolder || imageState.searchKeywords || imageState.filters.formats.length > 0)
-            ? imageAPI.search(libraryId, params)
+          (imageState.similarTo || imageState.selectedFolder || imageState.selectedTag || imageState.showFavorites || imageState.selectedAlbum || imageState.selectedSmartAlbum || imageState.searchKeywords || hasActiveFilters(imageState.filters))
+            ? loadImages()
             : Promise.resolve({ images: [] }),
           // 扫描完成后重新获取统计信息（包含 totalSize）
-          imageAPI.getStats(libraryId)
-        ]).then(([foldersRes, imagesRes, statsRes]) => {
+          imageAPI.getStats(libraryId),
+          albumAPI.getAll(libraryId),
+          smartAlbumAPI.getAll(libraryId)
+        ]).then(([foldersRes, imagesRes, statsRes, albumsRes, smartAlbumsRes]) => {
           useImageStore.getState().setFolders(foldersRes.folders);
           useImageStore.getState().setImages(imagesRes.images);
           useImageStore.getState().setTotalImageCount(statsRes.total || 0);
           useImageStore.getState().setTotalSize(statsRes.totalSize || 0);
+          useImageStore.getState().setAlbums(albumsRes.albums || []);
+          useImageStore.getState().setSmartAlbums(smartAlbumsRes.albums || []);
         }).catch(err => {
           logger.error('扫描完成后加载数据失败:', err.message);
         }).finally(() => {
@@ -153,6 +184,20 @@ function App() {
       logger.error('扫描错误:', error);
     });
 
+    // 缩略图完整性检查（维护面板）
+    const handleThumbnailCheck = (status) => {
+      if (status.libraryId === useLibraryStore.getState().currentLibraryId) {
+        useScanStore.getState().setThumbnailCheck(status);
+      }
+    };
+    socket.on('thumbnailCheckProgress', handleThumbnailCheck);
+    socket.on('thumbnailCheckComplete', handleThumbnailCheck);
+
+    // ZIP 导出下载进度（RightPanel 按导出 id 读取）
+    socket.on('exportProgress', (progress) => {
+      useScanStore.getState().setExportProgress(progress);
+    });
+
 
     // Socket 监听已就绪后，再加载库并可能触发同步
     loadLibraries();
@@ -191,6 +236,11 @@ function App() {
       const response = await libraryAPI.getAll();
       const data = response.data || response;
 
+      // 先获取缩略图和原图的签名密钥，避免图片在密钥到达前以未签名的 URL 加载失败
+      await ensureAssetSignatures().catch((error) => {
+        logger.warn('获取资源签名失败:', error.message);
+      });
+
       setLibraries(data.libraries || []);
       setCurrentLibrary(data.currentLibraryId);
       
@@ -12,29 +12,70 @@ export function getAuthStatus() {
 }
 
 /**
- * 首次设置密码
+ * 获取当前用户（未设置密码时为 null）
  */
-export function setupPassword(password) {
-  return api.post('/auth/setup', { password });
+export function getCurrentUser() {
+  return api.get('/auth/me');
+}
+
+/**
+ * 首次设置密码（创建系统管理员）
+ */
+export function setupPassword(password, username) {
+  return api.post('/auth/setup', { username, password });
 }
 
 /**
  * 登录
  */
-export function login(password) {
-  return api.post('/auth/login', { password });
+export function login(username, password) {
+  return api.post('/auth/login', { username, password });
 }
 
 /**
- * 修改密码
+ * 修改密码（退出所有会话，返回当前客户端的新 { token, refreshToken }）
  */
 export function changePassword(oldPassword, newPassword) {
   return api.post('/auth/change-password', { oldPassword, newPassword });
 }
 
+/**
+ * 退出当前会话
+ */
+export function logout() {
+  return api.post('/auth/logout');
+}
+
+/**
+ * 获取当前用户的登录会话
+ * 返回 [{ id, ip, userAgent, createdAt, lastSeenAt, expiresAt, current }]
+ */
+export function getSessions() {
+  return api.get('/auth/sessions');
+}
+
+/**
+ * 退出一个会话
+ */
+export function revokeSession(id) {
+  return api.delete(`/auth/sessions/${id}`);
+}
+
+/**
+ * 退出其他所有会话（保留当前会话），返回 { revoked }
+ */
+export function revokeOtherSessions() {
+  return api.delete('/auth/sessions');
+}
+
 export const authAPI = {
   getAuthStatus,
+  getCurrentUser,
   setupPassword,
   login,
-  changePassword
+  changePassword,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
 };
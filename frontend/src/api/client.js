@@ -26,19 +26,66 @@ function getToken() {
 
 /**
  * 设置 Token
+ * @param {string|null} token - 访问 Token，为 null 时同时清除刷新令牌
+ * @param {string} [refreshToken] - 刷新令牌（登录、刷新和修改密码后返回）
  */
-function setToken(token) {
+function setToken(token, refreshToken) {
   if (token) {
     localStorage.setItem('flypic_token', token);
   } else {
     localStorage.removeItem('flypic_token');
+    localStorage.removeItem('flypic_refresh_token');
   }
+  if (refreshToken) {
+    localStorage.setItem('flypic_refresh_token', refreshToken);
+  }
+}
+
+// 这些接口返回 401 时不尝试刷新
+const NO_REFRESH_URLS = ['/auth/status', '/auth/login', '/auth/setup', '/auth/refresh'];
+
+let refreshPromise = null;
+
+/**
+ * 访问 Token 过期后用刷新令牌换取新的 Token
+ * 刷新令牌每次都会轮换，旧令牌被重复使用时后端会退出会话：同一页面内合并并发的刷新，
+ * 多个标签页之间用 Web Locks 串行，并且拿到锁后如果 Token 已被其他标签页更新就直接使用
+ * @param {string|null} failedToken - 返回 401 的请求使用的访问 Token
+ * @returns {Promise<boolean>} 是否可以用新的 Token 重试
+ */
+function refreshAccessToken(failedToken) {
+  if (!refreshPromise) {
+    const doRefresh = async () => {
+      if (getToken() !== failedToken) return !!getToken();
+      const refreshToken = localStorage.getItem('flypic_refresh_token');
+      if (!refreshToken) return false;
+
+      try {
+        const response = await fetch(`${API_BASE}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+        if (!response.ok) return false;
+        const { data } = await response.json();
+        setToken(data.token, data.refreshToken);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    refreshPromise = (navigator.locks ? navigator.locks.request('flypic_token_refresh', doRefresh) : doRefresh())
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
 }
 
 /**
  * 发送请求
+ * 访问 Token 过期（401）时自动刷新并重试一次
  */
-async function request(url, options = {}) {
+async function request(url, options = {}, isRetry = false) {
   const token = getToken();
   const headers = {
     'Content-Type': 'application/json',
@@ -62,6 +109,11 @@ async function request(url, options = {}) {
     if (!response.ok) {
       // 401 未授权处理
       if (response.status === 401) {
+        const canRefresh = !isRetry && token && !NO_REFRESH_URLS.some(path => url.startsWith(path));
+        if (canRefresh && await refreshAccessToken(token)) {
+          return request(url, options, true);
+        }
+
         // 对于认证检查接口，不触发登出事件（避免循环）
         const isAuthCheck = url.includes('/auth/status');
         
@@ -160,4 +212,4 @@ export const api = {
   delete: del
 };
 
-export { APIError, getToken, setToken };
+export { APIError, getToken, setToken, refreshAccessToken };
@@ -0,0 +1,60 @@
+/**
+ * 相册 API
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取相册列表（包含图片数量）
+ */
+export async function getAll(libraryId) {
+  return api.get(`/album?libraryId=${libraryId}`);
+}
+
+/**
+ * 创建相册，可同时加入图片
+ */
+export async function create(libraryId, name, paths = []) {
+  return api.post('/album', { libraryId, name, paths });
+}
+
+/**
+ * 重命名相册
+ */
+export async function rename(libraryId, id, name) {
+  return api.put(`/album/${id}`, { libraryId, name });
+}
+
+/**
+ * 删除相册（图片本身不受影响）
+ */
+export async function remove(libraryId, id) {
+  return api.delete(`/album/${id}?libraryId=${libraryId}`);
+}
+
+/**
+ * 调整相册顺序
+ */
+export async function reorder(libraryId, ids) {
+  return api.put('/album/order', { libraryId, ids });
+}
+
+/**
+ * 批量将图片加入相册
+ */
+export async function addImages(libraryId, id, paths) {
+  return api.post(`/album/${id}/items`, {
+    libraryId,
+    paths: Array.isArray(paths) ? paths : [paths]
+  });
+}
+
+/**
+ * 批量将图片移出相册
+ */
+export async function removeImages(libraryId, id, paths) {
+  return api.post(`/album/${id}/items/remove`, {
+    libraryId,
+    paths: Array.isArray(paths) ? paths : [paths]
+  });
+}
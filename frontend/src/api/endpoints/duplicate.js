@@ -0,0 +1,34 @@
+/**
+ * 重复文件 API
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取重复文件分组（按可释放空间从大到小）
+ */
+export async function getGroups(libraryId, params = {}) {
+  const query = new URLSearchParams({ libraryId, ...params });
+  return api.get(`/image/duplicates?${query}`);
+}
+
+/**
+ * 获取内容哈希任务进度
+ */
+export async function getHashStatus(libraryId) {
+  return api.get(`/image/duplicates/hash?libraryId=${libraryId}`);
+}
+
+/**
+ * 启动内容哈希任务（后台执行）
+ */
+export async function startHash(libraryId) {
+  return api.post('/image/duplicates/hash', { libraryId });
+}
+
+/**
+ * 停止内容哈希任务
+ */
+export async function stopHash(libraryId) {
+  return api.delete(`/image/duplicates/hash?libraryId=${libraryId}`);
+}
@@ -0,0 +1,59 @@
+/**
+ * 导出 API（服务端流式打包 ZIP、导出预设）
+ */
+
+import { api } from '../client';
+
+/**
+ * 创建 ZIP 导出
+ * options: { paths } 按选择导出，或 { query } 按文件夹、相册、搜索条件导出（参数与图片列表相同）
+ *   compression: 'store'（默认，可断点续传）| 'deflate'
+ *   presetId: 导出预设；archive: false 时只导出一个文件，直接下载该文件
+ * 返回 { id, url, filename, count, totalSize, size, compression, presetId, archive, expiresAt }
+ */
+export async function createZip(libraryId, { paths, query, compression, presetId, archive } = {}) {
+  return api.post('/export/zip', { libraryId, paths, query, compression, presetId, archive });
+}
+
+/**
+ * 获取导出记录（下载链接是否仍有效）
+ */
+export async function getZipInfo(id) {
+  return api.get(`/export/zip/${id}/info`);
+}
+
+/**
+ * 获取 ZIP 下载地址（浏览器直接下载，支持断点续传）
+ */
+export function getZipUrl(id) {
+  return `/api/export/zip/${id}`;
+}
+
+/**
+ * 获取导出预设列表
+ */
+export async function getPresets() {
+  return api.get('/export/presets');
+}
+
+/**
+ * 创建导出预设
+ * preset: { name, format, quality, maxWidth, maxHeight, stripMetadata, watermark, filenameTemplate }
+ */
+export async function createPreset(preset) {
+  return api.post('/export/presets', preset);
+}
+
+/**
+ * 更新导出预设
+ */
+export async function updatePreset(id, preset) {
+  return api.put(`/export/presets/${id}`, preset);
+}
+
+/**
+ * 删除导出预设
+ */
+export async function deletePreset(id) {
+  return api.delete(`/export/presets/${id}`);
+}
@@ -3,6 +3,10 @@
  */
 
 import { api } from '../client';
+import { signAssetUrl } from '../../services/assetSignatureService';
+
+// 路径按段编码（保留目录分隔符），避免文件名中的 # ? % 等字符破坏 URL
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
 
 /**
  * 搜索图片
@@ -44,19 +48,57 @@ export async function getCacheMeta(libraryId) {
   return api.get(`/image/cache-meta?libraryId=${libraryId}`);
 }
 
+/**
+ * 获取图片的 EXIF / IPTC / XMP 元数据（尚未提取时返回 null）
+ */
+export async function getMeta(libraryId, path) {
+  const query = new URLSearchParams({ libraryId, path });
+  return api.get(`/image/meta?${query}`);
+}
+
+/**
+ * 获取图片主色 { colors: [{ hex, ratio }] }
+ */
+export async function getColors(libraryId, path) {
+  const query = new URLSearchParams({ libraryId, path });
+  return api.get(`/image/colors?${query}`);
+}
+
+/**
+ * 查找相似图片（感知哈希），结果按相似度排列并附带 distance
+ * params: { threshold, limit } 以及与 search 相同的筛选参数
+ */
+export async function getSimilar(libraryId, id, params = {}, options = {}) {
+  const query = new URLSearchParams({
+    libraryId,
+    ...params
+  });
+
+  return api.get(`/image/${id}/similar?${query}`, options);
+}
+
 /**
  * 获取缩略图 URL
- * 使用分片结构，不再需要 size 参数
+ * 使用分片结构；height 为需要的高度，后端返回不小于它的最小档位，不传时为扫描生成的缩略图
+ * 设置访问密码后带上签名（见 assetSignatureService）
  */
-export function getThumbnailUrl(libraryId, filename) {
-  return `/api/image/thumbnail/${libraryId}/${filename}`;
+export function getThumbnailUrl(libraryId, filename, height) {
+  const url = `/api/image/thumbnail/${libraryId}/${encodeURIComponent(filename)}`;
+  return signAssetUrl(height ? `${url}?h=${height}` : url);
 }
 
 /**
- * 获取原图 URL
+ * 获取原图 URL（设置访问密码后带上签名）
  */
 export function getOriginalUrl(libraryId, path) {
-  return `/api/image/original/${libraryId}/${path}`;
+  return signAssetUrl(`/api/image/original/${libraryId}/${encodePath(path)}`);
+}
+
+/**
+ * 获取设计文件、文档某一页的预览图 URL（页码从 1 开始，设置访问密码后带上签名）
+ */
+export function getPreviewUrl(libraryId, path, page = 1) {
+  return signAssetUrl(`/api/image/preview/${libraryId}/${encodePath(path)}?page=${page}`);
 }
 
 /**
@@ -76,3 +118,14 @@ export async function updateRating(libraryId, paths, rating) {
     rating
   });
 }
+
+/**
+ * 更新图片收藏状态（支持批量）
+ */
+export async function updateFavorite(libraryId, paths, favorite) {
+  return api.put('/image/favorite', {
+    libraryId,
+    paths: Array.isArray(paths) ? paths : [paths],
+    favorite
+  });
+}
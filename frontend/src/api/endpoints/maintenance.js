@@ -0,0 +1,40 @@
+/**
+ * 维护 API（缩略图缓存）
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取缩略图缓存统计（文件数、占用空间、孤立文件）
+ */
+export async function getThumbnailStats(libraryId) {
+  return api.get(`/maintenance/thumbnails?libraryId=${libraryId}`);
+}
+
+/**
+ * 删除没有图片引用的孤立缩略图
+ */
+export async function cleanOrphanThumbnails(libraryId) {
+  return api.delete(`/maintenance/thumbnails/orphans?libraryId=${libraryId}`);
+}
+
+/**
+ * 获取缩略图完整性检查进度
+ */
+export async function getThumbnailCheckStatus(libraryId) {
+  return api.get(`/maintenance/thumbnails/check?libraryId=${libraryId}`);
+}
+
+/**
+ * 启动缩略图完整性检查（后台执行，repair 为 true 时重新生成缺失或损坏的缩略图）
+ */
+export async function startThumbnailCheck(libraryId, repair = false) {
+  return api.post('/maintenance/thumbnails/check', { libraryId, repair });
+}
+
+/**
+ * 停止缩略图完整性检查
+ */
+export async function stopThumbnailCheck(libraryId) {
+  return api.delete(`/maintenance/thumbnails/check?libraryId=${libraryId}`);
+}
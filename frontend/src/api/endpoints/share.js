@@ -0,0 +1,82 @@
+/**
+ * 分享链接 API
+ * 管理接口需要登录；public 开头的函数供分享页（/s/:token）的访问者使用，不需要登录
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取有效的分享列表
+ * 返回 [{ token, libraryId, libraryName, type, scope, title, hasPassword, expiresAt, allowDownload, views, createdBy, createdAt, url }]
+ */
+export async function getAll() {
+  return api.get('/share');
+}
+
+/**
+ * 创建分享链接
+ * data: { type: 'folder'|'album'|'selection'|'search', folder?, albumId?, imageIds?, query?, title, password?, expiresAt?, allowDownload? }
+ */
+export async function create(libraryId, data) {
+  return api.post('/share', { libraryId, ...data });
+}
+
+/**
+ * 撤销分享链接
+ */
+export async function revoke(token) {
+  return api.delete(`/share/${token}`);
+}
+
+/**
+ * 打开分享（增加浏览次数），返回 { title, type, hasPassword, allowDownload, expiresAt, createdAt }
+ */
+export async function getPublicInfo(token) {
+  return api.get(`/share/public/${token}`);
+}
+
+/**
+ * 验证分享密码，返回 { key }
+ */
+export async function unlock(token, password) {
+  return api.post(`/share/public/${token}/unlock`, { password });
+}
+
+// 有密码的分享在资源 URL 中带上访问密钥
+const withKey = (params, key) => {
+  const query = new URLSearchParams(params);
+  if (key) query.set('key', key);
+  const string = query.toString();
+  return string ? `?${string}` : '';
+};
+
+/**
+ * 获取分享中的图片（游标分页，cursor 为空字符串表示第一页）
+ */
+export async function getImages(token, key, cursor = '', limit = 100) {
+  return api.get(`/share/public/${token}/images${withKey({ cursor, limit }, key)}`);
+}
+
+/**
+ * 获取分享中图片的缩略图 URL（height 为缩略图档位，animated 为动态缩略图）
+ */
+export function getThumbnailUrl(token, key, imageId, height, animated = false) {
+  const params = {};
+  if (height) params.h = height;
+  if (animated) params.animated = 1;
+  return `/api/share/public/${token}/thumbnail/${imageId}${withKey(params, key)}`;
+}
+
+/**
+ * 获取分享中图片的原文件 URL（分享需要允许下载），download 为 true 时作为附件下载
+ */
+export function getOriginalUrl(token, key, imageId, download = false) {
+  return `/api/share/public/${token}/original/${imageId}${withKey(download ? { download: 1 } : {}, key)}`;
+}
+
+/**
+ * 获取分享中设计文件、文档某一页的预览图 URL
+ */
+export function getPreviewUrl(token, key, imageId, page = 1) {
+  return `/api/share/public/${token}/preview/${imageId}${withKey({ page }, key)}`;
+}
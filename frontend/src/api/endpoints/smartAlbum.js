@@ -0,0 +1,34 @@
+/**
+ * 智能相册 API
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取智能相册列表（包含匹配的图片数量）
+ */
+export async function getAll(libraryId) {
+  return api.get(`/smart-album?libraryId=${libraryId}`);
+}
+
+/**
+ * 创建智能相册
+ * @param {Object} query - { keywords, formats, orientations, ratings, sizes }，与图片搜索参数一致
+ */
+export async function create(libraryId, name, query) {
+  return api.post('/smart-album', { libraryId, name, query });
+}
+
+/**
+ * 更新智能相册（name / query）
+ */
+export async function update(libraryId, id, updates) {
+  return api.put(`/smart-album/${id}`, { libraryId, ...updates });
+}
+
+/**
+ * 删除智能相册
+ */
+export async function remove(libraryId, id) {
+  return api.delete(`/smart-album/${id}?libraryId=${libraryId}`);
+}
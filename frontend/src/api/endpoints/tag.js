@@ -0,0 +1,55 @@
+/**
+ * 标签 API
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取标签树
+ */
+export async function getAll(libraryId) {
+  return api.get(`/tag?libraryId=${libraryId}`);
+}
+
+/**
+ * 创建标签
+ */
+export async function create(libraryId, name, parentId = null, color = null) {
+  return api.post('/tag', { libraryId, name, parentId, color });
+}
+
+/**
+ * 更新标签（name / parentId / color）
+ */
+export async function update(libraryId, id, updates) {
+  return api.put(`/tag/${id}`, { libraryId, ...updates });
+}
+
+/**
+ * 删除标签
+ */
+export async function remove(libraryId, id) {
+  return api.delete(`/tag/${id}?libraryId=${libraryId}`);
+}
+
+/**
+ * 批量为图片添加标签（不存在的标签自动创建）
+ */
+export async function addToImages(libraryId, paths, tags) {
+  return api.post('/tag/batch-add', {
+    libraryId,
+    paths: Array.isArray(paths) ? paths : [paths],
+    tags: Array.isArray(tags) ? tags : [tags]
+  });
+}
+
+/**
+ * 批量移除图片的标签
+ */
+export async function removeFromImages(libraryId, paths, tags) {
+  return api.post('/tag/batch-remove', {
+    libraryId,
+    paths: Array.isArray(paths) ? paths : [paths],
+    tags: Array.isArray(tags) ? tags : [tags]
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * API 令牌 API（管理当前用户的令牌）
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取当前用户的 API 令牌
+ * 返回 [{ id, name, scopes, hint, expiresAt, expired, lastUsedAt, createdAt }]
+ */
+export async function getAll() {
+  return api.get('/token');
+}
+
+/**
+ * 创建 API 令牌
+ * data: { name, scopes: ['read'|'write'|'scan'|'admin'], expiresAt? }
+ * 返回的 token 为明文令牌，只返回这一次
+ */
+export async function create(data) {
+  return api.post('/token', data);
+}
+
+/**
+ * 撤销 API 令牌
+ */
+export async function revoke(id) {
+  return api.delete(`/token/${id}`);
+}
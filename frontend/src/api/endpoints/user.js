@@ -0,0 +1,35 @@
+/**
+ * 用户管理 API（需要系统管理员权限）
+ */
+
+import { api } from '../client';
+
+/**
+ * 获取用户列表
+ * 返回 [{ id, username, isAdmin, libraries: { [libraryId]: 'viewer'|'editor'|'admin' }, createdAt }]
+ */
+export async function getAll() {
+  return api.get('/user');
+}
+
+/**
+ * 创建用户
+ * data: { username, password, isAdmin, libraries }
+ */
+export async function create(data) {
+  return api.post('/user', data);
+}
+
+/**
+ * 更新用户（password 留空时不修改密码）
+ */
+export async function update(id, data) {
+  return api.put(`/user/${id}`, data);
+}
+
+/**
+ * 删除用户
+ */
+export async function remove(id) {
+  return api.delete(`/user/${id}`);
+}
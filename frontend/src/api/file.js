@@ -2,7 +2,7 @@
  * 文件操作 API 客户端
  */
 
-import { api, getToken } from './client';
+import { api, getToken, refreshAccessToken } from './client';
 import axios from 'axios';
 
 const API_BASE = '/api';
@@ -124,17 +124,29 @@ export const fileAPI = {
       formData.append('files', file);
     }
 
-    // 使用 Axios 处理上传（支持进度回调），手动添加 Authorization 头
+    // 使用 Axios 处理上传（支持进度回调），手动添加 Authorization 头；访问 Token 过期时刷新后重试一次
+    const send = () => {
+      const token = getToken();
+      const headers = {};
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      return axios.post(`${API_BASE}/upload`, formData, {
+        headers,
+        onUploadProgress: onProgress
+      });
+    };
+
     const token = getToken();
-    const headers = {};
-    if (token) {
-      headers.Authorization = `Bearer ${token}`;
+    try {
+      const response = await send();
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && token && await refreshAccessToken(token)) {
+        const response = await send();
+        return response.data;
+      }
+      throw error;
     }
-
-    const response = await axios.post(`${API_BASE}/upload`, formData, {
-      headers,
-      onUploadProgress: onProgress
-    });
-    return response.data;
   }
 };
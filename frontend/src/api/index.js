@@ -5,11 +5,29 @@
 import * as library from './endpoints/library';
 import * as image from './endpoints/image';
 import * as scan from './endpoints/scan';
+import * as tag from './endpoints/tag';
+import * as album from './endpoints/album';
+import * as smartAlbum from './endpoints/smartAlbum';
+import * as duplicate from './endpoints/duplicate';
+import * as maintenance from './endpoints/maintenance';
+import * as exportZip from './endpoints/export';
+import * as user from './endpoints/user';
+import * as share from './endpoints/share';
+import * as token from './endpoints/token';
 import { fileAPI } from './file';
 
 export const libraryAPI = library;
 export const imageAPI = image;
 export const scanAPI = scan;
+export const tagAPI = tag;
+export const albumAPI = album;
+export const smartAlbumAPI = smartAlbum;
+export const duplicateAPI = duplicate;
+export const maintenanceAPI = maintenance;
+export const exportAPI = exportZip;
+export const userAPI = user;
+export const shareAPI = share;
+export const tokenAPI = token;
 export { fileAPI };
 
 export { api, APIError } from './client';
@@ -0,0 +1,300 @@
+/**
+ * 相册列表组件（侧边栏）
+ * 相册用于跨文件夹整理图片，不移动文件；从网格拖拽图片到相册即可加入，
+ * 拖拽相册可调整顺序，右键重命名、删除
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { BookImage, ChevronRight, ChevronDown, Plus } from 'lucide-react';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useImageStore } from '../stores/useImageStore';
+import { albumAPI } from '../api';
+import { useImageAlbum } from '../hooks/useImageAlbum';
+import { onUserActionStart } from '../services/imageLoadService';
+import ContextMenu, { menuItems } from './ContextMenu';
+import ShareLinkModal from './ShareLinkModal';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('AlbumList');
+
+// 拖拽排序相册时使用的数据类型（与拖拽图片的 application/json 区分）
+const ALBUM_DRAG_TYPE = 'application/x-flypic-album';
+
+function AlbumList() {
+  const { currentLibraryId } = useLibraryStore();
+  const { albums, selectedAlbum, setAlbums, setSelectedAlbum } = useImageStore();
+  const { handleAddToAlbum } = useImageAlbum();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [contextMenu, setContextMenu] = useState({ isOpen: false, position: null, album: null });
+  const [shareTarget, setShareTarget] = useState(null);
+  const [dragOverAlbum, setDragOverAlbum] = useState(null);
+  // 编辑状态：{ mode: 'create' } | { mode: 'rename', album }
+  const [editing, setEditing] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const inputRef = useRef(null);
+
+  // 加载相册列表
+  const loadAlbums = useCallback(async () => {
+    if (!currentLibraryId) {
+      setAlbums([]);
+      return;
+    }
+    try {
+      const res = await albumAPI.getAll(currentLibraryId);
+      setAlbums(res.albums || []);
+    } catch (error) {
+      logger.error('加载相册失败:', error.message);
+    }
+  }, [currentLibraryId, setAlbums]);
+
+  useEffect(() => {
+    loadAlbums();
+  }, [loadAlbums]);
+
+  // 进入编辑状态后聚焦输入框
+  useEffect(() => {
+    if (editing) {
+      setTimeout(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+      }, 50);
+    }
+  }, [editing]);
+
+  // 点击相册：浏览相册中的图片
+  const handleAlbumClick = (album) => {
+    if (selectedAlbum?.id === album.id) return;
+    onUserActionStart();
+    setSelectedAlbum({ id: album.id, name: album.name });
+    useImageStore.getState().clearSelection();
+  };
+
+  const handleStartCreate = () => {
+    setIsCollapsed(false);
+    setEditing({ mode: 'create' });
+    setEditingName('');
+  };
+
+  const handleStartRename = (album) => {
+    setEditing({ mode: 'rename', album });
+    setEditingName(album.name);
+  };
+
+  const handleCancelEdit = () => {
+    setEditing(null);
+    setEditingName('');
+  };
+
+  const handleFinishEdit = async () => {
+    if (!editing) return;
+    const name = editingName.trim();
+    const current = editing;
+    handleCancelEdit();
+
+    if (!name) return;
+
+    try {
+      if (current.mode === 'create') {
+        await albumAPI.create(currentLibraryId, name);
+        logger.data(`创建相册: ${name}`);
+      } else if (name !== current.album.name) {
+        await albumAPI.rename(currentLibraryId, current.album.id, name);
+        logger.data(`重命名相册: ${current.album.name} → ${name}`);
+        if (selectedAlbum?.id === current.album.id) {
+          setSelectedAlbum({ id: current.album.id, name });
+        }
+      }
+      await loadAlbums();
+    } catch (error) {
+      logger.error('保存相册失败:', error);
+      alert('保存相册失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleDeleteAlbum = async (album) => {
+    if (!confirm(`确定删除相册「${album.name}」吗？\n相册中的图片不会被删除。`)) return;
+
+    try {
+      await albumAPI.remove(currentLibraryId, album.id);
+      logger.data(`删除相册: ${album.name}`);
+      if (selectedAlbum?.id === album.id) {
+        setSelectedAlbum(null);
+      }
+      await loadAlbums();
+    } catch (error) {
+      logger.error('删除相册失败:', error);
+      alert('删除相册失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  // 拖拽相册到另一个相册的位置：调整顺序
+  const handleReorder = async (draggedId, targetAlbum) => {
+    if (draggedId === targetAlbum.id) return;
+
+    const ids = albums.map(album => album.id).filter(id => id !== draggedId);
+    ids.splice(ids.indexOf(targetAlbum.id), 0, draggedId);
+
+    // 先在本地调整顺序，避免等待接口时列表跳动
+    const byId = new Map(albums.map(album => [album.id, album]));
+    setAlbums(ids.map(id => byId.get(id)));
+
+    try {
+      const res = await albumAPI.reorder(currentLibraryId, ids);
+      setAlbums(res.albums || []);
+    } catch (error) {
+      logger.error('调整相册顺序失败:', error);
+      await loadAlbums();
+    }
+  };
+
+  const handleDrop = async (e, album) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragOverAlbum(null);
+
+    if (!currentLibraryId) return;
+
+    // 拖拽相册：调整顺序
+    const draggedAlbumId = e.dataTransfer.getData(ALBUM_DRAG_TYPE);
+    if (draggedAlbumId) {
+      await handleReorder(Number(draggedAlbumId), album);
+      return;
+    }
+
+    // 从网格拖拽图片：加入相册
+    try {
+      const { items } = JSON.parse(e.dataTransfer.getData('application/json'));
+      const paths = (items || []).filter(item => item.type === 'file').map(item => item.path);
+      await handleAddToAlbum(album, paths);
+    } catch (error) {
+      logger.error('拖拽加入相册失败:', error);
+    }
+  };
+
+  const renderEditInput = () => (
+    <div className="flex items-center px-3 py-1.5">
+      <div className="w-5 mr-1" />
+      <BookImage className="w-4 h-4 mr-2 text-amber-500 flex-shrink-0" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={editingName}
+        placeholder="相册名"
+        onChange={(e) => setEditingName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handleFinishEdit();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            handleCancelEdit();
+          }
+        }}
+        onBlur={handleFinishEdit}
+        onClick={(e) => e.stopPropagation()}
+        className="flex-1 text-sm text-gray-700 dark:text-gray-300 bg-transparent border-none outline-none focus:outline-none underline decoration-2 decoration-green-500 underline-offset-2"
+      />
+    </div>
+  );
+
+  if (!currentLibraryId) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="h-px bg-gray-200 dark:bg-gray-700 my-2" />
+
+      {/* 标题栏 */}
+      <div className="flex items-center px-3 py-1">
+        <button
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          className="flex items-center flex-1 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide"
+        >
+          {isCollapsed ? (
+            <ChevronRight className="w-3 h-3 mr-1" />
+          ) : (
+            <ChevronDown className="w-3 h-3 mr-1" />
+          )}
+          相册
+        </button>
+        <button
+          onClick={handleStartCreate}
+          className="p-1 rounded text-gray-400 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="新建相册"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        <div className="space-y-1">
+          {albums.map((album) => (
+            editing?.mode === 'rename' && editing.album.id === album.id ? (
+              <div key={album.id}>{renderEditInput()}</div>
+            ) : (
+              <div
+                key={album.id}
+                draggable
+                className={`flex items-center px-3 py-2 rounded-md cursor-pointer transition-colors ${
+                  selectedAlbum?.id === album.id
+                    ? 'bg-blue-50 dark:bg-blue-900'
+                    : dragOverAlbum === album.id
+                    ? 'bg-green-100 dark:bg-green-900'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+                onClick={() => handleAlbumClick(album)}
+                onContextMenu={(e) => {
+                  e.preventDefault();
+                  setContextMenu({ isOpen: true, position: { x: e.clientX, y: e.clientY }, album });
+                }}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(ALBUM_DRAG_TYPE, String(album.id));
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                onDrop={(e) => handleDrop(e, album)}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  setDragOverAlbum(album.id);
+                }}
+                onDragLeave={(e) => {
+                  e.preventDefault();
+                  setDragOverAlbum(null);
+                }}
+              >
+                <div className="w-5 mr-1" />
+                <BookImage className="w-4 h-4 mr-2 text-amber-500 flex-shrink-0" />
+                <span className="text-sm text-gray-700 dark:text-gray-300 truncate flex-1">
+                  {album.name}
+                </span>
+                <span className="text-xs text-gray-400 ml-2 flex-shrink-0">{album.imageCount}</span>
+              </div>
+            )
+          ))}
+          {editing?.mode === 'create' && renderEditInput()}
+          {albums.length === 0 && !editing && (
+            <div className="text-center py-4 text-gray-400 dark:text-gray-500 text-xs">
+              点击 + 新建相册，然后将图片拖拽到相册中
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* 相册右键菜单 */}
+      <ContextMenu
+        isOpen={contextMenu.isOpen}
+        position={contextMenu.position}
+        onClose={() => setContextMenu({ isOpen: false, position: null, album: null })}
+        options={contextMenu.album ? [
+          menuItems.rename(() => handleStartRename(contextMenu.album)),
+          menuItems.share(() => setShareTarget({ type: 'album', albumId: contextMenu.album.id, title: contextMenu.album.name })),
+          menuItems.divider(),
+          menuItems.deleteAlbum(() => handleDeleteAlbum(contextMenu.album))
+        ] : []}
+      />
+
+      <ShareLinkModal isOpen={!!shareTarget} target={shareTarget} onClose={() => setShareTarget(null)} />
+    </div>
+  );
+}
+
+export default AlbumList;
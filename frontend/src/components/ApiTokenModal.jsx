@@ -0,0 +1,215 @@
+/**
+ * API 令牌弹窗
+ * 为脚本和自动化创建长期令牌（Authorization: Bearer <令牌>），令牌的权限不超过当前用户的角色；
+ * 明文令牌只在创建后显示一次
+ */
+
+import { useState, useEffect } from 'react';
+import { KeyRound, X, Copy, Check, Trash2, Loader2 } from 'lucide-react';
+import { tokenAPI } from '../api';
+import { EXPIRY_OPTIONS } from './ShareLinkModal';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ApiTokenModal');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const SCOPE_OPTIONS = [
+  { value: 'read', label: '读取', description: '浏览素材库、图片和标签' },
+  { value: 'write', label: '修改', description: '文件操作、上传、标签、相册等' },
+  { value: 'scan', label: '扫描', description: '扫描素材库和维护缩略图' },
+  { value: 'admin', label: '管理', description: '用户、素材库和令牌管理（包含所有权限）' }
+];
+
+const TOKEN_EXPIRY_OPTIONS = [...EXPIRY_OPTIONS, { value: 365, label: '1 年' }];
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '从未使用');
+
+function ApiTokenModal({ isOpen, onClose }) {
+  const [tokens, setTokens] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['read']);
+  const [expiryDays, setExpiryDays] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // 打开时加载令牌列表并重置表单
+  useEffect(() => {
+    if (!isOpen) return;
+    setName('');
+    setScopes(['read']);
+    setExpiryDays(0);
+    setCreatedToken(null);
+    setIsLoading(true);
+    tokenAPI.getAll()
+      .then(setTokens)
+      .catch((error) => logger.error('加载 API 令牌失败:', error))
+      .finally(() => setIsLoading(false));
+  }, [isOpen]);
+
+  const toggleScope = (scope) => {
+    setScopes(prev => (prev.includes(scope) ? prev.filter(item => item !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async () => {
+    setIsSaving(true);
+    try {
+      const token = await tokenAPI.create({
+        name: name.trim(),
+        scopes,
+        expiresAt: expiryDays ? Date.now() + expiryDays * DAY_MS : null
+      });
+      logger.data(`创建 API 令牌: ${token.name}`);
+      const { token: plaintext, ...info } = token;
+      setTokens(prev => [info, ...prev]);
+      setCreatedToken(plaintext);
+      setCopied(false);
+      setName('');
+    } catch (error) {
+      logger.error('创建 API 令牌失败:', error);
+      alert('创建 API 令牌失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      logger.warn('复制令牌失败:', error);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!confirm(`撤销 API 令牌「${token.name}」？使用该令牌的脚本将无法再访问。`)) return;
+    try {
+      await tokenAPI.revoke(token.id);
+      setTokens(prev => prev.filter(item => item.id !== token.id));
+    } catch (error) {
+      logger.error('撤销 API 令牌失败:', error);
+      alert('撤销失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <KeyRound className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">API 令牌</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4 text-sm text-gray-600 dark:text-gray-300">
+          {/* 新建 */}
+          <div className="space-y-3">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              脚本通过请求头 <code>Authorization: Bearer &lt;令牌&gt;</code> 访问 API，令牌的权限不会超过你在各素材库中的角色
+            </p>
+            <div className="grid grid-cols-3 gap-3">
+              <label className="block col-span-2">
+                <span className="text-xs text-gray-500 dark:text-gray-400">名称</span>
+                <input className={inputClass} value={name} placeholder="例如：导入脚本" onChange={(e) => setName(e.target.value)} />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">有效期</span>
+                <select className={inputClass} value={expiryDays} onChange={(e) => setExpiryDays(Number(e.target.value))}>
+                  {TOKEN_EXPIRY_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {SCOPE_OPTIONS.map(({ value, label, description }) => (
+                <label key={value} className="flex items-start gap-2">
+                  <input type="checkbox" className="mt-0.5" checked={scopes.includes(value)} onChange={() => toggleScope(value)} />
+                  <span>
+                    {label}
+                    <span className="block text-xs text-gray-400">{description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <button
+                onClick={handleCreate}
+                disabled={isSaving || !name.trim() || scopes.length === 0}
+                className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded disabled:opacity-50"
+              >
+                {isSaving && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+                创建令牌
+              </button>
+            </div>
+            {createdToken && (
+              <div className="p-3 rounded-lg bg-green-50 dark:bg-green-900/20 space-y-2">
+                <p className="text-xs text-green-700 dark:text-green-400">令牌已创建，请立即复制保存，关闭后将无法再次查看：</p>
+                <div className="flex items-center gap-2">
+                  <input className={`${inputClass} font-mono`} value={createdToken} readOnly onFocus={(e) => e.target.select()} />
+                  <button
+                    onClick={handleCopy}
+                    className={`flex-shrink-0 p-1.5 rounded ${copied ? 'text-green-500' : 'text-gray-500 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                    title="复制令牌"
+                  >
+                    {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* 列表 */}
+          <div className="border-t border-gray-200 dark:border-gray-700 pt-3">
+            {isLoading && <Loader2 className="w-4 h-4 mx-auto animate-spin text-gray-400" />}
+            {!isLoading && tokens.length === 0 && (
+              <p className="text-center py-4 text-xs text-gray-400">还没有 API 令牌</p>
+            )}
+            <div className="divide-y divide-gray-200 dark:divide-gray-700">
+              {tokens.map(token => (
+                <div key={token.id} className="flex items-center gap-3 py-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-1.5">
+                      <span className="font-medium text-gray-900 dark:text-white truncate">{token.name}</span>
+                      <span className="font-mono text-xs text-gray-400">{token.hint}…</span>
+                      {token.expired && <span className="text-xs text-red-500">已过期</span>}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                      {token.scopes.map(scope => SCOPE_OPTIONS.find(option => option.value === scope)?.label || scope).join('、')}
+                      {' · '}最后使用：{formatTime(token.lastUsedAt)}
+                      {' · '}{token.expiresAt ? `${new Date(token.expiresAt).toLocaleString()} 过期` : '永久有效'}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(token)}
+                    className="p-1.5 rounded text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title="撤销令牌"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ApiTokenModal;
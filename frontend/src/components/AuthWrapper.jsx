@@ -7,10 +7,11 @@ import { useEffect } from 'react';
 import { useAuthStore } from '../stores/useAuthStore';
 import { authAPI } from '../api/auth';
 import { getToken } from '../api/client';
+import { clearAssetSignatures } from '../services/assetSignatureService';
 import Login from './Login';
 
 export default function AuthWrapper({ children }) {
-  const { hasPassword, isAuthenticated, isChecking, setAuthStatus, logout } = useAuthStore();
+  const { hasPassword, isAuthenticated, isChecking, setAuthStatus, setCurrentUser, logout } = useAuthStore();
 
   useEffect(() => {
     // 检查认证状态
@@ -18,6 +19,7 @@ export default function AuthWrapper({ children }) {
 
     // 监听 401 未授权事件
     const handleUnauthorized = () => {
+      clearAssetSignatures();
       logout();
     };
 
@@ -25,6 +27,14 @@ export default function AuthWrapper({ children }) {
     return () => window.removeEventListener('auth:unauthorized', handleUnauthorized);
   }, []);
 
+  // 认证通过后获取当前用户（Header 中显示，系统管理员可以管理用户）
+  useEffect(() => {
+    if (!hasPassword || !isAuthenticated) return;
+    authAPI.getCurrentUser()
+      .then(setCurrentUser)
+      .catch((error) => console.warn('⚠️ 获取当前用户失败:', error.message));
+  }, [hasPassword, isAuthenticated]);
+
   const checkAuth = async () => {
     try {
       const status = await authAPI.getAuthStatus();
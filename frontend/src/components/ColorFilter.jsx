@@ -0,0 +1,94 @@
+/**
+ * 颜色筛选（筛选面板中使用）
+ * 选择常用色或自定义颜色，按图片主色的接近程度筛选和排序；容差越大，匹配的颜色范围越宽
+ */
+
+import { X } from 'lucide-react';
+import { useImageStore } from '../stores/useImageStore';
+import { DEFAULT_COLOR_TOLERANCE } from '../utils/imageFilters';
+
+const PRESET_COLORS = [
+  { hex: '#e53935', label: '红' },
+  { hex: '#fb8c00', label: '橙' },
+  { hex: '#fdd835', label: '黄' },
+  { hex: '#43a047', label: '绿' },
+  { hex: '#00acc1', label: '青' },
+  { hex: '#1e88e5', label: '蓝' },
+  { hex: '#8e24aa', label: '紫' },
+  { hex: '#ec407a', label: '粉' },
+  { hex: '#6d4c41', label: '棕' },
+  { hex: '#ffffff', label: '白' },
+  { hex: '#9e9e9e', label: '灰' },
+  { hex: '#000000', label: '黑' }
+];
+
+// 容差滑块范围（Lab 空间 ΔE）
+const MIN_TOLERANCE = 5;
+const MAX_TOLERANCE = 60;
+
+function ColorFilter() {
+  const { filters, setFilters } = useImageStore();
+  const color = filters.color;
+  const tolerance = filters.colorTolerance ?? DEFAULT_COLOR_TOLERANCE;
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="grid grid-cols-6 gap-1.5">
+        {PRESET_COLORS.map(preset => (
+          <button
+            key={preset.hex}
+            onClick={() => setFilters({ color: color === preset.hex ? null : preset.hex })}
+            className={`w-6 h-6 rounded border transition-transform hover:scale-110 ${
+              color === preset.hex
+                ? 'ring-2 ring-blue-500 ring-offset-1 dark:ring-offset-gray-700 border-transparent'
+                : 'border-gray-300 dark:border-gray-500'
+            }`}
+            style={{ backgroundColor: preset.hex }}
+            title={preset.label}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          value={color || '#808080'}
+          onChange={(e) => setFilters({ color: e.target.value })}
+          className="w-8 h-6 p-0 border border-gray-300 dark:border-gray-500 rounded cursor-pointer bg-transparent"
+          title="自定义颜色"
+        />
+        <span className="flex-1 text-xs font-mono text-gray-600 dark:text-gray-300">
+          {color ? color.toUpperCase() : '未选择'}
+        </span>
+        {color && (
+          <button
+            onClick={() => setFilters({ color: null })}
+            className="p-0.5 rounded text-gray-500 hover:bg-gray-200 dark:hover:bg-gray-600"
+            title="清除颜色"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+
+      {color && (
+        <div>
+          <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+            <span>容差</span>
+            <span>{tolerance}</span>
+          </div>
+          <input
+            type="range"
+            min={MIN_TOLERANCE}
+            max={MAX_TOLERANCE}
+            value={tolerance}
+            onChange={(e) => setFilters({ colorTolerance: parseInt(e.target.value, 10) })}
+            className="w-full"
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ColorFilter;
@@ -1,10 +1,10 @@
 /**
  * 右键上下文菜单组件
- * 提供文件操作选项：删除、重命名、移动、复制
+ * 提供文件操作选项：删除、重命名、移动、复制、查找相似
  */
 
 import { useEffect, useRef } from 'react';
-import { Trash2, Edit3, Move, Copy, FolderPlus } from 'lucide-react';
+import { Trash2, Edit3, Move, Copy, FolderPlus, Tag, SearchCheck, ImageMinus, ScanSearch, Share2 } from 'lucide-react';
 
 function ContextMenu({ isOpen, position, onClose, options }) {
   const menuRef = useRef(null);
@@ -147,6 +147,11 @@ export const menuItems = {
     shortcut: 'Ctrl+C',
     action
   }),
+  findSimilar: (action) => ({
+    icon: <ScanSearch size={16} />,
+    label: '查找相似',
+    action
+  }),
   newSiblingFolder: (action) => ({
     icon: <FolderPlus size={16} />,
     label: '新建同级文件夹',
@@ -157,6 +162,44 @@ export const menuItems = {
     label: '新建子文件夹',
     action
   }),
+  newSubTag: (action) => ({
+    icon: <Tag size={16} />,
+    label: '新建子标签',
+    action
+  }),
+  deleteTag: (action) => ({
+    icon: <Trash2 size={16} />,
+    label: '删除标签',
+    danger: true,
+    action
+  }),
+  removeFromAlbum: (action) => ({
+    icon: <ImageMinus size={16} />,
+    label: '移出相册',
+    action
+  }),
+  deleteAlbum: (action) => ({
+    icon: <Trash2 size={16} />,
+    label: '删除相册',
+    danger: true,
+    action
+  }),
+  updateSmartAlbum: (action) => ({
+    icon: <SearchCheck size={16} />,
+    label: '用当前搜索更新',
+    action
+  }),
+  share: (action) => ({
+    icon: <Share2 size={16} />,
+    label: '创建分享链接',
+    action
+  }),
+  deleteSmartAlbum: (action) => ({
+    icon: <Trash2 size={16} />,
+    label: '删除智能相册',
+    danger: true,
+    action
+  }),
   divider: () => ({ divider: true })
 };
 
@@ -0,0 +1,362 @@
+/**
+ * 重复文件审查弹窗
+ * 后台计算文件内容哈希后，按内容相同的分组列出重复文件；每组点选要保留的一份，
+ * 其余文件通过删除接口移入临时文件夹，可以撤销
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Copy, X, Check, Loader2, Trash2, Square } from 'lucide-react';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useImageStore } from '../stores/useImageStore';
+import { duplicateAPI, imageAPI, fileAPI } from '../api';
+import UndoToast from './UndoToast';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('DuplicateReviewModal');
+
+// 每次加载的分组数
+const GROUP_PAGE_SIZE = 50;
+// 哈希任务进行中时的进度轮询间隔
+const STATUS_POLL_INTERVAL = 1000;
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+};
+
+function DuplicateReviewModal({ isOpen, onClose }) {
+  const { currentLibraryId } = useLibraryStore();
+  const [status, setStatus] = useState(null);
+  const [groups, setGroups] = useState([]);
+  const [totalGroups, setTotalGroups] = useState(0);
+  const [wastedSize, setWastedSize] = useState(0);
+  // 每组保留的图片：hash → path（默认保留最早创建的一份）
+  const [keepPaths, setKeepPaths] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [undoHistory, setUndoHistory] = useState([]);
+  const [undoToast, setUndoToast] = useState({ isVisible: false, message: '', count: 0 });
+
+  const isHashing = status?.status === 'running';
+
+  // 加载重复分组（删除后从头重新加载已显示的数量，避免分页偏移错位）
+  const loadGroups = useCallback(async (limit = GROUP_PAGE_SIZE) => {
+    if (!currentLibraryId) return;
+    setIsLoading(true);
+    try {
+      const res = await duplicateAPI.getGroups(currentLibraryId, { offset: 0, limit });
+      setGroups(res.groups);
+      setTotalGroups(res.total);
+      setWastedSize(res.wastedSize);
+    } catch (error) {
+      logger.error('加载重复文件失败:', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentLibraryId]);
+
+  const loadStatus = useCallback(async () => {
+    if (!currentLibraryId) return null;
+    try {
+      const res = await duplicateAPI.getHashStatus(currentLibraryId);
+      setStatus(res);
+      return res;
+    } catch (error) {
+      logger.error('获取哈希进度失败:', error.message);
+      return null;
+    }
+  }, [currentLibraryId]);
+
+  // 打开时加载进度和分组
+  useEffect(() => {
+    if (!isOpen) return;
+    setKeepPaths({});
+    loadStatus();
+    loadGroups();
+  }, [isOpen, loadStatus, loadGroups]);
+
+  // 哈希任务进行中：轮询进度，结束后刷新分组
+  useEffect(() => {
+    if (!isOpen || !isHashing) return;
+    const timer = setInterval(async () => {
+      const res = await loadStatus();
+      if (res && res.status !== 'running') {
+        loadGroups(Math.max(GROUP_PAGE_SIZE, groups.length));
+      }
+    }, STATUS_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isOpen, isHashing, loadStatus, loadGroups, groups.length]);
+
+  const handleStartHash = async () => {
+    try {
+      setStatus(await duplicateAPI.startHash(currentLibraryId));
+    } catch (error) {
+      logger.error('启动哈希任务失败:', error);
+      alert('启动失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleStopHash = async () => {
+    try {
+      setStatus(await duplicateAPI.stopHash(currentLibraryId));
+    } catch (error) {
+      logger.error('停止哈希任务失败:', error);
+    }
+  };
+
+  const closeUndoToast = useCallback(() => {
+    setUndoToast({ isVisible: false, message: '', count: 0 });
+  }, []);
+
+  const getKeepPath = (group) => keepPaths[group.hash] || group.images[0].path;
+
+  // 删除 / 恢复后刷新侧边栏的文件夹计数和图片总数
+  const refreshLibraryStats = async () => {
+    const [foldersRes, statsRes] = await Promise.all([
+      imageAPI.getFolders(currentLibraryId),
+      imageAPI.getStats(currentLibraryId)
+    ]);
+    const state = useImageStore.getState();
+    state.setFolders(foldersRes.folders);
+    state.setTotalImageCount(statsRes.total || 0);
+    state.setTotalSize(statsRes.totalSize || 0);
+  };
+
+  // 删除指定分组中未保留的文件
+  const handleDelete = async (targetGroups) => {
+    const items = targetGroups.flatMap(group => {
+      const keepPath = getKeepPath(group);
+      return group.images
+        .filter(image => image.path !== keepPath)
+        .map(image => ({ type: 'file', path: image.path }));
+    });
+    if (items.length === 0) return;
+
+    if (!confirm(`将 ${items.length} 个重复文件移入临时文件夹？\n每组保留选中的一份，删除后可撤销。`)) return;
+
+    setIsDeleting(true);
+    try {
+      const result = await fileAPI.delete(currentLibraryId, items);
+      const deleted = items.filter(item => !result.failed.some(failed => failed.path === item.path));
+      if (result.failed.length > 0) {
+        logger.warn(`⚠️ 删除失败: ${result.failed.length} 个文件`, result.failed);
+        alert(`有 ${result.failed.length} 个文件删除失败`);
+      }
+
+      if (deleted.length > 0) {
+        const newHistory = [...undoHistory, deleted];
+        setUndoHistory(newHistory);
+        setUndoToast({
+          isVisible: true,
+          message: `已将 ${deleted.length} 个文件移入临时文件夹（${newHistory.length}次可撤销）`,
+          count: deleted.length
+        });
+
+        // 从当前浏览的列表中移除已删除的图片
+        const deletedPaths = new Set(deleted.map(item => item.path));
+        const state = useImageStore.getState();
+        state.setImages(state.images.filter(img => !deletedPaths.has(img.path)));
+        state.setOriginalImages(state.originalImages.filter(img => !deletedPaths.has(img.path)));
+      }
+
+      await Promise.all([loadGroups(Math.max(GROUP_PAGE_SIZE, groups.length)), refreshLibraryStats()]);
+    } catch (error) {
+      logger.error('删除重复文件失败:', error);
+      alert('删除失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsDeleting(false);
+    }
+  };
+
+  const handleUndo = async () => {
+    if (undoHistory.length === 0) return;
+    const items = undoHistory[undoHistory.length - 1];
+    setUndoHistory(undoHistory.slice(0, -1));
+    closeUndoToast();
+
+    try {
+      const result = await fileAPI.restore(currentLibraryId, items);
+      if (result.failed.length > 0) {
+        const errorMsg = result.failed[0].error || '未知错误';
+        alert(`恢复失败: ${errorMsg}\n\n提示：超过5分钟的文件已移入系统回收站，请手动从回收站恢复。`);
+      }
+      await Promise.all([loadGroups(Math.max(GROUP_PAGE_SIZE, groups.length)), refreshLibraryStats()]);
+    } catch (error) {
+      logger.error('恢复失败:', error);
+      alert('恢复失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const getThumbnailUrl = (image) => {
+    if (!image.thumbnailPath) return '';
+    const filename = image.thumbnailPath.replace(/\\/g, '/').split('/').pop();
+    return imageAPI.getThumbnailUrl(currentLibraryId, filename);
+  };
+
+  if (!isOpen) return null;
+
+  const unhashed = status ? status.imageCount - status.hashed : 0;
+  const duplicateFileCount = groups.reduce((sum, group) => sum + group.images.length - 1, 0);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+        <div
+          className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-4xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* 标题 */}
+          <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+            <Copy className="w-5 h-5 text-blue-500" />
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">重复文件</h2>
+            <button
+              onClick={onClose}
+              className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {/* 哈希进度 */}
+          <div className="px-6 py-3 border-b border-gray-200 dark:border-gray-700 text-sm text-gray-600 dark:text-gray-300">
+            {isHashing ? (
+              <div className="flex items-center gap-3">
+                <Loader2 className="w-4 h-4 animate-spin text-blue-500 flex-shrink-0" />
+                <span className="flex-1">
+                  正在计算文件内容哈希… {Math.min(status.current, status.total)} / {status.total}
+                </span>
+                <button
+                  onClick={handleStopHash}
+                  className="flex items-center gap-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  <Square className="w-3 h-3" />
+                  停止
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center gap-3">
+                <span className="flex-1">
+                  {status
+                    ? unhashed > 0
+                      ? `已计算 ${status.hashed} / ${status.imageCount} 个文件，还有 ${unhashed} 个未计算，结果可能不完整`
+                      : `已计算全部 ${status.imageCount} 个文件`
+                    : '加载中…'}
+                  {status?.status === 'error' && <span className="text-red-500 ml-2">上次计算失败: {status.error}</span>}
+                </span>
+                {unhashed > 0 && (
+                  <button
+                    onClick={handleStartHash}
+                    className="px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded"
+                  >
+                    计算内容哈希
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* 分组列表 */}
+          <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+            {groups.length === 0 ? (
+              <div className="text-center py-12 text-gray-400 dark:text-gray-500 text-sm">
+                {isLoading ? '加载中…' : status?.hashed ? '没有发现重复文件' : '计算内容哈希后即可查找重复文件'}
+              </div>
+            ) : (
+              groups.map(group => {
+                const keepPath = getKeepPath(group);
+                return (
+                  <div key={group.hash} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                    <div className="flex items-center mb-2 text-xs text-gray-500 dark:text-gray-400">
+                      <span className="flex-1">
+                        {group.images.length} 份 · 每份 {formatSize(group.size)} · 点击选择要保留的一份
+                      </span>
+                      <button
+                        onClick={() => handleDelete([group])}
+                        disabled={isDeleting}
+                        className="flex items-center gap-1 px-2 py-1 rounded text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 disabled:opacity-50"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                        删除其余 {group.images.length - 1} 个
+                      </button>
+                    </div>
+                    <div className="flex gap-3 overflow-x-auto pb-1">
+                      {group.images.map(image => {
+                        const isKept = image.path === keepPath;
+                        return (
+                          <div
+                            key={image.path}
+                            onClick={() => setKeepPaths({ ...keepPaths, [group.hash]: image.path })}
+                            className={`relative w-36 flex-shrink-0 rounded-md border-2 cursor-pointer transition-colors ${
+                              isKept ? 'border-green-500' : 'border-transparent opacity-60 hover:opacity-100'
+                            }`}
+                            title={image.path}
+                          >
+                            <div className="h-24 bg-gray-100 dark:bg-gray-700 rounded-t overflow-hidden">
+                              {getThumbnailUrl(image) && (
+                                <img src={getThumbnailUrl(image)} alt={image.filename} className="w-full h-full object-contain" loading="lazy" />
+                              )}
+                            </div>
+                            {isKept && (
+                              <span className="absolute top-1 left-1 flex items-center gap-0.5 px-1.5 py-0.5 bg-green-500 text-white text-xs rounded">
+                                <Check className="w-3 h-3" />
+                                保留
+                              </span>
+                            )}
+                            <div className="px-1.5 py-1">
+                              <p className="text-xs text-gray-900 dark:text-gray-100 truncate">{image.filename}</p>
+                              <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{image.folder || '根目录'}</p>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              })
+            )}
+
+            {groups.length < totalGroups && (
+              <button
+                onClick={() => loadGroups(groups.length + GROUP_PAGE_SIZE)}
+                disabled={isLoading}
+                className="w-full py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-50 dark:hover:bg-gray-700 rounded disabled:opacity-50"
+              >
+                加载更多（还有 {totalGroups - groups.length} 组）
+              </button>
+            )}
+          </div>
+
+          {/* 底部操作 */}
+          {groups.length > 0 && (
+            <div className="flex items-center gap-3 px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+              <span className="flex-1 text-sm text-gray-600 dark:text-gray-300">
+                共 {totalGroups} 组重复，可释放 {formatSize(wastedSize)}
+              </span>
+              <button
+                onClick={() => handleDelete(groups)}
+                disabled={isDeleting}
+                className="flex items-center gap-1 px-4 py-2 text-sm bg-red-600 hover:bg-red-700 text-white rounded-lg disabled:opacity-50"
+              >
+                {isDeleting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                删除已显示分组中的 {duplicateFileCount} 个重复文件
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* 放在遮罩层外，避免点击撤销时关闭弹窗 */}
+      <UndoToast
+        isVisible={undoToast.isVisible}
+        message={undoToast.message}
+        onUndo={handleUndo}
+        onClose={closeUndoToast}
+        duration={5000}
+      />
+    </>
+  );
+}
+
+export default DuplicateReviewModal;
@@ -1,12 +1,15 @@
 /**
  * 空状态提示组件
+ * readOnly 为分享页只读模式，不显示添加素材库和上传提示
  */
 
-const EmptyState = ({ isLoading }) => {
+const EmptyState = ({ isLoading, readOnly = false }) => {
   return (
     <div className="text-center">
       {isLoading ? (
         <p className="text-lg mb-2">加载中...</p>
+      ) : readOnly ? (
+        <p className="text-lg mb-2">暂无图片</p>
       ) : (
         <>
           <p className="text-lg mb-2">暂无图片</p>
@@ -0,0 +1,316 @@
+/**
+ * 导出预设管理弹窗
+ * 预设保存在服务端全局配置中，导出时按预设缩放、转换格式、去除元数据、添加水印并按模板命名
+ */
+
+import { useState, useEffect } from 'react';
+import { SlidersHorizontal, X, Plus, Trash2, Loader2 } from 'lucide-react';
+import { exportAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ExportPresetModal');
+
+const FORMAT_OPTIONS = [
+  { value: 'original', label: '保持原格式' },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'png', label: 'PNG' },
+  { value: 'webp', label: 'WebP' }
+];
+
+const POSITION_OPTIONS = [
+  { value: 'top-left', label: '左上' },
+  { value: 'top-right', label: '右上' },
+  { value: 'center', label: '居中' },
+  { value: 'bottom-left', label: '左下' },
+  { value: 'bottom-right', label: '右下' }
+];
+
+const NEW_PRESET = {
+  name: '新预设',
+  format: 'jpeg',
+  quality: 85,
+  maxWidth: null,
+  maxHeight: null,
+  stripMetadata: false,
+  watermark: null,
+  filenameTemplate: '{name}'
+};
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// 数字输入框：留空表示不限制
+const parseOptionalInt = (value) => (value === '' ? null : parseInt(value, 10));
+
+function ExportPresetModal({ isOpen, onClose, presets, onPresetsChange }) {
+  const [editingId, setEditingId] = useState(null); // null 为新建
+  const [draft, setDraft] = useState(NEW_PRESET);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // 打开时编辑第一个预设
+  useEffect(() => {
+    if (!isOpen) return;
+    if (presets.length > 0) {
+      setEditingId(presets[0].id);
+      setDraft(presets[0]);
+    } else {
+      setEditingId(null);
+      setDraft(NEW_PRESET);
+    }
+    // 只在打开时重置，保存后由 reload 选中保存的预设
+  }, [isOpen]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+  const updateWatermark = (changes) => setDraft(prev => ({ ...prev, watermark: { ...prev.watermark, ...changes } }));
+
+  const handleWatermarkType = (type) => {
+    if (type === 'none') {
+      update({ watermark: null });
+    } else {
+      update({
+        watermark: {
+          type,
+          text: draft.watermark?.text || '',
+          path: draft.watermark?.path || '',
+          position: draft.watermark?.position || 'bottom-right',
+          opacity: draft.watermark?.opacity ?? 0.5,
+          scale: type === 'text' ? 0.04 : 0.2
+        }
+      });
+    }
+  };
+
+  const reload = async (selectId) => {
+    const list = await exportAPI.getPresets();
+    onPresetsChange(list);
+    const selected = list.find(preset => preset.id === selectId) || list[0];
+    setEditingId(selected ? selected.id : null);
+    setDraft(selected || NEW_PRESET);
+  };
+
+  const handleSave = async () => {
+    const { id, ...data } = draft;
+    if (data.watermark) {
+      // 只提交当前水印类型需要的字段
+      const { text, path, ...watermark } = data.watermark;
+      data.watermark = data.watermark.type === 'text' ? { ...watermark, text } : { ...watermark, path };
+    }
+
+    setIsSaving(true);
+    try {
+      const saved = editingId
+        ? await exportAPI.updatePreset(editingId, data)
+        : await exportAPI.createPreset(data);
+      await reload(saved.id);
+    } catch (error) {
+      logger.error('保存导出预设失败:', error);
+      alert('保存失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!editingId || !confirm(`删除预设「${draft.name}」？`)) return;
+    try {
+      await exportAPI.deletePreset(editingId);
+      await reload(null);
+    } catch (error) {
+      logger.error('删除导出预设失败:', error);
+      alert('删除失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const watermarkType = draft.watermark?.type || 'none';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <SlidersHorizontal className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">导出预设</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0 text-sm text-gray-600 dark:text-gray-300">
+          {/* 预设列表 */}
+          <div className="w-44 flex-shrink-0 border-r border-gray-200 dark:border-gray-700 overflow-y-auto p-2 space-y-1">
+            {presets.map(preset => (
+              <button
+                key={preset.id}
+                onClick={() => { setEditingId(preset.id); setDraft(preset); }}
+                className={`w-full text-left px-3 py-1.5 rounded truncate ${
+                  editingId === preset.id
+                    ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {preset.name}
+              </button>
+            ))}
+            <button
+              onClick={() => { setEditingId(null); setDraft(NEW_PRESET); }}
+              className={`w-full flex items-center gap-1 px-3 py-1.5 rounded ${
+                editingId === null
+                  ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
+                  : 'text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <Plus className="w-3.5 h-3.5" />
+              新建预设
+            </button>
+          </div>
+
+          {/* 预设设置 */}
+          <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+            <label className="block">
+              <span className="text-xs text-gray-500 dark:text-gray-400">名称</span>
+              <input className={inputClass} value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+            </label>
+
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">格式</span>
+                <select className={inputClass} value={draft.format} onChange={(e) => update({ format: e.target.value })}>
+                  {FORMAT_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">质量（1-100，PNG 无损）</span>
+                <input
+                  type="number" min="1" max="100" className={inputClass}
+                  value={draft.quality}
+                  disabled={draft.format === 'png'}
+                  onChange={(e) => update({ quality: parseInt(e.target.value, 10) || 1 })}
+                />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">最大宽度（留空不限）</span>
+                <input
+                  type="number" min="1" className={inputClass}
+                  value={draft.maxWidth ?? ''}
+                  onChange={(e) => update({ maxWidth: parseOptionalInt(e.target.value) })}
+                />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">最大高度（留空不限）</span>
+                <input
+                  type="number" min="1" className={inputClass}
+                  value={draft.maxHeight ?? ''}
+                  onChange={(e) => update({ maxHeight: parseOptionalInt(e.target.value) })}
+                />
+              </label>
+            </div>
+
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={draft.stripMetadata} onChange={(e) => update({ stripMetadata: e.target.checked })} />
+              <span>去除元数据（EXIF、GPS、色彩配置等）</span>
+            </label>
+
+            <label className="block">
+              <span className="text-xs text-gray-500 dark:text-gray-400">
+                文件名模板（可用 {'{name}'} {'{folder}'} {'{w}'} {'{h}'} {'{index}'}，扩展名自动添加）
+              </span>
+              <input className={inputClass} value={draft.filenameTemplate} onChange={(e) => update({ filenameTemplate: e.target.value })} />
+            </label>
+
+            {/* 水印 */}
+            <div className="space-y-2">
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">水印</span>
+                <select className={inputClass} value={watermarkType} onChange={(e) => handleWatermarkType(e.target.value)}>
+                  <option value="none">无</option>
+                  <option value="text">文字</option>
+                  <option value="image">图片</option>
+                </select>
+              </label>
+              {draft.watermark && (
+                <>
+                  {watermarkType === 'text' ? (
+                    <input
+                      className={inputClass} placeholder="水印文字"
+                      value={draft.watermark.text}
+                      onChange={(e) => updateWatermark({ text: e.target.value })}
+                    />
+                  ) : (
+                    <input
+                      className={inputClass} placeholder="服务器上水印图片的完整路径，如 /vol1/1000/logo.png"
+                      value={draft.watermark.path}
+                      onChange={(e) => updateWatermark({ path: e.target.value })}
+                    />
+                  )}
+                  <div className="grid grid-cols-3 gap-3">
+                    <label className="block">
+                      <span className="text-xs text-gray-500 dark:text-gray-400">位置</span>
+                      <select className={inputClass} value={draft.watermark.position} onChange={(e) => updateWatermark({ position: e.target.value })}>
+                        {POSITION_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                    </label>
+                    <label className="block">
+                      <span className="text-xs text-gray-500 dark:text-gray-400">不透明度 {Math.round(draft.watermark.opacity * 100)}%</span>
+                      <input
+                        type="range" min="0.1" max="1" step="0.05" className="w-full"
+                        value={draft.watermark.opacity}
+                        onChange={(e) => updateWatermark({ opacity: parseFloat(e.target.value) })}
+                      />
+                    </label>
+                    <label className="block">
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        {watermarkType === 'text' ? '字号' : '宽度'} {Math.round(draft.watermark.scale * 100)}%
+                      </span>
+                      <input
+                        type="range" min="0.01" max={watermarkType === 'text' ? 0.2 : 1} step="0.01" className="w-full"
+                        value={draft.watermark.scale}
+                        onChange={(e) => updateWatermark({ scale: parseFloat(e.target.value) })}
+                      />
+                    </label>
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {/* 操作 */}
+        <div className="flex items-center gap-3 px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+          {editingId && (
+            <button
+              onClick={handleDelete}
+              className="flex items-center gap-1 px-3 py-1 text-sm text-red-600 dark:text-red-400 rounded hover:bg-red-50 dark:hover:bg-red-900/20"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+              删除
+            </button>
+          )}
+          <span className="flex-1" />
+          <button
+            onClick={onClose}
+            className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            关闭
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded disabled:opacity-50"
+          >
+            {isSaving && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+            {editingId ? '保存' : '创建'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportPresetModal;
@@ -1,16 +1,51 @@
-import { X, ExternalLink } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { X, ExternalLink, ChevronLeft, ChevronRight, Loader2 } from 'lucide-react';
 import { imageAPI } from '../api';
 
 /**
  * 文件查看器 - 支持视频播放和文档查看
- * 不依赖额外库，使用浏览器原生能力
+ * 视频、音频使用浏览器原生能力；扫描时能生成预览的设计文件和文档（PSD、PDF 等，带 pageCount）
+ * 显示服务端渲染的预览图，多页文档可以翻页（← / → 键）
+ * urls 为分享页使用的地址 { original, preview(page) }，original 为 null 时（分享不允许下载）不提供原文件
  */
-function FileViewer({ file, libraryId, onClose }) {
+function FileViewer({ file, libraryId, urls = null, onClose }) {
+  const [page, setPage] = useState(1);
+  const [previewStatus, setPreviewStatus] = useState('loading'); // loading | loaded | error
+  const pageCount = file?.pageCount || 0;
+
+  // 切换文件时回到第一页
+  useEffect(() => {
+    setPage(1);
+  }, [file?.path]);
+
+  useEffect(() => {
+    setPreviewStatus('loading');
+  }, [file?.path, page]);
+
+  // 键盘翻页
+  useEffect(() => {
+    if (pageCount <= 1) return undefined;
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+        e.preventDefault();
+        setPage(current => Math.max(1, current - 1));
+      } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+        e.preventDefault();
+        setPage(current => Math.min(pageCount, current + 1));
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [pageCount]);
+
   if (!file) return null;
 
   // 兼容前端的 fileType 字段和旧的 file_type 字段
   const fileType = file.fileType || file.file_type || 'image';
-  const originalUrl = imageAPI.getOriginalUrl(libraryId, file.path);
+  const originalUrl = urls ? urls.original : imageAPI.getOriginalUrl(libraryId, file.path);
+  const showPreview = pageCount > 0 && (fileType === 'design' || fileType === 'document');
 
   // 在浏览器中打开原始文件（交给浏览器/系统处理）
   const openInSystem = async () => {
@@ -31,13 +66,15 @@ function FileViewer({ file, libraryId, onClose }) {
           {file.filename}
         </div>
         <div className="flex items-center gap-2">
-          <button
-            onClick={openInSystem}
-            className="p-2 text-white hover:bg-white hover:bg-opacity-20 rounded transition-colors"
-            title="在系统默认应用中打开"
-          >
-            <ExternalLink className="w-5 h-5" />
-          </button>
+          {originalUrl && (
+            <button
+              onClick={openInSystem}
+              className="p-2 text-white hover:bg-white hover:bg-opacity-20 rounded transition-colors"
+              title="在系统默认应用中打开"
+            >
+              <ExternalLink className="w-5 h-5" />
+            </button>
+          )}
           <button
             onClick={onClose}
             className="p-2 text-white hover:bg-white hover:bg-opacity-20 rounded transition-colors"
@@ -83,7 +120,59 @@ function FileViewer({ file, libraryId, onClose }) {
           </div>
         )}
 
-        {fileType === 'document' && (
+        {showPreview && (
+          <div className="relative w-full h-full flex items-center justify-center">
+            {previewStatus === 'loading' && (
+              <Loader2 className="absolute w-8 h-8 text-white opacity-70 animate-spin" />
+            )}
+            {previewStatus === 'error' ? (
+              <div className="text-center text-white">
+                <p className="mb-4">预览加载失败</p>
+                <button
+                  onClick={openInSystem}
+                  className="px-6 py-3 bg-blue-500 hover:bg-blue-600 rounded-lg transition-colors"
+                >
+                  在系统默认应用中打开
+                </button>
+              </div>
+            ) : (
+              <img
+                key={page}
+                src={urls ? urls.preview(page) : imageAPI.getPreviewUrl(libraryId, file.path, page)}
+                alt={`${file.filename} 第 ${page} 页`}
+                className={`max-w-full max-h-full object-contain bg-white rounded shadow-2xl transition-opacity ${
+                  previewStatus === 'loaded' ? 'opacity-100' : 'opacity-0'
+                }`}
+                onLoad={() => setPreviewStatus('loaded')}
+                onError={() => setPreviewStatus('error')}
+              />
+            )}
+
+            {pageCount > 1 && (
+              <div className="absolute bottom-0 left-1/2 -translate-x-1/2 translate-y-12 flex items-center gap-3 px-3 py-1.5 bg-black bg-opacity-60 rounded-full text-white text-sm">
+                <button
+                  onClick={() => setPage(current => Math.max(1, current - 1))}
+                  disabled={page <= 1}
+                  className="p-1 rounded-full hover:bg-white hover:bg-opacity-20 disabled:opacity-30 disabled:hover:bg-transparent transition-colors"
+                  title="上一页 (←)"
+                >
+                  <ChevronLeft className="w-5 h-5" />
+                </button>
+                <span className="tabular-nums">{page} / {pageCount}</span>
+                <button
+                  onClick={() => setPage(current => Math.min(pageCount, current + 1))}
+                  disabled={page >= pageCount}
+                  className="p-1 rounded-full hover:bg-white hover:bg-opacity-20 disabled:opacity-30 disabled:hover:bg-transparent transition-colors"
+                  title="下一页 (→)"
+                >
+                  <ChevronRight className="w-5 h-5" />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {fileType === 'document' && !showPreview && (
           <div className="w-full h-full bg-white rounded shadow-2xl overflow-hidden">
             {file.format === 'pdf' ? (
               <iframe
@@ -102,7 +191,7 @@ function FileViewer({ file, libraryId, onClose }) {
           </div>
         )}
 
-        {(fileType === 'design' || fileType === 'other' || !fileType) && (
+        {((fileType === 'design' && !showPreview) || fileType === 'other' || !fileType) && (
           <div className="text-center text-white">
             <p className="mb-4">此文件类型需要在专业软件中打开</p>
             <button
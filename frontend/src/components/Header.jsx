@@ -1,33 +1,50 @@
 import { useState, useEffect, useMemo, useRef } from 'react';
-import { Sun, Moon, Search, Filter, Sliders, RefreshCw, Star } from 'lucide-react';
+import { Sun, Moon, Search, Filter, Sliders, RefreshCw, Star, ArrowDownWideNarrow, ArrowUpNarrowWide, Shuffle, Film, Share2 } from 'lucide-react';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { useImageStore } from '../stores/useImageStore';
 import { useUIStore } from '../stores/useUIStore';
 import { useScanStore } from '../stores/useScanStore';
+import { useAuthStore } from '../stores/useAuthStore';
 import { useTheme } from '../hooks/useTheme';
 import { libraryAPI, scanAPI, watchAPI } from '../api';
+import { SORT_OPTIONS, DEFAULT_SORT, createRandomSeed } from '../utils/imageSort';
+import { parseSearchQuery } from '../utils/searchQuery';
+import { hasActiveFilters, DEFAULT_COLOR_TOLERANCE } from '../utils/imageFilters';
+import SearchQueryChips from './SearchQueryChips';
+import ColorFilter from './ColorFilter';
+import UserMenu from './UserMenu';
+import ShareManagementModal from './ShareManagementModal';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('Header');
 
 function Header() {
-  const { currentLibraryId } = useLibraryStore();
-  const { searchKeywords, originalImages, selectedFolder, setSearchKeywords, filters, setFilters, resetFilters } = useImageStore();
+  const { currentLibraryId, updateLibrary, getCurrentLibrary } = useLibraryStore();
+  const { searchKeywords, originalImages, selectedFolder, selectedSmartAlbum, similarTo, setSearchKeywords, filters, setFilters, resetFilters, sort, setSort } = useImageStore();
   const { thumbnailHeight, setThumbnailHeight, mobileView } = useUIStore();
   const { theme, toggleTheme } = useTheme();
+  const currentUser = useAuthStore(state => state.currentUser);
   
   const [showFilters, setShowFilters] = useState(false);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
   const [showMobileSettings, setShowMobileSettings] = useState(false);
+  const [showShares, setShowShares] = useState(false);
   const [localSearchValue, setLocalSearchValue] = useState(searchKeywords);
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
   const searchDebounceRef = useRef(null);
+
+  // 解析搜索语法，用于渲染条件标签和校验
+  const parsedQuery = useMemo(() => parseSearchQuery(localSearchValue), [localSearchValue]);
+  const searchError = parsedQuery.errors[0]?.message;
   
   // 从全局 store 获取筛选状态
   const selectedFormats = filters.formats || [];
   const selectedSizes = filters.sizes || [];
   const selectedOrientations = filters.orientations || [];
   const selectedRatings = filters.ratings || [];
+  const animatedOnly = Boolean(filters.animated);
+  const hasFilters = hasActiveFilters(filters);
 
   // 检测移动端
   useEffect(() => {
@@ -39,10 +56,16 @@ function Header() {
     return () => window.removeEventListener('resize', checkMobile);
   }, []);
 
-  // 监听文件夹变化，自动清空筛选
+  // 监听文件夹 / 智能相册 / 相似图片变化，自动清空筛选
   useEffect(() => {
     resetFilters();
-  }, [selectedFolder, resetFilters]);
+  }, [selectedFolder, selectedSmartAlbum, similarTo?.id, resetFilters]);
+
+  // 切换素材库时恢复该素材库保存的排序方式
+  useEffect(() => {
+    const library = useLibraryStore.getState().getCurrentLibrary();
+    setSort(library?.preferences?.sort || DEFAULT_SORT);
+  }, [currentLibraryId, setSort]);
 
   // 🎯 内存优化：禁用前端启动 chokidar 文件监控
   // 后端已经使用轻量级监控器（智能轮询），不需要前端启动
@@ -73,9 +96,11 @@ function Header() {
       clearTimeout(searchDebounceRef.current);
     }
     
-    // 300ms 后触发实际搜索
+    // 300ms 后触发实际搜索（语法有误时保留上一次的搜索结果）
     searchDebounceRef.current = setTimeout(() => {
-      setSearchKeywords(value);
+      if (parseSearchQuery(value).errors.length === 0) {
+        setSearchKeywords(value);
+      }
     }, 300);
   };
 
@@ -176,7 +201,7 @@ function Header() {
   // 分析原始图片列表，生成可选项（基于 originalImages，不受筛选影响）
   const filterOptions = useMemo(() => {
     if (originalImages.length === 0) {
-      return { formats: [], sizes: [], hasHorizontal: false, hasVertical: false, hasSquare: false, ratings: [] };
+      return { formats: [], sizes: [], hasHorizontal: false, hasVertical: false, hasSquare: false, hasAnimated: false, ratings: [] };
     }
 
     const formats = new Set();
@@ -185,6 +210,7 @@ function Header() {
     let hasHorizontal = false;
     let hasVertical = false;
     let hasSquare = false;
+    let hasAnimated = false;
 
     originalImages.forEach(img => {
       // 格式
@@ -207,6 +233,8 @@ function Header() {
       // 评分统计
       const rating = img.rating || 0;
       ratings.add(rating);
+
+      if (img.animated) hasAnimated = true;
     });
 
     // 计算文件大小范围
@@ -218,6 +246,7 @@ function Header() {
       hasHorizontal,
       hasVertical,
       hasSquare,
+      hasAnimated,
       ratings: Array.from(ratings).sort((a, b) => b - a)  // 评分降序排列
     };
   }, [originalImages]);
@@ -251,9 +280,13 @@ function Header() {
     setFilters({ ratings: newRatings });
   };
 
+  const toggleAnimated = () => {
+    setFilters({ animated: !animatedOnly });
+  };
+
   // 清除筛选
   const clearFilters = () => {
-    setFilters({ formats: [], sizes: [], orientations: [], ratings: [] });
+    setFilters({ formats: [], sizes: [], orientations: [], ratings: [], animated: false, color: null, colorTolerance: DEFAULT_COLOR_TOLERANCE });
   };
 
   const handleThumbnailHeightChange = async (height) => {
@@ -265,6 +298,41 @@ function Header() {
     }
   };
 
+  // 修改排序方式并保存到当前素材库
+  const handleSortChange = async (changes) => {
+    if (!currentLibraryId) return;
+
+    const newSort = { field: sort.field, order: sort.order, ...changes };
+    if (newSort.field === 'random') {
+      newSort.seed = changes.seed ?? sort.seed ?? createRandomSeed();
+    } else {
+      delete newSort.seed;
+    }
+
+    setSort(newSort);
+    try {
+      const result = await libraryAPI.updatePreferences({ libraryId: currentLibraryId, sort: newSort });
+      updateLibrary(currentLibraryId, { preferences: result.preferences });
+    } catch (error) {
+      logger.error('保存排序方式失败:', error.message);
+    }
+  };
+
+  // 开启 / 关闭当前素材库的动态缩略图，保存后同步素材库以生成或清理动图的动态缩略图
+  const animatedThumbnails = Boolean(getCurrentLibrary()?.preferences?.animatedThumbnails);
+  const handleAnimatedThumbnailsChange = async (enabled) => {
+    if (!currentLibraryId) return;
+
+    try {
+      const result = await libraryAPI.updatePreferences({ libraryId: currentLibraryId, animatedThumbnails: enabled });
+      updateLibrary(currentLibraryId, { preferences: result.preferences });
+    } catch (error) {
+      logger.error('保存动态缩略图设置失败:', error.message);
+      return;
+    }
+    handleRefresh();
+  };
+
   const handleRefresh = async () => {
     if (!currentLibraryId || isRefreshing) return;
     
@@ -294,6 +362,9 @@ function Header() {
   );
   const availableRatings = filterOptions.ratings;
 
+  // 分享链接管理：未设置密码时不限制，浏览者不能创建分享
+  const canManageShares = !currentUser || currentUser.isAdmin || Object.values(currentUser.libraries).some(role => role !== 'viewer');
+
   // 移动端布局
   if (isMobile) {
     // 文件夹视图不显示搜索和筛选
@@ -321,6 +392,17 @@ function Header() {
               <Sliders className="w-5 h-5 text-gray-700 dark:text-gray-300" />
             </button>
             
+            {canManageShares && (
+              <button
+                onClick={() => setShowShares(true)}
+                className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              >
+                <Share2 className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+              </button>
+            )}
+
+            <UserMenu showName={false} />
+
             <button
               onClick={toggleTheme}
               className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
@@ -343,21 +425,27 @@ function Header() {
                 <input
                   type="text"
                   placeholder="搜索图片..."
-                  value={searchKeywords}
+                  value={localSearchValue}
                   onChange={(e) => handleSearchChange(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+                  onFocus={() => setIsSearchFocused(true)}
+                  onBlur={() => setIsSearchFocused(false)}
+                  title={searchError}
+                  className={`w-full pl-10 pr-4 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm ${
+                    searchError ? 'border-red-400 dark:border-red-500' : 'border-gray-300 dark:border-gray-600'
+                  }`}
                 />
+                {isSearchFocused && <SearchQueryChips query={parsedQuery} />}
               </div>
               <button
                 onClick={() => setShowFilters(!showFilters)}
                 className={`p-2 border rounded-lg ${
-                  selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0
+                  hasFilters
                     ? 'border-blue-500 bg-blue-50 dark:bg-blue-500/20'
                     : 'border-gray-300 dark:border-gray-600'
                 }`}
               >
                 <Filter className={`w-5 h-5 ${
-                  selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0
+                  hasFilters
                     ? 'text-blue-600 dark:text-blue-300'
                     : 'text-gray-600 dark:text-gray-400'
                 }`} />
@@ -385,6 +473,46 @@ function Header() {
                   background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${((thumbnailHeight - 150) / 150) * 100}%, #e5e7eb ${((thumbnailHeight - 150) / 150) * 100}%, #e5e7eb 100%)`
                 }}
               />
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-700 dark:text-gray-300">排序</span>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={sort.field}
+                    onChange={(e) => handleSortChange({ field: e.target.value })}
+                    disabled={!currentLibraryId}
+                    className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+                  >
+                    {SORT_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => sort.field === 'random'
+                      ? handleSortChange({ seed: createRandomSeed() })
+                      : handleSortChange({ order: sort.order === 'asc' ? 'desc' : 'asc' })}
+                    disabled={!currentLibraryId}
+                    className="p-1.5 border border-gray-300 dark:border-gray-600 rounded"
+                  >
+                    {sort.field === 'random' ? (
+                      <Shuffle className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                    ) : sort.order === 'asc' ? (
+                      <ArrowUpNarrowWide className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                    ) : (
+                      <ArrowDownWideNarrow className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                    )}
+                  </button>
+                </div>
+              </div>
+              <label className="flex items-center justify-between">
+                <span className="text-sm text-gray-700 dark:text-gray-300">动态缩略图</span>
+                <input
+                  type="checkbox"
+                  checked={animatedThumbnails}
+                  onChange={(e) => handleAnimatedThumbnailsChange(e.target.checked)}
+                  disabled={!currentLibraryId || isRefreshing}
+                  className="w-4 h-4"
+                />
+              </label>
             </div>
           </div>
         )}
@@ -419,6 +547,18 @@ function Header() {
                     {format.toUpperCase()}
                   </button>
                 ))}
+                {(filterOptions.hasAnimated || animatedOnly) && (
+                  <button
+                    onClick={toggleAnimated}
+                    className={`px-3 py-1 text-xs rounded-full ${
+                      animatedOnly
+                        ? 'bg-blue-500 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                    }`}
+                  >
+                    仅动图
+                  </button>
+                )}
               </div>
             </div>
             
@@ -491,8 +631,16 @@ function Header() {
                 </div>
               </div>
             )}
+
+            {/* 颜色筛选 */}
+            <div className="mt-3">
+              <div className="text-xs text-gray-500 dark:text-gray-400 mb-2">颜色</div>
+              <ColorFilter />
+            </div>
           </div>
         )}
+
+        <ShareManagementModal isOpen={showShares} onClose={() => setShowShares(false)} />
       </header>
     );
   }
@@ -512,37 +660,83 @@ function Header() {
             <Search className="absolute left-3 top-2.5 w-5 h-5 text-gray-400" />
             <input
               type="text"
-              placeholder="搜索图片... (多个关键词用空格分隔，即时搜索)"
+              placeholder='搜索文件名、文件夹、标签... (支持 OR、-排除、"短语"、format:png、width>2000、tag:logo)'
               value={localSearchValue}
               onChange={(e) => handleSearchChange(e.target.value)}
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              onFocus={() => setIsSearchFocused(true)}
+              onBlur={() => setIsSearchFocused(false)}
+              title={searchError}
+              className={`w-full pl-10 pr-4 py-2 border rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm focus:outline-none focus:ring-2 ${
+                searchError
+                  ? 'border-red-400 dark:border-red-500 focus:ring-red-400'
+                  : 'border-gray-300 dark:border-gray-600 focus:ring-blue-500'
+              }`}
             />
+            {isSearchFocused && <SearchQueryChips query={parsedQuery} />}
           </div>
           <button
             onClick={() => setShowFilters(!showFilters)}
             className={`relative p-2 border rounded-lg transition-colors ${
-              selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0
+              hasFilters
                 ? 'border-blue-500 dark:border-blue-400 bg-blue-50 dark:bg-blue-500/20 hover:bg-blue-100 dark:hover:bg-blue-500/30'
                 : 'border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700'
             }`}
             title={
-              selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0
+              hasFilters
                 ? '筛选（已启用）'
                 : '筛选'
             }
           >
             <Filter className={`w-5 h-5 ${
-              selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0
+              hasFilters
                 ? 'text-blue-600 dark:text-blue-300'
                 : 'text-gray-600 dark:text-gray-400'
             }`} />
-            {(selectedFormats.length > 0 || selectedSizes.length > 0 || selectedOrientations.length > 0 || selectedRatings.length > 0) && (
+            {hasFilters && (
               <span 
                 className="absolute -bottom-0.5 -right-0.5 w-3 h-3 rounded-full" 
                 style={{ backgroundColor: '#3b82f6' }}
               ></span>
             )}
           </button>
+
+          {/* 排序 */}
+          <div className="flex items-center border border-gray-300 dark:border-gray-600 rounded-lg">
+            <select
+              value={sort.field}
+              onChange={(e) => handleSortChange({ field: e.target.value })}
+              disabled={!currentLibraryId}
+              className="pl-2 pr-1 py-2 text-sm bg-transparent text-gray-700 dark:text-gray-300 rounded-l-lg focus:outline-none"
+              title="排序方式"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {sort.field === 'random' ? (
+              <button
+                onClick={() => handleSortChange({ seed: createRandomSeed() })}
+                disabled={!currentLibraryId}
+                className="p-2 border-l border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-r-lg transition-colors"
+                title="重新随机"
+              >
+                <Shuffle className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+              </button>
+            ) : (
+              <button
+                onClick={() => handleSortChange({ order: sort.order === 'asc' ? 'desc' : 'asc' })}
+                disabled={!currentLibraryId}
+                className="p-2 border-l border-gray-300 dark:border-gray-600 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-r-lg transition-colors"
+                title={sort.order === 'asc' ? '升序' : '降序'}
+              >
+                {sort.order === 'asc' ? (
+                  <ArrowUpNarrowWide className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                ) : (
+                  <ArrowDownWideNarrow className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                )}
+              </button>
+            )}
+          </div>
         </div>
 
         {/* 缩略图大小滑块 */}
@@ -557,6 +751,19 @@ function Header() {
             className="w-32"
           />
           <span className="text-sm text-gray-600 dark:text-gray-400 w-12">{thumbnailHeight}px</span>
+
+          <button
+            onClick={() => handleAnimatedThumbnailsChange(!animatedThumbnails)}
+            disabled={!currentLibraryId || isRefreshing}
+            className={`p-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ml-2 ${
+              animatedThumbnails
+                ? 'bg-blue-50 dark:bg-blue-500/20 hover:bg-blue-100 dark:hover:bg-blue-500/30'
+                : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+            title={animatedThumbnails ? '动态缩略图：已开启（鼠标悬停时播放 GIF / WebP 动图）' : '动态缩略图：已关闭'}
+          >
+            <Film className={`w-5 h-5 ${animatedThumbnails ? 'text-blue-600 dark:text-blue-300' : 'text-gray-700 dark:text-gray-300'}`} />
+          </button>
           
           <button
             onClick={handleRefresh}
@@ -567,6 +774,18 @@ function Header() {
             <RefreshCw className={`w-5 h-5 text-gray-700 dark:text-gray-300 ${isRefreshing ? 'animate-spin' : ''}`} />
           </button>
           
+          {canManageShares && (
+            <button
+              onClick={() => setShowShares(true)}
+              className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              title="分享链接"
+            >
+              <Share2 className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+            </button>
+          )}
+
+          <UserMenu />
+
           <button
             onClick={toggleTheme}
             className="p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
@@ -595,8 +814,8 @@ function Header() {
               </button>
             </div>
 
-            {/* 四列布局 */}
-            <div className="grid grid-cols-4 gap-4">
+            {/* 五列布局 */}
+            <div className="grid grid-cols-5 gap-4">
               {/* 格式筛选 */}
               <div>
                 <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-2">格式</label>
@@ -618,6 +837,19 @@ function Header() {
                   ) : (
                     <span className="text-xs text-gray-400 py-2">暂无格式数据</span>
                   )}
+                  {(filterOptions.hasAnimated || animatedOnly) && (
+                    <button
+                      onClick={toggleAnimated}
+                      className={`px-3 py-1.5 text-xs rounded transition-colors text-left flex items-center gap-1.5 ${
+                        animatedOnly
+                          ? 'bg-blue-500 text-white'
+                          : 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-300 dark:hover:bg-gray-500'
+                      }`}
+                    >
+                      <Film size={14} />
+                      仅动图
+                    </button>
+                  )}
                 </div>
               </div>
 
@@ -700,10 +932,18 @@ function Header() {
                   )}
                 </div>
               </div>
+
+              {/* 颜色筛选 */}
+              <div>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-2">颜色</label>
+                <ColorFilter />
+              </div>
             </div>
           </div>
         </div>
       )}
+
+      <ShareManagementModal isOpen={showShares} onClose={() => setShowShares(false)} />
     </header>
   );
 }
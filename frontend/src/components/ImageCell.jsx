@@ -1,8 +1,12 @@
 /**
  * 图片单元格组件
+ * onContextMenu、onDragStart、onStartRename、onToggleFavorite 不传时（分享页只读模式）不提供对应操作
  */
 
-import { Play, FileText, Palette, Music, File } from 'lucide-react';
+import { useState } from 'react';
+import { Play, FileText, Palette, Music, File, Heart } from 'lucide-react';
+import { formatDuration } from '../utils/formatDuration';
+import { pickThumbnailHeight, toThumbnailHeightParam, buildThumbnailSrcSet } from '../utils/thumbnailSizes';
 
 const ImageCell = ({
   image,
@@ -12,6 +16,7 @@ const ImageCell = ({
   editingFilename,
   editInputRef,
   getThumbnailUrl,
+  getAnimatedThumbnailUrl,
   onImageClick,
   onImageDoubleClick,
   onContextMenu,
@@ -19,8 +24,18 @@ const ImageCell = ({
   onEditingChange,
   onFinishRename,
   onCancelRename,
-  onStartRename
+  onStartRename,
+  onToggleFavorite
 }) => {
+  // 悬停时叠加播放动态缩略图（只在悬停期间加载，移开后卸载以停止播放）
+  const [isHovering, setIsHovering] = useState(false);
+  const animatedUrl = getAnimatedThumbnailUrl ? getAnimatedThumbnailUrl(image) : '';
+
+  // 按行高和设备像素比选择缩略图档位；支持 srcset 的浏览器按显示宽度自行选择
+  const thumbnailHeight = pickThumbnailHeight(image.calculatedHeight, window.devicePixelRatio);
+  const thumbnailUrl = getThumbnailUrl(image, toThumbnailHeightParam(thumbnailHeight));
+  const thumbnailSrcSet = thumbnailUrl ? buildThumbnailSrcSet(image, height => getThumbnailUrl(image, height)) : '';
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
       e.preventDefault();
@@ -36,7 +51,7 @@ const ImageCell = ({
     e.stopPropagation();
     
     // 只在单选且不在编辑状态时允许双击重命名
-    if (!renamingImage) {
+    if (!renamingImage && onStartRename) {
       onStartRename(image);
     }
   };
@@ -57,20 +72,34 @@ const ImageCell = ({
         }}
         onClick={(e) => onImageClick(image, e, flatIndex)}
         onDoubleClick={() => onImageDoubleClick(image, flatIndex)}
-        onContextMenu={(e) => onContextMenu(e, image)}
-        draggable={true}
-        onDragStart={(e) => onDragStart(e, image)}
+        onContextMenu={onContextMenu ? (e) => onContextMenu(e, image) : undefined}
+        onMouseEnter={animatedUrl ? () => setIsHovering(true) : undefined}
+        onMouseLeave={animatedUrl ? () => setIsHovering(false) : undefined}
+        draggable={!!onDragStart}
+        onDragStart={onDragStart ? (e) => onDragStart(e, image) : undefined}
       >
         <img
-          src={getThumbnailUrl(image) || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="200"%3E%3Crect fill="%23f3f4f6" width="200" height="200"/%3E%3Ctext x="50%25" y="45%25" dominant-baseline="middle" text-anchor="middle" fill="%239ca3af" font-family="sans-serif" font-size="14"%3E需要同步%3C/text%3E%3Ctext x="50%25" y="60%25" dominant-baseline="middle" text-anchor="middle" fill="%23d1d5db" font-family="sans-serif" font-size="12"%3E点击同步按钮%3C/text%3E%3C/svg%3E'}
+          src={thumbnailUrl || 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="200"%3E%3Crect fill="%23f3f4f6" width="200" height="200"/%3E%3Ctext x="50%25" y="45%25" dominant-baseline="middle" text-anchor="middle" fill="%239ca3af" font-family="sans-serif" font-size="14"%3E需要同步%3C/text%3E%3Ctext x="50%25" y="60%25" dominant-baseline="middle" text-anchor="middle" fill="%23d1d5db" font-family="sans-serif" font-size="12"%3E点击同步按钮%3C/text%3E%3C/svg%3E'}
+          srcSet={thumbnailSrcSet || undefined}
+          sizes={thumbnailSrcSet ? `${Math.round(image.calculatedWidth)}px` : undefined}
           alt={image.filename}
           className="w-full h-full object-cover"
           loading="lazy"
           onError={(e) => {
+            e.target.removeAttribute('srcset');
             e.target.src = 'data:image/svg+xml,%3Csvg xmlns="http://www.w3.org/2000/svg" width="200" height="200"%3E%3Crect fill="%23fef2f2" width="200" height="200"/%3E%3Ctext x="50%25" y="45%25" dominant-baseline="middle" text-anchor="middle" fill="%23dc2626" font-family="sans-serif" font-size="14"%3E加载失败%3C/text%3E%3Ctext x="50%25" y="60%25" dominant-baseline="middle" text-anchor="middle" fill="%23f87171" font-family="sans-serif" font-size="12"%3E请重新同步%3C/text%3E%3C/svg%3E';
             e.target.onerror = null;
           }}
         />
+
+        {animatedUrl && isHovering && (
+          <img
+            src={animatedUrl}
+            alt=""
+            className="absolute inset-0 w-full h-full object-cover pointer-events-none"
+            onError={(e) => { e.target.style.display = 'none'; }}
+          />
+        )}
         
         {/* 文件类型标识 */}
         {image.fileType && image.fileType !== 'image' && (
@@ -92,7 +121,32 @@ const ImageCell = ({
           </div>
         )}
         
+        {/* 视频时长 */}
+        {image.duration > 0 && (
+          <div className="absolute bottom-2 right-2 rounded px-1.5 py-0.5 bg-black bg-opacity-70 text-white text-xs font-medium tabular-nums pointer-events-none">
+            {formatDuration(image.duration)}
+          </div>
+        )}
+        
         <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-20 transition-all pointer-events-none" />
+        
+        {/* 收藏按钮：已收藏时常显，未收藏时悬停显示 */}
+        {onToggleFavorite && (
+          <button
+            type="button"
+            className={`absolute top-2 left-2 p-1 rounded-full bg-black bg-opacity-30 hover:bg-opacity-50 transition-opacity ${
+              image.favorite ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+            }`}
+            onClick={(e) => {
+              e.stopPropagation();
+              onToggleFavorite(image);
+            }}
+            onDoubleClick={(e) => e.stopPropagation()}
+            title={image.favorite ? '取消收藏 (F)' : '收藏 (F)'}
+          >
+            <Heart className={`w-4 h-4 ${image.favorite ? 'fill-red-500 text-red-500' : 'text-white'}`} />
+          </button>
+        )}
       </div>
       
       <div className="mt-1 px-1 h-4 flex items-center">
@@ -118,14 +172,14 @@ const ImageCell = ({
         ) : (
           // 显示模式
           <p 
-            className="text-xs truncate text-center transition-colors cursor-text m-0 leading-none"
+            className={`text-xs truncate text-center transition-colors m-0 leading-none ${onStartRename ? 'cursor-text' : ''}`}
             style={{ 
               color: isSelected ? '#3b82f6' : '#909090',
               fontWeight: isSelected ? '600' : '400',
               height: '1rem'
             }}
             onDoubleClick={handleDoubleClickFilename}
-            title="双击重命名"
+            title={onStartRename ? '双击重命名' : image.filename}
           >
             {image.filename}
           </p>
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { imageAPI } from '../api';
+import { useImageStore } from '../stores/useImageStore';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ImageColorSection');
+
+/**
+ * 主色色块（扫描时从缩略图提取），宽度按占比分配
+ * 点击色块按该颜色筛选图片；没有主色（非图片或尚未提取）时不显示
+ */
+function ImageColorSection({ libraryId, image }) {
+  const [colors, setColors] = useState([]);
+  const { setFilters } = useImageStore();
+
+  // 切换图片或图片被重新扫描（修改时间变化）时重新加载
+  useEffect(() => {
+    let cancelled = false;
+    setColors([]);
+
+    imageAPI.getColors(libraryId, image.path)
+      .then(result => {
+        if (!cancelled) setColors(result.colors || []);
+      })
+      .catch(error => {
+        logger.error('加载主色失败:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [libraryId, image.path, image.modifiedAt]);
+
+  if (colors.length === 0) return null;
+
+  return (
+    <div>
+      <span className="text-gray-500 dark:text-gray-400">主色:</span>
+      <div className="flex h-6 mt-1 rounded overflow-hidden border border-gray-200 dark:border-gray-600">
+        {colors.map(color => (
+          <button
+            key={color.hex}
+            onClick={() => setFilters({ color: color.hex })}
+            className="h-full hover:opacity-80 transition-opacity"
+            style={{ backgroundColor: color.hex, flexGrow: color.ratio, minWidth: '12px' }}
+            title={`${color.hex.toUpperCase()}  ${Math.round(color.ratio * 100)}%（点击按此颜色筛选）`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ImageColorSection;
@@ -0,0 +1,135 @@
+import { useState, useEffect } from 'react';
+import { ChevronRight, ChevronDown } from 'lucide-react';
+import { imageAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ImageMetaSection');
+
+/**
+ * 格式化曝光时间：小于 1 秒显示为分数
+ */
+const formatExposure = (seconds) => {
+  if (seconds >= 1) return `${Number(seconds.toFixed(1))} s`;
+  return `1/${Math.round(1 / seconds)} s`;
+};
+
+/**
+ * 格式化 GPS 坐标（十进制度数）
+ */
+const formatCoordinate = (value, positive, negative) => {
+  return `${Math.abs(value).toFixed(6)}° ${value >= 0 ? positive : negative}`;
+};
+
+/**
+ * 拍摄信息（EXIF / IPTC / XMP 元数据，扫描时提取）
+ * 可折叠；没有任何元数据时不显示
+ */
+function ImageMetaSection({ libraryId, image }) {
+  const [meta, setMeta] = useState(null);
+  const [isCollapsed, setIsCollapsed] = useState(false);
+
+  // 切换图片或图片被重新扫描（修改时间变化）时重新加载
+  useEffect(() => {
+    let cancelled = false;
+    setMeta(null);
+
+    imageAPI.getMeta(libraryId, image.path)
+      .then(result => {
+        if (!cancelled) setMeta(result);
+      })
+      .catch(error => {
+        logger.error('加载拍摄信息失败:', error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [libraryId, image.path, image.modifiedAt]);
+
+  if (!meta) return null;
+
+  const camera = [meta.cameraMake, meta.cameraModel]
+    .filter(Boolean)
+    // 型号通常已包含品牌（如 "Canon" + "Canon EOS R5"）
+    .filter((part, index, parts) => index === 0 || !part.toLowerCase().startsWith(parts[0].toLowerCase()))
+    .join(' ');
+  const exposure = [
+    meta.fNumber && `f/${Number(meta.fNumber.toFixed(1))}`,
+    meta.exposureTime && formatExposure(meta.exposureTime),
+    meta.iso && `ISO ${meta.iso}`,
+    meta.focalLength && `${Number(meta.focalLength.toFixed(1))} mm`
+  ].filter(Boolean).join('  ');
+  const hasLocation = meta.gpsLatitude !== null && meta.gpsLongitude !== null;
+
+  const rows = [
+    ['相机', camera],
+    ['镜头', meta.lens],
+    ['曝光', exposure],
+    ['拍摄时间', meta.takenAt && new Date(meta.takenAt).toLocaleString('zh-CN')],
+    ['标题', meta.title],
+    ['说明', meta.caption],
+    ['作者', meta.artist],
+    ['版权', meta.copyright]
+  ].filter(([, value]) => value);
+
+  if (rows.length === 0 && !hasLocation && meta.keywords.length === 0) return null;
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsCollapsed(!isCollapsed)}
+        className="flex items-center text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+      >
+        {isCollapsed ? (
+          <ChevronRight className="w-3 h-3 mr-1" />
+        ) : (
+          <ChevronDown className="w-3 h-3 mr-1" />
+        )}
+        拍摄信息
+      </button>
+
+      {!isCollapsed && (
+        <div className="mt-1 pl-4 space-y-1.5">
+          {rows.map(([label, value]) => (
+            <div key={label}>
+              <span className="text-gray-500 dark:text-gray-400 text-xs">{label}:</span>
+              <p className="text-gray-900 dark:text-gray-100 text-xs break-all">{value}</p>
+            </div>
+          ))}
+          {hasLocation && (
+            <div>
+              <span className="text-gray-500 dark:text-gray-400 text-xs">位置:</span>
+              <a
+                href={`https://www.openstreetmap.org/?mlat=${meta.gpsLatitude}&mlon=${meta.gpsLongitude}#map=15/${meta.gpsLatitude}/${meta.gpsLongitude}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block text-xs text-blue-500 hover:underline"
+                title="在地图中查看"
+              >
+                {formatCoordinate(meta.gpsLatitude, 'N', 'S')}, {formatCoordinate(meta.gpsLongitude, 'E', 'W')}
+                {meta.gpsAltitude !== null && `  ${Math.round(meta.gpsAltitude)} m`}
+              </a>
+            </div>
+          )}
+          {meta.keywords.length > 0 && (
+            <div>
+              <span className="text-gray-500 dark:text-gray-400 text-xs">关键词:</span>
+              <div className="flex flex-wrap gap-1 mt-1">
+                {meta.keywords.map(keyword => (
+                  <span
+                    key={keyword}
+                    className="px-1.5 py-0.5 rounded bg-gray-100 dark:bg-gray-700 text-xs text-gray-700 dark:text-gray-300"
+                  >
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImageMetaSection;
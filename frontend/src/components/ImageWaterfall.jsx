@@ -7,6 +7,7 @@ import { useState, useMemo, useCallback, useRef } from 'react';
 import { PhotoProvider } from 'react-photo-view';
 import 'react-photo-view/dist/react-photo-view.css';
 import { VariableSizeList as List } from 'react-window';
+import { Download } from 'lucide-react';
 
 // Stores
 import { useLibraryStore } from '../stores/useLibraryStore';
@@ -20,6 +21,8 @@ import { useImageClipboard } from '../hooks/useImageClipboard';
 import { useImageMove } from '../hooks/useImageMove';
 import { useImageRename } from '../hooks/useImageRename';
 import { useImageRating } from '../hooks/useImageRating';
+import { useImageFavorite } from '../hooks/useImageFavorite';
+import { useImageAlbum } from '../hooks/useImageAlbum';
 import { useImageUpload } from '../hooks/useImageUpload';
 import { useImageKeyboard } from '../hooks/useImageKeyboard';
 import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
@@ -48,12 +51,18 @@ const LOAD_CONFIG = {
   overscanCount: 4, // 预渲染 4 行
 };
 
-function ImageWaterfall() {
+/**
+ * @param {Object} [props.share] - 分享页只读模式：{ images, hasMore, isLoading, loadMore, allowDownload,
+ *   getThumbnailUrl(image, height), getAnimatedThumbnailUrl(image), getOriginalUrl(image), getDownloadUrl(image), getPreviewUrl(image, page) }
+ *   传入时图片和 URL 由分享页提供，不显示右键菜单，不能选择、重命名、收藏、拖拽移动或上传，单击直接查看大图
+ */
+function ImageWaterfall({ share = null }) {
+  const readOnly = share !== null;
   const { currentLibraryId } = useLibraryStore();
   const { 
     images, selectedImage, setSelectedImage, selectedImages, setSelectedImages, 
     toggleImageSelection, clearSelection, imageLoadingState, selectedFolder,
-    searchKeywords, filters, folders, setSelectedFolderItem
+    searchKeywords, filters, folders, setSelectedFolderItem, selectedAlbum, setSimilarTo
   } = useImageStore();
 
   // 状态
@@ -66,10 +75,11 @@ function ImageWaterfall() {
   const listRef = useRef(null);
   const prevRowCountRef = useRef(0);
 
-  // 前端筛选
+  // 前端筛选（筛选已由后端完成，这里让本地修改如评分变化立即生效）
   const filteredImages = useMemo(() => {
+    if (share) return share.images;
     return filterImages(images, filters);
-  }, [images, filters]);
+  }, [share, images, filters]);
 
   // 瀑布流布局
   const { rows, flatImages, containerRef, containerWidth, containerHeight, getRowHeight } = 
@@ -107,6 +117,18 @@ function ImageWaterfall() {
   // 评分
   const { ratingToast, setRatingToast, handleQuickRating } = useImageRating();
 
+  // 收藏
+  const { handleToggleFavorite } = useImageFavorite();
+
+  // 单元格上的收藏按钮：点击的图片在多选中时作用于整个选区
+  const handleCellToggleFavorite = useCallback((image) => {
+    const inSelection = selectedImages.length > 0 && selectedImages.some(img => img.id === image.id);
+    handleToggleFavorite(inSelection ? selectedImages : [image]);
+  }, [selectedImages, handleToggleFavorite]);
+
+  // 相册
+  const { handleRemoveFromAlbum } = useImageAlbum();
+
   // 上传
   const { 
     isDraggingOver, 
@@ -120,6 +142,8 @@ function ImageWaterfall() {
 
   // 无限滚动
   const { loadMoreImages, preloadThreshold } = useInfiniteScroll();
+  const loadingState = share ? { hasMore: share.hasMore, isLoading: share.isLoading } : imageLoadingState;
+  const loadMore = share ? share.loadMore : loadMoreImages;
 
   // 带撤销栈的删除
   const handleQuickDeleteWithUndoStack = useCallback(async () => {
@@ -133,8 +157,8 @@ function ImageWaterfall() {
     setUndoStack(prev => [...prev, 'move']);
   }, [handleMove]);
 
-  // 键盘快捷键（Ctrl+Z 按照 undoStack 顺序一步步撤销）
-  useImageKeyboard({
+  // 键盘快捷键（Ctrl+Z 按照 undoStack 顺序一步步撤销），只读模式下不启用
+  useImageKeyboard(readOnly ? {} : {
     onDelete: handleQuickDeleteWithUndoStack,
     onUndo: async () => {
       // 检查撤销栏状态
@@ -169,6 +193,7 @@ function ImageWaterfall() {
     onPaste: handlePaste,
     onRename: handleStartRename,
     onRating: handleQuickRating,
+    onFavorite: () => handleToggleFavorite(),
     canUndo: undoStack.length > 0,
     canPaste: selectedFolder !== null
   });
@@ -181,16 +206,27 @@ function ImageWaterfall() {
   }, [baseHandleDrop, showConflictDialog]);
 
   // 缩略图和原图 URL
-  const getThumbnailUrl = useCallback((image) => {
+  // height 为缩略图档位（见 utils/thumbnailSizes），不传时为扫描生成的缩略图
+  const getThumbnailUrl = useCallback((image, height) => {
+    if (share) return share.getThumbnailUrl(image, height);
     if (!currentLibraryId || !image.thumbnailPath) return '';
     const filename = image.thumbnailPath.replace(/\\/g, '/').split('/').pop();
+    return imageAPI.getThumbnailUrl(currentLibraryId, filename, height);
+  }, [share, currentLibraryId]);
+
+  // 动态缩略图（素材库开启动态缩略图后为 GIF / WebP 动图生成，悬停时播放）
+  const getAnimatedThumbnailUrl = useCallback((image) => {
+    if (share) return share.getAnimatedThumbnailUrl(image);
+    if (!currentLibraryId || !image.animatedThumbnailPath) return '';
+    const filename = image.animatedThumbnailPath.replace(/\\/g, '/').split('/').pop();
     return imageAPI.getThumbnailUrl(currentLibraryId, filename);
-  }, [currentLibraryId]);
+  }, [share, currentLibraryId]);
 
   const getOriginalUrl = useCallback((image) => {
+    if (share) return share.getOriginalUrl(image);
     if (!currentLibraryId) return '';
     return imageAPI.getOriginalUrl(currentLibraryId, image.path);
-  }, [currentLibraryId]);
+  }, [share, currentLibraryId]);
 
   // PhotoProvider 图片列表
   const providerImages = useMemo(() => {
@@ -219,14 +255,36 @@ function ImageWaterfall() {
   }, [flatImages, lastSelectedIndex, toggleImageSelection, setSelectedImages, clearSelection, setSelectedImage, setSelectedFolderItem]);
 
   // 图片双击处理
+  // 分享不允许下载时没有原文件，视频、音频等文件只能在图片查看器中查看大尺寸缩略图
   const handleImageDoubleClick = useCallback((image, flatIndex) => {
     const fileType = image.fileType || 'image';
-    if (fileType === 'image') {
+    if (fileType === 'image' || (share && !share.allowDownload && !image.pageCount)) {
       setPhotoIndex(flatIndex);
     } else {
       setViewerFile(image);
     }
-  }, []);
+  }, [share]);
+
+  // 只读模式：单击直接查看
+  const handleShareImageClick = useCallback((image, event, imageIndex) => {
+    handleImageDoubleClick(image, imageIndex);
+  }, [handleImageDoubleClick]);
+
+  // 分享页查看大图时的下载按钮
+  const renderShareToolbar = useCallback(({ index }) => {
+    const image = filteredImages[index];
+    if (!image) return null;
+    return (
+      <a
+        href={share.getDownloadUrl(image)}
+        className="PhotoView-Slider__toolbarIcon text-white"
+        title="下载原图"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Download className="w-5 h-5" />
+      </a>
+    );
+  }, [share, filteredImages]);
   
   // 文件名双击处理（重命名）
   const handleFilenameDoubleClick = useCallback((e, image) => {
@@ -346,8 +404,30 @@ function ImageWaterfall() {
       );
     }
     
+    menuOptions.push(menuItems.move(handlePrepareMove));
+
+    // 只有真实图片内容才有感知哈希（视频、文档等为占位缩略图）
+    if (!isMultiSelection && (image.fileType || 'image') === 'image') {
+      menuOptions.push(
+        menuItems.findSimilar(() => {
+          setContextMenu({ isOpen: false, position: null, image: null });
+          clearSelection();
+          setSimilarTo(image, useImageStore.getState().similarTo?.threshold);
+        })
+      );
+    }
+
+    // 浏览相册时可将图片移出相册（不删除文件）
+    if (selectedAlbum) {
+      menuOptions.push(
+        menuItems.removeFromAlbum(async () => {
+          setContextMenu({ isOpen: false, position: null, image: null });
+          await handleRemoveFromAlbum();
+        })
+      );
+    }
+
     menuOptions.push(
-      menuItems.move(handlePrepareMove),
       menuItems.delete(async () => {
         setContextMenu({ isOpen: false, position: null, image: null });
         await handleQuickDelete();
@@ -355,7 +435,7 @@ function ImageWaterfall() {
     );
     
     return menuOptions;
-  }, [selectedImages, handlePrepareMove, handleStartRename, handleCopy, handleQuickDelete, setUndoToast]);
+  }, [selectedImages, selectedAlbum, handlePrepareMove, handleStartRename, handleCopy, handleQuickDelete, handleRemoveFromAlbum, setUndoToast, clearSelection, setSimilarTo]);
 
   // 渲染单行
   const renderRow = useCallback(({ index, style }) => {
@@ -385,14 +465,16 @@ function ImageWaterfall() {
               editingFilename={editingFilename}
               editInputRef={editInputRef}
               getThumbnailUrl={getThumbnailUrl}
-              onImageClick={handleImageClick}
+              getAnimatedThumbnailUrl={getAnimatedThumbnailUrl}
+              onImageClick={readOnly ? handleShareImageClick : handleImageClick}
               onImageDoubleClick={handleImageDoubleClick}
-              onContextMenu={handleContextMenu}
-              onDragStart={handleDragStart}
+              onContextMenu={readOnly ? undefined : handleContextMenu}
+              onDragStart={readOnly ? undefined : handleDragStart}
               onEditingChange={setEditingFilename}
               onFinishRename={handleFinishRename}
               onCancelRename={handleCancelRename}
-              onStartRename={handleStartRename}
+              onStartRename={readOnly ? undefined : handleStartRename}
+              onToggleFavorite={readOnly ? undefined : handleCellToggleFavorite}
             />
           );
         })}
@@ -400,18 +482,22 @@ function ImageWaterfall() {
     );
   }, [
     rows, 
+    readOnly,
     selectedImage, 
     selectedImages, 
     renamingImage, 
     editingFilename, 
     getThumbnailUrl,
+    getAnimatedThumbnailUrl,
     handleImageClick,
+    handleShareImageClick,
     handleImageDoubleClick,
     handleContextMenu,
     handleDragStart,
     handleStartRename,
     handleFinishRename,
-    handleCancelRename
+    handleCancelRename,
+    handleCellToggleFavorite
   ]);
 
   // 虚拟列表更新
@@ -434,20 +520,25 @@ function ImageWaterfall() {
   // 是否启用虚拟滚动
   const useVirtualScroll = filteredImages.length > VIRTUAL_SCROLL_THRESHOLD;
 
+  // 拖拽上传（只读模式下不启用）
+  const dropHandlers = readOnly ? {} : {
+    onDragEnter: handleDragEnter,
+    onDragOver: handleDragOver,
+    onDragLeave: handleDragLeave,
+    onDrop: handleDrop
+  };
+
   // 空状态
   if (!filteredImages.length) {
     return (
       <div 
         ref={containerRef} 
         className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400 relative"
-        onDragEnter={handleDragEnter}
-        onDragOver={handleDragOver}
-        onDragLeave={handleDragLeave}
-        onDrop={handleDrop}
+        {...dropHandlers}
       >
         <DragDropOverlay isVisible={isDraggingOver} />
         <UploadProgress progress={uploadProgress} />
-        <EmptyState isLoading={imageLoadingState.isLoading} />
+        <EmptyState isLoading={loadingState.isLoading} readOnly={readOnly} />
       </div>
     );
   }
@@ -461,10 +552,7 @@ function ImageWaterfall() {
     <div 
       ref={containerRef} 
       className="h-full overflow-hidden relative"
-      onDragEnter={handleDragEnter}
-      onDragOver={handleDragOver}
-      onDragLeave={handleDragLeave}
-      onDrop={handleDrop}
+      {...dropHandlers}
     >
       <DragDropOverlay isVisible={isDraggingOver} />
       <UploadProgress progress={uploadProgress} />
@@ -475,6 +563,7 @@ function ImageWaterfall() {
         onClose={() => setPhotoIndex(-1)}
         index={photoIndex}
         onIndexChange={setPhotoIndex}
+        toolbarRender={share?.allowDownload ? renderShareToolbar : undefined}
       >
         {useVirtualScroll ? (
           <List
@@ -486,11 +575,11 @@ function ImageWaterfall() {
             className="p-4"
             overscanCount={LOAD_CONFIG.overscanCount}
             onScroll={({ scrollOffset, scrollDirection }) => {
-              if (scrollDirection === 'forward' && imageLoadingState.hasMore && !imageLoadingState.isLoading) {
+              if (scrollDirection === 'forward' && loadingState.hasMore && !loadingState.isLoading) {
                 const totalHeight = rows.reduce((sum, _, i) => sum + getRowHeight(i), 0);
                 const scrollBottom = scrollOffset + (containerHeight || 600);
                 if (totalHeight - scrollBottom < preloadThreshold) {
-                  loadMoreImages();
+                  loadMore();
                 }
               }
             }}
@@ -501,10 +590,10 @@ function ImageWaterfall() {
           <div 
             className="h-full overflow-y-auto p-4"
             onScroll={(e) => {
-              if (imageLoadingState.hasMore && !imageLoadingState.isLoading) {
+              if (loadingState.hasMore && !loadingState.isLoading) {
                 const { scrollTop, scrollHeight, clientHeight } = e.target;
                 if (scrollHeight - scrollTop - clientHeight < preloadThreshold) {
-                  loadMoreImages();
+                  loadMore();
                 }
               }
             }}
@@ -533,14 +622,16 @@ function ImageWaterfall() {
                           editingFilename={editingFilename}
                           editInputRef={editInputRef}
                           getThumbnailUrl={getThumbnailUrl}
-                          onImageClick={handleImageClick}
+                          getAnimatedThumbnailUrl={getAnimatedThumbnailUrl}
+                          onImageClick={readOnly ? handleShareImageClick : handleImageClick}
                           onImageDoubleClick={handleImageDoubleClick}
-                          onContextMenu={handleContextMenu}
-                          onDragStart={handleDragStart}
+                          onContextMenu={readOnly ? undefined : handleContextMenu}
+                          onDragStart={readOnly ? undefined : handleDragStart}
                           onEditingChange={setEditingFilename}
                           onFinishRename={handleFinishRename}
                           onCancelRename={handleCancelRename}
-                          onStartRename={handleStartRename}
+                          onStartRename={readOnly ? undefined : handleStartRename}
+                          onToggleFavorite={readOnly ? undefined : handleCellToggleFavorite}
                         />
                       );
                     })}
@@ -557,6 +648,10 @@ function ImageWaterfall() {
         <FileViewer
           file={viewerFile}
           libraryId={currentLibraryId}
+          urls={share ? {
+            original: share.allowDownload ? share.getOriginalUrl(viewerFile) : null,
+            preview: (page) => share.getPreviewUrl(viewerFile, page)
+          } : null}
           onClose={() => setViewerFile(null)}
         />
       )}
@@ -8,15 +8,21 @@ import { setToken } from '../api/client';
 import { useAuthStore } from '../stores/useAuthStore';
 
 export default function Login() {
+  const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   
-  const { hasPassword, setAuthStatus } = useAuthStore();
+  const { hasPassword, setAuthStatus, setCurrentUser } = useAuthStore();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    if (hasPassword && !username.trim()) {
+      setError('请输入用户名');
+      return;
+    }
+
     if (!password) {
       setError('请输入密码');
       return;
@@ -35,14 +41,15 @@ export default function Login() {
       
       if (hasPassword) {
         // 登录
-        result = await authAPI.login(password);
+        result = await authAPI.login(username.trim(), password);
       } else {
-        // 首次设置密码
-        result = await authAPI.setupPassword(password);
+        // 首次设置密码（创建系统管理员，用户名留空时为 admin）
+        result = await authAPI.setupPassword(password, username.trim() || undefined);
       }
 
-      // 保存 token
-      setToken(result.token);
+      // 保存访问 Token 和刷新令牌
+      setToken(result.token, result.refreshToken);
+      setCurrentUser(result.user);
       
       // 更新认证状态（已设置密码 + 已认证）
       setAuthStatus(true, true);
@@ -53,12 +60,12 @@ export default function Login() {
         if (err.data?.error?.remainingAttempts !== undefined) {
           const remaining = err.data.error.remainingAttempts;
           if (remaining > 0) {
-            setError(`密码错误，剩余 ${remaining} 次尝试机会`);
+            setError(`用户名或密码错误，剩余 ${remaining} 次尝试机会`);
           } else {
-            setError('密码错误，已达到最大尝试次数，请稍后再试');
+            setError('用户名或密码错误，已达到最大尝试次数，请稍后再试');
           }
         } else {
-          setError('密码错误');
+          setError('用户名或密码错误');
         }
       } else if (err.status === 429) {
         // 尝试次数过多
@@ -94,25 +101,42 @@ export default function Login() {
               FlyPic 飞图
             </h1>
             <p className="text-gray-600 dark:text-gray-400">
-              {hasPassword ? '请输入密码访问' : '首次使用，请设置访问密码'}
+              {hasPassword ? '请登录后访问' : '首次使用，请创建管理员账号'}
             </p>
           </div>
 
           {/* 表单 */}
           <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="username" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                用户名
+              </label>
+              <input
+                id="username"
+                type="text"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder={hasPassword ? '请输入用户名' : 'admin'}
+                className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition"
+                disabled={loading}
+                autoFocus
+              />
+            </div>
+
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                {hasPassword ? '访问密码' : '设置密码'}
+                {hasPassword ? '密码' : '设置密码'}
               </label>
               <input
                 id="password"
                 type="password"
+                autoComplete={hasPassword ? 'current-password' : 'new-password'}
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 placeholder={hasPassword ? '请输入密码' : '至少 4 位字符'}
                 className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition"
                 disabled={loading}
-                autoFocus
               />
               {!hasPassword && (
                 <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
@@ -143,7 +167,7 @@ export default function Login() {
                   处理中...
                 </span>
               ) : (
-                hasPassword ? '登录' : '设置密码并进入'
+                hasPassword ? '登录' : '创建账号并进入'
               )}
             </button>
           </form>
@@ -1,4 +1,5 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
+import { X } from 'lucide-react';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { useImageStore } from '../stores/useImageStore';
 import { useUIStore } from '../stores/useUIStore';
@@ -7,21 +8,26 @@ import { imageAPI } from '../api';
 import { onUserActionStart, onUserActionEnd } from '../services/imageLoadService';
 import requestManager, { RequestType } from '../services/requestManager';
 import domCleanup from '../utils/domCleanup';
+import { buildFilterParams, hasActiveFilters } from '../utils/imageFilters';
+import { buildSortParams } from '../utils/imageSort';
 import ImageWaterfall from './ImageWaterfall';
 import Dashboard from './Dashboard';
+import { SIMILAR_IMAGES } from '../constants';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('MainContent');
 
 function MainContent() {
   const { currentLibraryId } = useLibraryStore();
-  const { searchKeywords, filters, selectedFolder, setImages, setOriginalImages, imageLoadingState, images } = useImageStore();
+  const { searchKeywords, filters, sort, selectedFolder, selectedTag, showFavorites, selectedAlbum, selectedSmartAlbum, similarTo, setSimilarThreshold, exitSimilar, setImages, setOriginalImages, imageLoadingState, images } = useImageStore();
   const { scanProgress } = useScanStore();
 
   // 使用 ref 跟踪最新的请求上下文
   const currentRequestContextRef = useRef(null);
   // 文件夹切换防抖
   const debounceTimerRef = useRef(null);
+  // 相似图片查找失败的原因
+  const [similarError, setSimilarError] = useState(null);
 
   // 计算预估剩余时间
   const getEstimatedTime = () => {
@@ -47,14 +53,15 @@ function MainContent() {
   const loadImages = useCallback(async (isInitialLoad = true) => {
     if (!currentLibraryId) return;
 
-    // 如果没有选中文件夹且没有搜索条件，显示 Dashboard
-    if (!selectedFolder && !searchKeywords && filters.formats.length === 0) {
+    // 如果没有选中文件夹/标签/收藏/相册/相似图片且没有搜索条件，显示 Dashboard
+    if (!selectedFolder && !selectedTag && !showFavorites && !selectedAlbum && !selectedSmartAlbum && !similarTo && !searchKeywords && !hasActiveFilters(filters)) {
       setImages([]);
       useImageStore.getState().setImageLoadingState({
         isLoading: false,
         loadedCount: 0,
         totalCount: 0,
-        hasMore: false
+        hasMore: false,
+        nextCursor: null
       });
       return;
     }
@@ -74,20 +81,56 @@ function MainContent() {
     });
 
     try {
+      // 相似图片：一次返回全部结果（按相似度排列，不分页），搜索和筛选条件同样生效
+      if (similarTo) {
+        setSimilarError(null);
+        const params = {
+          threshold: similarTo.threshold,
+          ...buildFilterParams(filters)
+        };
+        if (searchKeywords) params.keywords = searchKeywords;
+
+        const { images } = await imageAPI.getSimilar(currentLibraryId, similarTo.id, params, {
+          signal: requestContext.signal
+        });
+
+        if (!requestManager.isValid(requestContext.id)) {
+          return;
+        }
+        requestManager.complete(requestContext.id);
+
+        if (isInitialLoad) {
+          setImages(images);
+        }
+        useImageStore.getState().setImageLoadingState({
+          isLoading: false,
+          loadedCount: images.length,
+          totalCount: images.length,
+          hasMore: false,
+          nextCursor: null,
+        });
+        return;
+      }
+
       // 直接从后端加载一页数据（每次 100 张，更轻量）
+      // 使用游标分页：初次加载传空游标，后续页由 useInfiniteScroll 传入 nextCursor
       const params = {
-        offset: isInitialLoad ? 0 : imageLoadingState.loadedCount,
+        cursor: isInitialLoad ? '' : (imageLoadingState.nextCursor || ''),
         limit: 100
       };
       if (selectedFolder) params.folder = selectedFolder;
+      if (selectedTag) params.tags = selectedTag.id;
+      if (showFavorites) params.favorite = 1;
+      if (selectedAlbum) params.album = selectedAlbum.id;
+      if (selectedSmartAlbum) params.smartAlbum = selectedSmartAlbum.id;
       if (searchKeywords) params.keywords = searchKeywords;
-      if (filters.formats?.length > 0) params.formats = filters.formats.join(',');
+      Object.assign(params, buildFilterParams(filters), buildSortParams(sort));
 
       const response = await imageAPI.search(currentLibraryId, params, {
         signal: requestContext.signal
       });
 
-      const { images, total, hasMore } = response;
+      const { images, total, hasMore, nextCursor } = response;
 
       // 检查请求是否被取消
       if (!requestManager.isValid(requestContext.id)) {
@@ -98,9 +141,12 @@ function MainContent() {
       requestManager.complete(requestContext.id);
 
       // 初次加载：设置图片数据和原始图片（用于筛选选项）
+      // 筛选结果不覆盖原始图片，避免筛选选项随筛选结果收缩
       if (isInitialLoad) {
         setImages(images);
-        setOriginalImages(images);
+        if (!hasActiveFilters(filters)) {
+          setOriginalImages(images);
+        }
       }
 
       useImageStore.getState().setImageLoadingState({
@@ -108,6 +154,7 @@ function MainContent() {
         loadedCount: images.length,
         totalCount: total,
         hasMore: hasMore || false,
+        nextCursor: nextCursor || null,
       });
 
       // 如果还有更多数据，恢复空闲加载
@@ -122,15 +169,21 @@ function MainContent() {
       }
       logger.error('加载图片失败:', error.message);
       requestManager.error(requestContext.id);
+      // 相似图片查找失败（如图片没有感知哈希）时在提示条中显示原因
+      if (similarTo) {
+        setImages([]);
+        setSimilarError(error.message);
+        useImageStore.getState().setImageLoadingState({ isLoading: false, loadedCount: 0, totalCount: 0, hasMore: false, nextCursor: null });
+      }
     } finally {
       // 只有当请求仍然有效时才更新状态
       if (requestManager.isValid(requestContext.id) || requestContext.status === 'completed') {
         currentRequestContextRef.current = null;
       }
     }
-  }, [currentLibraryId, searchKeywords, selectedFolder, setImages, setOriginalImages, cancelCurrentRequest]);
+  }, [currentLibraryId, searchKeywords, selectedFolder, selectedTag, showFavorites, selectedAlbum, selectedSmartAlbum, similarTo, filters, sort, setImages, setOriginalImages, cancelCurrentRequest]);
 
-  // 监听文件夹/搜索变化
+  // 监听文件夹/搜索/筛选/排序变化
   useEffect(() => {
     if (!currentLibraryId) return;
 
@@ -161,7 +214,7 @@ function MainContent() {
         clearTimeout(debounceTimerRef.current);
       }
     };
-  }, [currentLibraryId, searchKeywords, selectedFolder, loadImages, cancelCurrentRequest]);
+  }, [currentLibraryId, searchKeywords, selectedFolder, selectedTag, showFavorites, selectedAlbum, selectedSmartAlbum, similarTo, filters, sort, loadImages, cancelCurrentRequest]);
 
   // 恢复撤销前的文件夹状态
   useEffect(() => {
@@ -213,6 +266,39 @@ function MainContent() {
         </div>
       )}
 
+      {/* Similar Images */}
+      {similarTo && (
+        <div className="flex items-center justify-between gap-3 px-4 py-2 border-b bg-purple-50 dark:bg-purple-900/30 border-purple-200 dark:border-purple-800">
+          <div className="min-w-0 text-sm text-purple-700 dark:text-purple-300 truncate">
+            与「{similarTo.filename}」相似的图片
+            {similarError ? (
+              <span className="ml-2 text-red-500 dark:text-red-400">{similarError}</span>
+            ) : (
+              !imageLoadingState.isLoading && <span className="ml-2 text-purple-500 dark:text-purple-400">共 {images.length} 张</span>
+            )}
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <select
+              value={similarTo.threshold}
+              onChange={(e) => setSimilarThreshold(Number(e.target.value))}
+              className="px-2 py-1 text-sm rounded border border-purple-200 dark:border-purple-700 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-200"
+              title="相似度"
+            >
+              {SIMILAR_IMAGES.THRESHOLDS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <button
+              onClick={exitSimilar}
+              className="p-1 rounded text-purple-600 dark:text-purple-300 hover:bg-purple-100 dark:hover:bg-purple-800"
+              title="退出相似图片"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Loading Progress */}
       {imageLoadingState.totalCount > 0 && (
         <div className="px-4 py-2 bg-gray-100 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
@@ -232,7 +318,7 @@ function MainContent() {
 
       {/* Content */}
       <div className="flex-1 overflow-hidden">
-        {(!selectedFolder && !searchKeywords && filters.formats.length === 0) ? (
+        {(!selectedFolder && !selectedTag && !showFavorites && !selectedAlbum && !selectedSmartAlbum && !similarTo && !searchKeywords && !hasActiveFilters(filters)) ? (
           <Dashboard />
         ) : (
           <ImageWaterfall />
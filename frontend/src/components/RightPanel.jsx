@@ -1,14 +1,19 @@
 import { useState, useEffect, useRef } from 'react';
-import { Copy, Download, Check, FolderDown, ArrowLeft, Folder, FileQuestion } from 'lucide-react';
+import { Copy, Download, Check, FolderDown, ArrowLeft, Folder, FileQuestion, SlidersHorizontal, Share2 } from 'lucide-react';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { useImageStore } from '../stores/useImageStore';
 import { useUIStore } from '../stores/useUIStore';
 import { useScanStore } from '../stores/useScanStore';
 import { useClipboardStore } from '../stores/useClipboardStore';
-import { imageAPI, fileAPI } from '../api';
-import JSZip from 'jszip';
+import { imageAPI, fileAPI, exportAPI } from '../api';
 import RatingStars from './RatingStars';
+import TagEditor from './TagEditor';
+import ImageMetaSection from './ImageMetaSection';
+import ImageColorSection from './ImageColorSection';
+import ExportPresetModal from './ExportPresetModal';
+import ShareLinkModal from './ShareLinkModal';
 import { createLogger } from '../utils/logger';
+import { formatDuration } from '../utils/formatDuration';
 
 const logger = createLogger('RightPanel');
 
@@ -21,10 +26,18 @@ function RightPanel() {
   const [imageUrl, setImageUrl] = useState(''); // 当前显示的图片URL
   const [isLoadingOriginal, setIsLoadingOriginal] = useState(false);
   const [imageCopied, setImageCopied] = useState(false);
-  const [isExporting, setIsExporting] = useState(false);
-  const [exportProgress, setExportProgress] = useState(0);
-  const [isExportingFolder, setIsExportingFolder] = useState(false);
-  const [folderExportProgress, setFolderExportProgress] = useState(0);
+  // ZIP 导出：服务端打包后由浏览器直接下载，记录导出 id，进度从 useScanStore 的 exportProgress 中读取
+  const [exportId, setExportId] = useState(null);
+  const [folderExportId, setFolderExportId] = useState(null);
+  const [isCreatingExport, setIsCreatingExport] = useState(false);
+  const [isCreatingFolderExport, setIsCreatingFolderExport] = useState(false);
+  const exportProgressMap = useScanStore((state) => state.exportProgress);
+  // 导出预设（空字符串为导出原文件），选择保存在本地
+  const [exportPresets, setExportPresets] = useState([]);
+  const [exportPresetId, setExportPresetId] = useState(() => localStorage.getItem('flypic_export_preset') || '');
+  const [showPresetModal, setShowPresetModal] = useState(false);
+  // 分享链接范围（见 ShareLinkModal），为 null 时不显示弹窗
+  const [shareTarget, setShareTarget] = useState(null);
   const [pathCopied, setPathCopied] = useState(false);
   const [isEditingFilename, setIsEditingFilename] = useState(false);
   const [editingFilename, setEditingFilename] = useState('');
@@ -401,6 +414,42 @@ function RightPanel() {
     };
   }, [selectedImage, currentLibraryId, isResizingPanels, resizingSide]);
 
+  // 加载导出预设
+  useEffect(() => {
+    exportAPI.getPresets()
+      .then(setExportPresets)
+      .catch(error => logger.error('获取导出预设失败:', error.message));
+  }, []);
+
+  // 下载结束（完成、取消或出错）后清除导出 id，出错时提示
+  useEffect(() => {
+    const finish = (id, setId) => {
+      const progress = id && exportProgressMap[id];
+      if (!progress || progress.status === 'running') return;
+      if (progress.status === 'error') {
+        alert(`导出失败：${progress.error}`);
+      }
+      setId(null);
+    };
+    finish(exportId, setExportId);
+    finish(folderExportId, setFolderExportId);
+  }, [exportProgressMap, exportId, folderExportId]);
+
+  // 导出进度百分比：store 模式按已输出字节计算，deflate 模式按已打包文件数计算
+  const getExportPercent = (id) => {
+    const progress = id && exportProgressMap[id];
+    if (!progress) return 0;
+    const ratio = progress.size ? progress.bytes / progress.size : progress.current / progress.count;
+    return Math.min(100, Math.round((ratio || 0) * 100));
+  };
+
+  // 只在收到下载进度时显示为进行中（浏览器拦截下载或 Socket 断开时按钮不会一直不可用）
+  const isDownloading = (id) => Boolean(id) && exportProgressMap[id]?.status === 'running';
+  const isExporting = isCreatingExport || isDownloading(exportId);
+  const exportProgress = getExportPercent(exportId);
+  const isExportingFolder = isCreatingFolderExport || isDownloading(folderExportId);
+  const folderExportProgress = getExportPercent(folderExportId);
+
   // 判断显示类型：文件夹详情 or 图片详情 or 空状态
   const isShowingFolder = selectedFolderItem && !selectedImage && selectedImages.length === 0;
   const isShowingImage = !isShowingFolder && (selectedImage || selectedImages.length > 0);
@@ -862,160 +911,147 @@ function RightPanel() {
     }
   };
 
-  // 批量导出图片（打包成 ZIP）
+  // 创建服务端 ZIP 导出并交给浏览器下载（不在浏览器内存中打包，大文件夹也可以断点续传）
+  const downloadZipExport = async (options) => {
+    const result = await exportAPI.createZip(currentLibraryId, options);
+    const link = document.createElement('a');
+    link.href = result.url;
+    link.download = result.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    logger.data(`开始下载: ${result.filename}`);
+    return result.id;
+  };
+
+  // 当前选择的预设（已被删除的预设视为未选择）
+  const activePresetId = exportPresets.some(preset => preset.id === exportPresetId) ? exportPresetId : undefined;
+
+  const handleExportPresetChange = (id) => {
+    setExportPresetId(id);
+    if (id) {
+      localStorage.setItem('flypic_export_preset', id);
+    } else {
+      localStorage.removeItem('flypic_export_preset');
+    }
+  };
+
+  // 批量导出图片（服务端打包成 ZIP）
   const exportMultipleImages = async () => {
-    setIsExporting(true);
-    try {
-      const imagesToExport = getImagesToProcess();
-      
-      if (imagesToExport.length === 1) {
-        // 单张图片直接下载
-        const url = imageAPI.getOriginalUrl(currentLibraryId, imagesToExport[0].path);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = imagesToExport[0].filename;
-        link.target = '_blank';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-      } else {
-        // 多张图片：打包成 ZIP
-        const zip = new JSZip();
-        const folder = zip.folder('images');
-        
-        setExportProgress(0);
-        
-        // 下载所有图片并添加到 ZIP
-        for (let i = 0; i < imagesToExport.length; i++) {
-          const img = imagesToExport[i];
-          const url = imageAPI.getOriginalUrl(currentLibraryId, img.path);
-          
-          try {
-            const response = await fetch(url);
-            const blob = await response.blob();
-            
-            // 添加到 ZIP，使用原文件名
-            folder.file(img.filename, blob);
-            
-            // 更新进度
-            const progress = Math.round(((i + 1) / imagesToExport.length) * 90); // 90% 用于下载
-            setExportProgress(progress);
-            
-            // 已添加到 ZIP
-          } catch (error) {
-            logger.error(`下载失败: ${img.filename}`, error);
-          }
-        }
-        
-        // 生成 ZIP 文件
-        setExportProgress(95);
-        // 生成 ZIP
-        const zipBlob = await zip.generateAsync({ 
-          type: 'blob',
-          compression: 'DEFLATE',
-          compressionOptions: { level: 6 }
-        });
-        
-        // 下载 ZIP 文件
-        setExportProgress(100);
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(zipBlob);
-        link.download = `FlyPic_导出_${imagesToExport.length}张_${Date.now()}.zip`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(link.href);
-        
-        logger.data('导出完成');
+    const imagesToExport = getImagesToProcess();
+
+    if (imagesToExport.length === 1 && activePresetId) {
+      // 单张图片按预设转换后直接下载
+      setIsCreatingExport(true);
+      try {
+        await downloadZipExport({ paths: [imagesToExport[0].path], presetId: activePresetId, archive: false });
+      } catch (error) {
+        logger.error('导出失败:', error);
+        alert(`导出失败：${error.message}`);
+      } finally {
+        setIsCreatingExport(false);
       }
+      return;
+    }
+
+    if (imagesToExport.length === 1) {
+      // 单张图片直接下载
+      const url = imageAPI.getOriginalUrl(currentLibraryId, imagesToExport[0].path);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = imagesToExport[0].filename;
+      link.target = '_blank';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      return;
+    }
+
+    setIsCreatingExport(true);
+    try {
+      setExportId(await downloadZipExport({ paths: imagesToExport.map(img => img.path), presetId: activePresetId }));
     } catch (error) {
       logger.error('导出失败:', error);
-      alert('导出失败，请重试');
+      alert(`导出失败：${error.message}`);
     } finally {
-      setIsExporting(false);
+      setIsCreatingExport(false);
     }
   };
 
-  // 导出当前文件夹的所有图片
+  // 导出当前文件夹的所有图片（包含子文件夹，压缩包内保留目录结构）
   const exportCurrentFolder = async () => {
     if (!selectedFolder) {
       alert('请先选择一个文件夹');
       return;
     }
 
-    setIsExportingFolder(true);
-    setFolderExportProgress(0);
-
+    setIsCreatingFolderExport(true);
     try {
-      // 获取当前文件夹下的所有图片
-      const folderImages = images.filter(img => {
-        // 检查图片是否在当前文件夹或其子文件夹中
-        return img.folder && img.folder.startsWith(selectedFolder);
-      });
-
-      if (folderImages.length === 0) {
-        alert('当前文件夹没有图片');
-        return;
-      }
-
-      // 创建 ZIP
-      const zip = new JSZip();
-      const folderName = selectedFolder.split('/').pop() || 'images';
-      const folder = zip.folder(folderName);
-
-      // 下载所有图片并添加到 ZIP
-      for (let i = 0; i < folderImages.length; i++) {
-        const img = folderImages[i];
-        const url = imageAPI.getOriginalUrl(currentLibraryId, img.path);
-
-        try {
-          const response = await fetch(url);
-          const blob = await response.blob();
-
-          // 保持相对路径结构
-          const relativePath = img.folder.replace(selectedFolder, '').replace(/^\//, '');
-          const filePath = relativePath ? `${relativePath}/${img.filename}` : img.filename;
-          
-          folder.file(filePath, blob);
-
-          // 更新进度
-          const progress = Math.round(((i + 1) / folderImages.length) * 90);
-          setFolderExportProgress(progress);
-
-          // 已添加到 ZIP
-        } catch (error) {
-          logger.error(`下载失败: ${img.filename}`, error);
-        }
-      }
-
-      // 生成 ZIP 文件
-      setFolderExportProgress(95);
-      // 生成 ZIP
-      const zipBlob = await zip.generateAsync({
-        type: 'blob',
-        compression: 'DEFLATE',
-        compressionOptions: { level: 6 }
-      });
-
-      // 下载 ZIP 文件
-      setFolderExportProgress(100);
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(zipBlob);
-      link.download = `${folderName}_${folderImages.length}张_${Date.now()}.zip`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(link.href);
-
-      logger.data('文件夹导出完成');
+      setFolderExportId(await downloadZipExport({ query: { folder: selectedFolder }, presetId: activePresetId }));
     } catch (error) {
       logger.error('导出文件夹失败:', error);
-      alert('导出文件夹失败，请重试');
+      alert(`导出文件夹失败：${error.message}`);
     } finally {
-      setIsExportingFolder(false);
+      setIsCreatingFolderExport(false);
     }
   };
 
+  // 分享选中的图片
+  const shareSelectedImages = () => {
+    const imagesToShare = getImagesToProcess();
+    if (imagesToShare.length === 0) return;
+    setShareTarget({
+      type: 'selection',
+      imageIds: imagesToShare.map(img => img.id),
+      title: imagesToShare.length === 1 ? imagesToShare[0].filename : `${imagesToShare.length} 张图片`
+    });
+  };
+
+  const renderShareButton = (label, onClick) => (
+    <>
+      <button
+        onClick={onClick}
+        className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+      >
+        <Share2 className="w-4 h-4" />
+        <span>{label}</span>
+      </button>
+      <ShareLinkModal isOpen={!!shareTarget} target={shareTarget} onClose={() => setShareTarget(null)} />
+    </>
+  );
+
+  // 导出预设选择（导出按钮上方）
+  const renderExportPresetSelect = () => (
+    <>
+      <div className="flex items-center gap-2">
+        <select
+          value={activePresetId || ''}
+          onChange={(e) => handleExportPresetChange(e.target.value)}
+          className="flex-1 min-w-0 px-2 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-700 dark:text-gray-300 focus:outline-none focus:ring-1 focus:ring-blue-500"
+          title="导出预设"
+        >
+          <option value="">导出原文件</option>
+          {exportPresets.map(preset => (
+            <option key={preset.id} value={preset.id}>{preset.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowPresetModal(true)}
+          className="p-2 rounded-lg text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="管理导出预设"
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+        </button>
+      </div>
+      <ExportPresetModal
+        isOpen={showPresetModal}
+        onClose={() => setShowPresetModal(false)}
+        presets={exportPresets}
+        onPresetsChange={setExportPresets}
+      />
+    </>
+  );
+
   const formatFileSize = (bytes) => {
     if (bytes < 1024) return bytes + ' B';
     if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(2) + ' KB';
@@ -1189,6 +1225,8 @@ function RightPanel() {
         {/* 操作按钮 - 仅桌面端显示 */}
         {!isMobile && totalCount > 0 && (
           <div className="p-4 border-t border-gray-200 dark:border-gray-700 space-y-2 flex-shrink-0">
+            {renderExportPresetSelect()}
+
             {/* 导出文件夹按钮 */}
             <button
               onClick={exportCurrentFolder}
@@ -1199,7 +1237,7 @@ function RightPanel() {
                 <FolderDown className="w-4 h-4" />
                 <span>
                   {isExportingFolder 
-                    ? `打包中... ${folderExportProgress}%` 
+                    ? `下载中... ${folderExportProgress}%` 
                     : `导出文件夹 (${totalCount} 张)`
                   }
                 </span>
@@ -1213,6 +1251,8 @@ function RightPanel() {
                 </div>
               )}
             </button>
+
+            {renderShareButton('分享文件夹', () => setShareTarget({ type: 'folder', folder: folderPath, title: folderName }))}
           </div>
         )}
       </div>
@@ -1390,6 +1430,10 @@ function RightPanel() {
                         return null;
                       })()}
                     </div>
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">标签:</span>
+                      <TagEditor libraryId={currentLibraryId} images={getImagesToProcess()} />
+                    </div>
                     <div>
                       <span className="text-gray-500 dark:text-gray-400">尺寸范围:</span>
                       <p className="text-gray-900 dark:text-gray-100 text-xs">
@@ -1488,6 +1532,10 @@ function RightPanel() {
                       />
                     </div>
                   </div>
+                  <div>
+                    <span className="text-gray-500 dark:text-gray-400">标签:</span>
+                    <TagEditor libraryId={currentLibraryId} images={[selectedImage]} />
+                  </div>
                   <div>
                     <span className="text-gray-500 dark:text-gray-400">尺寸:</span>
                     <p className="text-gray-900 dark:text-gray-100 text-xs">{selectedImage.width} × {selectedImage.height}</p>
@@ -1500,6 +1548,30 @@ function RightPanel() {
                     <span className="text-gray-500 dark:text-gray-400">格式:</span>
                     <p className="text-gray-900 dark:text-gray-100 text-xs uppercase">{selectedImage.format}</p>
                   </div>
+                  {selectedImage.duration > 0 && (
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">时长:</span>
+                      <p className="text-gray-900 dark:text-gray-100 text-xs">{formatDuration(selectedImage.duration)}</p>
+                    </div>
+                  )}
+                  {selectedImage.animated === 1 && (
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">帧数:</span>
+                      <p className="text-gray-900 dark:text-gray-100 text-xs">{selectedImage.frameCount}（动图）</p>
+                    </div>
+                  )}
+                  {selectedImage.pageCount > 1 && (
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">页数:</span>
+                      <p className="text-gray-900 dark:text-gray-100 text-xs">{selectedImage.pageCount}</p>
+                    </div>
+                  )}
+                  {selectedImage.codec && (
+                    <div>
+                      <span className="text-gray-500 dark:text-gray-400">编码:</span>
+                      <p className="text-gray-900 dark:text-gray-100 text-xs uppercase">{selectedImage.codec}</p>
+                    </div>
+                  )}
                   
                   <div>
                     <span className="text-gray-500 dark:text-gray-400">创建时间:</span>
@@ -1509,6 +1581,8 @@ function RightPanel() {
                     <span className="text-gray-500 dark:text-gray-400">修改时间:</span>
                     <p className="text-gray-900 dark:text-gray-100 text-xs">{formatDate(selectedImage.modifiedAt || selectedImage.modified_at)}</p>
                   </div>
+                  <ImageColorSection libraryId={currentLibraryId} image={selectedImage} />
+                  <ImageMetaSection libraryId={currentLibraryId} image={selectedImage} />
                 </>
               )}
             <div>
@@ -1585,6 +1659,8 @@ function RightPanel() {
           )}
         </button>
         
+        {renderExportPresetSelect()}
+
         {/* 导出按钮 */}
         <button
           onClick={exportMultipleImages}
@@ -1595,7 +1671,7 @@ function RightPanel() {
             <Download className="w-4 h-4" />
             <span>
               {isExporting 
-                ? `打包中... ${exportProgress}%` 
+                ? `下载中... ${exportProgress}%` 
                 : `导出图片${isMultiSelect ? ` (${actualSelectedCount})` : ''}`
               }
             </span>
@@ -1609,6 +1685,8 @@ function RightPanel() {
             </div>
           )}
         </button>
+
+        {renderShareButton(`分享${isMultiSelect ? ` (${actualSelectedCount})` : ''}`, shareSelectedImages)}
       </div>
       )}
     </div>
@@ -0,0 +1,54 @@
+/**
+ * 搜索条件标签
+ * 在搜索框下方以标签形式展示解析后的关键词、字段条件和语法错误（仅在使用了搜索语法时显示）
+ */
+
+import { AlertCircle } from 'lucide-react';
+import { SEARCH_FIELDS, formatSearchToken } from '../utils/searchQuery';
+
+function SearchQueryChips({ query }) {
+  const { tokens, errors } = query;
+
+  // 只有普通关键词时无需展示
+  if (!tokens.some(token => token.type !== 'text' || token.negate || token.error)) return null;
+
+  const chipClass = (token) => {
+    if (token.error) return 'bg-red-50 dark:bg-red-900/40 text-red-700 dark:text-red-300 border border-red-300 dark:border-red-700';
+    if (token.type === 'operator') return 'text-gray-500 dark:text-gray-400';
+    if (token.negate) return 'bg-orange-50 dark:bg-orange-900/40 text-orange-700 dark:text-orange-300';
+    if (token.type === 'field') return 'bg-blue-50 dark:bg-blue-900 text-blue-700 dark:text-blue-300';
+    return 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300';
+  };
+
+  return (
+    <div className="absolute left-0 right-0 top-full mt-1 z-50 p-2 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg">
+      <div className="flex flex-wrap items-center gap-1">
+        {tokens.map((token, index) => (
+          <span
+            key={`${index}-${token.raw}`}
+            className={`px-2 py-0.5 rounded-full text-xs ${chipClass(token)}`}
+            title={token.error || token.raw}
+          >
+            {formatSearchToken(token)}
+          </span>
+        ))}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="mt-2 space-y-1">
+          {errors.map((error, index) => (
+            <div key={index} className="flex items-start gap-1 text-xs text-red-600 dark:text-red-400">
+              <AlertCircle className="w-3.5 h-3.5 mt-px flex-shrink-0" />
+              <span><code className="font-mono">{error.token}</code>：{error.message}</span>
+            </div>
+          ))}
+          <div className="text-xs text-gray-400 dark:text-gray-500">
+            示例：{Object.values(SEARCH_FIELDS).map(field => field.example).join('  ')}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchQueryChips;
@@ -0,0 +1,120 @@
+/**
+ * 登录设备弹窗
+ * 列出当前用户的登录会话（设备、IP、最后活动时间），可以退出单个会话或其他所有会话；
+ * 修改密码时后端会自动退出所有会话
+ */
+
+import { useState, useEffect } from 'react';
+import { MonitorSmartphone, X, LogOut, Loader2 } from 'lucide-react';
+import { authAPI } from '../api/auth';
+import { describeUserAgent } from '../utils/userAgent';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SessionManagementModal');
+
+function SessionManagementModal({ isOpen, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // 打开时加载会话列表
+  useEffect(() => {
+    if (!isOpen) return;
+    setIsLoading(true);
+    authAPI.getSessions()
+      .then(setSessions)
+      .catch((error) => logger.error('加载登录设备失败:', error))
+      .finally(() => setIsLoading(false));
+  }, [isOpen]);
+
+  const handleRevoke = async (session) => {
+    if (!confirm(`退出设备「${describeUserAgent(session.userAgent)}」？该设备需要重新登录。`)) return;
+    try {
+      await authAPI.revokeSession(session.id);
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (error) {
+      logger.error('退出会话失败:', error);
+      alert('退出失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!confirm('退出除当前设备外的所有设备？这些设备需要重新登录。')) return;
+    try {
+      await authAPI.revokeOtherSessions();
+      setSessions(prev => prev.filter(item => item.current));
+    } catch (error) {
+      logger.error('退出其他设备失败:', error);
+      alert('退出失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const hasOthers = sessions.some(session => !session.current);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <MonitorSmartphone className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">登录设备</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 text-sm text-gray-600 dark:text-gray-300">
+          {isLoading && <Loader2 className="w-4 h-4 mx-auto animate-spin text-gray-400" />}
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {sessions.map(session => (
+              <div key={session.id} className="flex items-center gap-3 py-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-1.5">
+                    <span className="font-medium text-gray-900 dark:text-white truncate" title={session.userAgent || ''}>
+                      {describeUserAgent(session.userAgent)}
+                    </span>
+                    {session.current && <span className="flex-shrink-0 text-xs text-green-600 dark:text-green-400">当前设备</span>}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {session.ip || '未知 IP'}
+                    {' · '}最后活动：{new Date(session.lastSeenAt).toLocaleString()}
+                    {' · '}登录于 {new Date(session.createdAt).toLocaleString()}
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    className="p-1.5 rounded text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    title="退出该设备"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* 操作 */}
+        <div className="flex items-center justify-end gap-3 px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={handleRevokeOthers}
+            disabled={!hasOthers}
+            className="px-3 py-1 text-sm border border-red-300 dark:border-red-800 rounded text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+          >
+            退出其他所有设备
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SessionManagementModal;
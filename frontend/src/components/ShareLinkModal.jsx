@@ -0,0 +1,180 @@
+/**
+ * 创建分享链接弹窗
+ * target 为分享范围：{ type: 'folder'|'album'|'selection'|'search', folder?, albumId?, imageIds?, query?, title }，
+ * 创建后显示链接，访问者不需要登录即可浏览（/s/:token）
+ */
+
+import { useState, useEffect } from 'react';
+import { Share2, X, Copy, Check, Loader2 } from 'lucide-react';
+import { shareAPI } from '../api';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ShareLinkModal');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const EXPIRY_OPTIONS = [
+  { value: 0, label: '永久有效' },
+  { value: 1, label: '1 天' },
+  { value: 7, label: '7 天' },
+  { value: 30, label: '30 天' }
+];
+
+export const SHARE_TYPE_LABELS = {
+  folder: '文件夹',
+  album: '相册',
+  selection: '选中的图片',
+  search: '搜索结果'
+};
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+/**
+ * 分享页的完整地址
+ */
+export const getShareLink = (share) => `${window.location.origin}${share.url}`;
+
+function ShareLinkModal({ isOpen, onClose, target }) {
+  const { currentLibraryId } = useLibraryStore();
+  const [title, setTitle] = useState('');
+  const [password, setPassword] = useState('');
+  const [expiryDays, setExpiryDays] = useState(7);
+  const [allowDownload, setAllowDownload] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [createdShare, setCreatedShare] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // 打开时重置表单
+  useEffect(() => {
+    if (!isOpen) return;
+    setTitle(target?.title || '');
+    setPassword('');
+    setExpiryDays(7);
+    setAllowDownload(false);
+    setCreatedShare(null);
+    setCopied(false);
+  }, [isOpen, target]);
+
+  const handleCreate = async () => {
+    const { title: defaultTitle, ...scope } = target;
+    setIsSaving(true);
+    try {
+      const share = await shareAPI.create(currentLibraryId, {
+        ...scope,
+        title: title.trim() || defaultTitle,
+        password: password || undefined,
+        expiresAt: expiryDays ? Date.now() + expiryDays * DAY_MS : null,
+        allowDownload
+      });
+      logger.data(`创建分享链接: ${share.title}`);
+      setCreatedShare(share);
+    } catch (error) {
+      logger.error('创建分享链接失败:', error);
+      alert('创建分享链接失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareLink(createdShare));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      logger.warn('复制链接失败:', error);
+    }
+  };
+
+  if (!isOpen || !target) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-md w-full mx-4 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <Share2 className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">
+            分享{SHARE_TYPE_LABELS[target.type]}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {createdShare ? (
+          <div className="px-6 py-4 space-y-3 text-sm text-gray-600 dark:text-gray-300">
+            <p>分享链接已创建，任何拿到链接的人都可以浏览{createdShare.hasPassword ? '（需要输入密码）' : ''}：</p>
+            <div className="flex items-center gap-2">
+              <input className={inputClass} value={getShareLink(createdShare)} readOnly onFocus={(e) => e.target.select()} />
+              <button
+                onClick={handleCopy}
+                className={`flex-shrink-0 p-1.5 rounded ${copied ? 'text-green-500' : 'text-gray-500 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                title="复制链接"
+              >
+                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="px-6 py-4 space-y-3 text-sm text-gray-600 dark:text-gray-300">
+            <label className="block">
+              <span className="text-xs text-gray-500 dark:text-gray-400">标题</span>
+              <input className={inputClass} value={title} placeholder={target.title} onChange={(e) => setTitle(e.target.value)} />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">访问密码（可选）</span>
+                <input
+                  type="password" autoComplete="new-password" className={inputClass}
+                  value={password}
+                  placeholder="不设置密码"
+                  onChange={(e) => setPassword(e.target.value)}
+                />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">有效期</span>
+                <select className={inputClass} value={expiryDays} onChange={(e) => setExpiryDays(Number(e.target.value))}>
+                  {EXPIRY_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </label>
+            </div>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={allowDownload} onChange={(e) => setAllowDownload(e.target.checked)} />
+              <span>允许下载原图（不允许时只能查看大尺寸缩略图）</span>
+            </label>
+          </div>
+        )}
+
+        {/* 操作 */}
+        <div className="flex items-center justify-end gap-3 px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            {createdShare ? '完成' : '取消'}
+          </button>
+          {!createdShare && (
+            <button
+              onClick={handleCreate}
+              disabled={isSaving}
+              className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded disabled:opacity-50"
+            >
+              {isSaving && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+              创建链接
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareLinkModal;
@@ -0,0 +1,115 @@
+/**
+ * 分享链接管理弹窗
+ * 列出有效的分享链接（素材库管理员可以看到该素材库的所有分享，其他用户只能看到自己创建的分享），可以复制链接或撤销
+ */
+
+import { useState, useEffect } from 'react';
+import { Share2, X, Copy, Check, Lock, Download, Trash2, Loader2 } from 'lucide-react';
+import { shareAPI } from '../api';
+import { SHARE_TYPE_LABELS, getShareLink } from './ShareLinkModal';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ShareManagementModal');
+
+function ShareManagementModal({ isOpen, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [copiedToken, setCopiedToken] = useState(null);
+
+  // 打开时加载分享列表
+  useEffect(() => {
+    if (!isOpen) return;
+    setIsLoading(true);
+    shareAPI.getAll()
+      .then(setShares)
+      .catch((error) => logger.error('加载分享列表失败:', error))
+      .finally(() => setIsLoading(false));
+  }, [isOpen]);
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(getShareLink(share));
+      setCopiedToken(share.token);
+      setTimeout(() => setCopiedToken(null), 2000);
+    } catch (error) {
+      logger.warn('复制链接失败:', error);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!confirm(`撤销分享「${share.title}」？撤销后链接立即失效。`)) return;
+    try {
+      await shareAPI.revoke(share.token);
+      setShares(prev => prev.filter(item => item.token !== share.token));
+    } catch (error) {
+      logger.error('撤销分享失败:', error);
+      alert('撤销失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <Share2 className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">分享链接</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 text-sm text-gray-600 dark:text-gray-300">
+          {isLoading && <Loader2 className="w-4 h-4 mx-auto animate-spin text-gray-400" />}
+          {!isLoading && shares.length === 0 && (
+            <p className="text-center py-6 text-xs text-gray-400">
+              暂无有效的分享链接，可以在文件夹、相册、智能相册或选中图片的操作中创建
+            </p>
+          )}
+          <div className="divide-y divide-gray-200 dark:divide-gray-700">
+            {shares.map(share => (
+              <div key={share.token} className="flex items-center gap-3 py-2">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-1.5">
+                    <span className="font-medium text-gray-900 dark:text-white truncate">{share.title}</span>
+                    {share.hasPassword && <span title="需要密码"><Lock className="w-3 h-3 flex-shrink-0 text-gray-400" /></span>}
+                    {share.allowDownload && <span title="允许下载原图"><Download className="w-3 h-3 flex-shrink-0 text-gray-400" /></span>}
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
+                    {share.libraryName || share.libraryId} · {SHARE_TYPE_LABELS[share.type]}
+                    {' · '}{share.views} 次浏览
+                    {' · '}{share.expiresAt ? `${new Date(share.expiresAt).toLocaleString()} 过期` : '永久有效'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleCopy(share)}
+                  className={`p-1.5 rounded ${copiedToken === share.token ? 'text-green-500' : 'text-gray-400 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                  title="复制链接"
+                >
+                  {copiedToken === share.token ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                </button>
+                <button
+                  onClick={() => handleRevoke(share)}
+                  className="p-1.5 rounded text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+                  title="撤销分享"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShareManagementModal;
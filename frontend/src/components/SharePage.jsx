@@ -0,0 +1,214 @@
+/**
+ * 分享页（/s/:token）
+ * 访问者不需要登录，使用只读模式的 ImageWaterfall 浏览分享范围内的图片；
+ * 有密码的分享先输入密码，访问密钥保存在 sessionStorage 中，关闭标签页后需要重新输入
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Lock, Loader2, Download, Clock, Share2 } from 'lucide-react';
+import { shareAPI } from '../api';
+import ImageWaterfall from './ImageWaterfall';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SharePage');
+
+// 与后端 SHARES.PREVIEW_HEIGHT 一致：不允许下载时查看大图使用的缩略图档位
+const PREVIEW_HEIGHT = 800;
+const PAGE_SIZE = 100;
+
+const getStoredKey = (token) => sessionStorage.getItem(`flypic_share_${token}`);
+const storeKey = (token, key) => {
+  if (key) {
+    sessionStorage.setItem(`flypic_share_${token}`, key);
+  } else {
+    sessionStorage.removeItem(`flypic_share_${token}`);
+  }
+};
+
+function SharePage({ token }) {
+  const [info, setInfo] = useState(null);
+  const [error, setError] = useState('');
+  const [accessKey, setAccessKey] = useState(() => getStoredKey(token));
+  const [needsPassword, setNeedsPassword] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [images, setImages] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const loadingRef = useRef(false);
+
+  // 访问者没有主题设置，跟随系统
+  useEffect(() => {
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+    const apply = () => document.documentElement.classList.toggle('dark', media.matches);
+    apply();
+    media.addEventListener('change', apply);
+    return () => media.removeEventListener('change', apply);
+  }, []);
+
+  const loadPage = useCallback(async (key, cursor) => {
+    if (loadingRef.current) return;
+    loadingRef.current = true;
+    setIsLoading(true);
+    try {
+      const result = await shareAPI.getImages(token, key, cursor, PAGE_SIZE);
+      setImages(prev => (cursor ? [...prev, ...result.images] : result.images));
+      if (result.total !== undefined) setTotal(result.total);
+      setNextCursor(result.nextCursor);
+      setHasMore(result.hasMore);
+      setNeedsPassword(false);
+    } catch (err) {
+      if (err.data?.error?.code === 'SHARE_PASSWORD_REQUIRED') {
+        // 保存的访问密钥已失效
+        storeKey(token, null);
+        setAccessKey(null);
+        setNeedsPassword(true);
+      } else {
+        logger.error('加载分享图片失败:', err);
+        setError(err.message || '加载失败');
+      }
+    } finally {
+      loadingRef.current = false;
+      setIsLoading(false);
+    }
+  }, [token]);
+
+  // 打开分享
+  useEffect(() => {
+    shareAPI.getPublicInfo(token)
+      .then((data) => {
+        setInfo(data);
+        document.title = `${data.title} - FlyPic`;
+        if (data.hasPassword && !getStoredKey(token)) {
+          setNeedsPassword(true);
+        } else {
+          loadPage(getStoredKey(token), '');
+        }
+      })
+      .catch((err) => {
+        setError(err.status === 410 ? '分享链接已过期' : err.status === 404 ? '分享链接不存在或已被撤销' : (err.message || '加载失败'));
+      });
+  }, [token, loadPage]);
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    setPasswordError('');
+    try {
+      const { key } = await shareAPI.unlock(token, password);
+      storeKey(token, key);
+      setAccessKey(key);
+      await loadPage(key, '');
+    } catch (err) {
+      setPasswordError(err.message || '密码错误');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const loadMore = useCallback(() => {
+    if (hasMore) loadPage(accessKey, nextCursor);
+  }, [hasMore, accessKey, nextCursor, loadPage]);
+
+  // ImageWaterfall 只读模式使用的图片和 URL
+  const share = useMemo(() => {
+    if (!info) return null;
+    return {
+      images,
+      hasMore,
+      isLoading,
+      loadMore,
+      allowDownload: info.allowDownload,
+      getThumbnailUrl: (image, height) => (image.hasThumbnail ? shareAPI.getThumbnailUrl(token, accessKey, image.id, height) : ''),
+      getAnimatedThumbnailUrl: (image) => (image.hasAnimatedThumbnail ? shareAPI.getThumbnailUrl(token, accessKey, image.id, null, true) : ''),
+      getOriginalUrl: (image) => (info.allowDownload
+        ? shareAPI.getOriginalUrl(token, accessKey, image.id)
+        : shareAPI.getThumbnailUrl(token, accessKey, image.id, PREVIEW_HEIGHT)),
+      getDownloadUrl: (image) => shareAPI.getOriginalUrl(token, accessKey, image.id, true),
+      getPreviewUrl: (image, page) => shareAPI.getPreviewUrl(token, accessKey, image.id, page)
+    };
+  }, [info, images, hasMore, isLoading, loadMore, token, accessKey]);
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-3 bg-gray-50 dark:bg-gray-900 text-gray-500 dark:text-gray-400">
+        <Share2 className="w-10 h-10 text-gray-300 dark:text-gray-600" />
+        <p className="text-lg">{error}</p>
+      </div>
+    );
+  }
+
+  if (!info) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
+  if (needsPassword) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800">
+        <form onSubmit={handleUnlock} className="w-full max-w-sm mx-4 bg-white dark:bg-gray-800 rounded-2xl shadow-2xl p-8 space-y-4">
+          <div className="text-center">
+            <Lock className="w-8 h-8 mx-auto mb-3 text-blue-500" />
+            <h1 className="text-xl font-semibold text-gray-900 dark:text-white truncate">{info.title}</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">该分享需要密码才能查看</p>
+          </div>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="请输入分享密码"
+            className="w-full px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition"
+            disabled={isUnlocking}
+            autoFocus
+          />
+          {passwordError && (
+            <p className="text-sm text-red-600 dark:text-red-400">{passwordError}</p>
+          )}
+          <button
+            type="submit"
+            disabled={isUnlocking || !password}
+            className="w-full flex items-center justify-center gap-2 py-3 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg disabled:opacity-50"
+          >
+            {isUnlocking && <Loader2 className="w-4 h-4 animate-spin" />}
+            查看
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-screen flex flex-col bg-gray-50 dark:bg-gray-900">
+      <header className="flex items-center gap-3 px-4 py-3 bg-white dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700">
+        <img src="/favicon.png" alt="" className="w-6 h-6" />
+        <h1 className="flex-1 min-w-0 text-lg font-semibold text-gray-900 dark:text-white truncate">{info.title}</h1>
+        <div className="flex items-center gap-4 text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+          {total !== null && <span>{total} 个文件</span>}
+          {info.expiresAt && (
+            <span className="hidden sm:flex items-center gap-1">
+              <Clock className="w-3.5 h-3.5" />
+              {new Date(info.expiresAt).toLocaleString()} 过期
+            </span>
+          )}
+          {info.allowDownload && (
+            <span className="hidden sm:flex items-center gap-1">
+              <Download className="w-3.5 h-3.5" />
+              允许下载原图
+            </span>
+          )}
+        </div>
+      </header>
+      <main className="flex-1 min-h-0">
+        <ImageWaterfall share={share} />
+      </main>
+    </div>
+  );
+}
+
+export default SharePage;
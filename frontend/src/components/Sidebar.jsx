@@ -1,5 +1,5 @@
 import { useState, useMemo, useEffect, useRef, useCallback } from 'react';
-import { Folder, Search, ChevronRight, ChevronDown, X, Trash2, ChevronsRight, ChevronsDown } from 'lucide-react';
+import { Folder, Search, ChevronRight, ChevronDown, X, Trash2, ChevronsRight, ChevronsDown, Heart, Copy, Wrench } from 'lucide-react';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { useImageStore } from '../stores/useImageStore';
 import { useScanStore } from '../stores/useScanStore';
@@ -11,6 +11,11 @@ import ContextMenu, { menuItems } from './ContextMenu';
 import UndoToast from './UndoToast';
 import FolderSelector from './FolderSelector';
 import ConflictDialog from './ConflictDialog';
+import TagTree from './TagTree';
+import AlbumList from './AlbumList';
+import SmartAlbumList from './SmartAlbumList';
+import DuplicateReviewModal from './DuplicateReviewModal';
+import ThumbnailMaintenanceModal from './ThumbnailMaintenanceModal';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('Sidebar');
@@ -37,7 +42,7 @@ function Sidebar() {
     expandLibrarySelector,
     resetExpandLibrarySelector
   } = useLibraryStore();
-  const { folders, selectedFolder, totalImageCount, setSelectedFolder, setSelectedFolderItem } = useImageStore();
+  const { folders, selectedFolder, selectedTag, showFavorites, selectedAlbum, selectedSmartAlbum, similarTo, totalImageCount, setSelectedFolder, setSelectedFolderItem, setShowFavorites } = useImageStore();
   const { isScanning } = useScanStore();
 
   const [showAddLibrary, setShowAddLibrary] = useState(false);
@@ -62,6 +67,8 @@ function Sidebar() {
   const [newFolderName, setNewFolderName] = useState(''); // 新建文件夹名称
   const [conflictDialog, setConflictDialog] = useState({ isOpen: false, conflicts: [], pendingMove: null }); // 冲突对话框
   const [dragMoveHistory, setDragMoveHistory] = useState([]); // 拖拽移动历史栈
+  const [showDuplicates, setShowDuplicates] = useState(false); // 重复文件审查弹窗
+  const [showMaintenance, setShowMaintenance] = useState(false); // 缓存维护弹窗
   const folderSearchDebounceRef = useRef(null);
   const librarySelectorRef = useRef(null);
   const folderNameInputRef = useRef(null);
@@ -1599,7 +1606,7 @@ function Sidebar() {
         <div className="space-y-1">
           {/* 全部图片选项 */}
           <div
-            className={`flex items-center px-3 py-2 cursor-pointer rounded-md transition-colors ${selectedFolder === null
+            className={`flex items-center px-3 py-2 cursor-pointer rounded-md transition-colors ${selectedFolder === null && !selectedTag && !showFavorites && !selectedAlbum && !selectedSmartAlbum && !similarTo
                 ? 'bg-blue-50 dark:bg-blue-900'
                 : 'hover:bg-gray-100 dark:hover:bg-gray-700'
             }`}
@@ -1615,6 +1622,50 @@ function Sidebar() {
             </span>
           </div>
 
+          {/* 收藏（虚拟文件夹） */}
+          <div
+            className={`flex items-center px-3 py-2 cursor-pointer rounded-md transition-colors ${showFavorites
+                ? 'bg-blue-50 dark:bg-blue-900'
+                : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+            }`}
+            onClick={() => {
+              if (showFavorites) return;
+              onUserActionStart();
+              setShowFavorites(true);
+              useImageStore.getState().clearSelection();
+            }}
+          >
+            <div className="w-5 mr-1" />
+            <Heart className="w-4 h-4 mr-2 text-red-500 flex-shrink-0" />
+            <span className="text-sm text-gray-700 dark:text-gray-200 font-medium flex-1">
+              收藏
+            </span>
+          </div>
+
+          {/* 重复文件（打开审查弹窗） */}
+          <div
+            className="flex items-center px-3 py-2 cursor-pointer rounded-md transition-colors hover:bg-gray-100 dark:hover:bg-gray-700"
+            onClick={() => setShowDuplicates(true)}
+          >
+            <div className="w-5 mr-1" />
+            <Copy className="w-4 h-4 mr-2 text-purple-500 flex-shrink-0" />
+            <span className="text-sm text-gray-700 dark:text-gray-200 font-medium flex-1">
+              重复文件
+            </span>
+          </div>
+
+          {/* 缓存维护（打开维护弹窗） */}
+          <div
+            className="flex items-center px-3 py-2 cursor-pointer rounded-md transition-colors hover:bg-gray-100 dark:hover:bg-gray-700"
+            onClick={() => setShowMaintenance(true)}
+          >
+            <div className="w-5 mr-1" />
+            <Wrench className="w-4 h-4 mr-2 text-gray-500 flex-shrink-0" />
+            <span className="text-sm text-gray-700 dark:text-gray-200 font-medium flex-1">
+              缓存维护
+            </span>
+          </div>
+
           {/* 分隔线 */}
           {(filteredFolders.length > 0 || folders.length > 0) && (
             <div className="h-px bg-gray-200 dark:bg-gray-700 my-2" />
@@ -1633,6 +1684,15 @@ function Sidebar() {
             </div>
           ) : null}
         </div>
+
+        {/* 相册（可将图片拖拽到相册） */}
+        <AlbumList />
+
+        {/* 智能相册 */}
+        <SmartAlbumList />
+
+        {/* 标签树 */}
+        <TagTree />
       </div>
 
       {/* 文件夹右键菜单 */}
@@ -1694,6 +1754,18 @@ function Sidebar() {
         onResolve={handleConflictResolve}
         onCancel={handleConflictCancel}
       />
+
+      {/* 重复文件审查 */}
+      <DuplicateReviewModal
+        isOpen={showDuplicates}
+        onClose={() => setShowDuplicates(false)}
+      />
+
+      {/* 缩略图缓存维护 */}
+      <ThumbnailMaintenanceModal
+        isOpen={showMaintenance}
+        onClose={() => setShowMaintenance(false)}
+      />
     </div>
   );
 }
@@ -0,0 +1,272 @@
+/**
+ * 智能相册列表组件（侧边栏）
+ * 智能相册即保存的搜索：将当前的搜索关键词和筛选条件保存下来，点击后按条件实时查询图片
+ * 数量由后端实时统计，扫描或文件监控更新素材库后随 scanComplete 刷新
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Sparkles, ChevronRight, ChevronDown, Plus } from 'lucide-react';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useImageStore } from '../stores/useImageStore';
+import { smartAlbumAPI } from '../api';
+import { onUserActionStart } from '../services/imageLoadService';
+import { buildFilterParams } from '../utils/imageFilters';
+import ContextMenu, { menuItems } from './ContextMenu';
+import ShareLinkModal from './ShareLinkModal';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('SmartAlbumList');
+
+/**
+ * 当前搜索框和筛选条件对应的智能相册查询参数，没有任何条件时返回 null
+ */
+const getCurrentQuery = () => {
+  const { searchKeywords, filters } = useImageStore.getState();
+  const query = { ...buildFilterParams(filters) };
+  if (searchKeywords.trim()) query.keywords = searchKeywords.trim();
+  return Object.keys(query).length > 0 ? query : null;
+};
+
+function SmartAlbumList() {
+  const { currentLibraryId } = useLibraryStore();
+  const { smartAlbums, selectedSmartAlbum, setSmartAlbums, setSelectedSmartAlbum } = useImageStore();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [contextMenu, setContextMenu] = useState({ isOpen: false, position: null, album: null });
+  const [shareTarget, setShareTarget] = useState(null);
+  // 编辑状态：{ mode: 'create', query } | { mode: 'rename', album }
+  const [editing, setEditing] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const inputRef = useRef(null);
+
+  // 加载智能相册列表
+  const loadAlbums = useCallback(async () => {
+    if (!currentLibraryId) {
+      setSmartAlbums([]);
+      return;
+    }
+    try {
+      const res = await smartAlbumAPI.getAll(currentLibraryId);
+      setSmartAlbums(res.albums || []);
+    } catch (error) {
+      logger.error('加载智能相册失败:', error.message);
+    }
+  }, [currentLibraryId, setSmartAlbums]);
+
+  useEffect(() => {
+    loadAlbums();
+  }, [loadAlbums]);
+
+  // 进入编辑状态后聚焦输入框
+  useEffect(() => {
+    if (editing) {
+      setTimeout(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+      }, 50);
+    }
+  }, [editing]);
+
+  // 点击智能相册：浏览匹配的图片
+  const handleAlbumClick = (album) => {
+    if (selectedSmartAlbum?.id === album.id) return;
+    onUserActionStart();
+    setSelectedSmartAlbum({ id: album.id, name: album.name });
+    useImageStore.getState().clearSelection();
+  };
+
+  // 将当前搜索保存为智能相册
+  const handleStartCreate = () => {
+    const query = getCurrentQuery();
+    if (!query) {
+      alert('请先输入搜索条件或设置筛选');
+      return;
+    }
+    setIsCollapsed(false);
+    setEditing({ mode: 'create', query });
+    setEditingName('');
+  };
+
+  const handleStartRename = (album) => {
+    setEditing({ mode: 'rename', album });
+    setEditingName(album.name);
+  };
+
+  const handleCancelEdit = () => {
+    setEditing(null);
+    setEditingName('');
+  };
+
+  const handleFinishEdit = async () => {
+    if (!editing) return;
+    const name = editingName.trim();
+    const current = editing;
+    handleCancelEdit();
+
+    if (!name) return;
+
+    try {
+      if (current.mode === 'create') {
+        await smartAlbumAPI.create(currentLibraryId, name, current.query);
+        logger.data(`创建智能相册: ${name}`);
+      } else if (name !== current.album.name) {
+        await smartAlbumAPI.update(currentLibraryId, current.album.id, { name });
+        logger.data(`重命名智能相册: ${current.album.name} → ${name}`);
+        if (selectedSmartAlbum?.id === current.album.id) {
+          setSelectedSmartAlbum({ id: current.album.id, name });
+        }
+      }
+      await loadAlbums();
+    } catch (error) {
+      logger.error('保存智能相册失败:', error);
+      alert('保存智能相册失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  // 用当前搜索条件替换智能相册的条件
+  const handleUpdateQuery = async (album) => {
+    const query = getCurrentQuery();
+    if (!query) {
+      alert('请先输入搜索条件或设置筛选');
+      return;
+    }
+    if (!confirm(`确定用当前的搜索条件替换智能相册「${album.name}」的条件吗？`)) return;
+
+    try {
+      await smartAlbumAPI.update(currentLibraryId, album.id, { query });
+      logger.data(`更新智能相册条件: ${album.name}`);
+      await loadAlbums();
+    } catch (error) {
+      logger.error('更新智能相册失败:', error);
+      alert('更新智能相册失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleDeleteAlbum = async (album) => {
+    if (!confirm(`确定删除智能相册「${album.name}」吗？\n只删除保存的搜索条件，图片不受影响。`)) return;
+
+    try {
+      await smartAlbumAPI.remove(currentLibraryId, album.id);
+      logger.data(`删除智能相册: ${album.name}`);
+      if (selectedSmartAlbum?.id === album.id) {
+        setSelectedSmartAlbum(null);
+      }
+      await loadAlbums();
+    } catch (error) {
+      logger.error('删除智能相册失败:', error);
+      alert('删除智能相册失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const renderEditInput = () => (
+    <div className="flex items-center px-3 py-1.5">
+      <div className="w-5 mr-1" />
+      <Sparkles className="w-4 h-4 mr-2 text-purple-500 flex-shrink-0" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={editingName}
+        placeholder="智能相册名"
+        onChange={(e) => setEditingName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handleFinishEdit();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            handleCancelEdit();
+          }
+        }}
+        onBlur={handleFinishEdit}
+        onClick={(e) => e.stopPropagation()}
+        className="flex-1 text-sm text-gray-700 dark:text-gray-300 bg-transparent border-none outline-none focus:outline-none underline decoration-2 decoration-green-500 underline-offset-2"
+      />
+    </div>
+  );
+
+  if (!currentLibraryId) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="h-px bg-gray-200 dark:bg-gray-700 my-2" />
+
+      {/* 标题栏 */}
+      <div className="flex items-center px-3 py-1">
+        <button
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          className="flex items-center flex-1 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide"
+        >
+          {isCollapsed ? (
+            <ChevronRight className="w-3 h-3 mr-1" />
+          ) : (
+            <ChevronDown className="w-3 h-3 mr-1" />
+          )}
+          智能相册
+        </button>
+        <button
+          onClick={handleStartCreate}
+          className="p-1 rounded text-gray-400 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="将当前搜索保存为智能相册"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        <div className="space-y-1">
+          {smartAlbums.map((album) => (
+            editing?.mode === 'rename' && editing.album.id === album.id ? (
+              <div key={album.id}>{renderEditInput()}</div>
+            ) : (
+              <div
+                key={album.id}
+                className={`flex items-center px-3 py-2 rounded-md cursor-pointer transition-colors ${
+                  selectedSmartAlbum?.id === album.id
+                    ? 'bg-blue-50 dark:bg-blue-900'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+                onClick={() => handleAlbumClick(album)}
+                onContextMenu={(e) => {
+                  e.preventDefault();
+                  setContextMenu({ isOpen: true, position: { x: e.clientX, y: e.clientY }, album });
+                }}
+                title={album.query.keywords || undefined}
+              >
+                <div className="w-5 mr-1" />
+                <Sparkles className="w-4 h-4 mr-2 text-purple-500 flex-shrink-0" />
+                <span className="text-sm text-gray-700 dark:text-gray-300 truncate flex-1">
+                  {album.name}
+                </span>
+                <span className="text-xs text-gray-400 ml-2 flex-shrink-0">{album.imageCount}</span>
+              </div>
+            )
+          ))}
+          {editing?.mode === 'create' && renderEditInput()}
+          {smartAlbums.length === 0 && !editing && (
+            <div className="text-center py-4 text-gray-400 dark:text-gray-500 text-xs">
+              搜索或筛选后点击 + 保存为智能相册
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* 智能相册右键菜单 */}
+      <ContextMenu
+        isOpen={contextMenu.isOpen}
+        position={contextMenu.position}
+        onClose={() => setContextMenu({ isOpen: false, position: null, album: null })}
+        options={contextMenu.album ? [
+          menuItems.rename(() => handleStartRename(contextMenu.album)),
+          menuItems.updateSmartAlbum(() => handleUpdateQuery(contextMenu.album)),
+          // 按相册当前保存的条件分享，之后修改或删除智能相册不影响分享
+          menuItems.share(() => setShareTarget({ type: 'search', query: contextMenu.album.query, title: contextMenu.album.name })),
+          menuItems.divider(),
+          menuItems.deleteSmartAlbum(() => handleDeleteAlbum(contextMenu.album))
+        ] : []}
+      />
+
+      <ShareLinkModal isOpen={!!shareTarget} target={shareTarget} onClose={() => setShareTarget(null)} />
+    </div>
+  );
+}
+
+export default SmartAlbumList;
@@ -0,0 +1,159 @@
+import { useState, useMemo } from 'react';
+import { X, Plus } from 'lucide-react';
+import { useImageStore } from '../stores/useImageStore';
+import { tagAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('TagEditor');
+
+/**
+ * 展开标签树为扁平列表（用于输入提示）
+ */
+const flattenTags = (nodes, result = []) => {
+  nodes.forEach(node => {
+    result.push(node);
+    if (node.children?.length) flattenTags(node.children, result);
+  });
+  return result;
+};
+
+/**
+ * 标签编辑组件
+ * 单选时编辑该图片的标签；多选时显示所有图片的标签并集，
+ * 只有部分图片拥有的标签以半透明显示，添加/移除会作用于全部选中图片
+ */
+function TagEditor({ libraryId, images }) {
+  const { tags, setTags, updateImage } = useImageStore();
+  const [inputValue, setInputValue] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  // 统计每个标签被多少张图片使用
+  const tagUsage = useMemo(() => {
+    const usage = new Map();
+    images.forEach(img => {
+      (img.tags || []).forEach(name => {
+        usage.set(name, (usage.get(name) || 0) + 1);
+      });
+    });
+    return [...usage.entries()]
+      .map(([name, count]) => ({ name, isPartial: count < images.length }))
+      .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN'));
+  }, [images]);
+
+  const suggestions = useMemo(() => {
+    const used = new Set(tagUsage.filter(t => !t.isPartial).map(t => t.name.toLowerCase()));
+    return flattenTags(tags).filter(tag => !used.has(tag.name.toLowerCase()));
+  }, [tags, tagUsage]);
+
+  // 用接口返回的最新标签更新本地状态
+  const applyResult = (result) => {
+    const tagsByPath = new Map(result.images.map(img => [img.path, img.tags]));
+    tagsByPath.forEach((imageTags, path) => updateImage(path, { tags: imageTags }));
+
+    const { selectedImages, setSelectedImages } = useImageStore.getState();
+    if (selectedImages.length > 0) {
+      setSelectedImages(selectedImages.map(img =>
+        tagsByPath.has(img.path) ? { ...img, tags: tagsByPath.get(img.path) } : img
+      ));
+    }
+    setTags(result.tags);
+  };
+
+  const handleAdd = async () => {
+    const names = inputValue.split(/[,，]/).map(name => name.trim()).filter(Boolean);
+    if (names.length === 0 || isSaving) return;
+
+    setIsSaving(true);
+    try {
+      const paths = images.map(img => img.path);
+      const result = await tagAPI.addToImages(libraryId, paths, names);
+      applyResult(result);
+      setInputValue('');
+      logger.data(`已为 ${paths.length} 张图片添加标签: ${names.join(', ')}`);
+    } catch (error) {
+      logger.error('添加标签失败:', error);
+      alert('添加标签失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemove = async (name) => {
+    if (isSaving) return;
+
+    setIsSaving(true);
+    try {
+      const paths = images.map(img => img.path);
+      const result = await tagAPI.removeFromImages(libraryId, paths, [name]);
+      applyResult(result);
+      logger.data(`已从 ${paths.length} 张图片移除标签: ${name}`);
+    } catch (error) {
+      logger.error('移除标签失败:', error);
+      alert('移除标签失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-1 space-y-2">
+      {tagUsage.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {tagUsage.map(({ name, isPartial }) => (
+            <span
+              key={name}
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-blue-50 dark:bg-blue-900 text-blue-700 dark:text-blue-300 ${
+                isPartial ? 'opacity-50' : ''
+              }`}
+              title={isPartial ? '仅部分选中图片拥有此标签' : name}
+            >
+              {name}
+              <button
+                type="button"
+                onClick={() => handleRemove(name)}
+                disabled={isSaving}
+                className="hover:text-red-500 disabled:cursor-not-allowed"
+                title="移除标签"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-1">
+        <input
+          type="text"
+          list="flypic-tag-suggestions"
+          value={inputValue}
+          onChange={(e) => setInputValue(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAdd();
+            }
+          }}
+          disabled={isSaving}
+          placeholder={images.length > 1 ? `为 ${images.length} 张图片添加标签` : '添加标签，逗号分隔'}
+          className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <button
+          type="button"
+          onClick={handleAdd}
+          disabled={isSaving || !inputValue.trim()}
+          className="p-1 rounded text-gray-400 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          title="添加标签"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+        <datalist id="flypic-tag-suggestions">
+          {suggestions.map(tag => (
+            <option key={tag.id} value={tag.name} />
+          ))}
+        </datalist>
+      </div>
+    </div>
+  );
+}
+
+export default TagEditor;
@@ -0,0 +1,321 @@
+/**
+ * 标签树组件（侧边栏）
+ * 点击标签浏览该标签（含子标签）下的图片，支持右键新建子标签、重命名、删除，
+ * 支持将图片拖拽到标签上批量打标签
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Tag, ChevronRight, ChevronDown, Plus } from 'lucide-react';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useImageStore } from '../stores/useImageStore';
+import { tagAPI } from '../api';
+import { onUserActionStart } from '../services/imageLoadService';
+import ContextMenu, { menuItems } from './ContextMenu';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('TagTree');
+
+function TagTree() {
+  const { currentLibraryId } = useLibraryStore();
+  const { tags, selectedTag, setTags, setSelectedTag } = useImageStore();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [expandedTags, setExpandedTags] = useState(new Set());
+  const [contextMenu, setContextMenu] = useState({ isOpen: false, position: null, tag: null });
+  const [dragOverTag, setDragOverTag] = useState(null);
+  // 编辑状态：{ mode: 'create' | 'rename', parentId?, tag? }
+  const [editing, setEditing] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  const inputRef = useRef(null);
+
+  // 加载标签树
+  const loadTags = useCallback(async () => {
+    if (!currentLibraryId) {
+      setTags([]);
+      return;
+    }
+    try {
+      const res = await tagAPI.getAll(currentLibraryId);
+      setTags(res.tags || []);
+    } catch (error) {
+      logger.error('加载标签失败:', error.message);
+    }
+  }, [currentLibraryId, setTags]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  // 进入编辑状态后聚焦输入框
+  useEffect(() => {
+    if (editing) {
+      setTimeout(() => {
+        inputRef.current?.focus();
+        inputRef.current?.select();
+      }, 50);
+    }
+  }, [editing]);
+
+  const toggleTag = (tagId) => {
+    setExpandedTags(prev => {
+      const next = new Set(prev);
+      if (next.has(tagId)) {
+        next.delete(tagId);
+      } else {
+        next.add(tagId);
+      }
+      return next;
+    });
+  };
+
+  // 点击标签：浏览该标签下的图片
+  const handleTagClick = (tag) => {
+    if (selectedTag?.id === tag.id) {
+      if (tag.children?.length > 0) toggleTag(tag.id);
+      return;
+    }
+    onUserActionStart();
+    setSelectedTag({ id: tag.id, name: tag.name });
+    useImageStore.getState().clearSelection();
+  };
+
+  const handleStartCreate = (parentId = null) => {
+    if (parentId) {
+      setExpandedTags(prev => new Set(prev).add(parentId));
+    }
+    setIsCollapsed(false);
+    setEditing({ mode: 'create', parentId });
+    setEditingName('');
+  };
+
+  const handleStartRename = (tag) => {
+    setEditing({ mode: 'rename', tag });
+    setEditingName(tag.name);
+  };
+
+  const handleCancelEdit = () => {
+    setEditing(null);
+    setEditingName('');
+  };
+
+  const handleFinishEdit = async () => {
+    if (!editing) return;
+    const name = editingName.trim();
+    const current = editing;
+    handleCancelEdit();
+
+    if (!name) return;
+
+    try {
+      if (current.mode === 'create') {
+        await tagAPI.create(currentLibraryId, name, current.parentId);
+        logger.data(`创建标签: ${name}`);
+      } else if (name !== current.tag.name) {
+        await tagAPI.update(currentLibraryId, current.tag.id, { name });
+        logger.data(`重命名标签: ${current.tag.name} → ${name}`);
+        if (selectedTag?.id === current.tag.id) {
+          setSelectedTag({ id: current.tag.id, name });
+        }
+      }
+      await loadTags();
+    } catch (error) {
+      logger.error('保存标签失败:', error);
+      alert('保存标签失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleDeleteTag = async (tag) => {
+    if (!confirm(`确定删除标签「${tag.name}」吗？\n图片本身不会被删除，子标签将移到顶层。`)) return;
+
+    try {
+      await tagAPI.remove(currentLibraryId, tag.id);
+      logger.data(`删除标签: ${tag.name}`);
+      if (selectedTag?.id === tag.id) {
+        setSelectedTag(null);
+      }
+      await loadTags();
+    } catch (error) {
+      logger.error('删除标签失败:', error);
+      alert('删除标签失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  // 拖拽图片到标签：批量打标签
+  const handleDrop = async (e, tag) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragOverTag(null);
+
+    if (!currentLibraryId) return;
+
+    try {
+      const { items } = JSON.parse(e.dataTransfer.getData('application/json'));
+      const paths = (items || []).filter(item => item.type === 'file').map(item => item.path);
+      if (paths.length === 0) return;
+
+      const result = await tagAPI.addToImages(currentLibraryId, paths, [tag.name]);
+      const { updateImage } = useImageStore.getState();
+      result.images.forEach(img => updateImage(img.path, { tags: img.tags }));
+      setTags(result.tags);
+      logger.data(`已为 ${paths.length} 张图片添加标签: ${tag.name}`);
+    } catch (error) {
+      logger.error('拖拽添加标签失败:', error);
+    }
+  };
+
+  const renderEditInput = (level) => (
+    <div
+      className="flex items-center py-1.5"
+      style={{ paddingLeft: `${level * 16 + 12}px` }}
+    >
+      <div className="w-5 mr-1" />
+      <Tag className="w-4 h-4 mr-2 text-gray-500 flex-shrink-0" />
+      <input
+        ref={inputRef}
+        type="text"
+        value={editingName}
+        placeholder="标签名"
+        onChange={(e) => setEditingName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            handleFinishEdit();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            handleCancelEdit();
+          }
+        }}
+        onBlur={handleFinishEdit}
+        onClick={(e) => e.stopPropagation()}
+        className="flex-1 text-sm text-gray-700 dark:text-gray-300 bg-transparent border-none outline-none focus:outline-none underline decoration-2 decoration-green-500 underline-offset-2"
+      />
+    </div>
+  );
+
+  const renderTagTree = (nodes, level = 0) => {
+    return nodes.map((tag) => {
+      const hasChildren = tag.children && tag.children.length > 0;
+      const isExpanded = expandedTags.has(tag.id);
+      const isSelected = selectedTag?.id === tag.id;
+      const isRenaming = editing?.mode === 'rename' && editing.tag.id === tag.id;
+      const isCreatingChild = editing?.mode === 'create' && editing.parentId === tag.id;
+
+      return (
+        <div key={tag.id}>
+          {isRenaming ? renderEditInput(level) : (
+            <div
+              className={`flex items-center px-3 py-2 rounded-md cursor-pointer transition-colors ${
+                isSelected
+                  ? 'bg-blue-50 dark:bg-blue-900'
+                  : dragOverTag === tag.id
+                  ? 'bg-green-100 dark:bg-green-900'
+                  : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+              style={{ paddingLeft: `${level * 16 + 12}px` }}
+              onClick={() => handleTagClick(tag)}
+              onContextMenu={(e) => {
+                e.preventDefault();
+                setContextMenu({ isOpen: true, position: { x: e.clientX, y: e.clientY }, tag });
+              }}
+              onDrop={(e) => handleDrop(e, tag)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                setDragOverTag(tag.id);
+              }}
+              onDragLeave={(e) => {
+                e.preventDefault();
+                setDragOverTag(null);
+              }}
+            >
+              {hasChildren ? (
+                <div
+                  className="flex items-center justify-center w-5 h-5 mr-1 cursor-pointer hover:bg-gray-200 dark:hover:bg-gray-600 rounded"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleTag(tag.id);
+                  }}
+                >
+                  {isExpanded ? (
+                    <ChevronDown className="w-4 h-4 text-gray-500" />
+                  ) : (
+                    <ChevronRight className="w-4 h-4 text-gray-500" />
+                  )}
+                </div>
+              ) : (
+                <div className="w-5 mr-1" />
+              )}
+              <Tag
+                className="w-4 h-4 mr-2 flex-shrink-0 text-gray-500"
+                style={tag.color ? { color: tag.color } : undefined}
+              />
+              <span className="text-sm text-gray-700 dark:text-gray-300 truncate flex-1">
+                {tag.name}
+              </span>
+              <span className="text-xs text-gray-400 ml-2 flex-shrink-0">{tag.imageCount}</span>
+            </div>
+          )}
+
+          {isCreatingChild && renderEditInput(level + 1)}
+          {hasChildren && isExpanded && renderTagTree(tag.children, level + 1)}
+        </div>
+      );
+    });
+  };
+
+  if (!currentLibraryId) return null;
+
+  return (
+    <div className="mt-2">
+      <div className="h-px bg-gray-200 dark:bg-gray-700 my-2" />
+
+      {/* 标题栏 */}
+      <div className="flex items-center px-3 py-1">
+        <button
+          onClick={() => setIsCollapsed(!isCollapsed)}
+          className="flex items-center flex-1 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase tracking-wide"
+        >
+          {isCollapsed ? (
+            <ChevronRight className="w-3 h-3 mr-1" />
+          ) : (
+            <ChevronDown className="w-3 h-3 mr-1" />
+          )}
+          标签
+        </button>
+        <button
+          onClick={() => handleStartCreate(null)}
+          className="p-1 rounded text-gray-400 hover:text-blue-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+          title="新建标签"
+        >
+          <Plus className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      {!isCollapsed && (
+        <div className="space-y-1">
+          {renderTagTree(tags)}
+          {editing?.mode === 'create' && !editing.parentId && renderEditInput(0)}
+          {tags.length === 0 && !editing && (
+            <div className="text-center py-4 text-gray-400 dark:text-gray-500 text-xs">
+              暂无标签，可在右侧详情面板中为图片添加
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* 标签右键菜单 */}
+      <ContextMenu
+        isOpen={contextMenu.isOpen}
+        position={contextMenu.position}
+        onClose={() => setContextMenu({ isOpen: false, position: null, tag: null })}
+        options={contextMenu.tag ? [
+          menuItems.newSubTag(() => handleStartCreate(contextMenu.tag.id)),
+          menuItems.rename(() => handleStartRename(contextMenu.tag)),
+          menuItems.divider(),
+          menuItems.deleteTag(() => handleDeleteTag(contextMenu.tag))
+        ] : []}
+      />
+    </div>
+  );
+}
+
+export default TagTree;
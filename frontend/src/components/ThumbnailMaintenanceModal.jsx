@@ -0,0 +1,264 @@
+/**
+ * 缩略图缓存维护弹窗
+ * 显示缓存占用，清理没有图片引用的孤立缩略图；
+ * 后台检查缩略图是否缺失或损坏并重新生成，进度由 Socket.IO 推送到 useScanStore
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Wrench, X, Loader2, Trash2, Square, RefreshCw, Search } from 'lucide-react';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useScanStore } from '../stores/useScanStore';
+import { maintenanceAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('ThumbnailMaintenanceModal');
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1024 * 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+};
+
+const STAT_ROWS = [
+  { key: 'thumbnails', label: '缩略图' },
+  { key: 'sized', label: '其它尺寸' },
+  { key: 'animated', label: '动态缩略图' },
+  { key: 'orphans', label: '孤立文件' }
+];
+
+const ISSUE_LABELS = {
+  thumbnail: '缩略图',
+  animated: '动态缩略图',
+  missing: '缺失',
+  corrupt: '损坏'
+};
+
+function ThumbnailMaintenanceModal({ isOpen, onClose }) {
+  const { currentLibraryId } = useLibraryStore();
+  const { thumbnailCheck, setThumbnailCheck } = useScanStore();
+  const [stats, setStats] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isCleaning, setIsCleaning] = useState(false);
+
+  const isChecking = thumbnailCheck?.status === 'running';
+
+  const loadStats = useCallback(async () => {
+    if (!currentLibraryId) return;
+    setIsLoading(true);
+    try {
+      setStats(await maintenanceAPI.getThumbnailStats(currentLibraryId));
+    } catch (error) {
+      logger.error('获取缩略图缓存统计失败:', error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentLibraryId]);
+
+  // 打开时加载统计和检查进度
+  useEffect(() => {
+    if (!isOpen || !currentLibraryId) return;
+    loadStats();
+    maintenanceAPI.getThumbnailCheckStatus(currentLibraryId)
+      .then(setThumbnailCheck)
+      .catch(error => logger.error('获取缩略图检查进度失败:', error.message));
+  }, [isOpen, currentLibraryId, loadStats, setThumbnailCheck]);
+
+  // 检查任务结束后刷新统计（重建会改变缓存占用）
+  useEffect(() => {
+    if (isOpen && thumbnailCheck && !isChecking && thumbnailCheck.rebuilt > 0) {
+      loadStats();
+    }
+  }, [isOpen, isChecking, thumbnailCheck?.rebuilt, loadStats]);
+
+  const handleClean = async () => {
+    if (!confirm(`删除 ${stats.orphans.count} 个没有图片引用的缩略图文件？`)) return;
+
+    setIsCleaning(true);
+    try {
+      const result = await maintenanceAPI.cleanOrphanThumbnails(currentLibraryId);
+      if (result.failed > 0) {
+        alert(`有 ${result.failed} 个文件删除失败`);
+      }
+      await loadStats();
+    } catch (error) {
+      logger.error('清理孤立缩略图失败:', error);
+      alert('清理失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsCleaning(false);
+    }
+  };
+
+  const handleStartCheck = async (repair) => {
+    try {
+      setThumbnailCheck(await maintenanceAPI.startThumbnailCheck(currentLibraryId, repair));
+    } catch (error) {
+      logger.error('启动缩略图检查失败:', error);
+      alert('启动失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  const handleStopCheck = async () => {
+    try {
+      setThumbnailCheck(await maintenanceAPI.stopThumbnailCheck(currentLibraryId));
+    } catch (error) {
+      logger.error('停止缩略图检查失败:', error);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const issueCount = thumbnailCheck ? thumbnailCheck.missing + thumbnailCheck.corrupt : 0;
+  const hasResult = thumbnailCheck && thumbnailCheck.status !== 'idle';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <Wrench className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">缓存维护</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-6 text-sm text-gray-600 dark:text-gray-300">
+          {/* 缓存统计 */}
+          <section>
+            <div className="flex items-center mb-2">
+              <h3 className="font-medium text-gray-900 dark:text-white flex-1">缩略图缓存</h3>
+              <button
+                onClick={loadStats}
+                disabled={isLoading}
+                className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+                title="刷新"
+              >
+                <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+            {stats ? (
+              <>
+                <p className="mb-2">
+                  {stats.imageCount} 个文件，缓存共 {stats.totalCount} 个缩略图文件，占用 {formatSize(stats.totalSize)}
+                </p>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  {STAT_ROWS.map(({ key, label }) => (
+                    <div key={key} className="px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+                      <p className="text-gray-900 dark:text-gray-100">{stats[key].count} 个</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{formatSize(stats[key].size)}</p>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex items-center gap-3 mt-3">
+                  <span className="flex-1 text-xs text-gray-500 dark:text-gray-400">
+                    孤立文件是已删除或移动的图片留下的缩略图，临时文件夹中可撤销的图片不受影响
+                  </span>
+                  <button
+                    onClick={handleClean}
+                    disabled={isCleaning || isChecking || stats.orphans.count === 0}
+                    className="flex items-center gap-1 px-3 py-1 text-sm bg-red-600 hover:bg-red-700 text-white rounded disabled:opacity-50"
+                  >
+                    {isCleaning ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Trash2 className="w-3.5 h-3.5" />}
+                    清理孤立文件
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p>{isLoading ? '加载中…' : '无法获取缓存统计'}</p>
+            )}
+          </section>
+
+          {/* 完整性检查 */}
+          <section>
+            <h3 className="font-medium text-gray-900 dark:text-white mb-2">完整性检查</h3>
+            {isChecking ? (
+              <div className="flex items-center gap-3">
+                <Loader2 className="w-4 h-4 animate-spin text-blue-500 flex-shrink-0" />
+                <div className="flex-1">
+                  <p>
+                    {thumbnailCheck.repair ? '正在检查并重建缩略图…' : '正在检查缩略图…'}
+                    {' '}{Math.min(thumbnailCheck.current, thumbnailCheck.total)} / {thumbnailCheck.total}
+                  </p>
+                  <div className="h-1.5 mt-1 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-500 transition-all"
+                      style={{ width: `${thumbnailCheck.total ? (thumbnailCheck.current / thumbnailCheck.total) * 100 : 0}%` }}
+                    />
+                  </div>
+                </div>
+                <button
+                  onClick={handleStopCheck}
+                  className="flex items-center gap-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  <Square className="w-3 h-3" />
+                  停止
+                </button>
+              </div>
+            ) : (
+              <div className="flex items-center gap-3">
+                <span className="flex-1 text-xs text-gray-500 dark:text-gray-400">
+                  逐个解码缩略图，找出缺失或损坏的文件；重建时按原图重新生成
+                </span>
+                <button
+                  onClick={() => handleStartCheck(false)}
+                  className="flex items-center gap-1 px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700"
+                >
+                  <Search className="w-3.5 h-3.5" />
+                  检查
+                </button>
+                <button
+                  onClick={() => handleStartCheck(true)}
+                  className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded"
+                >
+                  <RefreshCw className="w-3.5 h-3.5" />
+                  检查并重建
+                </button>
+              </div>
+            )}
+
+            {hasResult && (
+              <div className="mt-3">
+                <p>
+                  {thumbnailCheck.status === 'stopped' && '已停止，'}
+                  已检查 {thumbnailCheck.current} 个，缺失 {thumbnailCheck.missing} 个，损坏 {thumbnailCheck.corrupt} 个
+                  {thumbnailCheck.repair && `，已重建 ${thumbnailCheck.rebuilt} 个，失败 ${thumbnailCheck.failed} 个`}
+                  {thumbnailCheck.status === 'error' && <span className="text-red-500 ml-2">检查失败: {thumbnailCheck.error}</span>}
+                </p>
+                {thumbnailCheck.issues.length > 0 && (
+                  <ul className="mt-2 max-h-48 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-lg divide-y divide-gray-100 dark:divide-gray-700">
+                    {thumbnailCheck.issues.map(issue => (
+                      <li key={`${issue.id}-${issue.target}`} className="flex items-center gap-2 px-3 py-1.5 text-xs">
+                        <span className="flex-1 truncate text-gray-900 dark:text-gray-100" title={issue.path}>{issue.path}</span>
+                        <span className="text-gray-500 dark:text-gray-400">
+                          {ISSUE_LABELS[issue.target]}{ISSUE_LABELS[issue.reason]}
+                        </span>
+                        {thumbnailCheck.repair && (
+                          <span className={issue.repaired ? 'text-green-600 dark:text-green-400' : 'text-red-500'}>
+                            {issue.repaired ? '已重建' : '重建失败'}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {issueCount > thumbnailCheck.issues.length && (
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">只列出前 {thumbnailCheck.issues.length} 个问题</p>
+                )}
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ThumbnailMaintenanceModal;
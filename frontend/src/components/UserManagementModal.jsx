@@ -0,0 +1,242 @@
+/**
+ * 用户管理弹窗（系统管理员）
+ * 角色按素材库授予：浏览者只能浏览，编辑者可以重命名、移动、删除、上传和扫描，管理员可以管理素材库
+ */
+
+import { useState, useEffect } from 'react';
+import { Users, X, Plus, Trash2, Loader2 } from 'lucide-react';
+import { userAPI } from '../api';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { useAuthStore } from '../stores/useAuthStore';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('UserManagementModal');
+
+export const ROLE_OPTIONS = [
+  { value: 'viewer', label: '浏览者' },
+  { value: 'editor', label: '编辑者' },
+  { value: 'admin', label: '管理员' }
+];
+
+const NEW_USER = {
+  username: '',
+  password: '',
+  isAdmin: false,
+  libraries: {}
+};
+
+const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+
+// 编辑时密码留空表示不修改
+const toDraft = (user) => ({ ...user, password: '' });
+
+function UserManagementModal({ isOpen, onClose }) {
+  const { libraries } = useLibraryStore();
+  const { currentUser, setCurrentUser } = useAuthStore();
+  const [users, setUsers] = useState([]);
+  const [editingId, setEditingId] = useState(null); // null 为新建
+  const [draft, setDraft] = useState(NEW_USER);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const reload = async (selectId) => {
+    const list = await userAPI.getAll();
+    setUsers(list);
+    const selected = list.find(user => user.id === selectId) || list[0];
+    setEditingId(selected ? selected.id : null);
+    setDraft(selected ? toDraft(selected) : NEW_USER);
+    // 修改了自己的账号时同步 Header 中的显示
+    const self = list.find(user => user.id === currentUser?.id);
+    if (self) setCurrentUser(self);
+  };
+
+  // 打开时加载用户列表
+  useEffect(() => {
+    if (!isOpen) return;
+    setIsLoading(true);
+    reload(currentUser?.id)
+      .catch((error) => logger.error('加载用户列表失败:', error))
+      .finally(() => setIsLoading(false));
+  }, [isOpen]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const handleRoleChange = (libraryId, role) => {
+    setDraft(prev => {
+      const next = { ...prev.libraries };
+      if (role) {
+        next[libraryId] = role;
+      } else {
+        delete next[libraryId];
+      }
+      return { ...prev, libraries: next };
+    });
+  };
+
+  const handleSave = async () => {
+    const { username, password, isAdmin, libraries: roles } = draft;
+    const data = { username, isAdmin, libraries: roles };
+    if (password) data.password = password;
+
+    setIsSaving(true);
+    try {
+      const saved = editingId
+        ? await userAPI.update(editingId, data)
+        : await userAPI.create({ ...data, password });
+      await reload(saved.id);
+    } catch (error) {
+      logger.error('保存用户失败:', error);
+      alert('保存失败: ' + (error.message || '未知错误'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!editingId || !confirm(`删除用户「${draft.username}」？`)) return;
+    try {
+      await userAPI.remove(editingId);
+      await reload(null);
+    } catch (error) {
+      logger.error('删除用户失败:', error);
+      alert('删除失败: ' + (error.message || '未知错误'));
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const isSelf = editingId !== null && editingId === currentUser?.id;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50" onClick={onClose}>
+      <div
+        className="relative bg-white dark:bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full mx-4 max-h-[85vh] flex flex-col overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* 标题 */}
+        <div className="flex items-center gap-2 px-6 py-4 border-b border-gray-200 dark:border-gray-700">
+          <Users className="w-5 h-5 text-blue-500" />
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white flex-1">用户管理</h2>
+          <button
+            onClick={onClose}
+            className="p-1 rounded text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 flex min-h-0 text-sm text-gray-600 dark:text-gray-300">
+          {/* 用户列表 */}
+          <div className="w-44 flex-shrink-0 border-r border-gray-200 dark:border-gray-700 overflow-y-auto p-2 space-y-1">
+            {isLoading && <Loader2 className="w-4 h-4 m-3 animate-spin text-gray-400" />}
+            {users.map(user => (
+              <button
+                key={user.id}
+                onClick={() => { setEditingId(user.id); setDraft(toDraft(user)); }}
+                className={`w-full text-left px-3 py-1.5 rounded truncate ${
+                  editingId === user.id
+                    ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+              >
+                {user.username}
+                {user.isAdmin && <span className="ml-1 text-xs text-gray-400">（系统管理员）</span>}
+              </button>
+            ))}
+            <button
+              onClick={() => { setEditingId(null); setDraft(NEW_USER); }}
+              className={`w-full flex items-center gap-1 px-3 py-1.5 rounded ${
+                editingId === null
+                  ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
+                  : 'text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              <Plus className="w-3.5 h-3.5" />
+              新建用户
+            </button>
+          </div>
+
+          {/* 用户设置 */}
+          <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3">
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">用户名</span>
+                <input className={inputClass} value={draft.username} onChange={(e) => update({ username: e.target.value })} />
+              </label>
+              <label className="block">
+                <span className="text-xs text-gray-500 dark:text-gray-400">{editingId ? '新密码（留空不修改）' : '密码（至少 4 位）'}</span>
+                <input
+                  type="password" autoComplete="new-password" className={inputClass}
+                  value={draft.password}
+                  onChange={(e) => update({ password: e.target.value })}
+                />
+              </label>
+            </div>
+
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={draft.isAdmin}
+                disabled={isSelf}
+                onChange={(e) => update({ isAdmin: e.target.checked })}
+              />
+              <span>系统管理员（管理用户、创建素材库，拥有所有素材库的管理员权限）</span>
+            </label>
+
+            {/* 素材库角色 */}
+            <div className="space-y-2">
+              <span className="text-xs text-gray-500 dark:text-gray-400">素材库权限</span>
+              {libraries.length === 0 && (
+                <p className="text-xs text-gray-400">暂无素材库</p>
+              )}
+              {libraries.map(library => (
+                <div key={library.id} className="flex items-center gap-3">
+                  <span className="flex-1 truncate" title={library.path}>{library.name}</span>
+                  <select
+                    className={`${inputClass} w-32`}
+                    value={draft.isAdmin ? 'admin' : (draft.libraries[library.id] || '')}
+                    disabled={draft.isAdmin}
+                    onChange={(e) => handleRoleChange(library.id, e.target.value)}
+                  >
+                    <option value="">无权限</option>
+                    {ROLE_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* 操作 */}
+        <div className="flex items-center gap-3 px-6 py-3 border-t border-gray-200 dark:border-gray-700">
+          {editingId && !isSelf && (
+            <button
+              onClick={handleDelete}
+              className="flex items-center gap-1 px-3 py-1 text-sm text-red-600 dark:text-red-400 rounded hover:bg-red-50 dark:hover:bg-red-900/20"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+              删除
+            </button>
+          )}
+          <span className="flex-1" />
+          <button
+            onClick={onClose}
+            className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+          >
+            关闭
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="flex items-center gap-1 px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded disabled:opacity-50"
+          >
+            {isSaving && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+            {editingId ? '保存' : '创建'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UserManagementModal;
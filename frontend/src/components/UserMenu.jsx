@@ -0,0 +1,116 @@
+/**
+ * 当前用户菜单（Header 中显示）
+ * 显示用户名和当前素材库中的角色，可以管理自己的登录设备和 API 令牌，系统管理员可以打开用户管理
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { User, Users, KeyRound, MonitorSmartphone, LogOut } from 'lucide-react';
+import { useAuthStore } from '../stores/useAuthStore';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { setToken } from '../api/client';
+import { authAPI } from '../api/auth';
+import { clearAssetSignatures } from '../services/assetSignatureService';
+import UserManagementModal, { ROLE_OPTIONS } from './UserManagementModal';
+import ApiTokenModal from './ApiTokenModal';
+import SessionManagementModal from './SessionManagementModal';
+
+function UserMenu({ showName = true }) {
+  const { currentUser, logout } = useAuthStore();
+  const { currentLibraryId } = useLibraryStore();
+  const [isOpen, setIsOpen] = useState(false);
+  const [showUserManagement, setShowUserManagement] = useState(false);
+  const [showApiTokens, setShowApiTokens] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const menuRef = useRef(null);
+
+  // 点击外部关闭下拉菜单
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [isOpen]);
+
+  // 未设置密码时没有用户
+  if (!currentUser) return null;
+
+  const role = currentUser.isAdmin ? 'admin' : currentUser.libraries[currentLibraryId];
+  const roleLabel = ROLE_OPTIONS.find(option => option.value === role)?.label;
+
+  const handleLogout = () => {
+    setIsOpen(false);
+    // 退出服务端会话后刷新令牌也随之失效，请求失败时仍然清除本地登录状态
+    authAPI.logout().catch((error) => console.warn('⚠️ 退出会话失败:', error.message));
+    setToken(null);
+    clearAssetSignatures();
+    logout();
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1.5 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+        title={`当前用户：${currentUser.username}`}
+      >
+        <User className="w-5 h-5 text-gray-700 dark:text-gray-300" />
+        {showName && (
+          <span className="text-sm text-gray-700 dark:text-gray-300 max-w-[8rem] truncate">{currentUser.username}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 w-48 py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg shadow-lg z-50 text-sm">
+          <div className="px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+            <div className="font-medium text-gray-900 dark:text-white truncate">{currentUser.username}</div>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {currentUser.isAdmin ? '系统管理员' : `当前素材库：${roleLabel || '无权限'}`}
+            </div>
+          </div>
+          {currentUser.isAdmin && (
+            <button
+              onClick={() => { setIsOpen(false); setShowUserManagement(true); }}
+              className="w-full flex items-center gap-2 px-3 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+            >
+              <Users className="w-4 h-4" />
+              用户管理
+            </button>
+          )}
+          <button
+            onClick={() => { setIsOpen(false); setShowSessions(true); }}
+            className="w-full flex items-center gap-2 px-3 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <MonitorSmartphone className="w-4 h-4" />
+            登录设备
+          </button>
+          <button
+            onClick={() => { setIsOpen(false); setShowApiTokens(true); }}
+            className="w-full flex items-center gap-2 px-3 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <KeyRound className="w-4 h-4" />
+            API 令牌
+          </button>
+          <button
+            onClick={handleLogout}
+            className="w-full flex items-center gap-2 px-3 py-2 text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700"
+          >
+            <LogOut className="w-4 h-4" />
+            退出登录
+          </button>
+        </div>
+      )}
+
+      <UserManagementModal isOpen={showUserManagement} onClose={() => setShowUserManagement(false)} />
+      <ApiTokenModal isOpen={showApiTokens} onClose={() => setShowApiTokens(false)} />
+      <SessionManagementModal isOpen={showSessions} onClose={() => setShowSessions(false)} />
+    </div>
+  );
+}
+
+export default UserMenu;
@@ -42,3 +42,14 @@ export const THUMBNAIL_HEIGHT = {
   MAX: 300,
   DEFAULT: 200
 };
+
+// 相似图片的相似度档位（感知哈希最大汉明距离，越小越相似）
+export const SIMILAR_IMAGES = {
+  THRESHOLDS: [
+    { value: 4, label: '几乎相同' },
+    { value: 10, label: '相似' },
+    { value: 16, label: '较宽松' },
+    { value: 24, label: '宽松' }
+  ],
+  DEFAULT_THRESHOLD: 10
+};
@@ -0,0 +1,87 @@
+/**
+ * 图片相册 Hook
+ */
+
+import { useCallback } from 'react';
+import { useImageStore } from '../stores/useImageStore';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { albumAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useImageAlbum');
+
+/**
+ * 用接口返回的相册信息更新相册列表中的数量
+ */
+const updateAlbumInStore = (album) => {
+  const state = useImageStore.getState();
+  state.setAlbums(state.albums.map(item => (item.id === album.id ? album : item)));
+};
+
+/**
+ * 图片加入 / 移出相册
+ * @returns {Object} 相册相关的方法
+ */
+export const useImageAlbum = () => {
+  const { currentLibraryId } = useLibraryStore();
+  const { selectedImage, selectedImages } = useImageStore();
+
+  /**
+   * 将图片加入相册
+   * @param {Object} album - 目标相册 { id, name }
+   * @param {Array<string>} paths - 图片路径
+   */
+  const handleAddToAlbum = useCallback(async (album, paths) => {
+    if (!currentLibraryId || paths.length === 0) return;
+
+    try {
+      const result = await albumAPI.addImages(currentLibraryId, album.id, paths);
+      updateAlbumInStore(result.album);
+      logger.file(`已将 ${result.changes} 张图片加入相册: ${album.name}`);
+    } catch (error) {
+      logger.error('加入相册失败:', error);
+      alert('加入相册失败: ' + (error.message || '未知错误'));
+    }
+  }, [currentLibraryId]);
+
+  /**
+   * 将当前选中的图片移出正在浏览的相册（文件本身不受影响）
+   */
+  const handleRemoveFromAlbum = useCallback(async () => {
+    const { selectedAlbum } = useImageStore.getState();
+    const imagesToRemove = selectedImages.length > 0
+      ? selectedImages
+      : selectedImage
+      ? [selectedImage]
+      : [];
+
+    if (!currentLibraryId || !selectedAlbum || imagesToRemove.length === 0) return;
+
+    try {
+      const paths = imagesToRemove.map(img => img.path);
+      const result = await albumAPI.removeImages(currentLibraryId, selectedAlbum.id, paths);
+      updateAlbumInStore(result.album);
+
+      // 从当前列表移除
+      const state = useImageStore.getState();
+      const remaining = state.images.filter(img => !paths.includes(img.path));
+      state.setImages(remaining);
+      state.setOriginalImages(state.originalImages.filter(img => !paths.includes(img.path)));
+      state.setImageLoadingState({
+        loadedCount: remaining.length,
+        totalCount: Math.max(0, state.imageLoadingState.totalCount - result.changes)
+      });
+      state.clearSelection();
+
+      logger.file(`已将 ${result.changes} 张图片移出相册: ${selectedAlbum.name}`);
+    } catch (error) {
+      logger.error('移出相册失败:', error);
+      alert('移出相册失败: ' + (error.message || '未知错误'));
+    }
+  }, [selectedImages, selectedImage, currentLibraryId]);
+
+  return {
+    handleAddToAlbum,
+    handleRemoveFromAlbum
+  };
+};
@@ -41,7 +41,7 @@ export const useImageClipboard = (showConflictDialog) => {
       if (images.length === 1) {
         try {
           const img = images[0];
-          const imageUrl = `/api/image/original/${currentLibraryId}/${img.path}`;
+          const imageUrl = imageAPI.getOriginalUrl(currentLibraryId, img.path);
           const response = await fetch(imageUrl);
           const blob = await response.blob();
           
@@ -83,7 +83,7 @@ export const useImageClipboard = (showConflictDialog) => {
       try {
         const imageDataList = await Promise.all(
           images.map(async (img) => {
-            const imageUrl = `/api/image/original/${currentLibraryId}/${img.path}`;
+            const imageUrl = imageAPI.getOriginalUrl(currentLibraryId, img.path);
             const response = await fetch(imageUrl);
             const blob = await response.blob();
             
@@ -0,0 +1,76 @@
+/**
+ * 图片收藏 Hook
+ */
+
+import { useCallback } from 'react';
+import { useImageStore } from '../stores/useImageStore';
+import { useLibraryStore } from '../stores/useLibraryStore';
+import { imageAPI } from '../api';
+import { createLogger } from '../utils/logger';
+
+const logger = createLogger('useImageFavorite');
+
+/**
+ * 图片收藏功能
+ * @returns {Object} 收藏相关的方法
+ */
+export const useImageFavorite = () => {
+  const { currentLibraryId } = useLibraryStore();
+  const { selectedImage, selectedImages } = useImageStore();
+
+  /**
+   * 切换收藏状态
+   * 不传参数时作用于当前选中的图片；全部已收藏则取消收藏，否则全部收藏
+   * @param {Array} [targetImages] - 指定要切换的图片
+   */
+  const handleToggleFavorite = useCallback(async (targetImages) => {
+    const imagesToToggle = targetImages
+      ? targetImages
+      : selectedImages.length > 0
+      ? selectedImages
+      : selectedImage
+      ? [selectedImage]
+      : [];
+
+    if (!currentLibraryId || imagesToToggle.length === 0) return;
+
+    const favorite = !imagesToToggle.every(img => img.favorite);
+
+    try {
+      const paths = imagesToToggle.map(img => img.path);
+      await imageAPI.updateFavorite(currentLibraryId, paths, favorite);
+
+      const state = useImageStore.getState();
+      const value = favorite ? 1 : 0;
+
+      // 在收藏视图中取消收藏：直接从列表移除
+      if (state.showFavorites && !favorite) {
+        const remaining = state.images.filter(img => !paths.includes(img.path));
+        state.setImages(remaining);
+        state.setOriginalImages(state.originalImages.filter(img => !paths.includes(img.path)));
+        state.setImageLoadingState({
+          loadedCount: remaining.length,
+          totalCount: Math.max(0, state.imageLoadingState.totalCount - paths.length)
+        });
+      } else {
+        paths.forEach(path => state.updateImage(path, { favorite: value }));
+      }
+
+      // 更新选中状态
+      if (state.selectedImages.length > 0) {
+        state.setSelectedImages(state.selectedImages.map(img =>
+          paths.includes(img.path) ? { ...img, favorite: value } : img
+        ));
+      }
+
+      logger.file(`已${favorite ? '收藏' : '取消收藏'} ${paths.length} 张图片`);
+    } catch (error) {
+      logger.error('更新收藏失败:', error);
+      alert('更新收藏失败: ' + (error.message || '未知错误'));
+    }
+  }, [selectedImages, selectedImage, currentLibraryId]);
+
+  return {
+    handleToggleFavorite
+  };
+};
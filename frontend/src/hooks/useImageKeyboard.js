@@ -22,6 +22,7 @@ export const useImageKeyboard = (handlers) => {
     onPaste,
     onRename,
     onRating,
+    onFavorite,
     canUndo = false,
     canPaste = false
   } = handlers;
@@ -93,6 +94,15 @@ export const useImageKeyboard = (handlers) => {
         return;
       }
       
+      // F 键 → 切换收藏
+      if ((e.key === 'f' || e.key === 'F') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (selectedImages.length > 0 || selectedImage) {
+          e.preventDefault();
+          await onFavorite?.();
+        }
+        return;
+      }
+      
       // 数字键 0 → 取消评分
       if (e.key === '0') {
         if (selectedImages.length > 0 || selectedImage) {
@@ -116,6 +126,7 @@ export const useImageKeyboard = (handlers) => {
     onCopy,
     onPaste,
     onRename,
-    onRating
+    onRating,
+    onFavorite
   ]);
 };
@@ -6,6 +6,8 @@ import { useState, useCallback } from 'react';
 import { useImageStore } from '../stores/useImageStore';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { imageAPI } from '../api';
+import { buildFilterParams, hasActiveFilters } from '../utils/imageFilters';
+import { buildSortParams } from '../utils/imageSort';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('useImageRating');
@@ -16,7 +18,7 @@ const logger = createLogger('useImageRating');
  */
 export const useImageRating = () => {
   const { currentLibraryId } = useLibraryStore();
-  const { images, setImages, selectedImage, selectedImages, selectedFolder } = useImageStore();
+  const { images, setImages, selectedImage, selectedImages, selectedFolder, filters, sort } = useImageStore();
   
   const [ratingToast, setRatingToast] = useState({ isVisible: false, rating: 0, count: 0 });
 
@@ -70,10 +72,12 @@ export const useImageRating = () => {
       
       // 刷新当前文件夹的图片列表（确保与后端一致）
       if (selectedFolder) {
-        const params = { folder: selectedFolder };
+        const params = { folder: selectedFolder, ...buildFilterParams(filters), ...buildSortParams(sort) };
         const response = await imageAPI.search(currentLibraryId, params);
         setImages(response.images);
-        useImageStore.getState().setOriginalImages(response.images);
+        if (!hasActiveFilters(filters)) {
+          useImageStore.getState().setOriginalImages(response.images);
+        }
       }
       
       logger.file(`已将 ${imagesToRate.length} 张图片评为 ${rating} 星`);
@@ -81,7 +85,7 @@ export const useImageRating = () => {
       logger.error('评分失败:', error);
       alert('评分失败: ' + (error.message || '未知错误'));
     }
-  }, [selectedImages, selectedImage, images, currentLibraryId, selectedFolder, setImages]);
+  }, [selectedImages, selectedImage, images, currentLibraryId, selectedFolder, filters, sort, setImages]);
 
   return {
     ratingToast,
@@ -90,7 +90,8 @@ export function useImages(libraryId) {
       isLoading: false,
       loadedCount: 0,
       totalCount: 0,
-      hasMore: false
+      hasMore: false,
+      nextCursor: null
     });
   }, [clearImages, setImageLoadingState]);
 
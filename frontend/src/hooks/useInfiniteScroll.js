@@ -7,6 +7,8 @@ import { useImageStore } from '../stores/useImageStore';
 import { useLibraryStore } from '../stores/useLibraryStore';
 import { imageAPI } from '../api';
 import requestManager, { RequestType } from '../services/requestManager';
+import { buildFilterParams } from '../utils/imageFilters';
+import { buildSortParams } from '../utils/imageSort';
 import { createLogger } from '../utils/logger';
 
 const logger = createLogger('useInfiniteScroll');
@@ -28,8 +30,13 @@ export const useInfiniteScroll = () => {
     imageLoadingState, 
     setImageLoadingState,
     selectedFolder,
+    selectedTag,
+    showFavorites,
+    selectedAlbum,
+    selectedSmartAlbum,
     searchKeywords,
     filters,
+    sort,
     appendImages 
   } = useImageStore();
 
@@ -46,12 +53,16 @@ export const useInfiniteScroll = () => {
 
     try {
       const params = { 
-        offset: images.length,
+        cursor: imageLoadingState.nextCursor || '',
         limit: LOAD_CONFIG.pageSize 
       };
       if (selectedFolder) params.folder = selectedFolder;
+      if (selectedTag) params.tags = selectedTag.id;
+      if (showFavorites) params.favorite = 1;
+      if (selectedAlbum) params.album = selectedAlbum.id;
+      if (selectedSmartAlbum) params.smartAlbum = selectedSmartAlbum.id;
       if (searchKeywords) params.keywords = searchKeywords;
-      if (filters.formats?.length > 0) params.formats = filters.formats.join(',');
+      Object.assign(params, buildFilterParams(filters), buildSortParams(sort));
 
       const response = await imageAPI.search(currentLibraryId, params, {
         signal: requestContext.signal
@@ -61,15 +72,17 @@ export const useInfiniteScroll = () => {
         return;
       }
 
-      const { images: newImages, total, hasMore } = response;
+      const { images: newImages, total, hasMore, nextCursor } = response;
       requestManager.complete(requestContext.id);
 
       appendImages(newImages);
       setImageLoadingState({
         isLoading: false,
         loadedCount: images.length + newImages.length,
-        totalCount: total,
+        // 游标分页只在第一页返回总数
+        totalCount: total ?? imageLoadingState.totalCount,
         hasMore: hasMore || false,
+        nextCursor: nextCursor || null,
       });
     } catch (error) {
       if (error.name === 'CanceledError' || error.name === 'AbortError') {
@@ -84,8 +97,13 @@ export const useInfiniteScroll = () => {
     imageLoadingState, 
     images.length, 
     selectedFolder, 
+    selectedTag,
+    showFavorites,
+    selectedAlbum,
+    selectedSmartAlbum,
     searchKeywords, 
     filters, 
+    sort,
     appendImages, 
     setImageLoadingState
   ]);
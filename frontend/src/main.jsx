@@ -2,12 +2,20 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App'
 import AuthWrapper from './components/AuthWrapper'
+import SharePage from './components/SharePage'
 import './index.css'
 
+// 分享链接（/s/:token）不需要登录
+const shareMatch = window.location.pathname.match(/^\/s\/([^/]+)\/?$/);
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <AuthWrapper>
-      <App />
-    </AuthWrapper>
+    {shareMatch ? (
+      <SharePage token={decodeURIComponent(shareMatch[1])} />
+    ) : (
+      <AuthWrapper>
+        <App />
+      </AuthWrapper>
+    )}
   </React.StrictMode>,
 )
@@ -0,0 +1,96 @@
+/**
+ * AssetSignatureService - 缩略图、原图和预览图 URL 的签名
+ * 设置访问密码后，<img> 直接加载的资源需要带上签名（?kid=&exp=&sig=）；
+ * 每个 URL 单独签名（覆盖请求路径和过期时间），由前端用 API 下发的密钥在本地计算，算法与后端 signAsset 一致。
+ * 过期时间向上取整到 windowMs，同一时段内同一资源的 URL 相同，浏览器缓存仍然有效
+ */
+import { api } from '../api/client';
+import { hmacSha256, toBase64Url } from '../utils/hmacSha256';
+
+// 获取失败后至少间隔 10 秒再重试，避免每次渲染都发请求
+const RETRY_DELAY_MS = 10 * 1000;
+
+// { keyId, key, ttlMs, windowMs }；keyId 为 null 表示未设置密码，不需要签名
+let cache = null;
+let pending = null;
+let lastFailure = 0;
+// 当前时段内已计算的签名：path → sig（时段变化时清空）
+let signatures = new Map();
+let signaturesExpires = 0;
+
+/**
+ * 获取签名密钥并缓存（同时进行的请求只发送一次）
+ * @returns {Promise<Object>}
+ */
+export function loadAssetSignatures() {
+  if (!pending) {
+    pending = api.get('/auth/asset-key')
+      .then((data) => {
+        cache = data;
+        signatures = new Map();
+        return data;
+      })
+      .catch((error) => {
+        lastFailure = Date.now();
+        throw error;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+/**
+ * 确保已获取签名密钥（加载图片前调用）
+ * @returns {Promise<void>}
+ */
+export async function ensureAssetSignatures() {
+  if (cache) {
+    return;
+  }
+  await loadAssetSignatures();
+}
+
+/**
+ * 给资源 URL 加上签名（同步，供渲染时使用）
+ * 还没有密钥时在后台获取，本次返回原 URL
+ * @param {string} url - 资源 URL（/api/image/{thumbnail|original|preview}/...，查询参数不参与签名）
+ */
+export function signAssetUrl(url) {
+  if (!cache) {
+    if (Date.now() - lastFailure >= RETRY_DELAY_MS) {
+      loadAssetSignatures().catch(() => {});
+    }
+    return url;
+  }
+  if (cache.keyId === null) {
+    return url;
+  }
+
+  const expires = Math.ceil((Date.now() + cache.ttlMs) / cache.windowMs) * cache.windowMs;
+  if (expires !== signaturesExpires) {
+    signatures = new Map();
+    signaturesExpires = expires;
+  }
+
+  const [path] = url.split('?');
+  let signature = signatures.get(path);
+  if (!signature) {
+    signature = toBase64Url(hmacSha256(cache.key, `${path}:${expires}`));
+    signatures.set(path, signature);
+  }
+
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}kid=${encodeURIComponent(cache.keyId)}&exp=${expires}&sig=${signature}`;
+}
+
+/**
+ * 清除缓存（退出登录或修改密码后）
+ */
+export function clearAssetSignatures() {
+  cache = null;
+  lastFailure = 0;
+  signatures = new Map();
+  signaturesExpires = 0;
+}
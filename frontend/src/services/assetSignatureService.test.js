@@ -0,0 +1,91 @@
+/**
+ * AssetSignatureService 测试
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { api } from '../api/client';
+import {
+  loadAssetSignatures,
+  ensureAssetSignatures,
+  signAssetUrl,
+  clearAssetSignatures
+} from './assetSignatureService.js';
+
+vi.mock('../api/client', () => ({
+  api: {
+    get: vi.fn()
+  }
+}));
+
+const MINUTE = 60 * 1000;
+const KEY = { keyId: 'user1', key: 'secret-key', ttlMs: 10 * MINUTE, windowMs: 5 * MINUTE };
+
+// 与后端 signAsset 相同的算法
+const expectedSignature = (path, expires) => createHmac('sha256', KEY.key).update(`${path}:${expires}`).digest('base64url');
+
+describe('AssetSignatureService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearAssetSignatures();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('未设置密码时返回原 URL', async () => {
+    api.get.mockResolvedValue({ keyId: null, key: null, ttlMs: KEY.ttlMs, windowMs: KEY.windowMs });
+    await loadAssetSignatures();
+
+    expect(signAssetUrl('/api/image/original/lib1/a.jpg')).toBe('/api/image/original/lib1/a.jpg');
+    expect(api.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('按资源路径签名，查询参数不参与签名，已有查询参数时用 & 连接', async () => {
+    vi.useFakeTimers({ now: 1700000000000 });
+    api.get.mockResolvedValue(KEY);
+    await loadAssetSignatures();
+
+    const expires = Math.ceil((Date.now() + KEY.ttlMs) / KEY.windowMs) * KEY.windowMs;
+    const thumbnail = '/api/image/thumbnail/lib1/x.webp';
+    expect(signAssetUrl(`${thumbnail}?h=200`))
+      .toBe(`${thumbnail}?h=200&kid=user1&exp=${expires}&sig=${expectedSignature(thumbnail, expires)}`);
+
+    const original = '/api/image/original/lib1/a%20b.jpg';
+    expect(signAssetUrl(original))
+      .toBe(`${original}?kid=user1&exp=${expires}&sig=${expectedSignature(original, expires)}`);
+  });
+
+  it('同一时段内 URL 不变，进入下一时段后更新过期时间', async () => {
+    vi.useFakeTimers({ now: 1700000000000 });
+    api.get.mockResolvedValue(KEY);
+    await loadAssetSignatures();
+
+    const first = signAssetUrl('/api/image/original/lib1/a.jpg');
+    vi.advanceTimersByTime(MINUTE);
+    expect(signAssetUrl('/api/image/original/lib1/a.jpg')).toBe(first);
+
+    vi.advanceTimersByTime(KEY.windowMs);
+    expect(signAssetUrl('/api/image/original/lib1/a.jpg')).not.toBe(first);
+  });
+
+  it('没有密钥时返回原 URL 并只获取一次', async () => {
+    api.get.mockResolvedValue(KEY);
+
+    expect(signAssetUrl('/api/image/original/lib1/a.jpg')).toBe('/api/image/original/lib1/a.jpg');
+    signAssetUrl('/api/image/original/lib1/b.jpg');
+    await ensureAssetSignatures();
+
+    expect(api.get).toHaveBeenCalledTimes(1);
+    expect(signAssetUrl('/api/image/original/lib1/a.jpg')).toContain('&sig=');
+  });
+
+  it('已有密钥时不重新获取', async () => {
+    api.get.mockResolvedValue(KEY);
+    await loadAssetSignatures();
+    api.get.mockClear();
+
+    await ensureAssetSignatures();
+    expect(api.get).not.toHaveBeenCalled();
+  });
+});
@@ -14,6 +14,9 @@ export const useAuthStore = create((set) => ({
   // 是否正在检查认证状态
   isChecking: true,
 
+  // 当前用户 { id, username, isAdmin, libraries }
+  currentUser: null,
+
   // 设置认证状态
   setAuthStatus: (hasPassword, isAuthenticated) => set({
     hasPassword,
@@ -27,6 +30,9 @@ export const useAuthStore = create((set) => ({
   // 登录成功
   setAuthenticated: () => set({ isAuthenticated: true }),
 
+  // 设置当前用户
+  setCurrentUser: (currentUser) => set({ currentUser }),
+
   // 登出
-  logout: () => set({ isAuthenticated: false })
+  logout: () => set({ isAuthenticated: false, currentUser: null })
 }));
@@ -4,6 +4,9 @@
  */
 
 import { create } from 'zustand';
+import { hasActiveFilters, DEFAULT_COLOR_TOLERANCE } from '../utils/imageFilters';
+import { DEFAULT_SORT } from '../utils/imageSort';
+import { SIMILAR_IMAGES } from '../constants';
 
 export const useImageStore = create((set, get) => ({
   // 图片列表
@@ -18,6 +21,24 @@ export const useImageStore = create((set, get) => ({
   selectedFolder: null,  // 当前浏览的文件夹路径
   selectedFolderItem: null,  // 选中的文件夹对象（用于显示详情、操作等）
   
+  // 标签
+  tags: [],              // 标签树
+  selectedTag: null,     // 当前浏览的标签 { id, name }，与 selectedFolder 互斥
+  
+  // 收藏
+  showFavorites: false,  // 是否浏览「收藏」虚拟文件夹，与 selectedFolder / selectedTag 互斥
+  
+  // 相册（手动整理，跨文件夹）
+  albums: [],            // 相册列表 [{ id, name, position, imageCount }]
+  selectedAlbum: null,   // 当前浏览的相册 { id, name }，与文件夹 / 标签 / 收藏 / 智能相册视图互斥
+  
+  // 智能相册（保存的搜索）
+  smartAlbums: [],           // 智能相册列表 [{ id, name, query, imageCount }]
+  selectedSmartAlbum: null,  // 当前浏览的智能相册 { id, name }，与文件夹 / 标签 / 收藏 / 相册视图互斥
+  
+  // 相似图片（感知哈希）
+  similarTo: null,           // 当前查看与哪张图片相似的结果 { id, filename, threshold, previousView }，与其它视图互斥
+  
   // 搜索和过滤
   searchKeywords: '',
   filters: {
@@ -25,8 +46,14 @@ export const useImageStore = create((set, get) => ({
     sizes: [],           // 文件大小范围筛选
     orientations: [],    // 图片方向筛选（多选）: ['horizontal', 'vertical', 'square']
     ratings: [],         // 评分筛选（多选）: [0, 1, 2, 3, 4, 5]
+    animated: false,     // 只显示动图（GIF / WebP 动画）
+    color: null,         // 颜色筛选: '#rrggbb'，按主色的接近程度排序
+    colorTolerance: DEFAULT_COLOR_TOLERANCE,
   },
   
+  // 排序方式（按素材库保存）: { field, order, seed? }
+  sort: DEFAULT_SORT,
+  
   // 原始图片列表（用于生成筛选选项，不受筛选影响）
   originalImages: [],
   
@@ -36,6 +63,7 @@ export const useImageStore = create((set, get) => ({
     loadedCount: 0,
     totalCount: 0,
     hasMore: false,
+    nextCursor: null,    // 游标分页：下一页游标
   },
   
   // 重命名状态
@@ -47,10 +75,12 @@ export const useImageStore = create((set, get) => ({
   // 设置原始图片（用于筛选选项）
   setOriginalImages: (images) => set({ originalImages: images }),
   
-  // 追加图片（向下滚动时）
+  // 追加图片（向下滚动时）；筛选结果不计入原始图片
   appendImages: (newImages) => set((state) => ({
     images: [...state.images, ...newImages],
-    originalImages: [...state.originalImages, ...newImages]
+    originalImages: hasActiveFilters(state.filters)
+      ? state.originalImages
+      : [...state.originalImages, ...newImages]
   })),
   
   clearImages: () => set({ images: [], originalImages: [] }),
@@ -74,10 +104,62 @@ export const useImageStore = create((set, get) => ({
   // 文件夹操作
   setFolders: (folders) => set({ folders }),
   
-  setSelectedFolder: (folder) => set({ selectedFolder: folder }),
+  // 切换文件夹时退出标签 / 收藏 / 相册视图
+  setSelectedFolder: (folder) => set({ selectedFolder: folder, selectedTag: null, showFavorites: false, selectedAlbum: null, selectedSmartAlbum: null, similarTo: null }),
   
   setSelectedFolderItem: (folderItem) => set({ selectedFolderItem: folderItem }),
   
+  // 标签操作
+  setTags: (tags) => set({ tags }),
+  
+  setSelectedTag: (tag) => set({ selectedTag: tag, selectedFolder: null, showFavorites: false, selectedAlbum: null, selectedSmartAlbum: null, similarTo: null }),
+  
+  // 收藏视图
+  setShowFavorites: (show) => set(show
+    ? { showFavorites: true, selectedFolder: null, selectedTag: null, selectedAlbum: null, selectedSmartAlbum: null, similarTo: null }
+    : { showFavorites: false }
+  ),
+  
+  // 相册
+  setAlbums: (albums) => set({ albums }),
+  
+  setSelectedAlbum: (album) => set({ selectedAlbum: album, selectedFolder: null, selectedTag: null, showFavorites: false, selectedSmartAlbum: null, similarTo: null }),
+  
+  // 智能相册
+  setSmartAlbums: (smartAlbums) => set({ smartAlbums }),
+  
+  setSelectedSmartAlbum: (album) => set({ selectedSmartAlbum: album, selectedFolder: null, selectedTag: null, showFavorites: false, selectedAlbum: null, similarTo: null }),
+  
+  // 相似图片：进入时记住当前视图，退出时恢复；已在相似视图中再次查找时保留最初的视图
+  setSimilarTo: (image, threshold = SIMILAR_IMAGES.DEFAULT_THRESHOLD) => set((state) => ({
+    similarTo: {
+      id: image.id,
+      filename: image.filename,
+      threshold,
+      previousView: state.similarTo?.previousView || {
+        selectedFolder: state.selectedFolder,
+        selectedTag: state.selectedTag,
+        showFavorites: state.showFavorites,
+        selectedAlbum: state.selectedAlbum,
+        selectedSmartAlbum: state.selectedSmartAlbum
+      }
+    },
+    selectedFolder: null,
+    selectedTag: null,
+    showFavorites: false,
+    selectedAlbum: null,
+    selectedSmartAlbum: null
+  })),
+  
+  setSimilarThreshold: (threshold) => set((state) => ({
+    similarTo: state.similarTo && { ...state.similarTo, threshold }
+  })),
+  
+  exitSimilar: () => set((state) => ({
+    similarTo: null,
+    ...state.similarTo?.previousView
+  })),
+  
   // 搜索和过滤
   setSearchKeywords: (keywords) => set({ searchKeywords: keywords }),
   
@@ -91,10 +173,16 @@ export const useImageStore = create((set, get) => ({
       formats: [],
       sizes: [],
       orientations: [],
-      ratings: []
+      ratings: [],
+      animated: false,
+      color: null,
+      colorTolerance: DEFAULT_COLOR_TOLERANCE
     }
   }),
   
+  // 排序
+  setSort: (sort) => set({ sort }),
+  
   // 统计
   setTotalImageCount: (count) => set({ totalImageCount: count }),
   setTotalSize: (size) => set({ totalSize: size }),
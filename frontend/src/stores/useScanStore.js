@@ -19,6 +19,16 @@ export const useScanStore = create((set, get) => ({
   }),
   
   clearScanProgress: () => set({ scanProgress: null, scanStartTime: null }),
+
+  // 缩略图完整性检查进度（维护面板发起，通过 Socket.IO 推送）
+  thumbnailCheck: null,
+  setThumbnailCheck: (status) => set({ thumbnailCheck: status }),
+
+  // ZIP 导出下载进度（按导出 id 记录，服务端流式输出时通过 Socket.IO 推送）
+  exportProgress: {},
+  setExportProgress: (progress) => set((state) => ({
+    exportProgress: { ...state.exportProgress, [progress.id]: progress }
+  })),
   
   getEstimatedTimeLeft: () => {
     const { scanProgress, scanStartTime } = get();
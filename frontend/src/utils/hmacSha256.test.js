@@ -0,0 +1,41 @@
+/**
+ * SHA-256 / HMAC-SHA256 测试
+ * 使用 FIPS 180-4 和 RFC 4231 的测试向量，并与 Node 的 crypto 对比（后端用它验证资源签名）
+ */
+import { describe, it, expect } from 'vitest';
+import { createHash, createHmac } from 'node:crypto';
+import * as fc from 'fast-check';
+import { sha256, hmacSha256, toBase64Url } from './hmacSha256.js';
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+describe('sha256', () => {
+  it('FIPS 180-4 测试向量', () => {
+    expect(toHex(sha256(''))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(toHex(sha256('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(toHex(sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('与 Node crypto 一致（包括跨块长度和 UTF-8）', () => {
+    fc.assert(fc.property(fc.string({ maxLength: 200 }), (text) => {
+      expect(toHex(sha256(text))).toBe(createHash('sha256').update(text, 'utf8').digest('hex'));
+    }));
+  });
+});
+
+describe('hmacSha256', () => {
+  it('RFC 4231 测试向量', () => {
+    expect(toHex(hmacSha256('Jefe', 'what do ya want for nothing?')))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+    // 密钥长于分块大小时先做哈希
+    expect(toHex(hmacSha256(new Uint8Array(131).fill(0xaa), 'Test Using Larger Than Block-Size Key - Hash Key First')))
+      .toBe('60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54');
+  });
+
+  it('base64url 与后端 digest(\'base64url\') 一致', () => {
+    fc.assert(fc.property(fc.string({ minLength: 1, maxLength: 100 }), fc.string({ maxLength: 200 }), (key, message) => {
+      expect(toBase64Url(hmacSha256(key, message))).toBe(createHmac('sha256', key).update(message).digest('base64url'));
+    }));
+  });
+});
@@ -21,6 +21,21 @@ export const parseSizeToKB = (sizeStr) => {
   }
 };
 
+/**
+ * 解析大小范围字符串
+ * @param {string} range - 范围字符串，如 ">10MB" 或 "1MB - 10MB"
+ * @returns {{minKB: number, maxKB: number|null}|null} 无上限时 maxKB 为 null，无法解析时返回 null
+ */
+export const parseSizeRange = (range) => {
+  if (range.startsWith('>')) {
+    return { minKB: parseSizeToKB(range.substring(1).trim()), maxKB: null };
+  } else if (range.includes(' - ')) {
+    const [minStr, maxStr] = range.split(' - ').map(s => s.trim());
+    return { minKB: parseSizeToKB(minStr), maxKB: parseSizeToKB(maxStr) };
+  }
+  return null;
+};
+
 /**
  * 匹配大小范围
  * @param {number} sizeKB - 文件大小（KB）
@@ -28,33 +43,72 @@ export const parseSizeToKB = (sizeStr) => {
  * @returns {boolean} 是否匹配
  */
 export const matchSizeRange = (sizeKB, range) => {
-  if (range.startsWith('>')) {
-    const minStr = range.substring(1).trim();
-    const minKB = parseSizeToKB(minStr);
-    return sizeKB >= minKB;
-  } else if (range.includes(' - ')) {
-    const [minStr, maxStr] = range.split(' - ').map(s => s.trim());
-    const minKB = parseSizeToKB(minStr);
-    const maxKB = parseSizeToKB(maxStr);
-    return sizeKB >= minKB && sizeKB < maxKB;
+  const parsed = parseSizeRange(range);
+  if (!parsed) return false;
+  return sizeKB >= parsed.minKB && (parsed.maxKB === null || sizeKB < parsed.maxKB);
+};
+
+// 按颜色筛选的默认容差（Lab 空间 ΔE，与后端 COLORS.DEFAULT_TOLERANCE 一致）
+export const DEFAULT_COLOR_TOLERANCE = 20;
+
+/**
+ * 是否有需要后端处理的筛选条件
+ * @param {Object} filters - 筛选条件 { formats, sizes, orientations, ratings, animated, color }
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters = {}) => {
+  const { formats, sizes, orientations, ratings, animated, color } = filters;
+  return !!(formats?.length || sizes?.length || orientations?.length || ratings?.length || animated || color);
+};
+
+/**
+ * 将筛选条件转换为 GET /api/image 的查询参数
+ * 大小范围转换为字节区间 "min-max"，无上限时省略 max；颜色为 #rrggbb，容差为默认值时省略
+ * @param {Object} filters - 筛选条件 { formats, sizes, orientations, ratings, animated, color, colorTolerance }
+ * @returns {Object} 查询参数
+ */
+export const buildFilterParams = (filters = {}) => {
+  const { formats, sizes, orientations, ratings, animated, color, colorTolerance } = filters;
+  const params = {};
+
+  if (formats?.length > 0) params.formats = formats.join(',');
+  if (orientations?.length > 0) params.orientations = orientations.join(',');
+  if (ratings?.length > 0) params.ratings = ratings.join(',');
+  if (animated) params.animated = '1';
+  if (color) {
+    params.color = color;
+    if (colorTolerance && colorTolerance !== DEFAULT_COLOR_TOLERANCE) params.tolerance = String(colorTolerance);
   }
-  return false;
+  if (sizes?.length > 0) {
+    const ranges = sizes
+      .map(parseSizeRange)
+      .filter(Boolean)
+      .map(({ minKB, maxKB }) => {
+        const min = Math.floor(minKB * 1024);
+        return maxKB === null ? `${min}-` : `${min}-${Math.floor(maxKB * 1024)}`;
+      });
+    if (ranges.length > 0) params.sizes = ranges.join(',');
+  }
+
+  return params;
 };
 
 /**
  * 前端筛选图片
+ * 筛选由后端完成，这里只用于让本地修改（如修改评分）立即反映到当前列表；颜色无法在前端判断，不参与筛选
  * @param {Array} images - 图片列表
- * @param {Object} filters - 筛选条件 { formats, sizes, orientations, ratings }
+ * @param {Object} filters - 筛选条件 { formats, sizes, orientations, ratings, animated }
  * @returns {Array} 筛选后的图片列表
  */
 export const filterImages = (images, filters) => {
-  const { formats, sizes, orientations, ratings } = filters;
+  const { formats, sizes, orientations, ratings, animated } = filters;
   
   // 如果没有任何筛选条件，直接返回原始图片
   if ((!formats || formats.length === 0) && 
       (!sizes || sizes.length === 0) && 
       (!orientations || orientations.length === 0) &&
-      (!ratings || ratings.length === 0)) {
+      (!ratings || ratings.length === 0) &&
+      !animated) {
     return images;
   }
 
@@ -108,6 +162,9 @@ export const filterImages = (images, filters) => {
       if (!ratings.includes(imgRating)) return false;
     }
 
+    // 只显示动图
+    if (animated && !img.animated) return false;
+
     return true;
   });
 };
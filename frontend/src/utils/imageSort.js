@@ -0,0 +1,39 @@
+/**
+ * 图片排序相关工具函数
+ */
+
+// 排序字段选项（与后端 sortUtils.SORT_FIELDS 保持一致）
+export const SORT_OPTIONS = [
+  { value: 'created', label: '创建时间' },
+  { value: 'modified', label: '修改时间' },
+  { value: 'filename', label: '文件名' },
+  { value: 'size', label: '文件大小' },
+  { value: 'pixels', label: '像素尺寸' },
+  { value: 'rating', label: '评分' },
+  { value: 'random', label: '随机' },
+  { value: 'relevance', label: '相关度' },   // 仅在搜索时生效，无关键词时按创建时间排序
+  { value: 'color', label: '颜色相近' }      // 仅在按颜色筛选时生效（按颜色筛选且为默认排序时自动使用）
+];
+
+export const DEFAULT_SORT = { field: 'created', order: 'desc' };
+
+/**
+ * 生成随机排序种子
+ * @returns {number}
+ */
+export const createRandomSeed = () => Math.floor(Math.random() * 2147483647);
+
+/**
+ * 将排序方式转换为 GET /api/image 的查询参数
+ * 默认排序不附加参数
+ * @param {Object} sort - { field, order, seed }
+ * @returns {Object} 查询参数
+ */
+export const buildSortParams = (sort) => {
+  if (!sort || (sort.field === DEFAULT_SORT.field && sort.order === DEFAULT_SORT.order)) {
+    return {};
+  }
+  const params = { sort: sort.field, order: sort.order };
+  if (sort.field === 'random') params.seed = sort.seed ?? 0;
+  return params;
+};
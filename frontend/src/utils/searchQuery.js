@@ -0,0 +1,32 @@
+/**
+ * 搜索查询语法
+ * 解析器与后端共用同一份实现（backend/src/shared/searchQuery.mjs），保证前端校验与后端编译的结果一致
+ */
+
+import { SEARCH_FIELDS, parseSearchQuery } from '../../../backend/src/shared/searchQuery.mjs';
+
+export { SEARCH_FIELDS, parseSearchQuery };
+
+/**
+ * 生成词元的显示文本（用于条件标签）
+ * @param {Object} token - parseSearchQuery 返回的 tokens 项
+ * @returns {string}
+ */
+export const formatSearchToken = (token) => {
+  if (token.type === 'operator') {
+    return token.raw === 'NOT' ? '排除' : '或';
+  }
+
+  let label = token.value || token.raw;
+  if (token.type === 'field') {
+    const definition = SEARCH_FIELDS[token.field];
+    if (definition) {
+      const value = definition.type === 'flag' ? (definition.values[token.value.toLowerCase()] || token.value) : token.value;
+      label = token.op === ':' || token.op === '=' ? `${definition.label}: ${value}` : `${definition.label} ${token.op} ${value}`;
+    } else {
+      label = token.raw.replace(/^-/, '');
+    }
+  }
+
+  return token.negate ? `排除 ${label}` : label;
+};
@@ -0,0 +1,151 @@
+/**
+ * 搜索查询语法解析测试
+ * 解析器与后端共用，这里覆盖关键词、字段条件和错误提示
+ */
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { parseSearchQuery, formatSearchToken } from './searchQuery.js';
+
+const MB = 1024 * 1024;
+
+describe('parseSearchQuery', () => {
+  describe('关键词', () => {
+    it('空格分隔的关键词属于同一 AND 组，OR 拆分为多组', () => {
+      const { groups, filters, errors } = parseSearchQuery('猫 白色 OR 狗');
+      expect(errors).toEqual([]);
+      expect(filters).toEqual([]);
+      expect(groups.map(group => group.map(term => term.text))).toEqual([['猫', '白色'], ['狗']]);
+    });
+
+    it('支持排除、短语和前缀', () => {
+      const { groups } = parseSearchQuery('-draft NOT 草稿 "white cat" logo*');
+      expect(groups).toEqual([[
+        { text: 'draft', negate: true, prefix: false },
+        { text: '草稿', negate: true, prefix: false },
+        { text: 'white cat', negate: false, prefix: false },
+        { text: 'logo', negate: false, prefix: true }
+      ]]);
+    });
+
+    it('不以字母开头的冒号不视为字段', () => {
+      const { groups, errors } = parseSearchQuery('12:30');
+      expect(errors).toEqual([]);
+      expect(groups).toEqual([[{ text: '12:30', negate: false, prefix: false }]]);
+    });
+  });
+
+  describe('字段条件', () => {
+    it('解析请求示例中的全部条件', () => {
+      const { groups, filters, errors } = parseSearchQuery(
+        'format:png width>2000 rating>=4 folder:"项目/2024" -draft tag:logo date:2024-01..2024-06'
+      );
+      expect(errors).toEqual([]);
+      expect(groups).toEqual([[{ text: 'draft', negate: true, prefix: false }]]);
+      expect(filters).toEqual([
+        { field: 'format', negate: false, value: ['png'] },
+        { field: 'width', negate: false, value: { min: 2001 } },
+        { field: 'rating', negate: false, value: { min: 4 } },
+        { field: 'folder', negate: false, value: '项目/2024' },
+        { field: 'tag', negate: false, value: 'logo' },
+        {
+          field: 'date',
+          negate: false,
+          value: { min: new Date(2024, 0, 1).getTime(), max: new Date(2024, 6, 1).getTime() }
+        }
+      ]);
+    });
+
+    it('数值比较转换为半开区间', () => {
+      const range = (query) => parseSearchQuery(query).filters[0].value;
+      expect(range('width:1000')).toEqual({ min: 1000, max: 1001 });
+      expect(range('width<1000')).toEqual({ max: 1000 });
+      expect(range('width<=1000')).toEqual({ max: 1001 });
+      expect(range('height:1000..2000')).toEqual({ min: 1000, max: 2001 });
+      expect(range('size:..500KB')).toEqual({ max: 500 * 1024 + 1 });
+      expect(range('size>1.5mb')).toEqual({ min: 1.5 * MB + 1 });
+    });
+
+    it('日期按年、月、日取整个时间段', () => {
+      const range = (query) => parseSearchQuery(query).filters[0].value;
+      expect(range('date:2024')).toEqual({ min: new Date(2024, 0, 1).getTime(), max: new Date(2025, 0, 1).getTime() });
+      expect(range('modified>2024-03')).toEqual({ min: new Date(2024, 3, 1).getTime() });
+      expect(range('date<=2024-02-29')).toEqual({ max: new Date(2024, 2, 1).getTime() });
+    });
+
+    it('格式不区分大小写并展开别名，字段名不区分大小写', () => {
+      const { filters } = parseSearchQuery('FORMAT:JPG,.webp');
+      expect(filters).toEqual([{ field: 'format', negate: false, value: ['jpg', 'jpeg', 'webp'] }]);
+    });
+
+    it('拍摄信息字段：相机、ISO、拍摄日期、位置', () => {
+      const { filters, errors } = parseSearchQuery('camera:"EOS R5" iso>=800 taken:2023 is:geotagged');
+      expect(errors).toEqual([]);
+      expect(filters).toEqual([
+        { field: 'camera', negate: false, value: 'EOS R5' },
+        { field: 'iso', negate: false, value: { min: 800 } },
+        { field: 'taken', negate: false, value: { min: new Date(2023, 0, 1).getTime(), max: new Date(2024, 0, 1).getTime() } },
+        { field: 'is', negate: false, value: 'geotagged' }
+      ]);
+    });
+
+    it('字段条件可以取反', () => {
+      const { filters } = parseSearchQuery('-tag:"旧 版本" NOT is:favorite');
+      expect(filters).toEqual([
+        { field: 'tag', negate: true, value: '旧 版本' },
+        { field: 'is', negate: true, value: 'favorite' }
+      ]);
+    });
+  });
+
+  describe('错误提示', () => {
+    const firstError = (query) => parseSearchQuery(query).errors[0]?.message;
+
+    it.each([
+      ['foo:bar', '未知的搜索字段 "foo"'],
+      ['width>', '"width" 缺少取值'],
+      ['width>abc', '"width" 需要整数'],
+      ['tag>3', '"tag" 不支持 ">"'],
+      ['rating:9', '"rating" 取值范围为 0-5'],
+      ['size>2XB', '无法识别的大小 "2XB"'],
+      ['date:2024-13', '无法识别的日期 "2024-13"'],
+      ['date:2023-02-29', '无法识别的日期 "2023-02-29"'],
+      ['width:2000..1000', '区间起点大于终点'],
+      ['width>1..2', '区间只能与 ":" 一起使用'],
+      ['is:deleted', '"is" 仅支持'],
+      ['folder:"项目', '引号未闭合'],
+      ['"white cat', '引号未闭合']
+    ])('%s', (query, message) => {
+      expect(firstError(query)).toContain(message);
+    });
+
+    it('错误的词元不会进入查询条件', () => {
+      const { groups, filters, errors, tokens } = parseSearchQuery('cat width>abc format:png');
+      expect(errors).toHaveLength(1);
+      expect(errors[0].token).toBe('width>abc');
+      expect(filters).toEqual([{ field: 'format', negate: false, value: ['png'] }]);
+      expect(groups).toEqual([[{ text: 'cat', negate: false, prefix: false }]]);
+      expect(tokens.find(token => token.raw === 'width>abc').error).toBeDefined();
+    });
+
+    it('任意输入都不会抛出异常，且词元按输入顺序排列', () => {
+      fc.assert(
+        fc.property(fc.string(), (text) => {
+          const { tokens } = parseSearchQuery(text);
+          let position = 0;
+          tokens.forEach(token => {
+            const index = text.indexOf(token.raw, position);
+            expect(index).toBeGreaterThanOrEqual(0);
+            position = index + token.raw.length;
+          });
+        })
+      );
+    });
+  });
+});
+
+describe('formatSearchToken', () => {
+  it('生成条件标签文本', () => {
+    const { tokens } = parseSearchQuery('width>2000 tag:logo -draft is:favorite OR cat');
+    expect(tokens.map(formatSearchToken)).toEqual(['宽度 > 2000', '标签: logo', '排除 draft', '状态: 已收藏', '或', 'cat']);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * 缩略图尺寸档位
+ * 后端扫描时只生成 480px 高的缩略图，其它档位（?h=）在第一次请求时生成；
+ * 根据显示高度和设备像素比选择合适的档位，缩小视图时下载更少，放大视图和高分屏更清晰
+ */
+
+// 缩略图高度档位（与后端 constants.THUMBNAIL.SIZES 一致）
+export const THUMBNAIL_HEIGHTS = [200, 480, 800];
+
+// 扫描时生成的档位（与后端 THUMBNAIL_GENERATION.TARGET_HEIGHT 一致），请求时不需要 ?h=
+export const BASE_THUMBNAIL_HEIGHT = 480;
+
+/**
+ * 选择不小于所需像素高度的最小档位，超过最大档位时返回最大档位
+ * @param {number} displayHeight - 显示高度（CSS 像素）
+ * @param {number} [devicePixelRatio=1] - 设备像素比
+ * @returns {number} 档位高度
+ */
+export function pickThumbnailHeight(displayHeight, devicePixelRatio = 1) {
+  const needed = Math.ceil(displayHeight * (devicePixelRatio || 1));
+  return THUMBNAIL_HEIGHTS.find(height => height >= needed) || THUMBNAIL_HEIGHTS[THUMBNAIL_HEIGHTS.length - 1];
+}
+
+/**
+ * 请求档位时使用的高度参数：扫描生成的档位返回 undefined（与不带参数的地址共用浏览器缓存）
+ */
+export function toThumbnailHeightParam(height) {
+  return height === BASE_THUMBNAIL_HEIGHT ? undefined : height;
+}
+
+/**
+ * 生成 srcset：每个档位按宽高比换算出宽度标注，由浏览器根据显示宽度和设备像素比选择
+ * （原图不够大时后端返回的档位会小于标注的尺寸，只影响选择，不影响显示）
+ * @param {Object} image - 图片，需要 width / height
+ * @param {(height: number|undefined) => string} getUrl - 根据高度参数返回缩略图地址
+ * @returns {string} 尺寸未知时返回空字符串
+ */
+export function buildThumbnailSrcSet(image, getUrl) {
+  const { width, height } = image || {};
+  if (!(width > 0) || !(height > 0)) return '';
+
+  return THUMBNAIL_HEIGHTS
+    .map(tier => `${getUrl(toThumbnailHeightParam(tier))} ${Math.round(width * tier / height)}w`)
+    .join(', ');
+}
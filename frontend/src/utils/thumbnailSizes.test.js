@@ -0,0 +1,41 @@
+/**
+ * 缩略图尺寸档位测试
+ */
+import { describe, it, expect } from 'vitest';
+import { pickThumbnailHeight, buildThumbnailSrcSet } from './thumbnailSizes.js';
+
+const getUrl = height => (height ? `/t.webp?h=${height}` : '/t.webp');
+
+describe('pickThumbnailHeight', () => {
+  it('选择不小于所需像素高度的最小档位', () => {
+    expect(pickThumbnailHeight(150)).toBe(200);
+    expect(pickThumbnailHeight(200)).toBe(200);
+    expect(pickThumbnailHeight(201)).toBe(480);
+  });
+
+  it('按设备像素比放大所需高度', () => {
+    expect(pickThumbnailHeight(150, 2)).toBe(480);
+    expect(pickThumbnailHeight(300, 2)).toBe(800);
+  });
+
+  it('超过最大档位时返回最大档位', () => {
+    expect(pickThumbnailHeight(1200, 3)).toBe(800);
+  });
+});
+
+describe('buildThumbnailSrcSet', () => {
+  it('每个档位按宽高比标注宽度，扫描生成的档位不带 h 参数', () => {
+    expect(buildThumbnailSrcSet({ width: 4000, height: 3000 }, getUrl))
+      .toBe('/t.webp?h=200 267w, /t.webp 640w, /t.webp?h=800 1067w');
+  });
+
+  it('宽度按宽高比换算', () => {
+    expect(buildThumbnailSrcSet({ width: 300, height: 480 }, getUrl))
+      .toBe('/t.webp?h=200 125w, /t.webp 300w, /t.webp?h=800 500w');
+  });
+
+  it('尺寸未知时返回空字符串', () => {
+    expect(buildThumbnailSrcSet({ width: 0, height: 0 }, getUrl)).toBe('');
+    expect(buildThumbnailSrcSet(null, getUrl)).toBe('');
+  });
+});
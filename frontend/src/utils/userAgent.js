@@ -0,0 +1,48 @@
+/**
+ * User-Agent 解析
+ * 登录会话列表中显示浏览器和系统，只识别常见的几种，无法识别时返回 null
+ */
+
+// 顺序有意义：Edge、Opera 的 UA 中也包含 Chrome，Chrome 的 UA 中也包含 Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /OPR\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+)[\d.]* (?:Mobile\/\S+ )?Safari\// }
+];
+
+// Android 的 UA 中也包含 Linux，iPhone/iPad 的 UA 中也包含 Mac OS X
+const SYSTEMS = [
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Windows', pattern: /Windows/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux|X11/ }
+];
+
+/**
+ * 解析 User-Agent
+ * @param {string|null} userAgent
+ * @returns {{browser: string|null, system: string|null}}
+ */
+export function parseUserAgent(userAgent) {
+  const ua = userAgent || '';
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(ua));
+  const system = SYSTEMS.find(({ pattern }) => pattern.test(ua));
+  return {
+    browser: browser ? `${browser.name} ${ua.match(browser.pattern)[1]}` : null,
+    system: system ? system.name : null
+  };
+}
+
+/**
+ * 会话列表中显示的设备名称，例如 "Chrome 120 · Windows"；都无法识别时显示原始 User-Agent（脚本等）
+ */
+export function describeUserAgent(userAgent) {
+  const { browser, system } = parseUserAgent(userAgent);
+  if (!browser && !system) {
+    return userAgent || '未知设备';
+  }
+  return [browser, system].filter(Boolean).join(' · ');
+}
@@ -0,0 +1,45 @@
+/**
+ * User-Agent 解析测试
+ * 覆盖 UA 中互相包含的浏览器和系统（Edge/Chrome/Safari、Android/Linux、iOS/macOS）
+ */
+import { describe, it, expect } from 'vitest';
+import { parseUserAgent, describeUserAgent } from './userAgent.js';
+
+const UA = {
+  chromeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+  safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+  safariIPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+  chromeAndroid: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.6099.144 Mobile Safari/537.36',
+  firefoxLinux: 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'
+};
+
+describe('parseUserAgent', () => {
+  it('识别浏览器和主版本号', () => {
+    expect(parseUserAgent(UA.chromeWindows)).toEqual({ browser: 'Chrome 120', system: 'Windows' });
+    expect(parseUserAgent(UA.edgeWindows)).toEqual({ browser: 'Edge 120', system: 'Windows' });
+    expect(parseUserAgent(UA.safariMac)).toEqual({ browser: 'Safari 17', system: 'macOS' });
+    expect(parseUserAgent(UA.firefoxLinux)).toEqual({ browser: 'Firefox 121', system: 'Linux' });
+  });
+
+  it('移动设备优先识别为 Android / iOS', () => {
+    expect(parseUserAgent(UA.safariIPhone)).toEqual({ browser: 'Safari 17', system: 'iOS' });
+    expect(parseUserAgent(UA.chromeAndroid)).toEqual({ browser: 'Chrome 120', system: 'Android' });
+  });
+
+  it('空值和无法识别的 UA', () => {
+    expect(parseUserAgent(null)).toEqual({ browser: null, system: null });
+    expect(parseUserAgent('curl/8.4.0')).toEqual({ browser: null, system: null });
+  });
+});
+
+describe('describeUserAgent', () => {
+  it('拼接浏览器和系统', () => {
+    expect(describeUserAgent(UA.chromeWindows)).toBe('Chrome 120 · Windows');
+  });
+
+  it('无法识别时显示原始 UA，没有 UA 时显示未知设备', () => {
+    expect(describeUserAgent('python-requests/2.31.0')).toBe('python-requests/2.31.0');
+    expect(describeUserAgent(null)).toBe('未知设备');
+  });
+});